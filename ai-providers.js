@@ -0,0 +1,404 @@
+/**
+ * TravanaSpot - AI Providers
+ *
+ * Backends that TravanaSpotBrowserAI runs on. A provider creates sessions that
+ * look like Chrome's built-in AI objects, so analyzeReviews/askQuestion don't
+ * care which backend is active:
+ *
+ * PROVIDER INTERFACE:
+ *   provider.name                                   - id stored in settings
+ *   provider.createLanguageModelSession({initialPrompts}) -> session
+ *   provider.createSummarizer(options)               -> summarizer
+ *     (throws Error('SUMMARIZER_UNAVAILABLE') to trigger the Prompt-API-only path)
+ *   provider.testConnection()                        -> {success, error}
+ *   provider.countTokens(text, session)              -> number of tokens `text` takes up in the
+ *     session's context, from the backend's own tokenizer where it has one (used to size chunks)
+ *   provider.embed(texts)                            -> number[][] (optional, used to rank
+ *     reviews for chat questions; only present when the backend has an embedding model)
+ *   provider.translate(text, {sourceLanguage, targetLanguage}) -> string (optional, used to
+ *     translate foreign-language review snippets; throws when the pair can't be translated)
+ *
+ * LANGUAGE MODEL SESSION (same shape as LanguageModel sessions):
+ *   session.prompt(text, {responseConstraint})       - responseConstraint is a JSON schema
+ *   session.clone() / session.destroy()
+ *   session.maxTokens / session.tokensSoFar          - token accounting for chunk sizing
+ *   session.measureInputUsage(text)                  - tokens `text` would use as input
+ *
+ * SUMMARIZER (same shape as Summarizer):
+ *   summarizer.summarize(text, {context, outputLanguage}) / summarizer.destroy()
+ *     (outputLanguage is a language code such as 'de'; createSummarizer may throw when
+ *     the backend can't write it)
+ */
+
+const DEFAULT_AI_SETTINGS = {
+  provider: 'chrome-builtin',
+  localEndpoint: 'http://localhost:11434', // Ollama default; llama.cpp server uses http://localhost:8080
+  localModel: 'llama3.2',
+  localApiKey: '',
+  localContextTokens: 8192,
+  localEmbeddingModel: '' // e.g. nomic-embed-text; empty = keyword ranking only
+};
+
+// Characters per token when nothing better is known (the usual rough figure for English text)
+const DEFAULT_CHARS_PER_TOKEN = 4;
+
+/**
+ * Chrome Built-in AI (Gemini Nano)
+ *
+ * CORRECT PATTERNS per Chrome Built-in AI documentation:
+ * - Prompt API: check LanguageModel.params() (NOT LanguageModel.availability()), then create
+ * - Summarizer API: check Summarizer.availability(), then create
+ * - Create in LOCAL variables and return them for the caller to store
+ */
+class ChromeBuiltInProvider {
+  constructor() {
+    this.name = 'chrome-builtin';
+    this.translators = new Map(); // 'de>en' -> Translator, created on first use
+  }
+
+  async createLanguageModelSession({ initialPrompts = [] } = {}) {
+    const {available, defaultTemperature, defaultTopK, maxTopK} = await LanguageModel.params();
+    console.log('TravanaSpot: Prompt API params:', {
+      available,
+      defaultTemperature,
+      defaultTopK,
+      maxTopK
+    });
+
+    if (available === 'no') {
+      console.error('TravanaSpot: Prompt API is not available');
+      throw new Error('Prompt API is not available. Please use Chrome Canary 128+ with Prompt API enabled.');
+    }
+
+    const session = await LanguageModel.create({ initialPrompts });
+    console.log('TravanaSpot: Language Model session created successfully with initialPrompts');
+    return session;
+  }
+
+  async createSummarizer(options) {
+    const availability = await Summarizer.availability();
+    console.log('TravanaSpot: Summarizer API availability:', availability);
+
+    if (availability === 'unavailable') {
+      // The Summarizer API isn't usable.
+      console.log("TravanaSpot: Summarizer API is unavailable.");
+      throw new Error('SUMMARIZER_UNAVAILABLE');
+    }
+
+    // Create the summarizer (availability is 'readily' or 'after-download')
+    console.log("TravanaSpot: Initializing Summarizer...");
+    const summarizer = await Summarizer.create(options);
+    console.log('TravanaSpot: Summarizer session created successfully');
+    return summarizer;
+  }
+
+  // Prompt API sessions count with Gemini Nano's tokenizer; countPromptTokens() is the name
+  // in Chrome versions before measureInputUsage()
+  async countTokens(text, session) {
+    if (typeof session?.measureInputUsage === 'function') {
+      return session.measureInputUsage(text);
+    }
+    if (typeof session?.countPromptTokens === 'function') {
+      return session.countPromptTokens(text);
+    }
+    return Math.ceil(text.length / DEFAULT_CHARS_PER_TOKEN);
+  }
+
+  // Translator API: check Translator.availability() for the language pair, then create
+  async translate(text, { sourceLanguage, targetLanguage }) {
+    if (typeof Translator === 'undefined') {
+      throw new Error('TRANSLATOR_UNAVAILABLE');
+    }
+
+    const pair = `${sourceLanguage}>${targetLanguage}`;
+    if (!this.translators.has(pair)) {
+      const availability = await Translator.availability({ sourceLanguage, targetLanguage });
+      if (availability === 'unavailable') {
+        throw new Error(`Translator can't translate ${sourceLanguage} to ${targetLanguage}`);
+      }
+
+      console.log(`TravanaSpot: Creating Translator (${pair}, ${availability})`);
+      this.translators.set(pair, await Translator.create({ sourceLanguage, targetLanguage }));
+    }
+
+    return this.translators.get(pair).translate(text);
+  }
+
+  async testConnection() {
+    try {
+      if (typeof LanguageModel === 'undefined') {
+        return { success: false, error: 'Chrome Built-in AI is not available in this browser' };
+      }
+
+      const { available } = await LanguageModel.params();
+      return available !== 'no'
+        ? { success: true }
+        : { success: false, error: 'Prompt API is not available' };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+}
+
+/**
+ * Local OpenAI-compatible server (llama.cpp server, Ollama, LM Studio...)
+ *
+ * - Talks to <endpoint>/v1/chat/completions
+ * - Structured prompts use response_format: json_schema
+ * - Sessions keep their message history like Chrome sessions do, so tokensSoFar grows per prompt
+ * - With an embedding model set, embed() uses <endpoint>/v1/embeddings
+ * - countTokens() uses <endpoint>/tokenize (llama.cpp server); servers without it (Ollama,
+ *   LM Studio) get an estimate from the characters per token of the last reply's `usage`
+ */
+class LocalHttpProvider {
+  constructor({ endpoint, model, apiKey = '', contextTokens = 8192, embeddingModel = '' } = {}) {
+    this.name = 'local-http';
+    this.endpoint = (endpoint || DEFAULT_AI_SETTINGS.localEndpoint).replace(/\/+$/, '');
+    this.model = model || DEFAULT_AI_SETTINGS.localModel;
+    this.apiKey = apiKey;
+    this.contextTokens = contextTokens;
+    this.charsPerToken = DEFAULT_CHARS_PER_TOKEN; // Updated from each reply's usage.prompt_tokens
+    this.tokenizeUnsupported = false;
+
+    // embed() is optional in the provider interface, so only offer it when it can work
+    if (embeddingModel) {
+      this.embeddingModel = embeddingModel;
+      this.embed = texts => this.fetchEmbeddings(texts);
+    }
+  }
+
+  getHeaders() {
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.apiKey) {
+      headers['Authorization'] = `Bearer ${this.apiKey}`;
+    }
+    return headers;
+  }
+
+  // POST texts to the embeddings endpoint and return one vector per text
+  async fetchEmbeddings(texts) {
+    const response = await fetch(`${this.endpoint}/v1/embeddings`, {
+      method: 'POST',
+      headers: this.getHeaders(),
+      body: JSON.stringify({ model: this.embeddingModel, input: texts })
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text().catch(() => '');
+      throw new Error(`Local embedding request failed (HTTP ${response.status}): ${errorText.substring(0, 200)}`);
+    }
+
+    const data = await response.json();
+    const vectors = (data.data || [])
+      .slice()
+      .sort((a, b) => (a.index || 0) - (b.index || 0))
+      .map(item => item.embedding);
+
+    if (vectors.length !== texts.length) {
+      throw new Error(`Local embedding server returned ${vectors.length} vectors for ${texts.length} texts`);
+    }
+
+    return vectors;
+  }
+
+  // POST a chat completion and return {content, usage}
+  async chatCompletion(messages, { schema = null } = {}) {
+    const body = {
+      model: this.model,
+      messages,
+      stream: false
+    };
+
+    if (schema) {
+      body.response_format = {
+        type: 'json_schema',
+        json_schema: { name: 'travanaspot_response', strict: true, schema }
+      };
+    }
+
+    const response = await fetch(`${this.endpoint}/v1/chat/completions`, {
+      method: 'POST',
+      headers: this.getHeaders(),
+      body: JSON.stringify(body)
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text().catch(() => '');
+      throw new Error(`Local model request failed (HTTP ${response.status}): ${errorText.substring(0, 200)}`);
+    }
+
+    const data = await response.json();
+    const content = data.choices?.[0]?.message?.content;
+    if (typeof content !== 'string') {
+      throw new Error('Local model returned no message content');
+    }
+
+    if (data.usage?.prompt_tokens > 0) {
+      const promptChars = messages.reduce((sum, message) => sum + message.content.length, 0);
+      this.charsPerToken = promptChars / data.usage.prompt_tokens;
+    }
+
+    return { content, usage: data.usage || null };
+  }
+
+  // Token count from the server's tokenizer, or estimated from the measured characters per token
+  async countTokens(text) {
+    if (!this.tokenizeUnsupported) {
+      try {
+        const response = await fetch(`${this.endpoint}/tokenize`, {
+          method: 'POST',
+          headers: this.getHeaders(),
+          body: JSON.stringify({ content: text })
+        });
+
+        if (response.ok) {
+          const data = await response.json();
+          if (Array.isArray(data.tokens)) {
+            return data.tokens.length;
+          }
+        }
+
+        console.log(`TravanaSpot: ${this.endpoint} has no /tokenize endpoint, estimating token counts`);
+        this.tokenizeUnsupported = true;
+      } catch (error) {
+        console.warn('TravanaSpot: Token count request failed, estimating:', error.message);
+      }
+    }
+
+    return Math.ceil(text.length / this.charsPerToken);
+  }
+
+  async createLanguageModelSession({ initialPrompts = [] } = {}) {
+    console.log(`TravanaSpot: Creating local model session (${this.model} @ ${this.endpoint})`);
+    return new LocalHttpSession(this, initialPrompts);
+  }
+
+  async createSummarizer(options = {}) {
+    console.log(`TravanaSpot: Creating local summarizer (${this.model} @ ${this.endpoint})`);
+    return new LocalHttpSummarizer(this, options);
+  }
+
+  async translate(text, { sourceLanguage, targetLanguage }) {
+    const languageNames = new Intl.DisplayNames(['en'], { type: 'language' });
+    const { content } = await this.chatCompletion([
+      {
+        role: 'system',
+        content: `Translate the user's text from ${languageNames.of(sourceLanguage)} to ${languageNames.of(targetLanguage)}. Reply with the translation only.`
+      },
+      { role: 'user', content: text }
+    ]);
+
+    return content.trim();
+  }
+
+  async testConnection() {
+    try {
+      const { content } = await this.chatCompletion([
+        { role: 'user', content: 'Reply with the single word OK.' }
+      ]);
+      return { success: true, reply: content.trim() };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+}
+
+class LocalHttpSession {
+  constructor(provider, initialPrompts) {
+    this.provider = provider;
+    this.initialPrompts = initialPrompts;
+    this.messages = [...initialPrompts];
+    this.maxTokens = provider.contextTokens;
+    this.tokensSoFar = this.estimateTokens(this.messages);
+  }
+
+  estimateTokens(messages) {
+    return Math.ceil(messages.reduce((sum, message) => sum + message.content.length, 0) / this.provider.charsPerToken);
+  }
+
+  async measureInputUsage(text) {
+    return this.provider.countTokens(text);
+  }
+
+  async prompt(text, { responseConstraint = null } = {}) {
+    if (!this.messages) {
+      throw new Error('Session has been destroyed');
+    }
+
+    const messages = [...this.messages, { role: 'user', content: text }];
+    const { content, usage } = await this.provider.chatCompletion(messages, { schema: responseConstraint });
+
+    this.messages = [...messages, { role: 'assistant', content }];
+    this.tokensSoFar = usage?.total_tokens || this.estimateTokens(this.messages);
+
+    return content;
+  }
+
+  // Fresh session with the same initial prompts (tokensSoFar back to the baseline)
+  async clone() {
+    return new LocalHttpSession(this.provider, this.initialPrompts);
+  }
+
+  destroy() {
+    this.messages = null;
+  }
+}
+
+class LocalHttpSummarizer {
+  constructor(provider, { sharedContext = '', type = 'teaser', length = 'short', outputLanguage = 'en' } = {}) {
+    this.provider = provider;
+    this.sharedContext = sharedContext;
+    this.type = type;
+    this.length = length;
+    this.outputLanguage = outputLanguage;
+  }
+
+  async summarize(text, { context = '', outputLanguage = this.outputLanguage } = {}) {
+    const lengthHint = { short: '2-3 sentences', medium: 'one paragraph', long: 'two paragraphs' }[this.length] || '2-3 sentences';
+    const languageHint = outputLanguage && outputLanguage !== 'en'
+      ? ` Write the summary in ${new Intl.DisplayNames(['en'], { type: 'language' }).of(outputLanguage)}.`
+      : '';
+
+    const { content } = await this.provider.chatCompletion([
+      {
+        role: 'system',
+        content: `You write ${this.type} summaries in plain text (no markdown), ${lengthHint} long.${languageHint} ${this.sharedContext}`.trim()
+      },
+      {
+        role: 'user',
+        content: `${context ? context + '\n\n' : ''}Summarize the following:\n\n${text}`
+      }
+    ]);
+
+    return content.trim();
+  }
+
+  destroy() {}
+}
+
+// Build the provider selected in settings (falls back to Chrome Built-in AI)
+function createAIProvider(settings = {}) {
+  const merged = { ...DEFAULT_AI_SETTINGS, ...settings };
+
+  if (merged.provider === 'local-http') {
+    return new LocalHttpProvider({
+      endpoint: merged.localEndpoint,
+      model: merged.localModel,
+      apiKey: merged.localApiKey,
+      contextTokens: parseInt(merged.localContextTokens, 10) || DEFAULT_AI_SETTINGS.localContextTokens,
+      embeddingModel: merged.localEmbeddingModel
+    });
+  }
+
+  return new ChromeBuiltInProvider();
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    DEFAULT_AI_SETTINGS,
+    ChromeBuiltInProvider,
+    LocalHttpProvider,
+    createAIProvider
+  };
+}
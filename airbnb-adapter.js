@@ -0,0 +1,400 @@
+// TravanaSpot - Airbnb Adapter
+// Reads Airbnb /rooms/<id> pages on every regional domain (see site-adapter.js for the
+// interface). Selectors live in the selector profile, page phrases in airbnb-locales.js.
+
+class AirbnbAdapter extends (typeof SiteAdapter !== 'undefined' ? SiteAdapter : require('./site-adapter.js').SiteAdapter) {
+  static get id() {
+    return 'airbnb';
+  }
+
+  static get siteName() {
+    return 'Airbnb';
+  }
+
+  static get ratingScale() {
+    return 5;
+  }
+
+  static isListingUrl(url) {
+    return AirbnbAdapter.getLocaleClass().isListingUrl(url);
+  }
+
+  // Room ID from a /rooms/<id> URL (any host, so saved test pages work too)
+  static getListingId(url) {
+    if (!url || typeof url !== 'string') return null;
+
+    const match = url.match(/\/rooms\/(\d+)/);
+    return match ? match[1] : null;
+  }
+
+  static ownsListingId(listingId) {
+    return /^\d+$/.test(String(listingId));
+  }
+
+  static getListingUrl(listingId, domain = null) {
+    return AirbnbAdapter.getLocaleClass().getListingUrl(listingId, domain);
+  }
+
+  constructor(options = {}) {
+    super(options);
+    // Selectors with ordered fallbacks (selector-profile.js)
+    this.profile = options.profile || new (AirbnbAdapter.getSelectorProfileClass())();
+    // Page language for parsing review phrases and dates (airbnb-locales.js)
+    this.pageLocale = AirbnbAdapter.getLocaleClass().detect({
+      lang: this.document.documentElement.lang,
+      hostname: this.location.hostname
+    });
+  }
+
+  get language() {
+    return this.pageLocale.language;
+  }
+
+  // "Response from <host>" block inside a review element: { hostName, text, date, container } or null
+  extractHostResponse(reviewElement) {
+    const heading = Array.from(reviewElement.querySelectorAll('h3, h4, div, span'))
+      .find(element => element.children.length === 0 && this.pageLocale.parseResponseFrom(element.textContent) !== null);
+    if (!heading) return null;
+
+    const headingText = heading.textContent.trim();
+
+    // Climb to the block that holds the heading and the response text, without leaving the review
+    let container = heading.parentElement;
+    while (container && container !== reviewElement && AirbnbAdapter.getLeafTexts(container).length < 2) {
+      container = container.parentElement;
+    }
+    if (!container || container === reviewElement) return null;
+
+    const texts = AirbnbAdapter.getLeafTexts(container).filter(text => text !== headingText);
+    const dateText = texts.find(text => this.pageLocale.findMonthYear(text)?.text === text) || '';
+    const responseText = texts.filter(text => text !== dateText).join(' ').trim();
+
+    return {
+      hostName: this.pageLocale.parseResponseFrom(headingText),
+      text: responseText,
+      date: dateText,
+      container
+    };
+  }
+
+  // Find the block under a policies heading ('houseRules', 'cancellationPolicy' in airbnb-locales.js)
+  findPolicyBlock(phrase) {
+    const headings = this.pageLocale.getHeadings(phrase);
+    const scope = this.document.querySelector('[data-section-id="POLICIES_DEFAULT"]') || this.document;
+    const headingElement = Array.from(scope.querySelectorAll('h2, h3, div, span'))
+      .find(element => element.children.length === 0 && headings.includes((element.textContent || '').trim()));
+
+    if (!headingElement) return null;
+    const heading = headingElement.textContent.trim();
+
+    // The heading is often wrapped on its own; climb until the block has more than the heading
+    let container = headingElement.parentElement;
+    for (let depth = 0; container && depth < 3 && AirbnbAdapter.getLeafTexts(container).length < 2; depth++) {
+      container = container.parentElement;
+    }
+
+    return container ? { container, heading } : null;
+  }
+
+  // Airbnb's own category scores, e.g. { cleanliness: 4.9, checkIn: 5 }
+  extractCategoryRatings() {
+    const ratings = {};
+    const scope = this.document.querySelector('[data-section-id="REVIEWS_DEFAULT"]') ||
+      this.document.querySelector('[role="dialog"]') ||
+      this.document;
+
+    Object.entries(this.pageLocale.getCategoryLabels()).forEach(([label, key]) => {
+      if (ratings[key] !== undefined) return; // Found under its page-language label already
+
+      const labelElements = Array.from(scope.querySelectorAll('div, span, h3'))
+        .filter(element => element.children.length === 0 && (element.textContent || '').trim() === label);
+
+      for (const labelElement of labelElements) {
+        // The score sits right after the label somewhere in the next few ancestors ("Cleanliness4.9")
+        let container = labelElement.parentElement;
+        for (let depth = 0; container && depth < 3; depth++, container = container.parentElement) {
+          const text = container.textContent || '';
+          const after = text.slice(text.indexOf(label) + label.length);
+          const match = after.match(/^\s*(?:rating\s*)?([1-5](?:[.,]\d{1,2})?)(?!\d)/i);
+          if (match) {
+            ratings[key] = parseFloat(match[1].replace(',', '.'));
+            break;
+          }
+        }
+        if (ratings[key] !== undefined) break;
+      }
+    });
+
+    return ratings;
+  }
+
+  // Amenity names from the "What this place offers" section (unavailable ones are left out)
+  extractAmenities() {
+    const section = this.document.querySelector('[data-section-id="AMENITIES_DEFAULT"]');
+    const texts = AirbnbAdapter.getLeafTexts(section)
+      .filter(text => !this.pageLocale.matches('amenitiesChrome', text) && !this.pageLocale.matches('unavailable', text));
+
+    return [...new Set(texts)];
+  }
+
+  extractHouseRules() {
+    const block = this.findPolicyBlock('houseRules');
+    if (!block) return [];
+
+    return AirbnbAdapter.getLeafTexts(block.container).filter(text => text !== block.heading);
+  }
+
+  extractCancellationPolicy() {
+    const block = this.findPolicyBlock('cancellationPolicy');
+    if (!block) return '';
+
+    return AirbnbAdapter.getLeafTexts(block.container)
+      .filter(text => text !== block.heading)
+      .join(' ');
+  }
+
+  // Superhost / Guest favourite badges (only checked in the overview and host sections, not in review text)
+  extractBadges() {
+    const badgeSections = Array.from(this.document.querySelectorAll(
+      '[data-section-id="OVERVIEW_DEFAULT_V2"], [data-section-id="GUEST_FAVORITE_BANNER"], [data-section-id^="HOST"], [data-section-id^="MEET_YOUR_HOST"]'
+    ));
+    const text = badgeSections.map(section => section.textContent || '').join(' ');
+    const badges = [];
+
+    if (/\bSuperhost\b/i.test(text)) {
+      badges.push('Superhost');
+    }
+    if (this.document.querySelector('[data-section-id="GUEST_FAVORITE_BANNER"]') || /Guest favou?rite/i.test(text)) {
+      badges.push('Guest favourite');
+    }
+
+    return badges;
+  }
+
+  // Airbnb listing information
+  extractListing() {
+    const data = this.createListingData();
+    data.domain = AirbnbAdapter.getLocaleClass().getAirbnbDomain(this.location.hostname); // e.g. airbnb.de, for re-opening the listing
+
+    const strategies = {};
+    const findField = field => this.findField(field, strategies);
+
+    try {
+      // Extract title - use more specific selectors
+      const titleElement = findField('title');
+      if (titleElement && titleElement.textContent) {
+        data.title = titleElement.textContent.trim();
+      }
+
+      // Extract rating and review count - use more conservative approach
+      const { elements: ratingElements, strategy: ratingStrategy } = this.profile.findAll('ratingBadge', this.document);
+      strategies.ratingBadge = ratingStrategy;
+      for (const element of ratingElements) {
+        try {
+          const text = element.textContent || element.getAttribute('aria-label') || '';
+          // "4.92" or "4,92" depending on the page language
+          const ratingMatch = text.match(/(\d+(?:[.,]\d+)?)/);
+          if (ratingMatch && !data.rating) {
+            data.rating = ratingMatch[1].replace(',', '.');
+          }
+
+          const reviewCount = this.pageLocale.parseReviewCount(text);
+          if (reviewCount && !data.reviewCount) {
+            data.reviewCount = reviewCount;
+          }
+        } catch (e) {
+          // Skip this element if there's an error
+        }
+      }
+
+      // Extract price - look for pricing information
+      const priceElement = findField('price');
+      if (priceElement && priceElement.textContent) {
+        data.price = priceElement.textContent.trim();
+      }
+
+      // Extract location from the overview section
+      const locationElement = findField('location');
+      if (locationElement && locationElement.textContent) {
+        data.location = locationElement.textContent.trim();
+      }
+
+      // Extract capacity information from the overview list
+      const capacityList = findField('capacityList');
+      if (capacityList) {
+        try {
+          const capacityItems = capacityList.querySelectorAll('li');
+          capacityItems.forEach(item => {
+            try {
+              // "4 guests", "3 Gäste", ... (bedrooms are checked before beds)
+              const field = this.pageLocale.parseCapacityField(item.textContent);
+              if (field) {
+                data[field] = item.textContent.trim();
+              }
+            } catch (e) {
+              // Skip this item if there's an error
+            }
+          });
+        } catch (e) {
+          // Skip capacity extraction if there's an error
+        }
+      }
+
+      // Extract host information if available
+      const hostElement = findField('host');
+      if (hostElement && hostElement.textContent) {
+        data.host = hostElement.textContent.trim();
+      }
+
+      // Category scores, amenities, policies and badges (each one is optional on the page)
+      const listingDetails = {
+        categoryRatings: () => this.extractCategoryRatings(),
+        amenities: () => this.extractAmenities(),
+        houseRules: () => this.extractHouseRules(),
+        cancellationPolicy: () => this.extractCancellationPolicy(),
+        badges: () => this.extractBadges()
+      };
+      Object.entries(listingDetails).forEach(([field, extract]) => {
+        try {
+          data[field] = extract();
+        } catch (e) {
+          console.warn(`TravanaSpot: Could not extract ${field}:`, e.message);
+        }
+      });
+
+    } catch (error) {
+      console.error('Error extracting Airbnb data:', error);
+    }
+
+    data.extraction = this.buildListingExtraction(data, strategies);
+    return data;
+  }
+
+  readReview(element, recordStrategy) {
+    const profile = this.profile;
+    const review = {};
+
+    // Host response ("Response from <host>") is kept apart from the guest's text
+    const hostResponse = this.extractHostResponse(element);
+    const outsideHostResponse = node => !hostResponse || !hostResponse.container.contains(node);
+
+    // Extract reviewer name - try multiple selectors
+    const name = profile.find('reviewName', element, { filter: outsideHostResponse });
+    recordStrategy('name', name.strategy);
+
+    if (name.element && name.element.textContent) {
+      review.name = name.element.textContent.trim();
+    }
+
+    // Extract location
+    const location = profile.find('reviewLocation', element);
+    if (location.element && location.element.textContent) {
+      review.location = location.element.textContent.trim();
+    }
+
+    // Extract date and stay details
+    const date = profile.find('reviewDate', element, { filter: outsideHostResponse });
+    recordStrategy('date', date.strategy);
+    const dateElement = date.element;
+    if (dateElement && dateElement.textContent) {
+      const dateText = dateElement.textContent.trim();
+      // Extract just the date part (e.g., "June 2025", "Juni 2025", "junio de 2025")
+      const monthYear = this.pageLocale.findMonthYear(dateText);
+      if (monthYear) {
+        review.date = monthYear.text;
+      }
+      review.stayDetails = dateText;
+    }
+
+    // Extract review text - profile selectors, then the longest span with actual text
+    const text = profile.find('reviewText', element, { filter: outsideHostResponse });
+    recordStrategy('text', text.strategy);
+    const textElement = text.element;
+
+    if (textElement && textElement.textContent) {
+      review.text = textElement.textContent.trim();
+    }
+
+    if (hostResponse && hostResponse.text) {
+      review.hostResponse = {
+        hostName: hostResponse.hostName,
+        text: hostResponse.text,
+        date: hostResponse.date
+      };
+    }
+
+    // Extract rating from "Rating, X stars" text (most reliable)
+    let starCount = 0;
+    let ratingStrategy = null;
+
+    // Method 1: Look for "Rating, 4 stars" text in span elements (or the page language's version)
+    const ratingTextElements = element.querySelectorAll('span');
+    for (const span of ratingTextElements) {
+      const stars = this.pageLocale.parseRatingStars(span.textContent);
+      if (stars > 0) {
+        starCount = stars;
+        ratingStrategy = 'structural:ratingText';
+        break;
+      }
+    }
+
+    // Method 2: Count star SVGs (fallback)
+    if (starCount === 0) {
+      const starSvgs = element.querySelectorAll('svg[viewBox="0 0 32 32"]');
+      // Only count if reasonable number (1-5 stars)
+      if (starSvgs.length > 0 && starSvgs.length <= 5) {
+        starCount = starSvgs.length;
+        ratingStrategy = 'structural:starIcons';
+      }
+    }
+
+    // Method 3: Default to 5 stars if review exists but no rating found
+    // (Airbnb requires rating to post review, so if text exists, assume 5 stars)
+    if (starCount === 0 && review.text && review.text.length > 20) {
+      starCount = 5;
+      ratingStrategy = 'assumed';
+    }
+    recordStrategy('rating', ratingStrategy);
+
+    if (starCount > 0) {
+      review.rating = starCount;
+    } else {
+      console.warn(`TravanaSpot: No rating found for review by ${review.name || 'Anonymous'}`);
+    }
+
+    return review;
+  }
+
+  // "Show all 128 reviews" (or the page language's version) opens the reviews dialog
+  openAllReviews() {
+    const button = this.findButton(text => this.pageLocale.matches('showAllReviews', text));
+    if (!button) return false;
+
+    button.click();
+    return true;
+  }
+
+  isReviewsPage() {
+    return this.url.includes('/reviews');
+  }
+
+  getReviewScrollSelectors() {
+    return ['[data-testid="reviews-section"]', '[data-section-id="REVIEWS_DEFAULT"]'];
+  }
+
+  getCloseSelectors() {
+    return [
+      'button[aria-label="Close"]',
+      'button[aria-label="close"]',
+      '[data-testid="modal-container"] button[aria-label*="Close"]',
+      ...super.getCloseSelectors()
+    ];
+  }
+}
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { AirbnbAdapter };
+} else {
+  self.AirbnbAdapter = AirbnbAdapter;
+}
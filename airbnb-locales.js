@@ -0,0 +1,295 @@
+// TravanaSpot - Airbnb Locales
+// Regional Airbnb domains and the page phrases the content script parses, per language,
+// so listings on airbnb.de, airbnb.fr, airbnb.com.mx, ... are read like airbnb.com
+
+// Default page language of each regional domain (the page's <html lang> wins when present)
+const AIRBNB_DOMAIN_LANGUAGES = {
+  'airbnb.com': 'en',
+  'airbnb.co.uk': 'en',
+  'airbnb.ca': 'en',
+  'airbnb.com.au': 'en',
+  'airbnb.co.nz': 'en',
+  'airbnb.ie': 'en',
+  'airbnb.co.in': 'en',
+  'airbnb.de': 'de',
+  'airbnb.at': 'de',
+  'airbnb.ch': 'de',
+  'airbnb.fr': 'fr',
+  'airbnb.be': 'fr',
+  'airbnb.es': 'es',
+  'airbnb.com.mx': 'es',
+  'airbnb.com.ar': 'es',
+  'airbnb.cl': 'es',
+  'airbnb.com.co': 'es',
+  'airbnb.it': 'it'
+};
+
+/**
+ * Phrases per page language
+ *
+ * - showAllReviews: text of the button that opens the reviews dialog ("Show all 128 reviews")
+ * - ratingStars: screen-reader rating of a review, star count in group 1 ("Rating, 4 stars")
+ * - responseFrom: heading of a host response, followed by the host's name ("Response from Maria")
+ * - reviewCount: review total next to the overall rating, count in group 1 ("128 reviews", "1.024 Bewertungen")
+ * - months: month names as they appear in review dates ("Oktober 2025", "octubre de 2025")
+ * - categoryLabels: Airbnb's category score labels → keys in data.categoryRatings
+ * - houseRules / cancellationPolicy: headings of the policy blocks, matched exactly
+ * - amenitiesChrome: the amenities section's heading and "Show all 32 amenities" button
+ * - unavailable: marks an amenity the place doesn't have ("Unavailable: Washer")
+ * - capacity: overview list items, tried in order ("4 guests", "2 bedrooms", "3 beds", "1 bath")
+ */
+const AIRBNB_LOCALES = {
+  en: {
+    name: 'English',
+    showAllReviews: /show all\b.*\breviews?/i,
+    ratingStars: /Rating,\s*(\d)\s*stars?/i,
+    responseFrom: /^Response from\s+/i,
+    reviewCount: /(\d[\d,]*)\s*reviews?\b/i,
+    months: ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december'],
+    categoryLabels: {
+      Cleanliness: 'cleanliness',
+      Accuracy: 'accuracy',
+      'Check-in': 'checkIn',
+      Communication: 'communication',
+      Location: 'location',
+      Value: 'value'
+    },
+    houseRules: 'House rules',
+    cancellationPolicy: 'Cancellation policy',
+    amenitiesChrome: /^(what this place offers|show all)/i,
+    unavailable: /unavailable/i,
+    capacity: { guests: /guest/i, bedrooms: /bedroom/i, beds: /bed/i, baths: /bath/i }
+  },
+  de: {
+    name: 'German',
+    showAllReviews: /alle\b.*\bBewertungen/i,
+    ratingStars: /Bewertung:?\s*(\d)\s*Sterne?/i,
+    responseFrom: /^Antwort von\s+/i,
+    reviewCount: /(\d[\d.]*)\s*Bewertungen?\b/i,
+    months: ['januar', 'februar', 'märz', 'april', 'mai', 'juni', 'juli', 'august', 'september', 'oktober', 'november', 'dezember'],
+    categoryLabels: {
+      Sauberkeit: 'cleanliness',
+      Genauigkeit: 'accuracy',
+      'Check-in': 'checkIn',
+      Kommunikation: 'communication',
+      Lage: 'location',
+      'Preis-Leistungs-Verhältnis': 'value'
+    },
+    houseRules: 'Hausregeln',
+    cancellationPolicy: 'Stornobedingungen',
+    amenitiesChrome: /^(was diese unterkunft bietet|alle\b.*\banzeigen)/i,
+    unavailable: /nicht verfügbar/i,
+    capacity: { guests: /gast|gäste/i, bedrooms: /schlafzimmer/i, beds: /bett/i, baths: /bad/i }
+  },
+  fr: {
+    name: 'French',
+    showAllReviews: /afficher\b.*\b(commentaires|avis|évaluations)/i,
+    ratingStars: /Note\s*:?\s*(\d)\s*étoiles?/i,
+    responseFrom: /^Réponse de\s+/i,
+    reviewCount: /(\d[\d\s]*)\s*(?:commentaires?|avis|évaluations?)(?![\p{L}])/iu,
+    months: ['janvier', 'février', 'mars', 'avril', 'mai', 'juin', 'juillet', 'août', 'septembre', 'octobre', 'novembre', 'décembre'],
+    categoryLabels: {
+      'Propreté': 'cleanliness',
+      'Précision': 'accuracy',
+      'Arrivée': 'checkIn',
+      Communication: 'communication',
+      Emplacement: 'location',
+      'Qualité-prix': 'value'
+    },
+    houseRules: 'Règlement intérieur',
+    cancellationPolicy: "Conditions d'annulation",
+    amenitiesChrome: /^(ce que propose ce logement|afficher\b.*\béquipements)/i,
+    unavailable: /indisponible|non disponible/i,
+    capacity: { guests: /voyageur/i, bedrooms: /chambre/i, beds: /\blits?\b/i, baths: /salles? de bains?|salles? d'eau/i }
+  },
+  es: {
+    name: 'Spanish',
+    showAllReviews: /mostrar\b.*\b(reseñas|evaluaciones)/i,
+    ratingStars: /Calificación:?\s*(\d)\s*estrellas?/i,
+    responseFrom: /^Respuesta de\s+/i,
+    reviewCount: /(\d[\d.,]*)\s*(?:reseñas?|evaluaciones?)(?![\p{L}])/iu,
+    months: ['enero', 'febrero', 'marzo', 'abril', 'mayo', 'junio', 'julio', 'agosto', 'septiembre', 'octubre', 'noviembre', 'diciembre'],
+    categoryLabels: {
+      Limpieza: 'cleanliness',
+      Veracidad: 'accuracy',
+      Llegada: 'checkIn',
+      'Comunicación': 'communication',
+      'Ubicación': 'location',
+      Calidad: 'value'
+    },
+    houseRules: 'Normas de la casa',
+    cancellationPolicy: 'Política de cancelación',
+    amenitiesChrome: /^(lo que (ofrece este lugar|este lugar ofrece)|mostrar\b.*\bservicios)/i,
+    unavailable: /no disponible/i,
+    capacity: { guests: /huésped/i, bedrooms: /habitaci|dormitorio/i, beds: /cama/i, baths: /baño/i }
+  },
+  it: {
+    name: 'Italian',
+    showAllReviews: /mostra\b.*\brecensioni/i,
+    ratingStars: /Valutazione:?\s*(\d)\s*stelle?/i,
+    responseFrom: /^Risposta di\s+/i,
+    reviewCount: /(\d[\d.]*)\s*recensioni?\b/i,
+    months: ['gennaio', 'febbraio', 'marzo', 'aprile', 'maggio', 'giugno', 'luglio', 'agosto', 'settembre', 'ottobre', 'novembre', 'dicembre'],
+    categoryLabels: {
+      Pulizia: 'cleanliness',
+      Precisione: 'accuracy',
+      'Check-in': 'checkIn',
+      Comunicazione: 'communication',
+      Posizione: 'location',
+      'Qualità-prezzo': 'value'
+    },
+    houseRules: 'Regole della casa',
+    cancellationPolicy: 'Termini di cancellazione',
+    amenitiesChrome: /^(cosa troverai|mostra\b.*\bservizi)/i,
+    unavailable: /non disponibile/i,
+    capacity: { guests: /ospit/i, bedrooms: /camer[ae] da letto/i, beds: /lett[oi]/i, baths: /bagn/i }
+  }
+};
+
+const DEFAULT_LANGUAGE = 'en';
+
+class AirbnbLocale {
+  // language: a code from AIRBNB_LOCALES; anything else reads the page as English
+  constructor(language = DEFAULT_LANGUAGE) {
+    this.language = AIRBNB_LOCALES[language] ? language : DEFAULT_LANGUAGE;
+    this.strings = AIRBNB_LOCALES[this.language];
+    // Regional pages mix in English (untranslated reviews UI, .ca in English), so it's always tried second
+    this.tables = this.language === DEFAULT_LANGUAGE
+      ? [this.strings]
+      : [this.strings, AIRBNB_LOCALES[DEFAULT_LANGUAGE]];
+  }
+
+  // Registrable Airbnb domain of a hostname ("www.airbnb.co.uk" -> "airbnb.co.uk"), or null
+  static getAirbnbDomain(hostname) {
+    if (!hostname || typeof hostname !== 'string') return null;
+
+    const domain = hostname.toLowerCase().replace(/^www\./, '');
+    return Object.prototype.hasOwnProperty.call(AIRBNB_DOMAIN_LANGUAGES, domain) ? domain : null;
+  }
+
+  // Is this a /rooms/<id> page on any supported Airbnb domain?
+  static isListingUrl(url) {
+    try {
+      const { hostname, pathname } = new URL(url);
+      return !!AirbnbLocale.getAirbnbDomain(hostname) && /^\/rooms\/\d+/.test(pathname);
+    } catch (error) {
+      return false;
+    }
+  }
+
+  // Listing page URL on the domain it was found on (airbnb.com when unknown)
+  static getListingUrl(listingId, hostname = null) {
+    const domain = AirbnbLocale.getAirbnbDomain(hostname) || 'airbnb.com';
+    return `https://www.${domain}/rooms/${listingId}`;
+  }
+
+  // Page language from <html lang="de-DE">, falling back to the domain's default
+  static detect({ lang = '', hostname = '' } = {}) {
+    const base = (lang || '').toLowerCase().split(/[-_]/)[0];
+    if (AIRBNB_LOCALES[base]) {
+      return new AirbnbLocale(base);
+    }
+
+    const domain = AirbnbLocale.getAirbnbDomain(hostname);
+    return new AirbnbLocale(domain ? AIRBNB_DOMAIN_LANGUAGES[domain] : DEFAULT_LANGUAGE);
+  }
+
+  // Language name for prompts ("German"); English for unknown codes
+  static getLanguageName(language) {
+    return (AIRBNB_LOCALES[language] || AIRBNB_LOCALES[DEFAULT_LANGUAGE]).name;
+  }
+
+  /**
+   * Find a month-year date in any supported language
+   *
+   * Returns { text, monthIndex, year } where text is the date as written ("octubre de 2025"),
+   * or null. The preferred language's month names are tried first.
+   */
+  static findMonthYear(text, preferredLanguage = DEFAULT_LANGUAGE) {
+    if (!text || typeof text !== 'string') return null;
+
+    const languages = [preferredLanguage, ...Object.keys(AIRBNB_LOCALES).filter(code => code !== preferredLanguage)]
+      .filter(code => AIRBNB_LOCALES[code]);
+
+    for (const code of languages) {
+      const { months } = AIRBNB_LOCALES[code];
+      const pattern = new RegExp(`(?<![\\p{L}])(${months.join('|')})(?:\\s+de)?\\s+(\\d{4})`, 'iu');
+      const match = text.match(pattern);
+      if (match) {
+        return {
+          text: match[0],
+          monthIndex: months.indexOf(match[1].toLowerCase()),
+          year: parseInt(match[2], 10)
+        };
+      }
+    }
+
+    return null;
+  }
+
+  // Does the text match a phrase (e.g. 'showAllReviews') in the page language or English?
+  matches(phrase, text) {
+    return !!this.match(phrase, text);
+  }
+
+  // First match of a phrase in the page language, then English (RegExp match array or null)
+  match(phrase, text) {
+    if (!text) return null;
+
+    for (const strings of this.tables) {
+      const match = strings[phrase] && text.match(strings[phrase]);
+      if (match) return match;
+    }
+    return null;
+  }
+
+  // Star count from a review's rating text ("Rating, 4 stars", "Bewertung: 4 Sterne"), or 0
+  parseRatingStars(text) {
+    const match = this.match('ratingStars', text);
+    return match ? parseInt(match[1], 10) : 0;
+  }
+
+  // Host name from a host response heading, or null when the text isn't one
+  parseResponseFrom(text) {
+    const trimmed = (text || '').trim();
+    const match = this.match('responseFrom', trimmed);
+    return match ? trimmed.slice(match[0].length).trim() : null;
+  }
+
+  // Review total from text like "4.92 · 1,024 reviews" ("1024"), or null
+  parseReviewCount(text) {
+    const match = this.match('reviewCount', text);
+    return match ? match[1].replace(/[^\d]/g, '') : null;
+  }
+
+  // Category score labels of the page language and English, label → categoryRatings key
+  getCategoryLabels() {
+    return Object.assign({}, ...this.tables.map(strings => strings.categoryLabels));
+  }
+
+  // Headings of a policy block ('houseRules', 'cancellationPolicy') in the page language, then English
+  getHeadings(phrase) {
+    return this.tables.map(strings => strings[phrase]);
+  }
+
+  // Which capacity field an overview item is ('guests', 'bedrooms', 'beds', 'baths'), or null
+  parseCapacityField(text) {
+    for (const strings of this.tables) {
+      const field = Object.keys(strings.capacity).find(key => strings.capacity[key].test(text));
+      if (field) return field;
+    }
+    return null;
+  }
+
+  // Month-year date as written on the page, or null
+  findMonthYear(text) {
+    return AirbnbLocale.findMonthYear(text, this.language);
+  }
+}
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { AirbnbLocale, AIRBNB_LOCALES, AIRBNB_DOMAIN_LANGUAGES };
+} else {
+  self.AirbnbLocale = AirbnbLocale;
+}
@@ -0,0 +1,246 @@
+// TravanaSpot - Booking.com Adapter
+// Reads Booking.com hotel pages (booking.com/hotel/<country>/<name>.html). Booking scores
+// out of 10 and splits reviews into liked / disliked parts; both are mapped to the
+// shared review shape (see site-adapter.js).
+
+// Selectors for Booking.com's markup, in the selector profile format (selector-profile.js)
+const BOOKING_SELECTOR_PROFILE = {
+  version: 'booking-2025.10-1',
+  fields: {
+    title: {
+      selectors: ['[data-testid="property-name"] h2', 'h2.pp-header__title', '#hp_hotel_name h2'],
+      structural: 'pageHeading'
+    },
+    ratingBadge: {
+      selectors: ['[data-testid="review-score-component"]', '#js--hp-gallery-scorecard']
+    },
+    price: {
+      selectors: ['[data-testid="price-and-discounted-price"]', '.prco-valign-middle-helper']
+    },
+    location: {
+      selectors: ['[data-testid="PropertyHeaderAddressDesktop-wrapper"] [data-testid="address"]', '.hp_address_subtitle']
+    },
+    reviewItem: {
+      selectors: ['[data-testid="review-card"]']
+    },
+    reviewFallbackItem: {
+      selectors: ['[itemprop="review"]', '.review_list_new_item_block']
+    },
+    reviewName: {
+      selectors: ['[data-testid="review-avatar"] [data-testid="review-author"]', '[data-testid="review-avatar"] strong']
+    },
+    reviewLocation: {
+      selectors: ['[data-testid="review-avatar"] [data-testid="review-country"]']
+    },
+    reviewScore: {
+      selectors: ['[data-testid="review-score"]']
+    },
+    reviewDate: {
+      selectors: ['[data-testid="review-stay-date"]', '[data-testid="review-date"]']
+    },
+    reviewTitle: {
+      selectors: ['[data-testid="review-title"]']
+    },
+    reviewPositive: {
+      selectors: ['[data-testid="review-positive-text"]']
+    },
+    reviewNegative: {
+      selectors: ['[data-testid="review-negative-text"]']
+    },
+    reviewResponse: {
+      selectors: ['[data-testid="review-property-response"]']
+    }
+  },
+  keyFields: {
+    listing: ['title', 'rating', 'reviewCount', 'location'],
+    review: ['name', 'text', 'date', 'rating']
+  }
+};
+
+// Booking's review subscores → keys in data.categoryRatings (the rest have no Airbnb equivalent)
+const BOOKING_CATEGORY_LABELS = {
+  Cleanliness: 'cleanliness',
+  Staff: 'communication',
+  Location: 'location',
+  'Value for money': 'value'
+};
+
+class BookingAdapter extends (typeof SiteAdapter !== 'undefined' ? SiteAdapter : require('./site-adapter.js').SiteAdapter) {
+  static get id() {
+    return 'booking';
+  }
+
+  static get siteName() {
+    return 'Booking.com';
+  }
+
+  static get ratingScale() {
+    return 10;
+  }
+
+  // { country, name } from a hotel URL (language suffixes like ".en-gb.html" are dropped), or null
+  static parseHotelUrl(url) {
+    try {
+      const { hostname, pathname } = new URL(url);
+      if (!/(^|\.)booking\.com$/i.test(hostname)) return null;
+
+      const match = pathname.match(/^\/hotel\/([a-z]{2})\/([a-z0-9-]+?)(?:\.[a-z]{2}(?:-[a-z]{2})?)?\.html$/i);
+      return match ? { country: match[1].toLowerCase(), name: match[2].toLowerCase() } : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  static isListingUrl(url) {
+    return !!BookingAdapter.parseHotelUrl(url);
+  }
+
+  static getListingId(url) {
+    const hotel = BookingAdapter.parseHotelUrl(url);
+    return hotel ? `booking-${hotel.country}-${hotel.name}` : null;
+  }
+
+  static ownsListingId(listingId) {
+    return /^booking-[a-z]{2}-/.test(String(listingId));
+  }
+
+  static getListingUrl(listingId) {
+    const [, country, name] = String(listingId).match(/^booking-([a-z]{2})-(.+)$/) || [];
+    return `https://www.booking.com/hotel/${country}/${name}.html`;
+  }
+
+  constructor(options = {}) {
+    super(options);
+    this.profile = options.profile || new (BookingAdapter.getSelectorProfileClass())(BOOKING_SELECTOR_PROFILE);
+    // Review count phrases ("1,234 reviews", "1.234 Bewertungen") are the same as Airbnb's
+    this.pageLocale = new (BookingAdapter.getLocaleClass())(this.language);
+  }
+
+  // Subscores out of 10 ("Staff 9.5") converted to 5, e.g. { communication: 4.75 }
+  extractCategoryRatings() {
+    const ratings = {};
+
+    this.document.querySelectorAll('[data-testid="review-subscore"]').forEach(subscore => {
+      const [label, score] = BookingAdapter.getLeafTexts(subscore);
+      const key = BOOKING_CATEGORY_LABELS[label];
+      if (key && score) {
+        ratings[key] = parseFloat(BookingAdapter.toFiveScale(score, 10));
+      }
+    });
+
+    return ratings;
+  }
+
+  extractListing() {
+    const data = this.createListingData();
+    const strategies = {};
+    const text = field => (this.findField(field, strategies)?.textContent || '').trim();
+
+    try {
+      data.title = text('title');
+      data.price = text('price');
+      data.location = text('location');
+
+      // "Scored 9.2 · 9.2 · Superb · 1,234 reviews"
+      const scoreText = text('ratingBadge');
+      const scoreMatch = scoreText.match(/(\d+(?:[.,]\d)?)/);
+      if (scoreMatch) {
+        data.rating = BookingAdapter.toFiveScale(scoreMatch[1], 10);
+      }
+      data.reviewCount = this.pageLocale.parseReviewCount(scoreText) || '';
+
+      data.categoryRatings = this.extractCategoryRatings();
+      data.amenities = [...new Set(BookingAdapter.getLeafTexts(
+        this.document.querySelector('[data-testid="property-most-popular-facilities-wrapper"]')
+      ).filter(amenity => !/^most popular facilities$/i.test(amenity)))];
+      data.houseRules = BookingAdapter.getLeafTexts(this.document.querySelector('[data-testid="property-section--house-rules"]'))
+        .filter(rule => !/^house rules$/i.test(rule));
+    } catch (error) {
+      console.error('Error extracting Booking.com data:', error);
+    }
+
+    data.extraction = this.buildListingExtraction(data, strategies);
+    return data;
+  }
+
+  readReview(element, recordStrategy) {
+    const profile = this.profile;
+    const review = {};
+    const textOf = field => (profile.find(field, element).element?.textContent || '').trim();
+
+    const name = profile.find('reviewName', element);
+    recordStrategy('name', name.strategy);
+    review.name = (name.element?.textContent || '').trim();
+    review.location = textOf('reviewLocation');
+
+    // "Scored 8.0" / "8.0"
+    const score = profile.find('reviewScore', element);
+    const scoreMatch = (score.element?.textContent || '').match(/(\d+(?:[.,]\d)?)/);
+    recordStrategy('rating', scoreMatch ? score.strategy : null);
+    if (scoreMatch) {
+      review.rating = scoreMatch[1];
+    }
+
+    // "October 2025" plus room, nights and traveller type as the stay details
+    const date = profile.find('reviewDate', element);
+    recordStrategy('date', date.strategy);
+    if (date.element) {
+      review.date = BookingAdapter.getMonthYear(date.element.textContent, this.language);
+    }
+    review.stayDetails = ['review-room-name', 'review-num-nights', 'review-traveler-type']
+      .map(testId => (element.querySelector(`[data-testid="${testId}"]`)?.textContent || '').trim())
+      .filter(Boolean)
+      .join(' · ');
+
+    // Title, then what the guest liked and disliked, as one text
+    const parts = ['reviewTitle', 'reviewPositive', 'reviewNegative'].map(textOf).filter(Boolean);
+    recordStrategy('text', parts.length > 0 ? 'reviewTitle, reviewPositive, reviewNegative' : null);
+    review.text = parts.join('\n');
+
+    const response = profile.find('reviewResponse', element).element;
+    if (response) {
+      review.hostResponse = {
+        hostName: (profile.find('title', this.document).element?.textContent || 'Property').trim(),
+        text: BookingAdapter.getLeafTexts(response).filter(line => !/^property response:?$/i.test(line)).join(' '),
+        date: ''
+      };
+    }
+
+    return review;
+  }
+
+  // "Read all reviews" opens the reviews sidebar
+  openAllReviews() {
+    const button = this.document.querySelector('[data-testid="fr-read-all-reviews"]') ||
+      this.findButton(text => /^read all reviews$/i.test(text));
+    if (!button) return false;
+
+    button.click();
+    return true;
+  }
+
+  // The sidebar is paginated, 10 reviews per page
+  async loadMoreReviews() {
+    const button = this.document.querySelector('[data-testid="reviews-sidebar"] button[aria-label="Next page"]');
+    if (!button || button.disabled) return false;
+
+    button.click();
+    await new Promise(resolve => setTimeout(resolve, 1500));
+    return true;
+  }
+
+  getReviewScrollSelectors() {
+    return ['[data-testid="reviews-sidebar"]'];
+  }
+
+  getCloseSelectors() {
+    return ['[data-testid="reviews-sidebar"] button[aria-label*="Close"]', ...super.getCloseSelectors()];
+  }
+}
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { BookingAdapter, BOOKING_SELECTOR_PROFILE, BOOKING_CATEGORY_LABELS };
+} else {
+  self.BookingAdapter = BookingAdapter;
+}
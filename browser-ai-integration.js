@@ -21,10 +21,19 @@
  *    Features: Semantic + keyword matching, JSON schema constraints
  *
  * ============================================================================
+ * AI PROVIDERS
+ * ============================================================================
+ *
+ * Sessions come from a provider (ai-providers.js), so the same pipeline runs on:
+ * - ChromeBuiltInProvider: Gemini Nano via LanguageModel/Summarizer (default)
+ * - LocalHttpProvider: local OpenAI-compatible server (llama.cpp, Ollama)
+ *
+ * ============================================================================
  * CRITICAL: CORRECT API INITIALIZATION PATTERNS
  * ============================================================================
  *
- * These patterns MUST be followed exactly per Chrome documentation:
+ * These patterns MUST be followed exactly per Chrome documentation
+ * (implemented in ChromeBuiltInProvider):
  *
  * SUMMARIZER API:
  *   const options = { sharedContext, type, format, length };
@@ -50,10 +59,13 @@
  * REVIEW PROCESSING FLOW
  * ============================================================================
  *
- * 1. Truncate 100 reviews to max 500 chars each
+ * 1. Truncate up to reviewLimit reviews (Settings: 100 / 250 / all) to max 500 chars each
  * 2. SUMMARIZER API: Chunk reviews → summarize chunks → recursive final summary
- * 3. PROMPT API: Clone session → chunk ALL 100 reviews → extract structured data
+ * 3. PROMPT API: Clone session → chunk ALL selected reviews → extract structured data
  * 4. Merge: Combine Summarizer prose + Prompt API structured data
+ * 5. Trends: Bucket dated reviews by month/quarter (heuristic, no AI)
+ * 6. Languages: Detect each review's language (review-languages.js), report the mix and
+ *    optionally translate foreign-language snippets into the output language
  *
  * CHUNKING STRATEGY:
  * - Summarizer: ~750 tokens per chunk (3000 chars) for optimal quality
@@ -69,11 +81,89 @@
  * ============================================================================
  */
 
+// Keywords used to spot the 9 aspects in a single review (heuristic, no AI)
+const REVIEW_ASPECT_KEYWORDS = {
+  Cleanliness: ['clean', 'tidy', 'spotless', 'dirty', 'dust'],
+  Location: ['location', 'area', 'neighborhood', 'neighbourhood', 'walk', 'convenient'],
+  HostCommunication: ['host', 'communication', 'responsive', 'helpful'],
+  ValueForMoney: ['value', 'price', 'worth', 'money', 'expensive'],
+  AccuracyOfListing: ['as described', 'accurate', 'photos', 'pictures', 'listing'],
+  CheckInProcess: ['check-in', 'check in', 'checkin', 'arrival', 'key', 'lockbox'],
+  NoiseLevels: ['noise', 'noisy', 'quiet', 'loud', 'peaceful'],
+  Comfort: ['comfort', 'bed', 'cozy', 'mattress', 'pillow'],
+  Amenities: ['amenities', 'wifi', 'kitchen', 'pool', 'parking', 'facilities']
+};
+
+// Airbnb category scores (data.categoryRatings from the content script) → review aspects
+const CATEGORY_RATING_ASPECTS = {
+  cleanliness: { label: 'Cleanliness', aspect: 'Cleanliness' },
+  accuracy: { label: 'Accuracy', aspect: 'AccuracyOfListing' },
+  checkIn: { label: 'Check-in', aspect: 'CheckInProcess' },
+  communication: { label: 'Communication', aspect: 'HostCommunication' },
+  location: { label: 'Location', aspect: 'Location' },
+  value: { label: 'Value', aspect: 'ValueForMoney' }
+};
+const CATEGORY_MIN_MENTIONS = 3; // Fewer review mentions than this can't contradict Airbnb's score
+const CATEGORY_DISAGREEMENT_THRESHOLD = 0.75; // Stars between Airbnb's score and the review-derived one
+
+// Phrases that set the tone of a host's response to a review (other languages: hostResponse in review-languages.js)
+const HOST_TONE_PHRASES = {
+  apologetic: ['sorry', 'apolog', 'regret', 'thank you for the feedback', 'thanks for the feedback', 'thank you for letting us know', 'we understand', 'inconvenience', 'our mistake', 'you are right', "you're right"],
+  defensive: ['however', 'actually', 'not true', 'untrue', 'false', 'unfair', 'misleading', 'clearly stated', 'as stated', 'in the listing', 'you failed', 'you did not', "you didn't", 'never complained', 'should have', 'exaggerat']
+};
+
+// A host response that says something was or will be fixed
+const HOST_FIX_PROMISE_PATTERN = /\b(?:will|we'll|going to|have|we've|has been|have been|was|were|just)\s+(?:now\s+|already\s+|been\s+)?(?:fix|fixed|repair|repaired|replace|replaced|address|addressed|resolve|resolved|improve|improved|upgrade|upgraded|install|installed|deep[- ]clean(?:ed)?)\b|\btaken care of\b/i;
+
+// Short reviews made only of these words (and no aspect keywords) count as generic praise
+const GENERIC_PRAISE_WORDS = [
+  'great', 'amazing', 'awesome', 'perfect', 'excellent', 'wonderful', 'fantastic', 'lovely', 'nice', 'good',
+  'best', 'beautiful', 'place', 'stay', 'host', 'recommend', 'recommended', 'highly', 'very', 'super',
+  'thanks', 'thank', 'you', 'everything', 'was', 'the', 'a', 'and', 'it', 'we', 'loved', 'love', 'again',
+  'would', 'will', 'definitely', 'back', 'come', '10/10', '5', 'stars', 'all', 'really', 'so'
+];
+
+// Summaries and extracted phrases are written in the listing page's language when the backend can
+const DEFAULT_OUTPUT_LANGUAGE = 'en';
+
+// Site named in the Summarizer contexts when the caller doesn't say which site the reviews are from
+const DEFAULT_REVIEW_SITE_NAME = 'Airbnb';
+
+// Structured output for askQuestion: the answer plus the cache IDs that support it
+const QUESTION_ANSWER_SCHEMA = {
+  type: 'object',
+  properties: {
+    found: { type: 'boolean' },
+    answer: { type: 'string' },
+    review_ids: { type: 'array', items: { type: 'integer' } }
+  },
+  required: ['found', 'answer', 'review_ids']
+};
+
+// Map-reduce answering: merged answer plus the cited reviews split by stance
+const QUESTION_REDUCE_SCHEMA = {
+  type: 'object',
+  properties: {
+    answer: { type: 'string' },
+    supporting_ids: { type: 'array', items: { type: 'integer' } },
+    contradicting_ids: { type: 'array', items: { type: 'integer' } }
+  },
+  required: ['answer', 'supporting_ids', 'contradicting_ids']
+};
+
+const QUESTION_BATCH_SIZE = 10; // Reviews per askQuestion prompt
+const QUESTION_RETRIEVAL_LIMIT = 30; // Top-ranked reviews askQuestion reads (3 batches)
+
 class TravanaSpotBrowserAI {
-  constructor() {
+  // provider: backend from ai-providers.js (defaults to Chrome Built-in AI)
+  constructor(provider = null) {
+    this.provider = provider || TravanaSpotBrowserAI.createDefaultProvider();
     this.languageModelSession = null;
     this.summarizerSession = null;
     this.isAnalyzing = false;
+    this.outputLanguage = DEFAULT_OUTPUT_LANGUAGE; // Set per analysis from the listing's locale
+    this.reviewLanguages = []; // Languages detected in the reviews of the current analysis
+    this.siteName = DEFAULT_REVIEW_SITE_NAME; // Set per analysis from the listing's site ("Vrbo")
 
     // Review limits
     this.MAX_CHARS_PER_REVIEW = 500; // Max characters per review
@@ -82,10 +172,47 @@ class TravanaSpotBrowserAI {
     this.reviewCache = null; // Will store {reviews: [...], metadata: {...}}
 
     console.log('TravanaSpot: Little Airby (Browser AI) initialized with:', {
-      maxCharsPerReview: this.MAX_CHARS_PER_REVIEW
+      maxCharsPerReview: this.MAX_CHARS_PER_REVIEW,
+      provider: this.provider.name
     });
   }
 
+  static createDefaultProvider() {
+    // ai-providers.js is loaded as a script before this file in the side panel
+    if (typeof ChromeBuiltInProvider !== 'undefined') {
+      return new ChromeBuiltInProvider();
+    }
+    const { ChromeBuiltInProvider: Provider } = require('./ai-providers.js');
+    return new Provider();
+  }
+
+  static getLocaleClass() {
+    // airbnb-locales.js is loaded as a script before this file in the side panel
+    return typeof AirbnbLocale !== 'undefined' ? AirbnbLocale : require('./airbnb-locales.js').AirbnbLocale;
+  }
+
+  static getReviewLanguages() {
+    // review-languages.js is loaded as a script before this file in the side panel
+    return typeof ReviewLanguages !== 'undefined' ? ReviewLanguages : require('./review-languages.js').ReviewLanguages;
+  }
+
+  static createReviewIndex(documents) {
+    // review-index.js is loaded as a script before this file in the side panel
+    const Index = typeof ReviewIndex !== 'undefined' ? ReviewIndex : require('./review-index.js');
+    return new Index(documents);
+  }
+
+  // Switch AI backend; open sessions belong to the old provider so they're dropped
+  async setProvider(provider) {
+    if (this.isAnalyzing) {
+      throw new Error('Cannot switch AI provider while an analysis is running');
+    }
+
+    await this.destroySessions();
+    this.provider = provider;
+    console.log('TravanaSpot: AI provider set to', provider.name);
+  }
+
   // Destroy all sessions and free resources
   async destroySessions() {
     console.log('TravanaSpot: Destroying AI sessions...');
@@ -120,7 +247,7 @@ class TravanaSpotBrowserAI {
    * - Avoid hitting maxTokens limit during long operations
    *
    * When to use:
-   * - Before processing ALL 100 reviews in chunks (to ensure enough tokens)
+   * - Before processing ALL selected reviews in chunks (to ensure enough tokens)
    * - When switching between different analysis tasks
    *
    * Pattern:
@@ -158,78 +285,55 @@ class TravanaSpotBrowserAI {
   /**
    * Initialize Language Model session (Prompt API)
    *
-   * CORRECT PATTERN per Chrome Built-in AI documentation:
-   * 1. Use LanguageModel.params() to check availability (NOT LanguageModel.availability())
-   * 2. Check if available !== "no"
-   * 3. Create session in LOCAL variable (no "this." in creation)
-   * 4. Return the session for caller to store in this.languageModelSession
+   * The provider does the availability check and creation (see ChromeBuiltInProvider
+   * for the Chrome pattern); this method only supplies Little Airby's initial prompts.
+   * Returns the session for the caller to store in this.languageModelSession.
    *
    * Used for:
    * - Structured data extraction (keyword_analysis with semantic understanding)
    * - Chatbox question answering
    */
   async initLanguageModelSession() {
-    const {available, defaultTemperature, defaultTopK, maxTopK} = await LanguageModel.params();
-    console.log('TravanaSpot: Prompt API params:', {
-      available,
-      defaultTemperature,
-      defaultTopK,
-      maxTopK
+    return this.provider.createLanguageModelSession({
+      initialPrompts: [
+        {
+          role: 'system',
+          content:
+            `You are Little Airby, a friendly assistant helping travelers understand ${this.siteName} reviews. Read questions CAREFULLY and answer EXACTLY what is asked. Distinguish between questions about the property itself versus the neighborhood around it. Be warm, honest, specific, and concise (2-3 sentences max).`
+        },
+        {
+          role: 'user',
+          content: 'What do guests say about the location?'
+        },
+        {
+          role: 'assistant',
+          content:
+            "Based on the reviews, guests love the location! It's in a great walkable neighborhood with lots of restaurants and shops nearby. Several guests mentioned feeling safe and enjoying the easy access to downtown."
+        },
+        {
+          role: 'user',
+          content: 'What kind of food can I find around?'
+        },
+        {
+          role: 'assistant',
+          content:
+            'Guests mentioned there are Italian restaurants, Mexican taquerias, and BBQ spots within walking distance. Some specifically recommended the pizza place two blocks away and the breakfast cafe on the corner.'
+        }
+      ]
     });
-
-    if (available !== 'no') {
-      const session = await LanguageModel.create({
-        initialPrompts: [
-          {
-            role: 'system',
-            content:
-              'You are Little Airby, a friendly assistant helping travelers understand Airbnb reviews. Read questions CAREFULLY and answer EXACTLY what is asked. Distinguish between questions about the property itself versus the neighborhood around it. Be warm, honest, specific, and concise (2-3 sentences max).'
-          },
-          {
-            role: 'user',
-            content: 'What do guests say about the location?'
-          },
-          {
-            role: 'assistant',
-            content:
-              "Based on the reviews, guests love the location! It's in a great walkable neighborhood with lots of restaurants and shops nearby. Several guests mentioned feeling safe and enjoying the easy access to downtown."
-          },
-          {
-            role: 'user',
-            content: 'What kind of food can I find around?'
-          },
-          {
-            role: 'assistant',
-            content:
-              'Guests mentioned there are Italian restaurants, Mexican taquerias, and BBQ spots within walking distance. Some specifically recommended the pizza place two blocks away and the breakfast cafe on the corner.'
-          }
-        ]
-      });
-
-      console.log(
-        'TravanaSpot: Language Model session created successfully with initialPrompts'
-      );
-      return session;
-    } else {
-      console.error('TravanaSpot: Prompt API is not available');
-      throw new Error('Prompt API is not available. Please use Chrome Canary 128+ with Prompt API enabled.');
-    }
   }
 
   /**
    * Initialize Summarizer session (Summarizer API)
    *
-   * CORRECT PATTERN per Chrome Built-in AI documentation:
-   * 1. Define options BEFORE checking availability
-   * 2. Use Summarizer.availability() to check availability
-   * 3. Check if availability === 'unavailable' (if so, throw error to trigger Prompt API fallback)
-   * 4. Create summarizer in LOCAL variable (no "this." in creation)
-   * 5. Return the summarizer for caller to store in this.summarizerSession
+   * Options are defined here; the provider checks availability and creates the
+   * summarizer (throwing SUMMARIZER_UNAVAILABLE to trigger the Prompt API fallback).
+   * Returns the summarizer for the caller to store in this.summarizerSession.
    *
    * Used for:
    * - Creating narrative summaries of review chunks
    * - Hierarchical summarization (summary of summaries)
-   * - Generating comprehensive prose from all 100 reviews
+   * - Generating comprehensive prose from all selected reviews
    *
    * Settings:
    * - type: 'teaser' - Brief overview style (NOT 'tldr' or 'key-points')
@@ -240,27 +344,47 @@ class TravanaSpotBrowserAI {
   async initSummarizerSession() {
     const options = {
       sharedContext:
-        'These are Airbnb guest reviews for a vacation rental property. Focus on guest experiences, property quality, host interactions, location benefits, and any issues mentioned.',
+        `These are ${this.siteName} guest reviews for a vacation rental property. Focus on guest experiences, property quality, host interactions, location benefits, and any issues mentioned.`,
       type: 'teaser',
       format: 'plain-text',
       length: 'short',
-      outputLanguage: 'en'
+      expectedInputLanguages: [...new Set([this.outputLanguage, DEFAULT_OUTPUT_LANGUAGE])],
+      outputLanguage: this.outputLanguage
     };
 
-    const availability = await Summarizer.availability();
-    console.log('TravanaSpot: Summarizer API availability:', availability);
+    try {
+      return await this.provider.createSummarizer(options);
+    } catch (error) {
+      if (this.outputLanguage === DEFAULT_OUTPUT_LANGUAGE || error.message === 'SUMMARIZER_UNAVAILABLE') {
+        throw error;
+      }
+
+      // The on-device Summarizer only writes some languages; English beats no summary
+      console.warn(`TravanaSpot: Summarizer can't write "${this.outputLanguage}", summarizing in English:`, error.message);
+      this.outputLanguage = DEFAULT_OUTPUT_LANGUAGE;
+      return this.provider.createSummarizer({ ...options, outputLanguage: DEFAULT_OUTPUT_LANGUAGE });
+    }
+  }
+
+  // Extra prompt lines: pros/cons and insights in the page language, and a reminder to count
+  // reviews in other languages ('' for English output and English-only reviews)
+  getLanguageInstruction() {
+    const lines = [];
 
-    if (availability === 'unavailable') {
-      // The Summarizer API isn't usable.
-      console.log("TravanaSpot: Summarizer API is unavailable.");
-      throw new Error('SUMMARIZER_UNAVAILABLE');
+    if (this.outputLanguage !== DEFAULT_OUTPUT_LANGUAGE) {
+      const languageName = TravanaSpotBrowserAI.getLocaleClass().getLanguageName(this.outputLanguage);
+      lines.push(`LANGUAGE: Write pros_and_cons and guest_insights in ${languageName}. Keep the JSON keys and the 9 aspect keywords in English; snippets stay exact quotes.`);
     }
 
-    // Create the summarizer (availability is 'readily' or 'after-download')
-    console.log("TravanaSpot: Initializing Summarizer...");
-    const summarizer = await Summarizer.create(options);
-    console.log('TravanaSpot: Summarizer session created successfully');
-    return summarizer;
+    const Languages = TravanaSpotBrowserAI.getReviewLanguages();
+    const otherLanguages = this.reviewLanguages.filter(language => language !== DEFAULT_OUTPUT_LANGUAGE && Languages.isKnown(language));
+    if (otherLanguages.length > 0) {
+      lines.push(`REVIEW LANGUAGES: Some reviews are written in ${otherLanguages.map(language => Languages.getName(language)).join(', ')}. Count their aspects like English ones; don't skip a complaint because of its language.`);
+    }
+
+    return lines.length > 0 ? `${lines.join('\n')}
+
+` : '';
   }
 
   // Truncate review to max characters
@@ -278,8 +402,8 @@ class TravanaSpotBrowserAI {
    * Build in-memory JSON cache of reviews
    *
    * Purpose:
-   * - Process and store 100 reviews (truncated to 500 chars each)
-   * - Enables sequential search through ALL reviews for chatbox
+   * - Process and store ALL reviews (truncated to 500 chars each)
+   * - Builds a BM25 index (review-index.js) so the chatbox only reads relevant reviews
    * - Avoids re-processing reviews for every question
    *
    * Cache structure:
@@ -290,18 +414,18 @@ class TravanaSpotBrowserAI {
    *     ...
    *   ],
    *   metadata: {
-   *     total_reviews: 100,
+   *     total_reviews: 250,
    *     cached_at: timestamp,
    *     truncation_limit: 500
-   *   }
+   *   },
+   *   index: ReviewIndex,
+   *   source: the reviews array it was built from
    * }
    */
   buildReviewCache(reviews) {
     console.log('TravanaSpot: Building in-memory review cache...');
 
-    const reviewsToCache = reviews.slice(0, 100);
-
-    const cachedReviews = reviewsToCache.map((review, index) => {
+    const cachedReviews = reviews.map((review, index) => {
       const text = (review.text || review.comments || '').trim();
       const truncated = this.truncateReview(text);
 
@@ -319,8 +443,10 @@ class TravanaSpotBrowserAI {
         total_reviews: cachedReviews.length,
         cached_at: new Date().toISOString(),
         truncation_limit: this.MAX_CHARS_PER_REVIEW,
-        reviews_per_query: 10 // How many reviews to search at a time
-      }
+        reviews_per_query: QUESTION_BATCH_SIZE // How many reviews to search at a time
+      },
+      index: TravanaSpotBrowserAI.createReviewIndex(cachedReviews),
+      source: reviews
     };
 
     console.log(`TravanaSpot: ✅ Review cache built with ${cachedReviews.length} reviews`);
@@ -435,7 +561,7 @@ class TravanaSpotBrowserAI {
       const reviewSample = reviewChunk.join('\n---\n');
       console.log(`TravanaSpot: [Chunk ${chunkIndex + 1}/${totalChunks}] Review sample length: ${reviewSample.length} chars`);
 
-      const prompt = `Analyze these Airbnb reviews using BOTH semantic understanding AND keyword matching. Return ONLY valid JSON.
+      const prompt = `Analyze these ${this.siteName} reviews using BOTH semantic understanding AND keyword matching. Return ONLY valid JSON.
 
 CRITICAL: You MUST return ALL 9 aspects in keyword_analysis, even if some have 0 mentions.
 
@@ -507,11 +633,11 @@ JSON FORMAT (MUST include all fields):
   }
 }
 
-REVIEWS:
+${this.getLanguageInstruction()}REVIEWS:
 ${reviewSample}`;
 
-      const promptTokens = this.estimateTokens(prompt);
-      console.log(`TravanaSpot: [Chunk ${chunkIndex + 1}/${totalChunks}] Prompt tokens: ~${promptTokens}`);
+      const promptTokens = await this.countTokens(prompt);
+      console.log(`TravanaSpot: [Chunk ${chunkIndex + 1}/${totalChunks}] Prompt tokens: ${promptTokens}`);
 
       // Check token availability before calling API
       const availableTokens = this.languageModelSession.maxTokens - this.languageModelSession.tokensSoFar;
@@ -559,7 +685,8 @@ ${reviewSample}`;
   }
 
   // Extract structured data (keyword analysis, pros/cons) using Prompt API
-  async extractStructuredData(truncatedReviews, summaryText) {
+  // onChunk(mergedSoFar, { completed, total }) runs after every chunk (mergedSoFar is null until one succeeds)
+  async extractStructuredData(truncatedReviews, summaryText, { onChunk = null } = {}) {
     // Track the specific error for precise messaging
     this.keywordAnalysisError = null;
 
@@ -575,10 +702,11 @@ ${reviewSample}`;
       // Calculate optimal chunk size based on token limits
       const availableTokens = this.languageModelSession.maxTokens - this.languageModelSession.tokensSoFar;
       const promptOverhead = 2500; // Estimate for prompt structure and response
-      const tokensPerReview = 150; // Conservative estimate per truncated review
+      const reviewTokens = await this.countTokens(truncatedReviews.join('\n---\n'));
+      const tokensPerReview = Math.max(1, Math.ceil(reviewTokens / Math.max(1, truncatedReviews.length)));
       const reviewsPerChunk = Math.max(10, Math.floor((availableTokens - promptOverhead) / tokensPerReview / 3)); // Divide by 3 for multiple chunks
 
-      console.log(`TravanaSpot: Processing reviews in chunks of ~${reviewsPerChunk} reviews each`);
+      console.log(`TravanaSpot: Processing reviews in chunks of ~${reviewsPerChunk} reviews each (${tokensPerReview} tokens per review)`);
       console.log(`TravanaSpot: Prompt API session tokens: ${this.languageModelSession.tokensSoFar}/${this.languageModelSession.maxTokens}`);
 
       // Split reviews into chunks
@@ -607,6 +735,10 @@ ${reviewSample}`;
           console.error(`TravanaSpot: Full error:`, error);
           // Continue with other chunks even if one fails
         }
+
+        if (onChunk) {
+          onChunk(chunkResults.length > 0 ? this.mergeChunkResults(chunkResults) : null, { completed: i + 1, total: chunks.length });
+        }
       }
 
       if (chunkResults.length === 0) {
@@ -615,54 +747,7 @@ ${reviewSample}`;
 
       console.log(`TravanaSpot: Successfully processed ${chunkResults.length}/${chunks.length} chunks`);
 
-      // Merge keyword analysis from all chunks
-      const mergedKeywordAnalysis = this.mergeKeywordAnalysis(chunkResults.map(r => r.keyword_analysis));
-
-      // Merge pros_and_cons from all chunks (combine and deduplicate)
-      const allPros = new Set();
-      const allCons = new Set();
-      chunkResults.forEach(chunk => {
-        if (chunk.pros_and_cons) {
-          chunk.pros_and_cons.pros?.forEach(pro => allPros.add(pro));
-          chunk.pros_and_cons.cons?.forEach(con => allCons.add(con));
-        }
-      });
-
-      // Merge guest_insights from all chunks (take most common suggestions)
-      const insightCounts = {
-        recommended_for: {},
-        not_recommended_for: {},
-        best_features: {},
-        areas_for_improvement: {}
-      };
-
-      chunkResults.forEach(chunk => {
-        if (chunk.guest_insights) {
-          ['recommended_for', 'not_recommended_for', 'best_features', 'areas_for_improvement'].forEach(key => {
-            chunk.guest_insights[key]?.forEach(item => {
-              insightCounts[key][item] = (insightCounts[key][item] || 0) + 1;
-            });
-          });
-        }
-      });
-
-      // Take top items from each category
-      const mergedInsights = {
-        recommended_for: Object.keys(insightCounts.recommended_for).sort((a, b) => insightCounts.recommended_for[b] - insightCounts.recommended_for[a]).slice(0, 5),
-        not_recommended_for: Object.keys(insightCounts.not_recommended_for).sort((a, b) => insightCounts.not_recommended_for[b] - insightCounts.not_recommended_for[a]).slice(0, 3),
-        best_features: Object.keys(insightCounts.best_features).sort((a, b) => insightCounts.best_features[b] - insightCounts.best_features[a]).slice(0, 5),
-        areas_for_improvement: Object.keys(insightCounts.areas_for_improvement).sort((a, b) => insightCounts.areas_for_improvement[b] - insightCounts.areas_for_improvement[a]).slice(0, 4)
-      };
-
-      // Return merged data from all chunks
-      return {
-        keyword_analysis: mergedKeywordAnalysis,
-        pros_and_cons: {
-          pros: Array.from(allPros).slice(0, 7),
-          cons: Array.from(allCons).slice(0, 5)
-        },
-        guest_insights: mergedInsights
-      };
+      return this.mergeChunkResults(chunkResults);
 
     } catch (error) {
       console.error('TravanaSpot: Failed to extract structured data from chunks:', error);
@@ -675,6 +760,58 @@ ${reviewSample}`;
     }
   }
 
+  // Merge keyword analysis, pros/cons and guest insights from the chunks processed so far
+  mergeChunkResults(chunkResults) {
+    // Merge keyword analysis from all chunks
+    const mergedKeywordAnalysis = this.mergeKeywordAnalysis(chunkResults.map(r => r.keyword_analysis));
+
+    // Merge pros_and_cons from all chunks (combine and deduplicate)
+    const allPros = new Set();
+    const allCons = new Set();
+    chunkResults.forEach(chunk => {
+      if (chunk.pros_and_cons) {
+        chunk.pros_and_cons.pros?.forEach(pro => allPros.add(pro));
+        chunk.pros_and_cons.cons?.forEach(con => allCons.add(con));
+      }
+    });
+
+    // Merge guest_insights from all chunks (take most common suggestions)
+    const insightCounts = {
+      recommended_for: {},
+      not_recommended_for: {},
+      best_features: {},
+      areas_for_improvement: {}
+    };
+
+    chunkResults.forEach(chunk => {
+      if (chunk.guest_insights) {
+        ['recommended_for', 'not_recommended_for', 'best_features', 'areas_for_improvement'].forEach(key => {
+          chunk.guest_insights[key]?.forEach(item => {
+            insightCounts[key][item] = (insightCounts[key][item] || 0) + 1;
+          });
+        });
+      }
+    });
+
+    // Take top items from each category
+    const mergedInsights = {
+      recommended_for: Object.keys(insightCounts.recommended_for).sort((a, b) => insightCounts.recommended_for[b] - insightCounts.recommended_for[a]).slice(0, 5),
+      not_recommended_for: Object.keys(insightCounts.not_recommended_for).sort((a, b) => insightCounts.not_recommended_for[b] - insightCounts.not_recommended_for[a]).slice(0, 3),
+      best_features: Object.keys(insightCounts.best_features).sort((a, b) => insightCounts.best_features[b] - insightCounts.best_features[a]).slice(0, 5),
+      areas_for_improvement: Object.keys(insightCounts.areas_for_improvement).sort((a, b) => insightCounts.areas_for_improvement[b] - insightCounts.areas_for_improvement[a]).slice(0, 4)
+    };
+
+    // Return merged data from all chunks
+    return {
+      keyword_analysis: mergedKeywordAnalysis,
+      pros_and_cons: {
+        pros: Array.from(allPros).slice(0, 7),
+        cons: Array.from(allCons).slice(0, 5)
+      },
+      guest_insights: mergedInsights
+    };
+  }
+
   // Create fallback structured data if Prompt API fails
   createFallbackStructuredData(reviews) {
     console.log('TravanaSpot: Creating fallback structured data');
@@ -702,84 +839,99 @@ ${reviewSample}`;
 
     reviews.forEach(reviewText => {
       const lowerText = reviewText.toLowerCase();
-
-      // Keyword detection
-      if (lowerText.includes('clean')) {
-        const sentiment = this.detectSentiment(reviewText);
-        if (sentiment === 'positive' && keywords['Cleanliness'].positive.length < 10) {
-          keywords['Cleanliness'].positive.push(this.extractSnippet(reviewText, 'clean'));
-        } else if (sentiment === 'negative' && keywords['Cleanliness'].negative.length < 10) {
-          keywords['Cleanliness'].negative.push(this.extractSnippet(reviewText, 'clean'));
+      const language = this.detectLanguage(reviewText);
+      const Languages = TravanaSpotBrowserAI.getReviewLanguages();
+      const localWords = Languages.getSentimentWords(language); // Empty for English and undetected reviews
+      const hasLocalWord = words => words.some(word => Languages.hasKeyword(lowerText, word));
+
+      if (Languages.isKnown(language) && language !== DEFAULT_OUTPUT_LANGUAGE) {
+        // Reviews in other languages: aspect words in English or the review's own language
+        const sentiment = this.detectSentiment(reviewText, language);
+        Object.entries(this.findAspectKeywords(reviewText, language)).forEach(([aspect, keyword]) => {
+          const snippets = keywords[aspect][sentiment];
+          if (snippets.length < 10) {
+            snippets.push(this.extractSnippet(reviewText, keyword));
+          }
+        });
+      } else {
+        // Keyword detection
+        if (lowerText.includes('clean')) {
+          const sentiment = this.detectSentiment(reviewText);
+          if (sentiment === 'positive' && keywords['Cleanliness'].positive.length < 10) {
+            keywords['Cleanliness'].positive.push(this.extractSnippet(reviewText, 'clean'));
+          } else if (sentiment === 'negative' && keywords['Cleanliness'].negative.length < 10) {
+            keywords['Cleanliness'].negative.push(this.extractSnippet(reviewText, 'clean'));
+          }
         }
-      }
 
-      if (lowerText.includes('location') || lowerText.includes('area')) {
-        const sentiment = this.detectSentiment(reviewText);
-        if (sentiment === 'positive' && keywords['Location'].positive.length < 10) {
-          keywords['Location'].positive.push(this.extractSnippet(reviewText, 'location'));
-        } else if (sentiment === 'negative' && keywords['Location'].negative.length < 10) {
-          keywords['Location'].negative.push(this.extractSnippet(reviewText, 'location'));
+        if (lowerText.includes('location') || lowerText.includes('area')) {
+          const sentiment = this.detectSentiment(reviewText);
+          if (sentiment === 'positive' && keywords['Location'].positive.length < 10) {
+            keywords['Location'].positive.push(this.extractSnippet(reviewText, 'location'));
+          } else if (sentiment === 'negative' && keywords['Location'].negative.length < 10) {
+            keywords['Location'].negative.push(this.extractSnippet(reviewText, 'location'));
+          }
         }
-      }
 
-      if (lowerText.includes('host') || lowerText.includes('communication')) {
-        const sentiment = this.detectSentiment(reviewText);
-        if (sentiment === 'positive' && keywords['HostCommunication'].positive.length < 10) {
-          keywords['HostCommunication'].positive.push(this.extractSnippet(reviewText, 'host'));
-        } else if (sentiment === 'negative' && keywords['HostCommunication'].negative.length < 10) {
-          keywords['HostCommunication'].negative.push(this.extractSnippet(reviewText, 'host'));
+        if (lowerText.includes('host') || lowerText.includes('communication')) {
+          const sentiment = this.detectSentiment(reviewText);
+          if (sentiment === 'positive' && keywords['HostCommunication'].positive.length < 10) {
+            keywords['HostCommunication'].positive.push(this.extractSnippet(reviewText, 'host'));
+          } else if (sentiment === 'negative' && keywords['HostCommunication'].negative.length < 10) {
+            keywords['HostCommunication'].negative.push(this.extractSnippet(reviewText, 'host'));
+          }
         }
-      }
 
-      if (lowerText.includes('value') || lowerText.includes('price') || lowerText.includes('money')) {
-        const sentiment = this.detectSentiment(reviewText);
-        if (sentiment === 'positive' && keywords['ValueForMoney'].positive.length < 10) {
-          keywords['ValueForMoney'].positive.push(this.extractSnippet(reviewText, 'value'));
+        if (lowerText.includes('value') || lowerText.includes('price') || lowerText.includes('money')) {
+          const sentiment = this.detectSentiment(reviewText);
+          if (sentiment === 'positive' && keywords['ValueForMoney'].positive.length < 10) {
+            keywords['ValueForMoney'].positive.push(this.extractSnippet(reviewText, 'value'));
+          }
         }
-      }
 
-      if (lowerText.includes('check') || lowerText.includes('arrival')) {
-        const sentiment = this.detectSentiment(reviewText);
-        if (sentiment === 'positive' && keywords['CheckInProcess'].positive.length < 10) {
-          keywords['CheckInProcess'].positive.push(this.extractSnippet(reviewText, 'check'));
+        if (lowerText.includes('check') || lowerText.includes('arrival')) {
+          const sentiment = this.detectSentiment(reviewText);
+          if (sentiment === 'positive' && keywords['CheckInProcess'].positive.length < 10) {
+            keywords['CheckInProcess'].positive.push(this.extractSnippet(reviewText, 'check'));
+          }
         }
-      }
 
-      if (lowerText.includes('noise') || lowerText.includes('noisy') || lowerText.includes('quiet') || lowerText.includes('loud') || lowerText.includes('sound')) {
-        const sentiment = this.detectSentiment(reviewText);
-        if (sentiment === 'positive' && keywords['NoiseLevels'].positive.length < 10) {
-          keywords['NoiseLevels'].positive.push(this.extractSnippet(reviewText, 'quiet'));
-        } else if (sentiment === 'negative' && keywords['NoiseLevels'].negative.length < 10) {
-          keywords['NoiseLevels'].negative.push(this.extractSnippet(reviewText, 'noise'));
+        if (lowerText.includes('noise') || lowerText.includes('noisy') || lowerText.includes('quiet') || lowerText.includes('loud') || lowerText.includes('sound')) {
+          const sentiment = this.detectSentiment(reviewText);
+          if (sentiment === 'positive' && keywords['NoiseLevels'].positive.length < 10) {
+            keywords['NoiseLevels'].positive.push(this.extractSnippet(reviewText, 'quiet'));
+          } else if (sentiment === 'negative' && keywords['NoiseLevels'].negative.length < 10) {
+            keywords['NoiseLevels'].negative.push(this.extractSnippet(reviewText, 'noise'));
+          }
         }
-      }
 
-      if (lowerText.includes('comfort') || lowerText.includes('bed') || lowerText.includes('cozy') || lowerText.includes('mattress')) {
-        const sentiment = this.detectSentiment(reviewText);
-        if (sentiment === 'positive' && keywords['Comfort'].positive.length < 10) {
-          keywords['Comfort'].positive.push(this.extractSnippet(reviewText, 'comfort'));
-        } else if (sentiment === 'negative' && keywords['Comfort'].negative.length < 10) {
-          keywords['Comfort'].negative.push(this.extractSnippet(reviewText, 'comfort'));
+        if (lowerText.includes('comfort') || lowerText.includes('bed') || lowerText.includes('cozy') || lowerText.includes('mattress')) {
+          const sentiment = this.detectSentiment(reviewText);
+          if (sentiment === 'positive' && keywords['Comfort'].positive.length < 10) {
+            keywords['Comfort'].positive.push(this.extractSnippet(reviewText, 'comfort'));
+          } else if (sentiment === 'negative' && keywords['Comfort'].negative.length < 10) {
+            keywords['Comfort'].negative.push(this.extractSnippet(reviewText, 'comfort'));
+          }
         }
-      }
 
-      if (lowerText.includes('amenities') || lowerText.includes('wifi') || lowerText.includes('kitchen') || lowerText.includes('pool') || lowerText.includes('parking') || lowerText.includes('facilities')) {
-        const sentiment = this.detectSentiment(reviewText);
-        if (sentiment === 'positive' && keywords['Amenities'].positive.length < 10) {
-          keywords['Amenities'].positive.push(this.extractSnippet(reviewText, 'amenities'));
-        } else if (sentiment === 'negative' && keywords['Amenities'].negative.length < 10) {
-          keywords['Amenities'].negative.push(this.extractSnippet(reviewText, 'amenities'));
+        if (lowerText.includes('amenities') || lowerText.includes('wifi') || lowerText.includes('kitchen') || lowerText.includes('pool') || lowerText.includes('parking') || lowerText.includes('facilities')) {
+          const sentiment = this.detectSentiment(reviewText);
+          if (sentiment === 'positive' && keywords['Amenities'].positive.length < 10) {
+            keywords['Amenities'].positive.push(this.extractSnippet(reviewText, 'amenities'));
+          } else if (sentiment === 'negative' && keywords['Amenities'].negative.length < 10) {
+            keywords['Amenities'].negative.push(this.extractSnippet(reviewText, 'amenities'));
+          }
         }
       }
 
       // Extract pros
-      if (positiveWords.some(word => lowerText.includes(word)) && pros.size < 7) {
+      if ((positiveWords.some(word => lowerText.includes(word)) || hasLocalWord(localWords.positive)) && pros.size < 7) {
         const snippet = reviewText.substring(0, 100);
         if (snippet.length > 20) pros.add(snippet);
       }
 
       // Extract cons
-      if (negativeWords.some(word => lowerText.includes(word)) && cons.size < 7) {
+      if ((negativeWords.some(word => lowerText.includes(word)) || hasLocalWord(localWords.negative)) && cons.size < 7) {
         const snippet = reviewText.substring(0, 100);
         if (snippet.length > 20) cons.add(snippet);
       }
@@ -865,23 +1017,211 @@ ${reviewSample}`;
   }
 
   // Detect sentiment of text
-  detectSentiment(text) {
-    const lowerText = text.toLowerCase();
+  detectSentiment(text, language = null) {
+    const { positive, negative } = this.countSentimentWords(text, language);
+    return positive > negative ? 'positive' : 'negative';
+  }
+
+  // Count positive/negative sentiment words in text (English plus the text's own language)
+  countSentimentWords(text, language = null) {
+    const lowerText = (text || '').toLowerCase();
     const positiveWords = ['great', 'excellent', 'amazing', 'perfect', 'wonderful', 'love', 'clean', 'comfortable', 'beautiful'];
     const negativeWords = ['bad', 'poor', 'terrible', 'dirty', 'noisy', 'disappointing', 'issue', 'problem', 'awful'];
 
-    let positiveCount = 0;
-    let negativeCount = 0;
+    let positive = 0;
+    let negative = 0;
 
     positiveWords.forEach(word => {
-      if (lowerText.includes(word)) positiveCount++;
+      if (lowerText.includes(word)) positive++;
     });
 
     negativeWords.forEach(word => {
-      if (lowerText.includes(word)) negativeCount++;
+      if (lowerText.includes(word)) negative++;
+    });
+
+    const Languages = TravanaSpotBrowserAI.getReviewLanguages();
+    const localWords = Languages.getSentimentWords(language || this.detectLanguage(text));
+
+    localWords.positive.forEach(word => {
+      if (Languages.hasKeyword(lowerText, word)) positive++;
+    });
+
+    localWords.negative.forEach(word => {
+      if (Languages.hasKeyword(lowerText, word)) negative++;
+    });
+
+    return { positive, negative };
+  }
+
+  // Language code of a review text ('en', 'de', ...; 'und' when it can't tell)
+  detectLanguage(text) {
+    return TravanaSpotBrowserAI.getReviewLanguages().detect(text).language;
+  }
+
+  /**
+   * Review authenticity scoring
+   *
+   * Each review gets a suspicion score from these signals:
+   * - near_duplicate (+50): word overlap >= 80% with another reviewer's text
+   * - generic_praise (+30): <= 8 words of stock praise with no concrete aspect mentioned
+   * - review_burst (+20): posted in a month with an unusual spike in reviews
+   * - rating_mismatch (+40): star rating contradicts the text sentiment
+   *
+   * Reviews scoring 40+ are flagged. Returns per-review results plus a 0-100 reliability score.
+   */
+  scoreReviewAuthenticity(reviews) {
+    const SIGNAL_WEIGHTS = {
+      near_duplicate: 50,
+      generic_praise: 30,
+      review_burst: 20,
+      rating_mismatch: 40
+    };
+    const FLAG_THRESHOLD = 40;
+
+    const items = (reviews || []).map((review, index) => {
+      const text = (review.text || review.comments || '').trim();
+      const words = text.toLowerCase().match(/[a-z0-9/']+/g) || [];
+      return {
+        index,
+        review,
+        text,
+        words,
+        wordSet: new Set(words.filter(word => word.length > 2)),
+        signals: []
+      };
     });
 
-    return positiveCount > negativeCount ? 'positive' : 'negative';
+    // Near-duplicate text from different reviewers (Jaccard similarity on word sets)
+    for (let i = 0; i < items.length; i++) {
+      if (items[i].wordSet.size < 4) continue;
+      for (let j = i + 1; j < items.length; j++) {
+        if (items[j].wordSet.size < 4) continue;
+        if ((items[i].review.name || '') === (items[j].review.name || '') && items[i].review.name) continue;
+
+        let shared = 0;
+        items[i].wordSet.forEach(word => {
+          if (items[j].wordSet.has(word)) shared++;
+        });
+        const similarity = shared / (items[i].wordSet.size + items[j].wordSet.size - shared);
+
+        if (similarity >= 0.8) {
+          if (!items[i].signals.includes('near_duplicate')) items[i].signals.push('near_duplicate');
+          if (!items[j].signals.includes('near_duplicate')) items[j].signals.push('near_duplicate');
+        }
+      }
+    }
+
+    // Very short generic praise
+    const aspectKeywords = Object.values(REVIEW_ASPECT_KEYWORDS).flat();
+    items.forEach(item => {
+      if (item.words.length === 0 || item.words.length > 8) return;
+      if (item.review.rating && item.review.rating < 4) return;
+
+      const allGeneric = item.words.every(word => GENERIC_PRAISE_WORDS.includes(word));
+      const mentionsAspect = aspectKeywords.some(keyword => item.text.toLowerCase().includes(keyword));
+      if (allGeneric && !mentionsAspect) {
+        item.signals.push('generic_praise');
+      }
+    });
+
+    // Bursts: months with at least 5 reviews and 3x the median monthly volume
+    const monthCounts = {};
+    items.forEach(item => {
+      const date = this.parseReviewDate(item.review.date) || this.parseReviewDate(item.review.stayDetails);
+      if (!date) return;
+      item.month = `${date.getFullYear()}-${date.getMonth()}`;
+      monthCounts[item.month] = (monthCounts[item.month] || 0) + 1;
+    });
+
+    const sortedCounts = Object.values(monthCounts).sort((a, b) => a - b);
+    if (sortedCounts.length >= 3) {
+      const median = sortedCounts[Math.floor(sortedCounts.length / 2)];
+      const burstMonths = Object.keys(monthCounts).filter(month => monthCounts[month] >= 5 && monthCounts[month] >= median * 3);
+      items.forEach(item => {
+        if (item.month && burstMonths.includes(item.month)) {
+          item.signals.push('review_burst');
+        }
+      });
+    }
+
+    // Star rating vs text sentiment
+    items.forEach(item => {
+      const rating = item.review.rating || 0;
+      if (!rating) return;
+
+      const { positive, negative } = this.countSentimentWords(item.text);
+      if ((rating >= 4 && negative - positive >= 2) || (rating <= 2 && positive - negative >= 2)) {
+        item.signals.push('rating_mismatch');
+      }
+    });
+
+    const signalCounts = { near_duplicate: 0, generic_praise: 0, review_burst: 0, rating_mismatch: 0 };
+    const scored = items.map(item => {
+      item.signals.forEach(signal => signalCounts[signal]++);
+      const suspicionScore = Math.min(100, item.signals.reduce((sum, signal) => sum + SIGNAL_WEIGHTS[signal], 0));
+      return {
+        index: item.index,
+        name: item.review.name || 'Anonymous',
+        date: item.review.date || '',
+        rating: item.review.rating || 0,
+        text: item.text.substring(0, 200),
+        suspicion_score: suspicionScore,
+        signals: item.signals,
+        flagged: suspicionScore >= FLAG_THRESHOLD
+      };
+    });
+
+    const flagged = scored.filter(item => item.flagged);
+    const averageSuspicion = scored.length > 0
+      ? scored.reduce((sum, item) => sum + item.suspicion_score, 0) / scored.length
+      : 0;
+    const reliabilityScore = Math.round(100 - averageSuspicion);
+
+    console.log(`TravanaSpot: Review authenticity: ${flagged.length}/${scored.length} flagged, reliability ${reliabilityScore}/100`, signalCounts);
+
+    return {
+      reliability_score: reliabilityScore,
+      level: reliabilityScore >= 85 ? 'high' : reliabilityScore >= 65 ? 'medium' : 'low',
+      total_reviews: scored.length,
+      flagged_count: flagged.length,
+      signal_counts: signalCounts,
+      flagged_reviews: flagged,
+      flagged_indexes: flagged.map(item => item.index)
+    };
+  }
+
+  // Trust score from star ratings alone: the mean rating on a 0-100 scale (1★ = 0, 5★ = 100).
+  // Unrated reviews count as 5★, 1★ or 3★ by their sentiment words
+  ratingTrustScore(reviews) {
+    if (!reviews || reviews.length === 0) return 0;
+
+    const total = reviews.reduce((sum, review) => {
+      let rating = review.rating || 0;
+      if (!rating) {
+        const counts = this.countSentimentWords(review.text || review.comments || '');
+        if (counts.positive > counts.negative + 1) rating = 5;
+        else if (counts.negative > counts.positive + 1) rating = 1;
+        else rating = 3;
+      }
+      return sum + ((Math.min(5, Math.max(1, rating)) - 1) / 4) * 100;
+    }, 0);
+
+    return total / reviews.length;
+  }
+
+  // Attach review_reliability, including the trust score with flagged reviews left out
+  attachReviewReliability(analysis, reviews) {
+    const reliability = this.scoreReviewAuthenticity(reviews);
+    const unflagged = reviews.filter((_, index) => !reliability.flagged_indexes.includes(index));
+
+    // Shift the analysis' own trust score by how much dropping flagged reviews moves the rating-based score
+    const delta = unflagged.length > 0
+      ? this.ratingTrustScore(unflagged) - this.ratingTrustScore(reviews)
+      : 0;
+    reliability.adjusted_trust_score = Math.min(100, Math.max(0, Math.round((analysis.trust_score || 0) + delta)));
+
+    analysis.review_reliability = reliability;
+    return analysis;
   }
 
   // Extract a snippet containing keyword
@@ -905,11 +1245,486 @@ ${reviewSample}`;
     return snippet;
   }
 
+  // Parse an Airbnb review date ("June 2025", "Juni 2025", "2 weeks ago", "a month ago") into a Date
+  // Returns null when the text has no recognizable date
+  parseReviewDate(dateText, referenceDate = new Date()) {
+    if (!dateText || typeof dateText !== 'string') return null;
+
+    const lowerText = dateText.toLowerCase();
+
+    // Month names in any supported page language ("Oktober 2025", "octubre de 2025")
+    const monthYear = TravanaSpotBrowserAI.getLocaleClass().findMonthYear(dateText, this.outputLanguage);
+    if (monthYear) {
+      return new Date(monthYear.year, monthYear.monthIndex, 1);
+    }
+
+    const relative = lowerText.match(/(\d+|an?)\s+(day|week|month|year)s?\s+ago/);
+    if (relative) {
+      const amount = /^\d+$/.test(relative[1]) ? parseInt(relative[1], 10) : 1;
+      const date = new Date(referenceDate);
+      if (relative[2] === 'day') date.setDate(date.getDate() - amount);
+      if (relative[2] === 'week') date.setDate(date.getDate() - amount * 7);
+      if (relative[2] === 'month') date.setMonth(date.getMonth() - amount);
+      if (relative[2] === 'year') date.setFullYear(date.getFullYear() - amount);
+      return date;
+    }
+
+    if (lowerText.includes('today') || lowerText.includes('yesterday')) {
+      return new Date(referenceDate);
+    }
+
+    return null;
+  }
+
+  /**
+   * Compare Airbnb's category scores with the aspects found in the review text
+   *
+   * - Review score per aspect: 1 + 4 × share of positive mentions, so all-positive = 5★
+   * - A category disagrees when the two differ by CATEGORY_DISAGREEMENT_THRESHOLD stars or more
+   *   and the aspect has at least CATEGORY_MIN_MENTIONS mentions
+   * - Returns null when the listing has no category scores (older listings, other page layouts)
+   */
+  crossCheckCategoryRatings(keywordAnalysis, categoryRatings) {
+    if (!categoryRatings || Object.keys(categoryRatings).length === 0) {
+      return null;
+    }
+
+    const aspects = new Map((keywordAnalysis || []).map(item => [item.keyword, item]));
+
+    const categories = Object.entries(CATEGORY_RATING_ASPECTS)
+      .filter(([key]) => typeof categoryRatings[key] === 'number')
+      .map(([key, { label, aspect }]) => {
+        const item = aspects.get(aspect) || {};
+        const positive = item.positive || 0;
+        const negative = item.negative || 0;
+        const mentions = positive + negative;
+        const airbnbRating = categoryRatings[key];
+
+        if (mentions < CATEGORY_MIN_MENTIONS) {
+          return { category: key, label, aspect, airbnb_rating: airbnbRating, review_score: null, positive, negative, mentions, difference: null, agrees: null, note: null };
+        }
+
+        const reviewScore = Math.round((1 + 4 * (positive / mentions)) * 10) / 10;
+        const difference = Math.round((airbnbRating - reviewScore) * 10) / 10;
+        const agrees = Math.abs(difference) < CATEGORY_DISAGREEMENT_THRESHOLD;
+
+        let note = null;
+        if (!agrees) {
+          note = difference > 0
+            ? `Airbnb rates ${label} ${airbnbRating}★, but ${negative} of ${mentions} review mentions are negative`
+            : `Airbnb rates ${label} only ${airbnbRating}★, yet ${positive} of ${mentions} review mentions are positive`;
+        }
+
+        return { category: key, label, aspect, airbnb_rating: airbnbRating, review_score: reviewScore, positive, negative, mentions, difference, agrees, note };
+      });
+
+    const disagreements = categories.filter(item => item.agrees === false);
+    console.log(`TravanaSpot: Category cross-check: ${disagreements.length}/${categories.length} categories disagree with the reviews`);
+
+    return { categories, disagreements };
+  }
+
+  // Attach category_cross_check (left out when the listing has no category scores)
+  attachCategoryCrossCheck(analysis, categoryRatings) {
+    const crossCheck = this.crossCheckCategoryRatings(analysis.keyword_analysis, categoryRatings);
+    if (crossCheck) {
+      analysis.category_cross_check = crossCheck;
+    }
+    return analysis;
+  }
+
+  /**
+   * Attach language_distribution and, with translateSnippets, snippet_translations
+   *
+   * - language_distribution: reviews per detected language (see ReviewLanguages.summarize),
+   *   plus other_language_count: reviews not written in the output language
+   * - snippet_translations: { original: translated } for keyword snippets, pros and cons in
+   *   another language than the output language. The originals stay in keyword_analysis so
+   *   "find in reviews" still matches the review text
+   * - Needs provider.translate; without it (or when a language pair can't be translated)
+   *   the snippets stay as written and language_distribution.translation_error says why
+   */
+  async attachReviewLanguages(analysis, reviewLanguages, { translateSnippets = false } = {}) {
+    const Languages = TravanaSpotBrowserAI.getReviewLanguages();
+    const distribution = Languages.summarize(reviewLanguages);
+    distribution.other_language_count = reviewLanguages
+      .filter(language => Languages.isKnown(language) && language !== this.outputLanguage).length;
+    analysis.language_distribution = distribution;
+
+    console.log('TravanaSpot: Review languages:', distribution.languages.map(entry => `${entry.language} ${entry.count}`).join(', '));
+
+    if (translateSnippets && distribution.other_language_count > 0) {
+      await this.translateForeignSnippets(analysis);
+    }
+    return analysis;
+  }
+
+  // Translate snippets, pros and cons that aren't in the output language (see attachReviewLanguages)
+  async translateForeignSnippets(analysis) {
+    if (typeof this.provider.translate !== 'function') {
+      analysis.language_distribution.translation_error = `${this.provider.name} can't translate`;
+      return analysis;
+    }
+
+    const texts = new Set();
+    (analysis.keyword_analysis || []).forEach(item => {
+      (item.positive_snippets || []).forEach(snippet => texts.add(snippet));
+      (item.negative_snippets || []).forEach(snippet => texts.add(snippet));
+    });
+    (analysis.pros_and_cons?.pros || []).forEach(pro => texts.add(pro));
+    (analysis.pros_and_cons?.cons || []).forEach(con => texts.add(con));
+
+    const translations = {};
+    const errors = new Set();
+
+    for (const text of texts) {
+      if (typeof text !== 'string') continue;
+
+      const sourceLanguage = this.detectLanguage(text);
+      if (!TravanaSpotBrowserAI.getReviewLanguages().isKnown(sourceLanguage) || sourceLanguage === this.outputLanguage) continue;
+
+      try {
+        translations[text] = await this.provider.translate(text, { sourceLanguage, targetLanguage: this.outputLanguage });
+      } catch (error) {
+        console.warn(`TravanaSpot: Could not translate a ${sourceLanguage} snippet:`, error.message);
+        errors.add(error.message);
+      }
+    }
+
+    analysis.snippet_translations = translations;
+    if (errors.size > 0) {
+      analysis.language_distribution.translation_error = [...errors].join('; ');
+    }
+
+    console.log(`TravanaSpot: Translated ${Object.keys(translations).length} snippets into ${this.outputLanguage}`);
+    return analysis;
+  }
+
+  // Rating 1-3 counts as negative; unrated reviews use the text sentiment
+  isNegativeReview(review) {
+    if (review.rating > 0) return review.rating <= 3;
+
+    const { positive, negative } = this.countSentimentWords(review.text || review.comments || '');
+    return negative > positive;
+  }
+
+  // Aspects whose keywords appear in the text
+  findAspects(text, language = null) {
+    return Object.keys(this.findAspectKeywords(text, language));
+  }
+
+  // First matching keyword per aspect ({ Cleanliness: 'sauber', ... }), in English or the text's own language
+  findAspectKeywords(text, language = null) {
+    const lowerText = (text || '').toLowerCase();
+    const Languages = TravanaSpotBrowserAI.getReviewLanguages();
+    const localKeywords = Languages.getAspectKeywords(language || this.detectLanguage(text));
+    const found = {};
+
+    Object.entries(REVIEW_ASPECT_KEYWORDS).forEach(([aspect, keywords]) => {
+      const keyword = keywords.find(word => lowerText.includes(word)) ||
+        (localKeywords[aspect] || []).find(word => Languages.hasKeyword(lowerText, word));
+      if (keyword) found[aspect] = Languages.stripWildcard(keyword);
+    });
+
+    return found;
+  }
+
+  // 'apologetic', 'defensive' or 'neutral' by which tone phrases dominate the response, in English or
+  // the response's own language; 'unknown' instead of 'neutral' when it is in a language without phrases
+  classifyHostResponseTone(text, language = null) {
+    const lowerText = (text || '').toLowerCase();
+    const Languages = TravanaSpotBrowserAI.getReviewLanguages();
+    const responseLanguage = language || this.detectLanguage(text);
+    const localPhrases = Languages.getHostResponseWords(responseLanguage);
+    const count = (phrases, localWords) => phrases.filter(phrase => lowerText.includes(phrase)).length +
+      localWords.filter(word => Languages.hasKeyword(lowerText, word)).length;
+
+    const apologetic = count(HOST_TONE_PHRASES.apologetic, localPhrases.apologetic);
+    const defensive = count(HOST_TONE_PHRASES.defensive, localPhrases.defensive);
+
+    if (defensive > apologetic) return 'defensive';
+    if (apologetic > defensive) return 'apologetic';
+    if (!Languages.isKnown(responseLanguage) && !Languages.hasStopword(lowerText, 'en')) return 'unknown';
+    return 'neutral';
+  }
+
+  // Does the response say something was or will be fixed (in English or the response's own language)?
+  promisesHostFix(text, language = null) {
+    if (HOST_FIX_PROMISE_PATTERN.test(text || '')) return true;
+
+    const Languages = TravanaSpotBrowserAI.getReviewLanguages();
+    const lowerText = (text || '').toLowerCase();
+    return Languages.getHostResponseWords(language || this.detectLanguage(text)).fixPromise
+      .some(word => Languages.hasKeyword(lowerText, word));
+  }
+
+  /**
+   * Host behaviour from the host responses attached to reviews (review.hostResponse)
+   *
+   * - Response rate overall and to negative reviews (1-3 stars, or negative text when unrated)
+   * - Tone of each response: apologetic vs. defensive phrasing (neutral when neither dominates,
+   *   unknown for responses in a language without tone phrases)
+   * - Recurring issues: a response promising a fix (promisesHostFix) for an aspect,
+   *   followed by later negative reviews about the same aspect. The promise's aspects are the
+   *   ones named in both the review and the response (or the review's, if the response names none)
+   * - Pure heuristic (no AI calls); returns null when no review has a host response
+   */
+  analyzeHostBehaviour(reviews) {
+    const all = reviews || [];
+    const responded = all.filter(review => review.hostResponse && review.hostResponse.text);
+    if (responded.length === 0) {
+      return null;
+    }
+
+    const negatives = all.filter(review => this.isNegativeReview(review));
+    const negativeResponded = negatives.filter(review => review.hostResponse && review.hostResponse.text);
+    const snippet = text => (text.length > 160 ? `${text.substring(0, 157)}...` : text);
+
+    const tone = { apologetic: 0, defensive: 0, neutral: 0, unknown: 0 };
+    const responses = responded.map(review => {
+      const responseTone = this.classifyHostResponseTone(review.hostResponse.text);
+      tone[responseTone]++;
+
+      return {
+        name: review.name || 'Anonymous',
+        date: review.date || '',
+        rating: review.rating || 0,
+        negative: this.isNegativeReview(review),
+        tone: responseTone,
+        promised_fix: this.promisesHostFix(review.hostResponse.text),
+        review_snippet: snippet(review.text || review.comments || ''),
+        response_snippet: snippet(review.hostResponse.text)
+      };
+    });
+
+    // Tone on negative reviews is what guests care about; fall back to all responses
+    const negativeTones = responses.filter(item => item.negative).map(item => item.tone);
+    const tonesToJudge = negativeTones.length > 0 ? negativeTones : responses.map(item => item.tone);
+    const dominantTone = ['defensive', 'apologetic', 'neutral', 'unknown']
+      .reduce((best, candidate) => {
+        const count = tonesToJudge.filter(item => item === candidate).length;
+        return count > best.count ? { tone: candidate, count } : best;
+      }, { tone: 'neutral', count: 0 }).tone;
+
+    const recurringIssues = [];
+    negativeResponded
+      .filter(review => this.promisesHostFix(review.hostResponse.text))
+      .forEach(review => {
+        const promisedOn = this.parseReviewDate(review.date) || this.parseReviewDate(review.stayDetails);
+        if (!promisedOn) return;
+
+        const reviewAspects = this.findAspects(review.text || review.comments);
+        const responseAspects = this.findAspects(review.hostResponse.text);
+        const promisedAspects = reviewAspects.filter(aspect => responseAspects.includes(aspect));
+
+        (promisedAspects.length > 0 ? promisedAspects : reviewAspects).forEach(aspect => {
+          const laterComplaints = all.filter(other => {
+            const date = this.parseReviewDate(other.date) || this.parseReviewDate(other.stayDetails);
+            return other !== review && date && date > promisedOn &&
+              this.isNegativeReview(other) &&
+              this.findAspects(other.text || other.comments).includes(aspect);
+          });
+
+          if (laterComplaints.length > 0) {
+            recurringIssues.push({
+              aspect,
+              promised_by_response_to: review.name || 'Anonymous',
+              promised_on: review.date || '',
+              promise: snippet(review.hostResponse.text),
+              later_complaints: laterComplaints.map(other => ({
+                name: other.name || 'Anonymous',
+                date: other.date || '',
+                rating: other.rating || 0,
+                snippet: snippet(other.text || other.comments || '')
+              }))
+            });
+          }
+        });
+      });
+
+    const result = {
+      total_reviews: all.length,
+      responded_count: responded.length,
+      response_rate: Math.round((responded.length / (all.length || 1)) * 100),
+      negative_count: negatives.length,
+      negative_responded_count: negativeResponded.length,
+      negative_response_rate: negatives.length > 0 ? Math.round((negativeResponded.length / negatives.length) * 100) : null,
+      tone,
+      dominant_tone: dominantTone,
+      responses,
+      recurring_issues: recurringIssues
+    };
+
+    console.log(`TravanaSpot: Host responded to ${result.responded_count}/${result.total_reviews} reviews (${result.negative_responded_count}/${result.negative_count} negative), mostly ${dominantTone}, ${recurringIssues.length} recurring issues`);
+    return result;
+  }
+
+  /**
+   * Review-over-time trend analysis
+   *
+   * - Buckets dated reviews by month or quarter ('auto' switches to quarters past 18 months of history)
+   * - Per bucket: review count, average star rating, and positive/negative mentions per aspect
+   * - Compares the newest third of dated reviews against the rest to flag improving/declining
+   * - Pure heuristic (no AI calls), so it runs in every analysis path including the fallbacks
+   */
+  analyzeReviewTrends(reviews, granularity = 'auto') {
+    const dated = (reviews || [])
+      .map(review => ({
+        review,
+        date: this.parseReviewDate(review.date) || this.parseReviewDate(review.stayDetails)
+      }))
+      .filter(item => item.date)
+      .sort((a, b) => a.date - b.date);
+
+    const result = {
+      granularity: granularity === 'auto' ? 'month' : granularity,
+      buckets: [],
+      trend: 'insufficient_data',
+      rating_change: 0,
+      recent_average_rating: null,
+      earlier_average_rating: null,
+      improving_aspects: [],
+      declining_aspects: [],
+      dated_review_count: dated.length,
+      undated_review_count: (reviews || []).length - dated.length
+    };
+
+    if (dated.length === 0) {
+      return result;
+    }
+
+    if (granularity === 'auto') {
+      const first = dated[0].date;
+      const last = dated[dated.length - 1].date;
+      const spanMonths = (last.getFullYear() - first.getFullYear()) * 12 + (last.getMonth() - first.getMonth());
+      result.granularity = spanMonths > 18 ? 'quarter' : 'month';
+    }
+
+    const bucketKey = (date) => result.granularity === 'quarter'
+      ? `${date.getFullYear()}-Q${Math.floor(date.getMonth() / 3) + 1}`
+      : `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+
+    const bucketLabel = (date) => result.granularity === 'quarter'
+      ? `Q${Math.floor(date.getMonth() / 3) + 1} ${date.getFullYear()}`
+      : date.toLocaleString('en', { month: 'short', year: 'numeric' });
+
+    const bucketMap = new Map();
+    dated.forEach(({ review, date }) => {
+      const key = bucketKey(date);
+      if (!bucketMap.has(key)) {
+        bucketMap.set(key, { period: key, label: bucketLabel(date), reviews: [] });
+      }
+      bucketMap.get(key).reviews.push(review);
+    });
+
+    result.buckets = Array.from(bucketMap.values()).map(bucket => ({
+      period: bucket.period,
+      label: bucket.label,
+      review_count: bucket.reviews.length,
+      average_rating: this.averageRating(bucket.reviews),
+      aspect_sentiment: this.countAspectSentiment(bucket.reviews)
+    }));
+
+    // Need a few reviews on each side before calling a direction
+    const recentCount = Math.max(3, Math.round(dated.length / 3));
+    if (dated.length < recentCount + 3) {
+      return result;
+    }
+
+    const earlier = dated.slice(0, dated.length - recentCount).map(item => item.review);
+    const recent = dated.slice(dated.length - recentCount).map(item => item.review);
+
+    result.earlier_average_rating = this.averageRating(earlier);
+    result.recent_average_rating = this.averageRating(recent);
+
+    if (result.earlier_average_rating !== null && result.recent_average_rating !== null) {
+      result.rating_change = Math.round((result.recent_average_rating - result.earlier_average_rating) * 100) / 100;
+    }
+
+    // Aspect direction: share of positive mentions, only for aspects mentioned at least twice on both sides
+    const earlierAspects = this.countAspectSentiment(earlier);
+    const recentAspects = this.countAspectSentiment(recent);
+    Object.keys(REVIEW_ASPECT_KEYWORDS).forEach(aspect => {
+      const before = earlierAspects[aspect];
+      const after = recentAspects[aspect];
+      const beforeMentions = before.positive + before.negative;
+      const afterMentions = after.positive + after.negative;
+      if (beforeMentions < 2 || afterMentions < 2) return;
+
+      const change = after.positive / afterMentions - before.positive / beforeMentions;
+      if (change <= -0.3) result.declining_aspects.push(aspect);
+      if (change >= 0.3) result.improving_aspects.push(aspect);
+    });
+
+    if (result.rating_change <= -0.3 || (result.rating_change < 0 && result.declining_aspects.length > 0)) {
+      result.trend = 'declining';
+    } else if (result.rating_change >= 0.3 || (result.rating_change > 0 && result.improving_aspects.length > 0)) {
+      result.trend = 'improving';
+    } else {
+      result.trend = 'stable';
+    }
+
+    console.log(`TravanaSpot: Trend analysis: ${result.trend} (${result.earlier_average_rating} → ${result.recent_average_rating}, ${result.buckets.length} ${result.granularity} buckets)`);
+
+    return result;
+  }
+
+  // Average star rating of reviews that have one (null if none do)
+  averageRating(reviews) {
+    const rated = reviews.filter(review => review.rating && review.rating > 0);
+    if (rated.length === 0) return null;
+
+    const total = rated.reduce((sum, review) => sum + review.rating, 0);
+    return Math.round((total / rated.length) * 100) / 100;
+  }
+
+  // Count positive/negative mentions of each aspect (star rating decides sentiment when present)
+  countAspectSentiment(reviews) {
+    const counts = {};
+    Object.keys(REVIEW_ASPECT_KEYWORDS).forEach(aspect => {
+      counts[aspect] = { positive: 0, negative: 0 };
+    });
+
+    reviews.forEach(review => {
+      const text = (review.text || review.comments || '');
+      const language = this.detectLanguage(text);
+
+      let sentiment;
+      if (review.rating >= 4) sentiment = 'positive';
+      else if (review.rating > 0 && review.rating <= 2) sentiment = 'negative';
+      else if (review.rating === 3) sentiment = null; // Mixed stay, don't count either way
+      else sentiment = this.detectSentiment(text, language);
+
+      if (!sentiment) return;
+
+      this.findAspects(text, language).forEach(aspect => {
+        counts[aspect][sentiment]++;
+      });
+    });
+
+    return counts;
+  }
+
   // Estimate token count (rough approximation: 1 token ≈ 4 characters)
   estimateTokens(text) {
     return Math.ceil(text.length / 4);
   }
 
+  // Tokens `text` takes up in a Prompt API session, counted by the provider's tokenizer
+  // (estimateTokens when the provider can't count)
+  async countTokens(text, session = this.languageModelSession) {
+    if (typeof this.provider.countTokens !== 'function') {
+      return this.estimateTokens(text);
+    }
+
+    try {
+      return await this.provider.countTokens(text, session);
+    } catch (error) {
+      console.warn('TravanaSpot: Token count failed, estimating instead:', error.message);
+      return this.estimateTokens(text);
+    }
+  }
+
   // Create optimized chunks based on Summarizer API token limits
   // Based on Chrome's scale-summarization best practices:
   // - Recommended: ~750 tokens per chunk for optimal quality
@@ -994,7 +1809,7 @@ ${reviewSample}`;
       );
       return await this.summarizerSession.summarize(combinedText, {
         context,
-        outputLanguage: 'en'
+        outputLanguage: this.outputLanguage
       });
     }
 
@@ -1008,7 +1823,7 @@ ${reviewSample}`;
       try {
         const summary = await this.summarizerSession.summarize(chunkText, {
           context: `Level ${depth + 1} intermediate summary. ${context}`,
-          outputLanguage: 'en'
+          outputLanguage: this.outputLanguage
         });
         nextLevelSummaries.push(summary);
         console.log(`TravanaSpot: Level ${depth + 1} chunk ${i + 1}/${chunks.length} summarized`);
@@ -1021,8 +1836,36 @@ ${reviewSample}`;
     return await this.recursiveSummarize(nextLevelSummaries, context, depth + 1);
   }
 
-  // Analyze reviews using Summarizer API with optimized chunking
-  async analyzeReviews(reviews, userQuestion = null) {
+  /**
+   * Report a partial analysis to the caller without letting a rendering error stop the run
+   *
+   * progress: { stage: 'summarizing' | 'extracting', completed, total } (chunks of that stage)
+   */
+  reportAnalysisProgress(onProgress, analysis, progress) {
+    if (!onProgress) return;
+
+    try {
+      onProgress({ ...analysis, is_partial: true, progress });
+    } catch (error) {
+      console.warn('TravanaSpot: Progress callback failed:', error.message);
+    }
+  }
+
+  /**
+   * Analyze reviews using Summarizer API with optimized chunking
+   *
+   * Options:
+   * - reviewLimit: how many reviews to analyze (number or Infinity, default 100)
+   * - onProgress(partialAnalysis): called after every Summarizer and Prompt API chunk with
+   *   the analysis so far (is_partial: true, progress); the resolved value is the final one
+   * - categoryRatings: Airbnb's category scores, cross-checked against keyword_analysis
+   * - language: page language of the listing ('de', 'es', ...); summaries and pros/cons are
+   *   written in it, or in English when the Summarizer can't
+   * - translateSnippets: translate quoted snippets and pros/cons written in other languages
+   *   into the output language (needs provider.translate; see attachReviewLanguages)
+   * - siteName: site the reviews are from ("Vrbo", "Booking.com"), named in the Summarizer contexts
+   */
+  async analyzeReviews(reviews, userQuestion = null, { reviewLimit = 100, onProgress = null, categoryRatings = null, language = DEFAULT_OUTPUT_LANGUAGE, translateSnippets = false, siteName = DEFAULT_REVIEW_SITE_NAME } = {}) {
     if (!reviews || reviews.length === 0) {
       throw new Error('No reviews to analyze');
     }
@@ -1032,22 +1875,29 @@ ${reviewSample}`;
     }
 
     this.isAnalyzing = true;
+    this.outputLanguage = language || DEFAULT_OUTPUT_LANGUAGE;
+    this.siteName = siteName || DEFAULT_REVIEW_SITE_NAME;
+
+    // Also used by the fallback paths below
+    const reviewsToAnalyze = Number.isFinite(reviewLimit) ? reviews.slice(0, reviewLimit) : reviews;
+
+    // Per-review languages go into the prompts and language_distribution
+    const reviewLanguages = reviewsToAnalyze.map(review => this.detectLanguage(review.text || review.comments || ''));
+    this.reviewLanguages = [...new Set(reviewLanguages)];
 
     try {
       console.log('TravanaSpot: Starting review analysis with Summarizer API...');
-      console.log('TravanaSpot: Total reviews received:', reviews.length);
-
-      // Limit to 100 reviews max
-      const reviewsToAnalyze = reviews.slice(0, 100);
+      console.log(`TravanaSpot: Total reviews received: ${reviews.length}, analyzing ${reviewsToAnalyze.length}`);
 
       // Truncate each review to max length (500 chars) but KEEP the rating field
       const truncatedReviews = reviewsToAnalyze
-        .map((review) => {
+        .map((review, index) => {
           const text = (review.text || review.comments || '').trim();
           return {
             text: this.truncateReview(text),
             rating: review.rating || 0,
-            name: review.name || 'Anonymous'
+            name: review.name || 'Anonymous',
+            language: reviewLanguages[index]
           };
         })
         .filter((review) => review.text.length > 10);
@@ -1086,6 +1936,7 @@ ${reviewSample}`;
 
       // Level 1: Summarize each chunk
       const chunkSummaries = [];
+      let summarizedReviewCount = 0;
       for (let i = 0; i < chunks.length; i++) {
         const chunkText = chunks[i].join('\n---\n');
         const chunkTokens = this.estimateTokens(chunkText);
@@ -1095,8 +1946,8 @@ ${reviewSample}`;
         try {
           const summary = await this.summarizerSession.summarize(chunkText, {
             context:
-              'These are Airbnb guest reviews. Extract key points about guest experiences, including specific pros, cons, and overall sentiment.',
-            outputLanguage: 'en'
+              `These are ${this.siteName} guest reviews. Extract key points about guest experiences, including specific pros, cons, and overall sentiment.`,
+            outputLanguage: this.outputLanguage
           });
 
           chunkSummaries.push(summary);
@@ -1107,6 +1958,16 @@ ${reviewSample}`;
           console.error(`TravanaSpot: Error summarizing chunk ${i + 1}:`, error);
           // Continue with other chunks even if one fails
         }
+
+        // Show the chunk summaries so far while the rest are processed
+        summarizedReviewCount += chunks[i].length;
+        if (chunkSummaries.length > 0) {
+          this.reportAnalysisProgress(
+            onProgress,
+            this.parseSummaryToStructure(chunkSummaries.join(' '), summarizedReviewCount, truncatedReviews.slice(0, summarizedReviewCount)),
+            { stage: 'summarizing', completed: i + 1, total: chunks.length }
+          );
+        }
       }
 
       if (chunkSummaries.length === 0) {
@@ -1121,7 +1982,7 @@ ${reviewSample}`;
 
       const finalSummary = await this.recursiveSummarize(
         chunkSummaries,
-        'These are summaries of Airbnb guest reviews. Create a comprehensive final summary covering all key points, pros, cons, and overall guest sentiment.'
+        `These are summaries of ${this.siteName} guest reviews. Create a comprehensive final summary covering all key points, pros, cons, and overall guest sentiment.`
       );
 
       console.log('TravanaSpot: Final summary created:', finalSummary.substring(0, 200) + '...');
@@ -1131,10 +1992,6 @@ ${reviewSample}`;
       console.log('TravanaSpot: Preparing fresh Prompt API session for structured data extraction...');
       await this.cloneLanguageModelSession();
 
-      // Now use Prompt API to extract structured keyword analysis and pros/cons
-      console.log('TravanaSpot: Extracting structured data using Prompt API...');
-      const structuredData = await this.extractStructuredData(truncatedReviews, finalSummary);
-
       // Combine summarizer results with structured data from Prompt API
       const baseParsed = this.parseSummaryToStructure(
         finalSummary,
@@ -1142,6 +1999,18 @@ ${reviewSample}`;
         truncatedReviews
       );
 
+      // Now use Prompt API to extract structured keyword analysis and pros/cons
+      console.log('TravanaSpot: Extracting structured data using Prompt API...');
+      // Chunks are joined as text, so pass review strings (not the {text, rating, name} objects)
+      const structuredData = await this.extractStructuredData(truncatedReviews.map((r) => r.text), finalSummary, {
+        onChunk: (merged, progress) => this.reportAnalysisProgress(onProgress, {
+          ...baseParsed,
+          ...(merged || {}),
+          pros_and_cons: merged?.pros_and_cons || baseParsed.pros_and_cons,
+          guest_insights: merged?.guest_insights || baseParsed.guest_insights
+        }, { stage: 'extracting', ...progress })
+      });
+
       console.log('TravanaSpot: Structured data from Prompt API:', {
         hasKeywordAnalysis: !!structuredData.keyword_analysis,
         keywordCount: structuredData.keyword_analysis?.length || 0,
@@ -1156,8 +2025,13 @@ ${reviewSample}`;
         // Use Prompt API guest_insights if available, otherwise use parsed ones
         guest_insights: structuredData.guest_insights || baseParsed.guest_insights,
         // Include error reason if there was one
-        keyword_analysis_error: structuredData._errorReason || null
+        keyword_analysis_error: structuredData._errorReason || null,
+        trend_analysis: this.analyzeReviewTrends(reviewsToAnalyze),
+        host_behaviour: this.analyzeHostBehaviour(reviewsToAnalyze)
       };
+      this.attachReviewReliability(structuredAnalysis, reviewsToAnalyze);
+      this.attachCategoryCrossCheck(structuredAnalysis, categoryRatings);
+      await this.attachReviewLanguages(structuredAnalysis, reviewLanguages, { translateSnippets });
 
       console.log('TravanaSpot: Final structured analysis:', {
         keywordAnalysisCount: structuredAnalysis.keyword_analysis?.length || 0,
@@ -1198,7 +2072,7 @@ ${reviewSample}`;
         console.log('TravanaSpot: Processing with Prompt API for structured data extraction...');
 
         try {
-          const truncatedReviews = reviews.slice(0, 100).map(review => {
+          const truncatedReviews = reviewsToAnalyze.map(review => {
             const text = (review.text || review.comments || '').trim();
             return this.truncateReview(text);
           }).filter(text => text.length > 10);
@@ -1210,16 +2084,21 @@ ${reviewSample}`;
           await this.cloneLanguageModelSession();
           console.log('TravanaSpot: ✅ Prompt API session ready');
 
-          // Extract structured data using chunks
-          console.log('TravanaSpot: Extracting structured data from reviews...');
-          const structuredData = await this.extractStructuredData(truncatedReviews, '');
-          console.log('TravanaSpot: ✅ Structured data extracted');
-
           // Use fallback for summary and sentiment (no Summarizer available)
           console.log('TravanaSpot: Generating fallback summary...');
-          const fallback = this.fallbackReviewAnalysis(reviews.slice(0, 100));
+          const fallback = this.fallbackReviewAnalysis(reviewsToAnalyze);
           console.log('TravanaSpot: ✅ Fallback summary generated');
 
+          // Extract structured data using chunks
+          console.log('TravanaSpot: Extracting structured data from reviews...');
+          const structuredData = await this.extractStructuredData(truncatedReviews, '', {
+            onChunk: (merged, progress) => this.reportAnalysisProgress(onProgress, {
+              ...fallback,
+              ...(merged || {})
+            }, { stage: 'extracting', ...progress })
+          });
+          console.log('TravanaSpot: ✅ Structured data extracted');
+
           // Combine Prompt API keyword_analysis with fallback summary/sentiment
           const result = {
             ...fallback,
@@ -1231,24 +2110,27 @@ ${reviewSample}`;
           };
 
           console.log('TravanaSpot: ✅ Analysis completed successfully using Prompt API fallback');
-          return result;
+          this.attachCategoryCrossCheck(result, categoryRatings);
+          return this.attachReviewLanguages(result, reviewLanguages, { translateSnippets });
 
         } catch (promptError) {
           console.error('TravanaSpot: ❌ Prompt API also failed:', promptError);
           console.error('TravanaSpot: Error details:', promptError.message, promptError.stack);
           console.log('TravanaSpot: Using complete fallback (basic keyword detection)');
           // Both APIs failed, use complete fallback
-          const fallbackResult = this.fallbackReviewAnalysis(reviews.slice(0, 100));
+          const fallbackResult = this.fallbackReviewAnalysis(reviewsToAnalyze);
           fallbackResult.message = '⚠️ Using basic analysis (both AI APIs unavailable)';
-          return fallbackResult;
+          this.attachCategoryCrossCheck(fallbackResult, categoryRatings);
+          return this.attachReviewLanguages(fallbackResult, reviewLanguages, { translateSnippets });
         }
       }
 
       // For any other errors, return fallback analysis
       console.log('TravanaSpot: Using fallback analysis due to unexpected error');
-      const fallbackResult = this.fallbackReviewAnalysis(reviews.slice(0, 100));
+      const fallbackResult = this.fallbackReviewAnalysis(reviewsToAnalyze);
       fallbackResult.message = '⚠️ Using basic analysis (error occurred)';
-      return fallbackResult;
+      this.attachCategoryCrossCheck(fallbackResult, categoryRatings);
+      return this.attachReviewLanguages(fallbackResult, reviewLanguages, { translateSnippets });
     }
   }
 
@@ -1691,49 +2573,126 @@ ${reviewSample}`;
    * Ask a question about reviews using Language Model (Prompt API)
    *
    * IMPROVED LOGIC:
-   * 1. Build/use in-memory JSON cache of 100 reviews (truncated to 500 chars each)
-   * 2. Search sequentially through reviews in batches of 10
-   * 3. Stop when answer is found OR all reviews searched
+   * 1. Build/use in-memory JSON cache of ALL reviews (truncated to 500 chars each)
+   * 2. Rank reviews against the question (BM25, plus embeddings when the provider has
+   *    embed()) and search only the top QUESTION_RETRIEVAL_LIMIT, in batches of 10, each
+   *    review labelled with its cache ID. Questions that match no review lexically fall
+   *    back to reading every review
+   * 3. mode 'first-match': stop when answer is found OR all reviews searched
+   *    mode 'map-reduce': read EVERY review (best matches first, not just the top
+   *    QUESTION_RETRIEVAL_LIMIT), collect a partial answer from each batch, then merge
+   *    them in a final prompt that sorts the cited reviews into agreeing/disagreeing
    * 4. Anti-hallucination: Explicitly instruct to say "not mentioned" if no answer
    * 5. Destroy session after use to free browser resources
+   *
+   * Returns { answer, found, citations: [{ id, text }] }. Citations are the cache
+   * reviews the model said support the answer (IDs outside the batch are dropped),
+   * so the side panel can link each one back to its review card. In map-reduce mode
+   * each citation also has a stance ('supports' | 'contradicts') and the result has
+   * agreement: { supporting, contradicting } review counts.
+   *
+   * siteName: site the reviews are from ("Vrbo", "Booking.com"), named in the system prompt
    */
-  async askQuestion(reviews, question, contextData = {}) {
+  async askQuestion(reviews, question, contextData = {}, { mode = 'first-match', siteName = DEFAULT_REVIEW_SITE_NAME } = {}) {
     if (!reviews || reviews.length === 0) {
-      return 'No reviews available to answer your question.';
+      return this.createQuestionResult('No reviews available to answer your question.');
     }
 
     try {
-      console.log('TravanaSpot: Answering question with Prompt API:', question);
+      console.log(`TravanaSpot: Answering question with Prompt API (${mode}):`, question);
+      this.siteName = siteName || DEFAULT_REVIEW_SITE_NAME;
 
-      // Build or use existing review cache
-      if (!this.reviewCache) {
+      // Build or use existing review cache (rebuilt when the review set changes)
+      if (!this.reviewCache || this.reviewCache.source !== reviews) {
         this.buildReviewCache(reviews);
       }
 
-      const totalReviews = this.reviewCache.reviews.length;
-      const batchSize = 10; // Search 10 reviews at a time
-      let answerFound = false;
-      let finalAnswer = null;
-
-      console.log(`TravanaSpot: Searching through ${totalReviews} cached reviews in batches of ${batchSize}`);
-
       // Initialize Language Model session ONCE for all batches
       this.languageModelSession = await this.initLanguageModelSession();
 
-      // Sequential search through all reviews in batches
-      for (let startIndex = 0; startIndex < totalReviews; startIndex += batchSize) {
-        const batchNumber = Math.floor(startIndex / batchSize) + 1;
-        const totalBatches = Math.ceil(totalReviews / batchSize);
+      const finalResult = mode === 'map-reduce'
+        ? await this.answerFromAllBatches(question)
+        : await this.answerFromFirstMatchingBatch(question);
+
+      // Destroy session to free resources
+      if (this.languageModelSession) {
+        console.log('TravanaSpot: Destroying Prompt API session to free resources...');
+        await this.languageModelSession.destroy();
+        this.languageModelSession = null;
+      }
+
+      // Return final result
+      if (finalResult) {
+        return finalResult;
+      } else {
+        return this.createQuestionResult('Sorry, this information is not mentioned in the reviews. The guests did not discuss this topic in their feedback.');
+      }
+
+    } catch (error) {
+      console.error('TravanaSpot: Question answering failed:', error);
+
+      // Clean up session on error
+      if (this.languageModelSession) {
+        try {
+          await this.languageModelSession.destroy();
+          this.languageModelSession = null;
+        } catch (destroyError) {
+          console.error('TravanaSpot: Error destroying session:', destroyError);
+        }
+      }
 
-        const reviewBatch = this.reviewCache.reviews.slice(startIndex, startIndex + batchSize);
-        const reviewTexts = reviewBatch.map(r => r.text).join('\n---\n');
+      return {
+        ...this.createQuestionResult(`Sorry, I encountered an error: ${error.message}. Please make sure you have enabled the Prompt API in Chrome.`),
+        error: error.message
+      };
+    }
+  }
 
-        console.log(`TravanaSpot: Searching batch ${batchNumber}/${totalBatches} (reviews ${startIndex + 1}-${startIndex + reviewBatch.length})`);
+  // Most relevant cached reviews for a question (every review if none matches)
+  // everyReview: rank without a limit and put the reviews that don't match after the ranked ones
+  async retrieveReviewsForQuestion(question, { everyReview = false } = {}) {
+    const embed = typeof this.provider.embed === 'function'
+      ? texts => this.provider.embed(texts)
+      : null;
+
+    const limit = everyReview ? this.reviewCache.reviews.length : QUESTION_RETRIEVAL_LIMIT;
+    const ranked = this.reviewCache.index
+      ? await this.reviewCache.index.rank(question, { limit, embed })
+      : [];
+
+    if (ranked.length === 0) {
+      console.log(`TravanaSpot: No review matches the question, searching all ${this.reviewCache.reviews.length} reviews`);
+      return this.reviewCache.reviews;
+    }
 
-        // Enhanced prompt with better question understanding
-        const prompt = `QUESTION: "${question}"
+    console.log(`TravanaSpot: Retrieved ${ranked.length}/${this.reviewCache.reviews.length} relevant reviews${embed ? ' (BM25 + embeddings)' : ' (BM25)'}`);
+    const byId = new Map(this.reviewCache.reviews.map(r => [r.id, r]));
+    const relevant = ranked.map(entry => byId.get(entry.id));
+    if (!everyReview) {
+      return relevant;
+    }
+
+    const rankedIds = new Set(ranked.map(entry => entry.id));
+    return [...relevant, ...this.reviewCache.reviews.filter(r => !rankedIds.has(r.id))];
+  }
+
+  async getQuestionBatches(question, { everyReview = false } = {}) {
+    const reviews = await this.retrieveReviewsForQuestion(question, { everyReview });
+
+    const batches = [];
+    for (let startIndex = 0; startIndex < reviews.length; startIndex += QUESTION_BATCH_SIZE) {
+      batches.push(reviews.slice(startIndex, startIndex + QUESTION_BATCH_SIZE));
+    }
+    return batches;
+  }
+
+  // Prompt for one batch; partial=true asks for both sides of the evidence (map step)
+  buildQuestionBatchPrompt(question, reviewBatch, { partial = false } = {}) {
+    const reviewTexts = reviewBatch.map(r => `[Review ${r.id}] ${r.text}`).join('\n---\n');
 
-REVIEWS FROM GUESTS:
+    return `QUESTION: "${question}"
+
+REVIEWS FROM GUESTS (each starts with its ID, e.g. [Review 12]):
 ${reviewTexts}
 
 CRITICAL INSTRUCTIONS:
@@ -1742,65 +2701,240 @@ CRITICAL INSTRUCTIONS:
 3. If asking about "food nearby" → Mention SPECIFIC food types (Italian, Mexican, BBQ, etc.), not just "restaurants"
 4. If asking about "things to do AROUND" → Focus on NEIGHBORHOOD attractions/activities
 5. ONLY use information actually in these reviews
-6. If answer NOT found, say: "NOT_FOUND_IN_THIS_BATCH"
-7. NO review number citations
-8. Answer the EXACT question asked, not something similar
+6. If answer NOT found, set "found" to false and leave "review_ids" empty
+7. Put the IDs of EVERY review your answer relies on in "review_ids" (numbers only); do NOT write IDs in the answer text
+8. Answer the EXACT question asked, not something similar${partial ? `
+9. These are only SOME of the reviews: report what they say, including guests who disagree with each other` : ''}
+
+Respond with JSON: {"found": true, "answer": "...", "review_ids": [3, 7]}`;
+  }
 
-Your answer:`;
+  // Send one batch prompt; { skipped: true } when it doesn't fit, else { result } (null = not found)
+  async promptQuestionBatch(prompt, reviewBatch, label) {
+    const promptTokens = await this.countTokens(prompt);
+    const availableTokens = this.languageModelSession.maxTokens - this.languageModelSession.tokensSoFar;
 
-        // Check token availability
-        const promptTokens = this.estimateTokens(prompt);
-        const availableTokens = this.languageModelSession.maxTokens - this.languageModelSession.tokensSoFar;
+    if (promptTokens > availableTokens) {
+      console.warn(`TravanaSpot: Insufficient tokens for ${label} (need ~${promptTokens}, have ${availableTokens})`);
+      return { skipped: true };
+    }
 
-        if (promptTokens > availableTokens) {
-          console.warn(`TravanaSpot: Insufficient tokens for batch ${batchNumber}, stopping search`);
-          break;
+    const response = await this.languageModelSession.prompt(prompt, {
+      responseConstraint: QUESTION_ANSWER_SCHEMA,
+      omitResponseConstraintInput: true
+    });
+    console.log(`TravanaSpot: ${label} response:`, response.substring(0, 100) + '...');
+
+    return { result: this.parseQuestionResponse(response, reviewBatch) };
+  }
+
+  async answerFromFirstMatchingBatch(question) {
+    const batches = await this.getQuestionBatches(question);
+
+    for (let i = 0; i < batches.length; i++) {
+      const label = `batch ${i + 1}/${batches.length}`;
+      console.log(`TravanaSpot: Searching ${label}`);
+
+      const prompt = this.buildQuestionBatchPrompt(question, batches[i]);
+      const { skipped, result } = await this.promptQuestionBatch(prompt, batches[i], label);
+
+      if (skipped) {
+        break; // The shared session is full, later batches won't fit either
+      }
+
+      // Check if answer was found in this batch
+      if (result) {
+        console.log(`TravanaSpot: ✅ Answer found in ${label} (${result.citations.length} citations)!`);
+        return result; // Stop searching, we found the answer
+      }
+      console.log(`TravanaSpot: Answer not found in ${label}, continuing...`);
+    }
+
+    return null;
+  }
+
+  /**
+   * Map-reduce answering
+   *
+   * Map: every review is read, in batches of QUESTION_BATCH_SIZE, so the agreement counts
+   * cover the whole review set. Every batch gets a fresh (cloned) session and returns a partial answer with
+   * its review IDs. Reduce: one more prompt merges the partial answers and splits the
+   * cited IDs into reviews that agree or disagree with the merged answer, so counts
+   * like "12 guests mention street noise, 3 say it was quiet" come from real reviews.
+   */
+  async answerFromAllBatches(question) {
+    const batches = await this.getQuestionBatches(question, { everyReview: true });
+    const partialAnswers = [];
+    let lastError = null;
+    let failedBatches = 0;
+
+    for (let i = 0; i < batches.length; i++) {
+      const label = `map batch ${i + 1}/${batches.length}`;
+
+      try {
+        // Fresh context per batch so later batches aren't starved of tokens
+        if (i > 0) {
+          await this.cloneLanguageModelSession();
         }
 
-        // Query this batch
-        const response = await this.languageModelSession.prompt(prompt);
-        console.log(`TravanaSpot: Batch ${batchNumber} response:`, response.substring(0, 100) + '...');
+        const prompt = this.buildQuestionBatchPrompt(question, batches[i], { partial: true });
+        const { result } = await this.promptQuestionBatch(prompt, batches[i], label);
 
-        // Check if answer was found in this batch
-        if (!response.includes('NOT_FOUND_IN_THIS_BATCH')) {
-          console.log(`TravanaSpot: ✅ Answer found in batch ${batchNumber}!`);
-          finalAnswer = response;
-          answerFound = true;
-          break; // Stop searching, we found the answer
-        } else {
-          console.log(`TravanaSpot: Answer not found in batch ${batchNumber}, continuing...`);
+        if (result) {
+          partialAnswers.push(result);
         }
+      } catch (error) {
+        // One failed batch shouldn't cost the answer from the others
+        console.warn(`TravanaSpot: ${label} failed, skipping it:`, error.message);
+        lastError = error;
+        failedBatches++;
       }
+    }
 
-      // Destroy session to free resources
-      if (this.languageModelSession) {
-        console.log('TravanaSpot: Destroying Prompt API session to free resources...');
-        await this.languageModelSession.destroy();
-        this.languageModelSession = null;
+    console.log(`TravanaSpot: ${partialAnswers.length}/${batches.length} batches had something to say`);
+
+    if (failedBatches === batches.length && lastError) {
+      throw lastError;
+    }
+
+    if (partialAnswers.length === 0) {
+      return null;
+    }
+
+    const citedById = new Map();
+    partialAnswers.forEach(partial => partial.citations.forEach(c => citedById.set(c.id, c)));
+
+    try {
+      await this.cloneLanguageModelSession();
+      return await this.reduceQuestionAnswers(question, partialAnswers, citedById);
+    } catch (error) {
+      console.warn('TravanaSpot: Reduce step failed, joining partial answers:', error.message);
+      return this.joinPartialAnswers(partialAnswers, citedById);
+    }
+  }
+
+  async reduceQuestionAnswers(question, partialAnswers, citedById) {
+    const findings = partialAnswers.map((partial, i) =>
+      `Finding ${i + 1} (from reviews ${partial.citations.map(c => c.id).join(', ') || 'none cited'}): ${partial.answer}`
+    ).join('\n');
+
+    const prompt = `QUESTION: "${question}"
+
+PARTIAL ANSWERS, each from a different group of guest reviews:
+${findings}
+
+INSTRUCTIONS:
+1. Merge the partial answers into ONE answer to the question
+2. Go with what MOST reviews say; mention the minority view if there is one
+3. State how many guests agree and disagree, e.g. "12 guests mention street noise, 3 say it was quiet"
+4. "supporting_ids": review IDs that back your answer; "contradicting_ids": review IDs that say the opposite
+5. Only use review IDs listed above
+
+Respond with JSON: {"answer": "...", "supporting_ids": [1, 4], "contradicting_ids": [9]}`;
+
+    const promptTokens = await this.countTokens(prompt);
+    const availableTokens = this.languageModelSession.maxTokens - this.languageModelSession.tokensSoFar;
+    if (promptTokens > availableTokens) {
+      throw new Error(`Insufficient tokens for reduce step: need ~${promptTokens}, have ${availableTokens}`);
+    }
+
+    const response = await this.languageModelSession.prompt(prompt, {
+      responseConstraint: QUESTION_REDUCE_SCHEMA,
+      omitResponseConstraintInput: true
+    });
+
+    let jsonText = response.trim();
+    if (jsonText.startsWith('```')) {
+      const match = jsonText.match(/```(?:json)?\s*([\s\S]*?)```/);
+      if (match && match[1]) {
+        jsonText = match[1].trim();
       }
+    }
 
-      // Return final result
-      if (answerFound && finalAnswer) {
-        return finalAnswer;
-      } else {
-        return 'Sorry, this information is not mentioned in the reviews. The guests did not discuss this topic in their feedback.';
+    const parsed = JSON.parse(jsonText);
+    const answer = typeof parsed.answer === 'string' ? parsed.answer.trim() : '';
+    if (!answer) {
+      throw new Error('Reduce step returned an empty answer');
+    }
+
+    // A review can't be on both sides; supporting wins
+    const supportingIds = this.pickCitedIds(parsed.supporting_ids, citedById);
+    const contradictingIds = this.pickCitedIds(parsed.contradicting_ids, citedById)
+      .filter(id => !supportingIds.includes(id));
+
+    const citations = [
+      ...supportingIds.map(id => ({ ...citedById.get(id), stance: 'supports' })),
+      ...contradictingIds.map(id => ({ ...citedById.get(id), stance: 'contradicts' }))
+    ];
+
+    return {
+      answer,
+      found: true,
+      citations,
+      agreement: { supporting: supportingIds.length, contradicting: contradictingIds.length }
+    };
+  }
+
+  // Fallback when the reduce prompt fails: every partial answer, all cited as supporting
+  joinPartialAnswers(partialAnswers, citedById) {
+    const citations = [...citedById.values()].map(c => ({ ...c, stance: 'supports' }));
+
+    return {
+      answer: partialAnswers.map(partial => partial.answer).join('\n\n'),
+      found: true,
+      citations,
+      agreement: { supporting: citations.length, contradicting: 0 }
+    };
+  }
+
+  pickCitedIds(ids, citedById) {
+    return [...new Set((Array.isArray(ids) ? ids : []).map(Number))].filter(id => citedById.has(id));
+  }
+
+  createQuestionResult(answer, citations = []) {
+    return { answer, found: citations.length > 0, citations };
+  }
+
+  /**
+   * Parse one batch's structured answer
+   *
+   * Returns null when the batch doesn't answer the question. Older models sometimes
+   * ignore the schema and reply in prose; that is kept as an uncited answer unless it
+   * is the legacy NOT_FOUND_IN_THIS_BATCH marker.
+   */
+  parseQuestionResponse(response, reviewBatch) {
+    let jsonText = (response || '').trim();
+    if (jsonText.startsWith('```')) {
+      const match = jsonText.match(/```(?:json)?\s*([\s\S]*?)```/);
+      if (match && match[1]) {
+        jsonText = match[1].trim();
       }
+    }
 
+    let parsed;
+    try {
+      parsed = JSON.parse(jsonText);
     } catch (error) {
-      console.error('TravanaSpot: Question answering failed:', error);
-
-      // Clean up session on error
-      if (this.languageModelSession) {
-        try {
-          await this.languageModelSession.destroy();
-          this.languageModelSession = null;
-        } catch (destroyError) {
-          console.error('TravanaSpot: Error destroying session:', destroyError);
-        }
+      if (!jsonText || jsonText.includes('NOT_FOUND_IN_THIS_BATCH')) {
+        return null;
       }
+      console.warn('TravanaSpot: Answer was not valid JSON, returning it without citations');
+      return { answer: jsonText, found: true, citations: [] };
+    }
 
-      return `Sorry, I encountered an error: ${error.message}. Please make sure you have enabled the Prompt API in Chrome.`;
+    const answer = typeof parsed.answer === 'string' ? parsed.answer.trim() : '';
+    if (!parsed.found || !answer || answer.includes('NOT_FOUND_IN_THIS_BATCH')) {
+      return null;
     }
+
+    // Only keep IDs the model was actually shown, once each, in the order given
+    const batchById = new Map(reviewBatch.map(r => [r.id, r]));
+    const citedIds = [...new Set((Array.isArray(parsed.review_ids) ? parsed.review_ids : []).map(Number))];
+    const citations = citedIds
+      .filter(id => batchById.has(id))
+      .map(id => ({ id, text: batchById.get(id).text }));
+
+    return { answer, found: true, citations };
   }
 
   // Generate summary using Summarizer API
@@ -1818,17 +2952,28 @@ Your answer:`;
     const positiveWords = ['great', 'excellent', 'amazing', 'perfect', 'love', 'wonderful', 'fantastic', 'clean', 'comfortable', 'beautiful'];
     const negativeWords = ['bad', 'terrible', 'awful', 'dirty', 'uncomfortable', 'noisy', 'poor', 'disappointing'];
 
+    // Reviews in other languages also count their own sentiment and aspect words
+    const Languages = TravanaSpotBrowserAI.getReviewLanguages();
+    const reviewLanguages = reviewTexts.map(text => this.detectLanguage(text));
+
     let positiveCount = 0;
     let negativeCount = 0;
 
-    reviewTexts.forEach(text => {
+    reviewTexts.forEach((text, index) => {
       const lowerText = text.toLowerCase();
+      const localWords = Languages.getSentimentWords(reviewLanguages[index]);
       positiveWords.forEach(word => {
         if (lowerText.includes(word)) positiveCount++;
       });
       negativeWords.forEach(word => {
         if (lowerText.includes(word)) negativeCount++;
       });
+      localWords.positive.forEach(word => {
+        if (Languages.hasKeyword(lowerText, word)) positiveCount++;
+      });
+      localWords.negative.forEach(word => {
+        if (Languages.hasKeyword(lowerText, word)) negativeCount++;
+      });
     });
 
     const total = positiveCount + negativeCount || 1;
@@ -1847,37 +2992,45 @@ Your answer:`;
       noiseLevels: { positive: 0, negative: 0 }
     };
 
-    reviewTexts.forEach(text => {
+    reviewTexts.forEach((text, index) => {
       const lowerText = text.toLowerCase();
+      const language = reviewLanguages[index];
+      const localWords = Languages.getSentimentWords(language);
+      const isPositive = positiveWords.some(w => lowerText.includes(w)) || localWords.positive.some(w => Languages.hasKeyword(lowerText, w));
+      const isNegative = negativeWords.some(w => lowerText.includes(w)) || localWords.negative.some(w => Languages.hasKeyword(lowerText, w));
+      const localAspects = language === DEFAULT_OUTPUT_LANGUAGE ? [] : this.findAspects(text, language);
 
-      if (lowerText.includes('clean') || lowerText.includes('tidy') || lowerText.includes('spotless')) {
-        if (positiveWords.some(w => lowerText.includes(w))) themes.cleanliness.positive++;
-        if (negativeWords.some(w => lowerText.includes(w))) themes.cleanliness.negative++;
+      if (lowerText.includes('clean') || lowerText.includes('tidy') || lowerText.includes('spotless') || localAspects.includes('Cleanliness')) {
+        if (isPositive) themes.cleanliness.positive++;
+        if (isNegative) themes.cleanliness.negative++;
       }
-      if (lowerText.includes('location') || lowerText.includes('area') || lowerText.includes('convenient')) {
-        if (positiveWords.some(w => lowerText.includes(w))) themes.location.positive++;
-        if (negativeWords.some(w => lowerText.includes(w))) themes.location.negative++;
+      if (lowerText.includes('location') || lowerText.includes('area') || lowerText.includes('convenient') || localAspects.includes('Location')) {
+        if (isPositive) themes.location.positive++;
+        if (isNegative) themes.location.negative++;
       }
-      if (lowerText.includes('host') || lowerText.includes('communication') || lowerText.includes('responsive')) {
-        if (positiveWords.some(w => lowerText.includes(w))) themes.host.positive++;
-        if (negativeWords.some(w => lowerText.includes(w))) themes.host.negative++;
+      if (lowerText.includes('host') || lowerText.includes('communication') || lowerText.includes('responsive') || localAspects.includes('HostCommunication')) {
+        if (isPositive) themes.host.positive++;
+        if (isNegative) themes.host.negative++;
       }
-      if (lowerText.includes('value') || lowerText.includes('price') || lowerText.includes('worth')) {
-        if (positiveWords.some(w => lowerText.includes(w))) themes.value.positive++;
-        if (negativeWords.some(w => lowerText.includes(w))) themes.value.negative++;
+      if (lowerText.includes('value') || lowerText.includes('price') || lowerText.includes('worth') || localAspects.includes('ValueForMoney')) {
+        if (isPositive) themes.value.positive++;
+        if (isNegative) themes.value.negative++;
       }
-      if (lowerText.includes('comfortable') || lowerText.includes('cozy') || lowerText.includes('bed')) {
-        if (positiveWords.some(w => lowerText.includes(w))) themes.comfort.positive++;
-        if (negativeWords.some(w => lowerText.includes(w))) themes.comfort.negative++;
+      if (lowerText.includes('comfortable') || lowerText.includes('cozy') || lowerText.includes('bed') || localAspects.includes('Comfort')) {
+        if (isPositive) themes.comfort.positive++;
+        if (isNegative) themes.comfort.negative++;
       }
-      if (lowerText.includes('amenities') || lowerText.includes('kitchen') || lowerText.includes('facilities')) {
-        if (positiveWords.some(w => lowerText.includes(w))) themes.amenities.positive++;
-        if (negativeWords.some(w => lowerText.includes(w))) themes.amenities.negative++;
+      if (lowerText.includes('amenities') || lowerText.includes('kitchen') || lowerText.includes('facilities') || localAspects.includes('Amenities')) {
+        if (isPositive) themes.amenities.positive++;
+        if (isNegative) themes.amenities.negative++;
       }
       if (lowerText.includes('noise') || lowerText.includes('noisy') || lowerText.includes('quiet') || lowerText.includes('loud') || lowerText.includes('peaceful')) {
         // For noise, "quiet" and "peaceful" are positive, "noisy" and "loud" are negative
         if (lowerText.includes('quiet') || lowerText.includes('peaceful')) themes.noiseLevels.positive++;
         if (lowerText.includes('noisy') || lowerText.includes('loud') || lowerText.includes('noise')) themes.noiseLevels.negative++;
+      } else if (localAspects.includes('NoiseLevels')) {
+        if (isPositive) themes.noiseLevels.positive++;
+        if (isNegative) themes.noiseLevels.negative++;
       }
     });
 
@@ -1961,7 +3114,7 @@ Your answer:`;
     if (themes.noiseLevels.negative > 1) improvements.push('Noise Levels');
     guest_insights.areas_for_improvement = improvements;
 
-    return {
+    const analysis = {
       success: true,
       analysis_type: 'basic_analysis',
       trust_score: Math.min(90, Math.max(50, positivePercentage + 10)),
@@ -1979,8 +3132,12 @@ Your answer:`;
       guest_insights: guest_insights,
       summary: `Based on analyzing ${reviews.length} guest reviews, this property demonstrates ${positivePercentage}% positive sentiment overall. ${actualPros.length > 0 ? 'Key strengths include: ' + actualPros.slice(0, 3).join(', ') + '. ' : ''}${actualCons.length > 0 ? 'Areas noted for potential improvement: ' + actualCons.slice(0, 3).join(', ') + '.' : ''} The property appears to ${positivePercentage >= 75 ? 'consistently meet guest expectations' : positivePercentage >= 50 ? 'generally satisfy most guests with some areas for enhancement' : 'have mixed reviews that potential guests should carefully consider'}.`,
       reviews_analyzed: reviews.length,
+      trend_analysis: this.analyzeReviewTrends(reviews),
+      host_behaviour: this.analyzeHostBehaviour(reviews),
       message: 'Basic analysis (Browser AI not available - showing real data only)'
     };
+
+    return this.attachReviewReliability(analysis, reviews);
   }
 
   // Cleanup sessions
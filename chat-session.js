@@ -0,0 +1,205 @@
+// TravanaSpot - Chat Session
+// Multi-turn memory for "Chat with Little Airby": keeps the question/answer turns of
+// one listing in chrome.storage.local and rewrites follow-ups ("what about for kids?")
+// into standalone questions before they are answered from the reviews
+
+// Structured output for the follow-up rewrite
+const CHAT_REWRITE_SCHEMA = {
+  type: 'object',
+  properties: {
+    question: { type: 'string' }
+  },
+  required: ['question']
+};
+
+/**
+ * Turns are stored in full; only the model's view of them is trimmed.
+ *
+ * - Turns whose answer failed are stored with failed: true so the panel still shows
+ *   them, but are never given to the model (an error message isn't an answer)
+ * - contextStart: index of the oldest turn still given to the model
+ * - Before each follow-up, a conversation session is created with the turns from
+ *   contextStart as user/assistant prompts. While its tokensSoFar is above
+ *   CONTEXT_TRIM_RATIO of maxTokens, the oldest turn is dropped and the session rebuilt
+ * - If creating the session fails (e.g. the turns alone exceed the context window), the
+ *   oldest turn is dropped and creation retried
+ * - The session is destroyed after each rewrite, like askQuestion does
+ */
+class ChatSession {
+  constructor(ai, listingId, storageArea = chrome.storage.local) {
+    this.ai = ai;
+    this.listingId = listingId;
+    this.storage = storageArea;
+    this.KEY_PREFIX = 'chat:';
+    this.CONTEXT_TRIM_RATIO = 0.7; // Leave the rest of the window for the rewrite prompt
+    this.turns = [];
+    this.contextStart = 0;
+    this.siteName = null; // Site of the listing ("Vrbo"), from the ask() options; the AI's own until then
+  }
+
+  getKey() {
+    return `${this.KEY_PREFIX}${this.listingId}`;
+  }
+
+  // Restore the stored conversation for this listing (no-op without a listing ID)
+  async load() {
+    if (!this.listingId) return this;
+
+    const key = this.getKey();
+    const result = await this.storage.get(key);
+    const stored = result[key];
+
+    this.turns = Array.isArray(stored?.turns) ? stored.turns : [];
+    this.contextStart = Math.min(stored?.contextStart || 0, this.turns.length);
+
+    console.log(`TravanaSpot: Restored ${this.turns.length} chat turns for listing ${this.listingId}`);
+    return this;
+  }
+
+  async save() {
+    if (!this.listingId) return;
+
+    await this.storage.set({
+      [this.getKey()]: {
+        listingId: this.listingId,
+        turns: this.turns,
+        contextStart: this.contextStart,
+        updatedAt: new Date().toISOString()
+      }
+    });
+  }
+
+  async clear() {
+    this.turns = [];
+    this.contextStart = 0;
+
+    if (this.listingId) {
+      await this.storage.remove(this.getKey());
+    }
+  }
+
+  // Answered turns the model still sees, as user/assistant prompts
+  getContextPrompts() {
+    return this.turns.slice(this.contextStart).filter(turn => !turn.failed).flatMap(turn => [
+      { role: 'user', content: turn.standaloneQuestion || turn.question },
+      { role: 'assistant', content: turn.answer }
+    ]);
+  }
+
+  async createConversationSession() {
+    return this.ai.provider.createLanguageModelSession({
+      initialPrompts: [
+        {
+          role: 'system',
+          content: `You are Little Airby, a friendly assistant helping travelers understand ${this.siteName || this.ai.siteName} reviews. The conversation so far follows.`
+        },
+        ...this.getContextPrompts()
+      ]
+    });
+  }
+
+  // Create the conversation session, dropping the oldest turns while creation is rejected
+  // (the latest turn is always kept; its failure is passed on)
+  async createFittingSession() {
+    for (;;) {
+      try {
+        return await this.createConversationSession();
+      } catch (error) {
+        if (this.contextStart >= this.turns.length - 1) throw error;
+
+        this.contextStart++;
+        console.log(`TravanaSpot: Chat context rejected (${error.message}), dropping turn ${this.contextStart}`);
+      }
+    }
+  }
+
+  /**
+   * Rewrite a follow-up into a question that makes sense on its own
+   *
+   * Returns the question unchanged for the first turn or when the rewrite fails.
+   */
+  async resolveFollowUp(question) {
+    if (this.getContextPrompts().length === 0) {
+      return question;
+    }
+
+    let session = null;
+    try {
+      session = await this.createFittingSession();
+
+      // Forget the oldest turns until the conversation fits comfortably
+      while (session.tokensSoFar > session.maxTokens * this.CONTEXT_TRIM_RATIO && this.contextStart < this.turns.length - 1) {
+        this.contextStart++;
+        console.log(`TravanaSpot: Chat context near the token limit, dropping turn ${this.contextStart}`);
+        session.destroy();
+        session = await this.createFittingSession();
+      }
+
+      const response = await session.prompt(`NEW QUESTION: "${question}"
+
+Rewrite the new question so it can be understood WITHOUT the conversation above:
+- Replace words like "it", "there", "that", "them" with what they refer to
+- Add the topic from earlier turns if the question only makes sense with it (e.g. "what about for kids?" → "Is the noise level a problem for kids?")
+- If it is already a complete question, return it unchanged
+- Do NOT answer it
+
+Respond with JSON: {"question": "..."}`, {
+        responseConstraint: CHAT_REWRITE_SCHEMA,
+        omitResponseConstraintInput: true
+      });
+
+      let jsonText = response.trim();
+      if (jsonText.startsWith('```')) {
+        const match = jsonText.match(/```(?:json)?\s*([\s\S]*?)```/);
+        if (match && match[1]) {
+          jsonText = match[1].trim();
+        }
+      }
+
+      const rewritten = JSON.parse(jsonText).question;
+      if (typeof rewritten === 'string' && rewritten.trim()) {
+        console.log(`TravanaSpot: Follow-up "${question}" resolved to "${rewritten.trim()}"`);
+        return rewritten.trim();
+      }
+      return question;
+    } catch (error) {
+      console.warn('TravanaSpot: Could not resolve follow-up, asking as is:', error.message);
+      return question;
+    } finally {
+      if (session) {
+        session.destroy();
+      }
+    }
+  }
+
+  /**
+   * Answer a question in the context of the conversation and remember the turn
+   *
+   * Returns the askQuestion result plus question and standaloneQuestion.
+   */
+  async ask(reviews, question, contextData = {}, options = {}) {
+    this.siteName = options.siteName || this.siteName;
+    const standaloneQuestion = await this.resolveFollowUp(question);
+    const result = await this.ai.askQuestion(reviews, standaloneQuestion, contextData, options);
+
+    const turn = {
+      question,
+      standaloneQuestion,
+      answer: result.answer,
+      citations: result.citations || [],
+      agreement: result.agreement || null,
+      ...(result.error ? { failed: true } : {}),
+      askedAt: new Date().toISOString()
+    };
+
+    this.turns.push(turn);
+    await this.save();
+
+    return { ...result, question, standaloneQuestion };
+  }
+}
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ChatSession;
+}
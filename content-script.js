@@ -1,10 +1,19 @@
-// TravanaSpot - Airbnb Listing Reviews Sentiment Analysis
-// Content script that extracts listing information and reviews for AI-powered sentiment analysis
+// TravanaSpot - Listing Reviews Sentiment Analysis
+// Content script that extracts listing information and reviews for AI-powered sentiment analysis.
+// Site-specific scraping lives in the site adapters (site-adapter.js); this file handles
+// messaging, the page button and the review collection loop.
 
 let buttonAdded = false;
 let observerActive = false;
 let mapModifierScriptInjected = false;
 let cachedReviews = null; // Cache for collected reviews
+const listingStorage = new ListingStorage(); // Persistent per-listing review store
+// Reads this page's listing and reviews: Airbnb, Vrbo or Booking.com (site-adapter.js);
+// picked again when the site navigates without a page load (see urlObserver)
+let siteAdapter = SiteAdapter.forPage(document, window.location);
+let lastReviewExtraction = null; // Strategies used by the latest extractReviewsFromDOM pass
+let lastCollectionTimedOut = false; // Latest collection stopped at its time limit, so its review set is partial
+const MAX_COLLECTION_ATTEMPTS_ALL = 200; // Scroll rounds when the review limit is "all"
 
 // Safe message sending function with retries
 function safeSendMessage(message, callback, retryCount = 0) {
@@ -72,7 +81,8 @@ function notifySidePanelReviewsReady(reviews) {
     attempts++;
     safeSendMessage({
       type: 'reviews_ready',
-      reviews: reviews
+      reviews: reviews,
+      extraction: lastReviewExtraction
     }, (response) => {
       if (chrome.runtime.lastError && attempts < maxAttempts) {
         console.log(`TravanaSpot: Retrying reviews_ready message (attempt ${attempts + 1}/${maxAttempts})...`);
@@ -86,133 +96,94 @@ function notifySidePanelReviewsReady(reviews) {
   trySend();
 }
 
-// Function to extract Airbnb listing information
-function extractAirbnbData() {
-  const data = {
-    title: '',
-    rating: '',
-    reviewCount: '',
-    price: '',
-    location: '',
-    host: '',
-    guests: '',
-    bedrooms: '',
-    beds: '',
-    baths: ''
-  };
-
-  try {
-    // Extract title - use more specific selectors
-    const titleElement = document.querySelector('h1[elementtiming="LCP-target"]');
-    if (titleElement && titleElement.textContent) {
-      data.title = titleElement.textContent.trim();
-    }
+// Persist collected reviews under the listing ID so the next panel open can skip re-scrolling
+function persistCollectedReviews(reviews) {
+  const listingId = siteAdapter.listingId;
+  if (!listingId || !reviews || reviews.length === 0) return;
 
-    // Extract rating and review count - use more conservative approach
-    const ratingElements = document.querySelectorAll('[data-testid*="rating"], [aria-label*="stars"]');
-    for (const element of ratingElements) {
-      try {
-        const text = element.textContent || element.getAttribute('aria-label') || '';
-        const ratingMatch = text.match(/(\d+\.?\d*)/);
-        if (ratingMatch && !data.rating) {
-          data.rating = ratingMatch[1];
-        }
-        
-        const reviewMatch = text.match(/(\d+)\s*reviews?/i);
-        if (reviewMatch && !data.reviewCount) {
-          data.reviewCount = reviewMatch[1];
-        }
-      } catch (e) {
-        // Skip this element if there's an error
-      }
-    }
+  const pageReviewCount = getPageReviewCount();
+  listingStorage.getReviewLimit()
+    .then(reviewLimit => listingStorage.saveReviews(listingId, reviews, { pageReviewCount, reviewLimit }))
+    .catch(error => {
+      console.error('TravanaSpot: Failed to store reviews:', error);
+    });
+}
 
-    // Extract price - look for pricing information
-    const priceElement = document.querySelector('[data-testid="price"]');
-    if (priceElement && priceElement.textContent) {
-      data.price = priceElement.textContent.trim();
-    }
+// Total review count shown on the listing page ("1.204" on airbnb.de), or null when the page doesn't show one
+function getPageReviewCount() {
+  const count = parseInt(String(extractListingData().reviewCount || '').replace(/\D/g, ''), 10);
+  return Number.isFinite(count) && count > 0 ? count : null;
+}
 
-    // Extract location from the overview section
-    const locationElement = document.querySelector('[data-section-id="OVERVIEW_DEFAULT_V2"] h2');
-    if (locationElement && locationElement.textContent) {
-      data.location = locationElement.textContent.trim();
-    }
+/**
+ * Whether a stored review set can be served instead of collecting again
+ *
+ * - The page must show the same total the set was collected at (entries saved before the
+ *   total was recorded compare their own review count)
+ * - A set cut short by a lower review limit than the one in Settings now is collected again
+ */
+function storedReviewsAreCurrent(entry, reviewLimit) {
+  const pageCount = getPageReviewCount();
+  const storedCount = entry.pageReviewCount || entry.reviews.length;
+  if (pageCount && storedCount !== pageCount) {
+    console.log(`TravanaSpot: Page shows ${pageCount} reviews, stored set was collected at ${storedCount}; collecting again`);
+    return false;
+  }
 
-    // Extract capacity information from the overview list
-    const capacityList = document.querySelector('.lgx66tx');
-    if (capacityList) {
-      try {
-        const capacityItems = capacityList.querySelectorAll('li');
-        capacityItems.forEach(item => {
-          try {
-            const text = item.textContent.toLowerCase();
-            if (text.includes('guest')) {
-              data.guests = item.textContent.trim();
-            } else if (text.includes('bedroom')) {
-              data.bedrooms = item.textContent.trim();
-            } else if (text.includes('bed') && !text.includes('bedroom')) {
-              data.beds = item.textContent.trim();
-            } else if (text.includes('bath')) {
-              data.baths = item.textContent.trim();
-            }
-          } catch (e) {
-            // Skip this item if there's an error
-          }
-        });
-      } catch (e) {
-        // Skip capacity extraction if there's an error
-      }
-    }
+  const collectedLimit = entry.reviewLimit ? ListingStorage.parseReviewLimit(entry.reviewLimit) : entry.reviews.length;
+  if (collectedLimit < reviewLimit && entry.reviews.length < Math.min(reviewLimit, pageCount || Infinity)) {
+    console.log(`TravanaSpot: Stored set has ${entry.reviews.length} reviews, review limit is now ${reviewLimit}; collecting again`);
+    return false;
+  }
 
-    // Extract host information if available
-    const hostElement = document.querySelector('[data-testid="host"]');
-    if (hostElement && hostElement.textContent) {
-      data.host = hostElement.textContent.trim();
-    }
+  return true;
+}
 
-  } catch (error) {
-    console.error('Error extracting Airbnb data:', error);
-  }
+// Listing details from the site adapter
+function extractListingData() {
+  return siteAdapter.extractListing();
+}
 
-  // Extract reviews (this will be handled asynchronously)
-  data.reviews = [];
-  
-  return data;
+/**
+ * Normalized reviews currently in the DOM (see site-adapter.js)
+ *
+ * Keeps the adapter's strategy report in lastReviewExtraction for the panel's health check.
+ */
+function extractReviewsFromDOM() {
+  const reviews = siteAdapter.extractReviews();
+  lastReviewExtraction = siteAdapter.lastExtraction;
+  return reviews;
 }
 
 // Extract reviews from the page asynchronously
-function extractReviewsAsync() {
+// (notifyPanel: false is used by background watchlist checks so they don't replace what the panel shows;
+// timeLimitMs stops scrolling early so their message is answered before Chrome gives up on it)
+function extractReviewsAsync({ notifyPanel = true, timeLimitMs = Infinity } = {}) {
   return new Promise((resolve) => {
     const reviews = [];
+    const deadline = Date.now() + timeLimitMs;
+    lastCollectionTimedOut = false;
     
     try {
       // Update button to show review collection status
       updateButtonStatus('Collecting Reviews...', '#ffa500');
       
-      // First, try to click the "Show all reviews" button to open the reviews modal
-      const showAllReviewsButton = Array.from(document.querySelectorAll('button')).find(button => {
-        try {
-          const text = button.textContent || '';
-          return text.includes('Show all') && text.includes('reviews');
-        } catch (e) {
-          return false;
-        }
-      });
-      
-      if (showAllReviewsButton) {
-        console.log('TravanaSpot: Found "Show all reviews" button, clicking...');
-        showAllReviewsButton.click();
+      // First, try to click the site's "Show all reviews" control to open the full review list
+      if (siteAdapter.openAllReviews()) {
+        console.log('TravanaSpot: Opened the full review list, waiting for it to load...');
         
         // Wait for the reviews modal/page to open and then scroll to collect reviews
         setTimeout(() => {
           collectReviewsWithScrolling().then(collectedReviews => {
             // Cache the collected reviews
             cachedReviews = collectedReviews;
+            if (!lastCollectionTimedOut) persistCollectedReviews(collectedReviews); // A partial set would replace the stored one
             console.log(`TravanaSpot: Cached ${collectedReviews.length} reviews for side panel`);
             
             // Notify side panel that reviews are ready
-            notifySidePanelReviewsReady(collectedReviews);
+            if (notifyPanel) {
+              notifySidePanelReviewsReady(collectedReviews);
+            }
             
             // Reset button after 3 seconds
             setTimeout(() => updateButtonStatus('TravanaSpot', '#ff385c'), 3000);
@@ -221,15 +192,18 @@ function extractReviewsAsync() {
         }, 3000); // Increased wait time
       } else {
         // Check if we're already on the reviews page
-        if (window.location.href.includes('/reviews')) {
+        if (siteAdapter.isReviewsPage()) {
           console.log('TravanaSpot: Already on reviews page, starting collection...');
           collectReviewsWithScrolling().then(collectedReviews => {
             // Cache the collected reviews
             cachedReviews = collectedReviews;
+            if (!lastCollectionTimedOut) persistCollectedReviews(collectedReviews);
             console.log(`TravanaSpot: Cached ${collectedReviews.length} reviews for side panel`);
             
             // Notify side panel that reviews are ready
-            notifySidePanelReviewsReady(collectedReviews);
+            if (notifyPanel) {
+              notifySidePanelReviewsReady(collectedReviews);
+            }
             
             // Reset button after 3 seconds
             setTimeout(() => updateButtonStatus('TravanaSpot', '#ff385c'), 3000);
@@ -241,7 +215,7 @@ function extractReviewsAsync() {
           cachedReviews = extractedReviews; // Cache even basic extractions
           
           // Notify side panel that reviews are ready
-          if (extractedReviews.length > 0) {
+          if (notifyPanel && extractedReviews.length > 0) {
             notifySidePanelReviewsReady(extractedReviews);
           }
           
@@ -252,14 +226,35 @@ function extractReviewsAsync() {
       
       async function collectReviewsWithScrolling() {
         const allReviews = [];
+        const seenReviews = new Set(); // name|text of collected reviews, for duplicate checks
         let attempts = 0;
-        const maxAttempts = 30; // Increased from 20
         let consecutiveNoNewReviews = 0;
+
+        // Review limit from Settings (100 / 250 / all); more reviews need more scroll rounds
+        const reviewLimit = await listingStorage.getReviewLimit();
+        const limitLabel = Number.isFinite(reviewLimit) ? reviewLimit : 'all';
+        const maxAttempts = Number.isFinite(reviewLimit)
+          ? Math.max(30, Math.ceil(reviewLimit / 3))
+          : MAX_COLLECTION_ATTEMPTS_ALL;
+
+        const addReview = review => {
+          const key = `${review.name}|${review.text}`;
+          if (!seenReviews.has(key) && review.name && review.text && allReviews.length < reviewLimit) {
+            seenReviews.add(key);
+            allReviews.push(review);
+          }
+        };
         
-        console.log('TravanaSpot: Starting enhanced review collection...');
+        console.log(`TravanaSpot: Starting enhanced review collection (limit: ${limitLabel}, up to ${maxAttempts} scroll rounds)...`);
         
-        // Increase threshold to 10 consecutive attempts to ensure we try harder to get 100 reviews
-        while (allReviews.length < 100 && attempts < maxAttempts && consecutiveNoNewReviews < 10) {
+        // Increase threshold to 10 consecutive attempts to ensure we try harder to reach the limit
+        while (allReviews.length < reviewLimit && attempts < maxAttempts && consecutiveNoNewReviews < 10) {
+          if (Date.now() >= deadline) {
+            console.log(`TravanaSpot: Collection time limit reached with ${allReviews.length} reviews`);
+            lastCollectionTimedOut = true;
+            break;
+          }
+
           attempts++;
           const previousCount = allReviews.length;
           
@@ -267,14 +262,7 @@ function extractReviewsAsync() {
           const currentReviews = extractReviewsFromDOM();
           
           // Add new reviews (avoid duplicates)
-          currentReviews.forEach(review => {
-            const isDuplicate = allReviews.some(existing => 
-              existing.name === review.name && existing.text === review.text
-            );
-            if (!isDuplicate && review.name && review.text) {
-              allReviews.push(review);
-            }
-          });
+          currentReviews.forEach(addReview);
           
           console.log(`TravanaSpot: Attempt ${attempts}: Found ${currentReviews.length} reviews visible, total collected: ${allReviews.length}`);
           
@@ -284,8 +272,8 @@ function extractReviewsAsync() {
           }
           
           // If we have enough reviews, stop
-          if (allReviews.length >= 100) {
-            console.log('TravanaSpot: Reached 100 reviews target');
+          if (allReviews.length >= reviewLimit) {
+            console.log(`TravanaSpot: Reached ${limitLabel} reviews target`);
             break;
           }
           
@@ -325,19 +313,18 @@ function extractReviewsAsync() {
             console.log(`TravanaSpot: Found new reviews! Resetting counter.`);
           }
           
-          // Enhanced scrolling strategy
-          let scrolled = false;
+          // Sites that page through reviews or hide them behind "More reviews" load the next batch first
+          let scrolled = await siteAdapter.loadMoreReviews();
           
-          // Strategy 1: Look for main content areas first
-          const mainContentSelectors = [
+          // Strategy 1: Look for the site's review list, then main content areas
+          const mainContentSelectors = scrolled ? [] : [
+            ...siteAdapter.getReviewScrollSelectors(),
             'main',
             '[role="main"]',
             '.main-content',
             '[data-testid="main-content"]',
             '#content',
-            '.content',
-            '[data-testid="reviews-section"]',
-            '[data-section-id="REVIEWS_DEFAULT"]'
+            '.content'
           ];
           
           for (const selector of mainContentSelectors) {
@@ -493,15 +480,16 @@ function extractReviewsAsync() {
             await new Promise(resolve => setTimeout(resolve, 2000));
           }
           
-          // Additional wait if we're close to 100 reviews to ensure we don't miss any
-          if (allReviews.length > 70 && allReviews.length < 100) {
-            console.log(`TravanaSpot: Close to 100 reviews (${allReviews.length}), adding extra wait time...`);
+          // Additional wait if we're close to the limit to ensure we don't miss any
+          if (allReviews.length > reviewLimit * 0.7 && allReviews.length < reviewLimit) {
+            console.log(`TravanaSpot: Close to ${limitLabel} reviews (${allReviews.length}), adding extra wait time...`);
             await new Promise(resolve => setTimeout(resolve, 1500));
           }
         }
         
-        // Final push: If we're between 50-99 reviews AND we haven't hit the limit, try more aggressive techniques
-        if (allReviews.length >= 50 && allReviews.length < 95) {
+        // Final push: If we have 50+ reviews but are still short of the limit, try more aggressive techniques
+        const finalPushTarget = reviewLimit * 0.95;
+        if (allReviews.length >= 50 && allReviews.length < finalPushTarget) {
           console.log(`TravanaSpot: Close to target (${allReviews.length}), making final aggressive push...`);
           
           // Try clicking "Show more" buttons if any exist
@@ -518,8 +506,8 @@ function extractReviewsAsync() {
             }
           }
           
-          // Final aggressive scrolling attempts - but stop if we have 95+ reviews
-          for (let finalAttempt = 0; finalAttempt < 8 && allReviews.length < 95; finalAttempt++) {
+          // Final aggressive scrolling attempts - but stop once we're within 5% of the limit
+          for (let finalAttempt = 0; finalAttempt < 8 && allReviews.length < finalPushTarget; finalAttempt++) {
             console.log(`TravanaSpot: Final push attempt ${finalAttempt + 1}/8`);
             
             // Try different scroll strategies
@@ -537,14 +525,7 @@ function extractReviewsAsync() {
             
             // Extract any new reviews
             const finalReviews = extractReviewsFromDOM();
-            finalReviews.forEach(review => {
-              const isDuplicate = allReviews.some(existing =>
-                existing.name === review.name && existing.text === review.text
-              );
-              if (!isDuplicate && review.name && review.text && allReviews.length < 95) {
-                allReviews.push(review);
-              }
-            });
+            finalReviews.forEach(addReview);
             
             console.log(`TravanaSpot: After final push ${finalAttempt + 1}: ${allReviews.length} reviews`);
             
@@ -564,11 +545,11 @@ function extractReviewsAsync() {
         console.log(`TravanaSpot: Review collection completed after ${attempts} attempts`);
         console.log(`TravanaSpot: Final review count: ${allReviews.length} reviews`);
         
-        // Log detailed summary if we collected fewer than 100 reviews
-        if (allReviews.length < 100 && allReviews.length > 0) {
-          console.log(`TravanaSpot: ⚠️ Only ${allReviews.length} reviews collected (target: 100)`);
+        // Log detailed summary if we collected fewer reviews than the limit
+        if (allReviews.length < reviewLimit && allReviews.length > 0) {
+          console.log(`TravanaSpot: ⚠️ Only ${allReviews.length} reviews collected (target: ${limitLabel})`);
           console.log('TravanaSpot: Possible reasons:');
-          console.log('  - The listing may have fewer than 100 total reviews');
+          console.log(`  - The listing may have fewer than ${limitLabel} total reviews`);
           console.log('  - Reviews may be loading dynamically and not all were captured');
           console.log('  - Some reviews might be hidden or require additional interaction');
           console.log(`  - Total scrolling attempts: ${attempts}`);
@@ -583,8 +564,8 @@ function extractReviewsAsync() {
               console.log(`TravanaSpot: Page indicates ${match[1]} total reviews available`);
             }
           });
-        } else if (allReviews.length >= 100) {
-          console.log('TravanaSpot: ✅ Successfully collected target of 100 reviews!');
+        } else if (allReviews.length >= reviewLimit) {
+          console.log(`TravanaSpot: ✅ Successfully collected target of ${limitLabel} reviews!`);
         }
         
         // Show success message with review count
@@ -605,45 +586,9 @@ function extractReviewsAsync() {
         // Try to close the reviews modal automatically after collection
         console.log('TravanaSpot: Attempting to close reviews modal...');
         try {
-          // Wait a moment for any final renders
-          await new Promise(resolve => setTimeout(resolve, 500));
-
-          // Try multiple strategies to find and click the close button
-          const closeSelectors = [
-            // Airbnb-specific close buttons
-            'button[aria-label="Close"]',
-            'button[aria-label="close"]',
-            '[data-testid="modal-container"] button[aria-label*="Close"]',
-            '[role="dialog"] button[aria-label*="Close"]',
-            // Generic close buttons
-            '[data-testid*="close-button"]',
-            'button[title="Close"]',
-            'button[title="close"]',
-            '.modal-close',
-            '.close-button',
-            '[aria-label*="Close modal"]'
-          ];
-
-          let modalClosed = false;
-          for (const selector of closeSelectors) {
-            const closeButtons = document.querySelectorAll(selector);
-            for (const closeButton of closeButtons) {
-              // Check if button is visible and clickable
-              if (closeButton.offsetParent !== null &&
-                  closeButton.getBoundingClientRect().width > 0 &&
-                  closeButton.getBoundingClientRect().height > 0) {
-                console.log(`TravanaSpot: Found close button with selector: ${selector}`);
-                closeButton.click();
-                console.log('TravanaSpot: ✅ Clicked close button - modal should close');
-                modalClosed = true;
-                await new Promise(resolve => setTimeout(resolve, 1000));
-                break;
-              }
-            }
-            if (modalClosed) break;
-          }
-
-          if (!modalClosed) {
+          if (await siteAdapter.closeReviews()) {
+            console.log('TravanaSpot: ✅ Clicked close button - modal should close');
+          } else {
             console.log('TravanaSpot: ⚠️ Could not find visible close button - modal may stay open');
             console.log('TravanaSpot: User can manually close the modal using the X button');
           }
@@ -651,193 +596,7 @@ function extractReviewsAsync() {
           console.log('TravanaSpot: Error attempting to close modal:', e);
         }
         
-        return allReviews.slice(0, 100); // Ensure we don't exceed 100
-      }
-      
-      function extractReviewsFromDOM() {
-        const reviews = [];
-
-        try {
-          // Look for review elements with the specific structure you provided
-          const reviewElements = document.querySelectorAll('[data-review-id]');
-
-          if (reviewElements.length > 0) {
-
-            // Use the specific review structure
-            reviewElements.forEach((element, index) => {
-              try {
-                // Stop if we already have 100 reviews
-                if (reviews.length >= 100) return;
-
-                const review = {};
-
-                // Extract reviewer name - try multiple selectors
-                let nameElement = element.querySelector('h2[elementtiming="LCP-target"]');
-                if (!nameElement) nameElement = element.querySelector('h2');
-                if (!nameElement) nameElement = element.querySelector('[class*="name"]');
-
-                if (nameElement && nameElement.textContent) {
-                  review.name = nameElement.textContent.trim();
-                }
-
-                // Extract location
-                const locationElement = element.querySelector('.s15w4qkt');
-                if (locationElement && locationElement.textContent) {
-                  review.location = locationElement.textContent.trim();
-                }
-
-                // Extract date and stay details
-                const dateElement = element.querySelector('.c5dn5hn');
-                if (dateElement && dateElement.textContent) {
-                  const dateText = dateElement.textContent.trim();
-                  // Extract just the date part (e.g., "June 2025")
-                  const dateMatch = dateText.match(/([A-Za-z]+ \d{4})/);
-                  if (dateMatch) {
-                    review.date = dateMatch[1];
-                  }
-                  review.stayDetails = dateText;
-                }
-
-                // Extract review text - try multiple selectors
-                let textElement = element.querySelector('.r1bctolv span');
-                if (!textElement) textElement = element.querySelector('span[class*="text"]');
-                if (!textElement) {
-                  // Try to find the longest span with actual text
-                  const spans = Array.from(element.querySelectorAll('span'));
-                  const textSpans = spans.filter(s => s.textContent && s.textContent.trim().length > 20);
-                  if (textSpans.length > 0) {
-                    textElement = textSpans.reduce((longest, current) =>
-                      current.textContent.length > longest.textContent.length ? current : longest
-                    );
-                  }
-                }
-
-                if (textElement && textElement.textContent) {
-                  review.text = textElement.textContent.trim();
-                }
-
-                // Extract rating from "Rating, X stars" text (most reliable)
-                let starCount = 0;
-
-                // Method 1: Look for "Rating, 4 stars" text in span elements
-                const ratingTextElements = element.querySelectorAll('span');
-                for (const span of ratingTextElements) {
-                  const text = span.textContent;
-                  if (text && text.includes('Rating,') && text.includes('star')) {
-                    // Extract number from "Rating, 4 stars" or "Rating, 5 stars"
-                    const match = text.match(/Rating,\s*(\d+)\s*star/);
-                    if (match) {
-                      starCount = parseInt(match[1]);
-                      break;
-                    }
-                  }
-                }
-
-                // Method 2: Count star SVGs (fallback)
-                if (starCount === 0) {
-                  const starSvgs = element.querySelectorAll('svg[viewBox="0 0 32 32"]');
-                  // Only count if reasonable number (1-5 stars)
-                  if (starSvgs.length > 0 && starSvgs.length <= 5) {
-                    starCount = starSvgs.length;
-                  }
-                }
-
-                // Method 3: Default to 5 stars if review exists but no rating found
-                // (Airbnb requires rating to post review, so if text exists, assume 5 stars)
-                if (starCount === 0 && review.text && review.text.length > 20) {
-                  starCount = 5;
-                }
-
-                if (starCount > 0) {
-                  review.rating = starCount;
-                  console.log(`TravanaSpot: Extracted ${starCount} stars for review by ${review.name || 'Anonymous'}`);
-                } else {
-                  console.warn(`TravanaSpot: No rating found for review by ${review.name || 'Anonymous'}`);
-                }
-
-                // Only add review if it has meaningful content AND we haven't reached 100
-                if (reviews.length < 100) {
-                  if (review.name && review.text) {
-                    reviews.push(review);
-                  } else if (review.text && review.text.length > 20) {
-                    // Even without a name, if there's substantial text, include it
-                    review.name = 'Anonymous';
-                    reviews.push(review);
-                  }
-                }
-              } catch (e) {
-                // Skip this review if there's an error
-                console.log('TravanaSpot: Error processing review:', e);
-              }
-            });
-
-            const reviewsWithRatings = reviews.filter(r => r.rating && r.rating > 0).length;
-            console.log(`TravanaSpot: Extracted ${reviews.length} reviews from DOM (${reviewsWithRatings} with ratings)`);
-
-            // Log first 3 reviews to debug rating extraction
-            if (reviews.length > 0) {
-              console.log('TravanaSpot: Sample reviews:', reviews.slice(0, 3).map(r => ({
-                name: r.name,
-                rating: r.rating,
-                textPreview: r.text?.substring(0, 50) + '...'
-              })));
-            }
-
-          } else {
-            // Fallback: look for any review-like elements with multiple selectors
-            const fallbackSelectors = [
-              '[data-testid*="review"]',
-              '[class*="review-item"]',
-              '[class*="review-card"]',
-              '[id*="review"]',
-              'article[role="article"]',
-              'div[role="article"]'
-            ];
-            
-            const allFallbackElements = new Set();
-            fallbackSelectors.forEach(selector => {
-              document.querySelectorAll(selector).forEach(el => allFallbackElements.add(el));
-            });
-            
-            Array.from(allFallbackElements).forEach((element, index) => {
-              try {
-                if (reviews.length >= 100) return; // Stop at 100 reviews
-                
-                const review = {};
-                
-                // Extract reviewer name
-                const nameElement = element.querySelector('h2, strong, b');
-                if (nameElement && nameElement.textContent) {
-                  review.name = nameElement.textContent.trim();
-                }
-                
-                // Extract review date
-                const dateElement = element.querySelector('time, [class*="date"]');
-                if (dateElement && dateElement.textContent) {
-                  review.date = dateElement.textContent.trim();
-                }
-                
-                // Extract review text
-                const textElement = element.querySelector('p, div[class*="text"], span[class*="text"]');
-                if (textElement && textElement.textContent) {
-                  review.text = textElement.textContent.trim();
-                }
-                
-                // Only add review if it has meaningful content
-                if (review.name || review.text) {
-                  reviews.push(review);
-                }
-              } catch (e) {
-                // Skip this review if there's an error
-                console.log('TravanaSpot: Error processing fallback review:', e);
-              }
-            });
-          }
-        } catch (e) {
-          console.log('TravanaSpot: Error extracting reviews from DOM:', e);
-        }
-        
-        return reviews;
+        return allReviews; // addReview never goes past the limit
       }
       
     } catch (error) {
@@ -914,12 +673,12 @@ function addTravanaSpotButton() {
       return;
     }
 
-    // Check if we're on an Airbnb room page or test page
-    const isAirbnbPage = window.location.href.includes('airbnb.com/rooms/');
+    // Check if we're on a supported listing page or test page
+    const isListingPage = SiteAdapter.isListingUrl(window.location.href);
     const isTestPage = window.location.href.includes('test-map-functionality.html');
     
-    if (!isAirbnbPage && !isTestPage) {
-      console.log('TravanaSpot: Not on Airbnb page, current URL:', window.location.href);
+    if (!isListingPage && !isTestPage) {
+      console.log('TravanaSpot: Not on a supported listing page, current URL:', window.location.href);
       return;
     }
 
@@ -949,10 +708,10 @@ function addTravanaSpotButton() {
           return;
         }
         
-        const airbnbData = extractAirbnbData();
+        const listingData = extractListingData();
         safeSendMessage({ 
           type: 'open_side_panel',
-          data: airbnbData
+          data: listingData
         });
       } catch (error) {
         console.error('TravanaSpot: Error in button click:', error);
@@ -992,7 +751,7 @@ let debounceTimer;
 function debouncedAddButton() {
   clearTimeout(debounceTimer);
   debounceTimer = setTimeout(() => {
-    if (window.location.href.includes('airbnb.com/rooms/') || 
+    if (SiteAdapter.isListingUrl(window.location.href) || 
         window.location.href.includes('test-map-functionality.html')) {
       addTravanaSpotButton();
     }
@@ -1018,10 +777,10 @@ setTimeout(addTravanaSpotButton, 8000);
 document.addEventListener('keydown', function(event) {
   if (event.ctrlKey && event.shiftKey && event.key === 'T') {
     console.log('TravanaSpot: Keyboard shortcut pressed, opening side panel...');
-    const airbnbData = extractAirbnbData();
+    const listingData = extractListingData();
     safeSendMessage({ 
       type: 'open_side_panel',
-      data: airbnbData
+      data: listingData
     });
   }
 });
@@ -1029,10 +788,10 @@ document.addEventListener('keydown', function(event) {
 // Add global function to open panel manually
 window.openTravanaSpotPanel = function() {
   console.log('TravanaSpot: Manual panel open requested...');
-  const airbnbData = extractAirbnbData();
+  const listingData = extractListingData();
   safeSendMessage({ 
     type: 'open_side_panel',
-    data: airbnbData
+    data: listingData
   });
 };
 
@@ -1068,10 +827,10 @@ document.addEventListener('DOMContentLoaded', function() {
 // Listen for events from the main context
 document.addEventListener('travanaspot-open-panel', function() {
   console.log('TravanaSpot: Received panel open request...');
-  const airbnbData = extractAirbnbData();
+  const listingData = extractListingData();
   safeSendMessage({ 
     type: 'open_side_panel',
-    data: airbnbData
+    data: listingData
   });
 });
 
@@ -1083,8 +842,8 @@ document.addEventListener('travanaspot-create-button', function() {
 
 // Handle dynamic content changes (for SPAs) - with performance optimization
 const observer = new MutationObserver((mutations) => {
-  // Only process if we're on an Airbnb room page or test page and button hasn't been added
-  if ((window.location.href.includes('airbnb.com/rooms/') || 
+  // Only process if we're on a listing page or test page and button hasn't been added
+  if ((SiteAdapter.isListingUrl(window.location.href) || 
        window.location.href.includes('test-map-functionality.html')) && !buttonAdded) {
     // Check if any mutations are relevant (body changes, new elements added)
     const relevantMutations = mutations.filter(mutation => 
@@ -1098,8 +857,8 @@ const observer = new MutationObserver((mutations) => {
   }
 });
 
-// Start observing only if we're on an Airbnb page or test page
-if (window.location.href.includes('airbnb.com/rooms/') || 
+// Start observing only if we're on a listing page or test page
+if (SiteAdapter.isListingUrl(window.location.href) || 
     window.location.href.includes('test-map-functionality.html')) {
   observer.observe(document.body, {
     childList: true,
@@ -1141,7 +900,7 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     if (!forceRefresh && cachedReviews && cachedReviews.length > 0) {
       console.log(`TravanaSpot: Using cached reviews (${cachedReviews.length} reviews)`);
       console.log('TravanaSpot: Sample cached reviews:', cachedReviews.slice(0, 2));
-      sendResponse({reviews: cachedReviews});
+      sendResponse({reviews: cachedReviews, extraction: lastReviewExtraction});
       return true;
     }
     
@@ -1149,13 +908,32 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
       console.log('TravanaSpot: Force refresh requested, clearing cache...');
       cachedReviews = null;
     }
-    
-    console.log('TravanaSpot: No cached reviews, starting fresh collection...');
-    // Extract reviews asynchronously and send response
-    extractReviewsAsync().then(reviews => {
-      console.log(`TravanaSpot: Sending ${reviews.length} reviews to side panel`);
-      console.log('TravanaSpot: Sample reviews being sent:', reviews.slice(0, 2));
-      sendResponse({reviews: reviews});
+
+    const listingId = siteAdapter.listingId;
+    const storedEntryPromise = (!forceRefresh && listingId)
+      ? Promise.all([listingStorage.getListing(listingId), listingStorage.getReviewLimit()]).catch(() => [null])
+      : Promise.resolve([null]);
+
+    storedEntryPromise.then(([storedEntry, reviewLimit]) => {
+      // Reuse reviews stored by a previous visit instead of re-scrolling the modal
+      const storedReviews = storedEntry?.reviews || [];
+      if (storedReviews.length > 0 && storedReviewsAreCurrent(storedEntry, reviewLimit)) {
+        console.log(`TravanaSpot: Using ${storedReviews.length} stored reviews for listing ${listingId}`);
+        cachedReviews = storedReviews;
+        sendResponse({reviews: storedReviews, fromStorage: true});
+        return;
+      }
+
+      console.log('TravanaSpot: No cached reviews, starting fresh collection...');
+      // Extract reviews asynchronously and send response
+      return extractReviewsAsync({
+        notifyPanel: !message.background,
+        timeLimitMs: message.timeLimitMs || Infinity
+      }).then(reviews => {
+        console.log(`TravanaSpot: Sending ${reviews.length} reviews to side panel`);
+        console.log('TravanaSpot: Sample reviews being sent:', reviews.slice(0, 2));
+        sendResponse({reviews: reviews, extraction: lastReviewExtraction, timedOut: lastCollectionTimedOut});
+      });
     }).catch(error => {
       console.error('TravanaSpot: Error in extractReviewsAsync:', error);
       sendResponse({reviews: []});
@@ -1172,9 +950,9 @@ const urlObserver = new MutationObserver(() => {
     buttonAdded = false; // Reset flag for new page
     mapModifierScriptInjected = false; // Reset map script flag for new page
     cachedReviews = null; // Clear cached reviews for new page
+    siteAdapter = SiteAdapter.forPage(document, window.location); // e.g. a Vrbo search page opening a listing
 
-    
-    if (currentUrl.includes('airbnb.com/rooms/') || 
+    if (SiteAdapter.isListingUrl(currentUrl) || 
         currentUrl.includes('test-map-functionality.html')) {
       if (!observerActive) {
         observer.observe(document.body, {
@@ -1185,7 +963,7 @@ const urlObserver = new MutationObserver(() => {
       }
       addTravanaSpotButton();
     } else {
-      // Stop observing if we're not on an Airbnb room page
+      // Stop observing if we're not on a listing page
       if (observerActive) {
         observer.disconnect();
         observerActive = false;
@@ -0,0 +1,120 @@
+// TravanaSpot - Email Queue
+// Outgoing emails and the history of every send attempt, kept in chrome.storage.local
+// ("emailQueue", "emailHistory") so retries survive service worker restarts. The service
+// worker does the sending; the side panel shows the history.
+
+const EMAIL_QUEUE_KEY = 'emailQueue';
+const EMAIL_HISTORY_KEY = 'emailHistory';
+
+const EMAIL_MAX_ATTEMPTS = 6; // Retries after 1, 2, 4, 8 and 16 minutes, then give up
+const EMAIL_RETRY_BASE_DELAY_MS = 60000;
+const EMAIL_RETRY_MAX_DELAY_MS = 3600000;
+const EMAIL_HISTORY_LIMIT = 100; // Attempts kept, newest first
+
+class EmailQueue {
+  constructor(storageArea = chrome.storage.local) {
+    this.storage = storageArea;
+  }
+
+  // Wait before the next try after `attempts` failed ones: doubles each time, capped at an hour
+  static getRetryDelay(attempts) {
+    return Math.min(EMAIL_RETRY_BASE_DELAY_MS * 2 ** Math.max(attempts - 1, 0), EMAIL_RETRY_MAX_DELAY_MS);
+  }
+
+  async getJobs() {
+    const result = await this.storage.get(EMAIL_QUEUE_KEY);
+    return result[EMAIL_QUEUE_KEY] || [];
+  }
+
+  async saveJobs(jobs) {
+    await this.storage.set({ [EMAIL_QUEUE_KEY]: jobs });
+  }
+
+  /**
+   * Add an email to the queue, due right away
+   *
+   * listing: { listingId, title } of the analysis being sent, for the history
+   */
+  async enqueue(emailData, listing = {}, now = Date.now()) {
+    const job = {
+      id: `email-${now.toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+      emailData,
+      listingId: listing.listingId || null,
+      listingTitle: listing.title || '',
+      createdAt: now,
+      attempts: 0,
+      nextAttemptAt: now
+    };
+
+    const jobs = await this.getJobs();
+    await this.saveJobs([...jobs, job]);
+    return job;
+  }
+
+  async getDueJobs(now = Date.now()) {
+    const jobs = await this.getJobs();
+    return jobs.filter(job => job.nextAttemptAt <= now);
+  }
+
+  // When the earliest queued email is due, or null when the queue is empty
+  async getNextAttemptAt() {
+    const jobs = await this.getJobs();
+    return jobs.length > 0 ? Math.min(...jobs.map(job => job.nextAttemptAt)) : null;
+  }
+
+  /**
+   * Record the result ({ success, error, retryable }) of sending a job
+   *
+   * Sent emails and ones that can't be retried (or ran out of attempts) leave the queue;
+   * the rest are rescheduled with backoff. Returns the history entry, whose status is
+   * 'sent', 'retrying' or 'failed'.
+   */
+  async recordAttempt(job, result, now = Date.now()) {
+    const attempts = job.attempts + 1;
+    let status = 'failed';
+    if (result.success) {
+      status = 'sent';
+    } else if (result.retryable && attempts < EMAIL_MAX_ATTEMPTS) {
+      status = 'retrying';
+    }
+    const nextAttemptAt = status === 'retrying' ? now + EmailQueue.getRetryDelay(attempts) : null;
+
+    const jobs = await this.getJobs();
+    await this.saveJobs(status === 'retrying'
+      ? jobs.map(queued => (queued.id === job.id ? { ...queued, attempts, nextAttemptAt } : queued))
+      : jobs.filter(queued => queued.id !== job.id));
+
+    const entry = {
+      jobId: job.id,
+      attempt: attempts,
+      status,
+      recipient: (job.emailData.to || []).join(', '),
+      subject: job.emailData.subject || '',
+      listingId: job.listingId,
+      listingTitle: job.listingTitle,
+      error: result.success ? null : result.error || 'Unknown error',
+      nextAttemptAt,
+      timestamp: now
+    };
+
+    const history = await this.getHistory();
+    await this.storage.set({ [EMAIL_HISTORY_KEY]: [entry, ...history].slice(0, EMAIL_HISTORY_LIMIT) });
+    return entry;
+  }
+
+  async getHistory() {
+    const result = await this.storage.get(EMAIL_HISTORY_KEY);
+    return result[EMAIL_HISTORY_KEY] || [];
+  }
+
+  async clearHistory() {
+    await this.storage.remove(EMAIL_HISTORY_KEY);
+  }
+}
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { EmailQueue, EMAIL_QUEUE_KEY, EMAIL_HISTORY_KEY, EMAIL_MAX_ATTEMPTS };
+} else {
+  self.EmailQueue = EmailQueue;
+}
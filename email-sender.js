@@ -1,22 +1,26 @@
 // Email sending functionality for TravanaSpot
 class EmailSender {
-  async sendAnalysisEmail(recipientEmail, listingData, analysis, reviews) {
+  // templateId: layout from EmailTemplates (email-templates.js); the full report by default
+  async sendAnalysisEmail(recipientEmail, listingData, analysis, reviews, templateId = DEFAULT_EMAIL_TEMPLATE) {
     try {
-      // Import the email template generator
-      const emailHTML = generateEmailHTML(listingData, analysis, reviews);
+      // HTML and plain-text bodies of the same report, sent as multipart/alternative
+      const { subject, html, text } = EmailTemplates.render(templateId, listingData, analysis, reviews);
       
+      // The sender comes from ⚙️ Settings → Email; the service worker fills it in
       const emailContent = {
-        from: 'Little Airby <onboarding@resend.dev>',
         to: [recipientEmail],
-        subject: `🧸 Your Airbnb Analysis: ${listingData.title || 'Property Review Analysis'}`,
-        html: emailHTML
+        subject,
+        html,
+        text
       };
 
-      // Send message to service worker to handle the API call
+      // The service worker queues it, tries it right away and retries transient failures;
+      // the listing is recorded with every attempt in the send history
       return new Promise((resolve) => {
         chrome.runtime.sendMessage({
           type: 'send_email',
-          emailData: emailContent
+          emailData: emailContent,
+          listing: { listingId: listingData.listingId || null, title: listingData.title || '' }
         }, (response) => {
           if (chrome.runtime.lastError) {
             console.error('Error sending email via service worker:', chrome.runtime.lastError);
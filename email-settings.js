@@ -0,0 +1,134 @@
+// TravanaSpot - Email Settings
+// The transport, its credentials and the sender for emailed analyses, stored in
+// chrome.storage.local under "emailSettings" (⚙️ Settings → Email). Nothing is sent
+// until they are filled in.
+
+const DEFAULT_EMAIL_SETTINGS = {
+  transport: 'resend', // 'resend', 'webhook' or 'smtp-relay'
+  resendApiKey: '',
+  webhookUrl: '',
+  webhookSecret: '', // Optional; sent as the X-TravanaSpot-Secret header
+  relayUrl: 'http://localhost:8025/api/v1/send', // Mailpit's send API
+  fromAddress: '', // Must be on a domain verified with the provider
+  fromName: 'Little Airby'
+};
+
+// Display names, and the setting each transport can't send without
+const EMAIL_TRANSPORTS = {
+  resend: { label: 'Resend', requiredField: 'resendApiKey' },
+  webhook: { label: 'Webhook', requiredField: 'webhookUrl' },
+  'smtp-relay': { label: 'SMTP relay', requiredField: 'relayUrl' }
+};
+
+const EMAIL_SETTINGS_KEY = 'emailSettings';
+
+// Error code returned instead of sending when no credentials are configured
+const EMAIL_NOT_CONFIGURED = 'EMAIL_NOT_CONFIGURED';
+
+const EMAIL_ADDRESS_PATTERN = /^[^\s@<>]+@[^\s@<>]+\.[^\s@<>]+$/;
+
+class EmailSettings {
+  static async load(storageArea = chrome.storage.local) {
+    const stored = await storageArea.get(EMAIL_SETTINGS_KEY);
+    return { ...DEFAULT_EMAIL_SETTINGS, ...(stored[EMAIL_SETTINGS_KEY] || {}) };
+  }
+
+  static async save(settings, storageArea = chrome.storage.local) {
+    const merged = EmailSettings.normalize(settings);
+    await storageArea.set({ [EMAIL_SETTINGS_KEY]: merged });
+    return merged;
+  }
+
+  // Defaults filled in and surrounding whitespace trimmed
+  static normalize(settings = {}) {
+    const merged = { ...DEFAULT_EMAIL_SETTINGS, ...settings };
+    Object.keys(merged).forEach(key => {
+      if (typeof merged[key] === 'string') merged[key] = merged[key].trim();
+    });
+    return merged;
+  }
+
+  static isValidAddress(address) {
+    return EMAIL_ADDRESS_PATTERN.test(address || '');
+  }
+
+  static isValidUrl(url) {
+    try {
+      return ['http:', 'https:'].includes(new URL(url).protocol);
+    } catch (error) {
+      return false;
+    }
+  }
+
+  // URL the extension posts to for the webhook and relay transports (null for Resend,
+  // whose host permission is in the manifest)
+  static getEndpoint(settings) {
+    const merged = EmailSettings.normalize(settings);
+    if (merged.transport === 'webhook') return merged.webhookUrl;
+    if (merged.transport === 'smtp-relay') return merged.relayUrl;
+    return null;
+  }
+
+  // Everything needed to send: the chosen transport's credentials and a sender address
+  static isConfigured(settings) {
+    const merged = EmailSettings.normalize(settings);
+    const transport = EMAIL_TRANSPORTS[merged.transport];
+    return !!transport && !!merged[transport.requiredField] && EmailSettings.isValidAddress(merged.fromAddress);
+  }
+
+  // First problem with the settings as a message for the settings page, or null
+  static validate(settings) {
+    const merged = EmailSettings.normalize(settings);
+
+    if (!EMAIL_TRANSPORTS[merged.transport]) {
+      return 'Choose how to send email';
+    }
+    if (merged.transport === 'resend') {
+      if (!merged.resendApiKey) {
+        return 'Enter your Resend API key';
+      }
+      if (!merged.resendApiKey.startsWith('re_')) {
+        return 'Resend API keys start with "re_"';
+      }
+    }
+    if (merged.transport === 'webhook') {
+      if (!merged.webhookUrl) {
+        return 'Enter the webhook URL';
+      }
+      if (!EmailSettings.isValidUrl(merged.webhookUrl)) {
+        return `"${merged.webhookUrl}" is not an http(s) URL`;
+      }
+    }
+    if (merged.transport === 'smtp-relay') {
+      if (!merged.relayUrl) {
+        return 'Enter the relay URL';
+      }
+      if (!EmailSettings.isValidUrl(merged.relayUrl)) {
+        return `"${merged.relayUrl}" is not an http(s) URL`;
+      }
+    }
+    if (!merged.fromAddress) {
+      return 'Enter the sender address';
+    }
+    if (!EmailSettings.isValidAddress(merged.fromAddress)) {
+      return `"${merged.fromAddress}" is not an email address`;
+    }
+    if (/[<>"]/.test(merged.fromName)) {
+      return 'The display name can\'t contain <, > or quotes';
+    }
+    return null;
+  }
+
+  // "Little Airby <reports@example.com>", or just the address without a display name
+  static formatSender(settings) {
+    const merged = EmailSettings.normalize(settings);
+    return merged.fromName ? `${merged.fromName} <${merged.fromAddress}>` : merged.fromAddress;
+  }
+}
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { EmailSettings, DEFAULT_EMAIL_SETTINGS, EMAIL_TRANSPORTS, EMAIL_SETTINGS_KEY, EMAIL_NOT_CONFIGURED };
+} else {
+  self.EmailSettings = EmailSettings;
+}
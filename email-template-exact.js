@@ -1,4 +1,4 @@
-// Email template generator for TravanaSpot - EXACT panel copy
+// Email template generator for TravanaSpot - EXACT panel copy, plus its plain-text alternative
 function generateEmailHTML(listingData, analysis, reviews) {
   // Helper function to escape HTML
   const escapeHtml = (text) => {
@@ -11,6 +11,8 @@ function generateEmailHTML(listingData, analysis, reviews) {
   const keywords = analysis.keyword_analysis || [];
   const prosCons = analysis.pros_and_cons || {};
   const insights = analysis.guest_insights || {};
+  const host = analysis.host_behaviour || null;
+  const hostToneLabels = { apologetic: '🙏 Apologetic', defensive: '🛡️ Defensive', neutral: '➖ Neutral', unknown: '❔ Unknown' };
 
   // Main email template - copying exact panel structure
   return `
@@ -203,6 +205,23 @@ function generateEmailHTML(listingData, analysis, reviews) {
               </tr>
             </table>
           </div>
+
+          ${host ? `
+          <!-- Host Behaviour -->
+          <div style="margin-bottom: 20px;">
+            <h4 style="margin: 0 0 10px 0; color: #2c3e50; font-size: 14px; font-weight: 600;">🏠 Host Behaviour · ${hostToneLabels[host.dominant_tone] || escapeHtml(host.dominant_tone)}</h4>
+            <div style="background: white; border: 1px solid #e9ecef; border-radius: 6px; padding: 10px; font-size: 12px; color: #495057; line-height: 1.5;">
+              <div>Responded to ${host.responded_count} of ${host.total_reviews} reviews (${host.response_rate}%)</div>
+              <div>${host.negative_response_rate !== null ? `Responded to ${host.negative_response_rate}% of negative reviews (${host.negative_responded_count}/${host.negative_count})` : 'No negative reviews to respond to'}</div>
+              <div>Tone: ${host.tone.apologetic} apologetic · ${host.tone.defensive} defensive · ${host.tone.neutral} neutral${host.tone.unknown ? ` · ${host.tone.unknown} unknown (language not recognized)` : ''}</div>
+              ${host.recurring_issues.map(issue => `
+                <div style="margin-top: 8px; padding: 6px 8px; background: #fff3cd; color: #856404; border-radius: 4px;">
+                  ⚠️ <strong>${escapeHtml(issue.aspect)}</strong>: host promised a fix${issue.promised_on ? ` in ${escapeHtml(issue.promised_on)}` : ''}, then ${issue.later_complaints.length} later complaint${issue.later_complaints.length === 1 ? '' : 's'}
+                </div>
+              `).join('')}
+            </div>
+          </div>
+          ` : ''}
           
           <!-- Footer -->
           <div style="text-align: center; padding-top: 15px; border-top: 1px solid #e9ecef; color: #6c757d; font-size: 10px;">
@@ -215,7 +234,117 @@ function generateEmailHTML(listingData, analysis, reviews) {
   `;
 }
 
+const EMAIL_TEXT_LINE_WIDTH = 72;
+
+// Word-wrap a paragraph for a plain-text email, indenting continuation lines to line up after `prefix`
+function wrapEmailText(text, prefix = '') {
+  const indent = ' '.repeat(prefix.length);
+  const lines = [];
+  let line = '';
+  String(text).split(/\s+/).filter(Boolean).forEach(word => {
+    if (!line) {
+      line = (lines.length === 0 ? prefix : indent) + word;
+    } else if (line.length + 1 + word.length > EMAIL_TEXT_LINE_WIDTH) {
+      lines.push(line);
+      line = indent + word;
+    } else {
+      line += ` ${word}`;
+    }
+  });
+  lines.push(line || prefix.trimEnd());
+  return lines.join('\n');
+}
+
+// Plain-text version of the same email: the text/plain part next to generateEmailHTML's
+// text/html, for text-only clients and spam filters that distrust HTML-only mail
+function generateEmailText(listingData, analysis, reviews) {
+  const sentiment = analysis.sentiment_analysis || {};
+  const keywords = analysis.keyword_analysis || [];
+  const prosCons = analysis.pros_and_cons || {};
+  const insights = analysis.guest_insights || {};
+  const host = analysis.host_behaviour || null;
+
+  const heading = title => `${title}\n${'-'.repeat(title.length)}`;
+  const bullets = items => (items.length > 0 ? items.map(item => wrapEmailText(item, '- ')).join('\n') : '- None mentioned');
+  const capitalize = text => String(text).replace(/\b\w/g, letter => letter.toUpperCase());
+
+  const facts = [
+    listingData.rating ? `${listingData.rating} stars` : '',
+    listingData.reviewCount ? `${listingData.reviewCount} reviews` : '',
+    listingData.price || '',
+    listingData.location || ''
+  ].filter(Boolean);
+
+  const sections = [
+    'TravanaSpot - Little Airby Review Analysis',
+    [
+      listingData.title || 'Airbnb Listing',
+      ...(facts.length > 0 ? [wrapEmailText(facts.join(' | '))] : []),
+      ...(analysis.trust_score ? [`Trust score: ${analysis.trust_score}/100`] : [])
+    ].join('\n')
+  ];
+
+  if (analysis.summary) {
+    sections.push(`${heading('Summary')}\n${wrapEmailText(analysis.summary)}`);
+  }
+
+  sections.push([
+    heading('Guest sentiment'),
+    `Positive  ${String(Math.round(sentiment.positive_percentage || 0)).padStart(3)}%`,
+    `Neutral   ${String(Math.round(sentiment.neutral_percentage || 0)).padStart(3)}%`,
+    `Negative  ${String(Math.round(sentiment.negative_percentage || 0)).padStart(3)}%`
+  ].join('\n'));
+
+  // Every aspect with its counts, aligned as a table
+  if (keywords.length > 0) {
+    const aspectWidth = Math.max('Aspect'.length, ...keywords.map(keyword => String(keyword.keyword).length));
+    const row = (aspect, positive, negative) =>
+      `${aspect.padEnd(aspectWidth)}  ${String(positive).padStart(8)}  ${String(negative).padStart(8)}`;
+
+    sections.push([
+      heading('Aspects'),
+      row('Aspect', 'Positive', 'Negative'),
+      row('-'.repeat(aspectWidth), '-'.repeat(8), '-'.repeat(8)),
+      ...keywords.map(keyword => row(capitalize(keyword.keyword), keyword.positive || 0, keyword.negative || 0))
+    ].join('\n'));
+  }
+
+  sections.push(`${heading('Pros')}\n${bullets(prosCons.pros || [])}`);
+  sections.push(`${heading('Cons')}\n${bullets(prosCons.cons || [])}`);
+
+  const insightLines = [
+    ['Recommended for', insights.recommended_for],
+    ['Not recommended for', insights.not_recommended_for],
+    ['Best features', insights.best_features],
+    ['Areas for improvement', insights.areas_for_improvement]
+  ]
+    .filter(([, items]) => items && items.length > 0)
+    .map(([label, items]) => wrapEmailText(items.join(', '), `${label}: `));
+  if (insightLines.length > 0) {
+    sections.push(`${heading('Guest insights')}\n${insightLines.join('\n')}`);
+  }
+
+  if (host) {
+    sections.push([
+      heading(`Host behaviour (${host.dominant_tone})`),
+      `Responded to ${host.responded_count} of ${host.total_reviews} reviews (${host.response_rate}%)`,
+      host.negative_response_rate !== null
+        ? `Responded to ${host.negative_response_rate}% of negative reviews (${host.negative_responded_count}/${host.negative_count})`
+        : 'No negative reviews to respond to',
+      `Tone: ${host.tone.apologetic} apologetic, ${host.tone.defensive} defensive, ${host.tone.neutral} neutral${host.tone.unknown ? `, ${host.tone.unknown} unknown (language not recognized)` : ''}`,
+      ...host.recurring_issues.map(issue => wrapEmailText(
+        `${issue.aspect}: host promised a fix${issue.promised_on ? ` in ${issue.promised_on}` : ''}, then ${issue.later_complaints.length} later complaint${issue.later_complaints.length === 1 ? '' : 's'}`,
+        '- '
+      ))
+    ].join('\n'));
+  }
+
+  sections.push(`--\nAnalysis based on ${analysis.reviews_analyzed || 0}${analysis.reviews_analyzed < 100 && analysis.reviews_analyzed > 0 ? ' (all available)' : ''} reviews | ${analysis.analysis_type === 'little_airby_powered' ? 'Little Airby Powered' : 'AI-powered'}`);
+
+  return `${sections.join('\n\n')}\n`;
+}
+
 // Export for use in other files
 if (typeof module !== 'undefined' && module.exports) {
-  module.exports = { generateEmailHTML };
+  module.exports = { generateEmailHTML, generateEmailText, wrapEmailText };
 }
\ No newline at end of file
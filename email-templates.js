@@ -0,0 +1,365 @@
+// TravanaSpot - Email Templates
+// Named layouts for the analysis email. Every layout renders the same inputs (listing data,
+// analysis, reviews) into a subject, an HTML body and its plain-text alternative.
+//
+// A template is { id, name, description, subject(listingData), html(...), text(...) } where
+// html and text take (listingData, analysis, reviews). Register more with EmailTemplates.register().
+
+const DEFAULT_EMAIL_TEMPLATE = 'full-report';
+const EMAIL_TEMPLATE_REGISTRY = new Map(); // id → template, in registration order
+
+const EMAIL_BRIEF_ITEMS = 3; // Pros, cons and aspects shown in the short layouts
+
+class EmailTemplates {
+  static getReportGenerators() {
+    return typeof generateEmailHTML !== 'undefined'
+      ? { generateEmailHTML, generateEmailText, wrapEmailText }
+      : require('./email-template-exact.js');
+  }
+
+  static getSiteAdapterClass() {
+    return typeof SiteAdapter !== 'undefined' ? SiteAdapter : require('./site-adapter.js').SiteAdapter;
+  }
+
+  static register(template) {
+    EMAIL_TEMPLATE_REGISTRY.set(template.id, template);
+  }
+
+  // The template with this ID, or the full report for unknown IDs
+  static get(id) {
+    return EMAIL_TEMPLATE_REGISTRY.get(id) || EMAIL_TEMPLATE_REGISTRY.get(DEFAULT_EMAIL_TEMPLATE);
+  }
+
+  // { id, name, description } of every layout, for the template picker
+  static list() {
+    return Array.from(EMAIL_TEMPLATE_REGISTRY.values()).map(({ id, name, description }) => ({ id, name, description }));
+  }
+
+  static render(id, listingData, analysis, reviews = []) {
+    const template = EmailTemplates.get(id);
+    return {
+      templateId: template.id,
+      subject: template.subject(listingData),
+      html: template.html(listingData, analysis, reviews),
+      text: template.text(listingData, analysis, reviews)
+    };
+  }
+
+  // ==========================================================================
+  // Helpers shared by the layouts
+  // ==========================================================================
+
+  // String-based so templates also render outside a page (service worker, tests)
+  static escapeHtml(text) {
+    return String(text ?? '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
+  static getTitle(listingData) {
+    return listingData.title || `${EmailTemplates.getSiteAdapterClass().getSiteName(listingData.site)} Listing`;
+  }
+
+  // Link back to the listing page, or null for listings saved without an ID
+  static getListingUrl(listingData) {
+    if (!listingData.listingId) return null;
+    return EmailTemplates.getSiteAdapterClass().getListingUrl(listingData.listingId, listingData.domain);
+  }
+
+  // "4.9 stars | 128 reviews | $120 night | Lisbon"
+  static getFacts(listingData) {
+    return [
+      listingData.rating ? `${listingData.rating} stars` : '',
+      listingData.reviewCount ? `${listingData.reviewCount} reviews` : '',
+      listingData.price || '',
+      listingData.location || ''
+    ].filter(Boolean);
+  }
+
+  static getPercentages(analysis) {
+    const sentiment = analysis.sentiment_analysis || {};
+    return {
+      positive: Math.round(sentiment.positive_percentage || 0),
+      neutral: Math.round(sentiment.neutral_percentage || 0),
+      negative: Math.round(sentiment.negative_percentage || 0)
+    };
+  }
+
+  // First sentences of the summary, up to about 200 characters
+  static getShortSummary(analysis) {
+    const sentences = String(analysis.summary || '').match(/[^.!?]+[.!?]*/g) || [];
+    let summary = '';
+    for (const sentence of sentences) {
+      if (summary && (summary + sentence).length > 200) break;
+      summary += sentence;
+    }
+    return summary.trim();
+  }
+
+  // Aspects guests mentioned, with the share of positive mentions, best first
+  static rankAspects(analysis) {
+    return (analysis.keyword_analysis || [])
+      .map(keyword => {
+        const positive = keyword.positive || 0;
+        const negative = keyword.negative || 0;
+        const mentions = positive + negative;
+        return { name: keyword.keyword, positive, negative, mentions, share: mentions > 0 ? positive / mentions : 0 };
+      })
+      .filter(aspect => aspect.mentions > 0)
+      .sort((a, b) => b.share - a.share || b.mentions - a.mentions);
+  }
+
+  // The top aspects plus the worst one, for the short layouts
+  static getBestAndWorstAspects(analysis) {
+    const aspects = EmailTemplates.rankAspects(analysis);
+    return [...aspects.slice(0, EMAIL_BRIEF_ITEMS), ...aspects.slice(EMAIL_BRIEF_ITEMS).slice(-1)];
+  }
+
+  static capitalize(text) {
+    return String(text).replace(/\b\w/g, letter => letter.toUpperCase());
+  }
+}
+
+// ============================================================================
+// Built-in layouts
+// ============================================================================
+
+// Shell shared by the short layouts: header band, white card, footer
+function renderEmailShell({ heading, subheading, body, footer }) {
+  return `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <meta charset="UTF-8">
+      <meta name="viewport" content="width=device-width, initial-scale=1.0">
+      <title>TravanaSpot - ${EmailTemplates.escapeHtml(heading)}</title>
+    </head>
+    <body style="margin: 0; padding: 0; font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; background-color: #f5f5f5;">
+      <div style="max-width: 600px; margin: 0 auto; padding: 20px;">
+        <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 20px; border-radius: 16px 16px 0 0; text-align: center;">
+          <h1 style="margin: 0; font-size: 20px;">${EmailTemplates.escapeHtml(heading)}</h1>
+          <p style="margin: 6px 0 0 0; opacity: 0.9; font-size: 13px;">${EmailTemplates.escapeHtml(subheading)}</p>
+        </div>
+        <div style="background: white; padding: 20px; border-radius: 0 0 16px 16px;">
+          ${body}
+          <div style="text-align: center; padding-top: 12px; margin-top: 16px; border-top: 1px solid #e9ecef; color: #6c757d; font-size: 10px;">
+            <p style="margin: 0;">${EmailTemplates.escapeHtml(footer)}</p>
+          </div>
+        </div>
+      </div>
+    </body>
+    </html>
+  `;
+}
+
+function renderEmailList(items, color) {
+  if (items.length === 0) {
+    return '<p style="margin: 0; font-size: 12px; color: #adb5bd; font-style: italic;">None mentioned</p>';
+  }
+  return `<ul style="margin: 0; padding-left: 18px; font-size: 12px; line-height: 1.4;">${items.map(item => `
+    <li style="color: ${color}; margin-bottom: 3px;">${EmailTemplates.escapeHtml(item)}</li>`).join('')}
+  </ul>`;
+}
+
+function renderListingHeader(listingData) {
+  const url = EmailTemplates.getListingUrl(listingData);
+  const title = EmailTemplates.escapeHtml(EmailTemplates.getTitle(listingData));
+  const facts = EmailTemplates.getFacts(listingData);
+
+  return `
+    <h2 style="margin: 0 0 6px 0; font-size: 18px;">${url ? `<a href="${EmailTemplates.escapeHtml(url)}" style="color: #333; text-decoration: none;">${title}</a>` : `<span style="color: #333;">${title}</span>`}</h2>
+    ${facts.length > 0 ? `<p style="margin: 0 0 14px 0; color: #666; font-size: 12px;">${EmailTemplates.escapeHtml(facts.join(' · '))}</p>` : ''}
+  `;
+}
+
+function renderSentimentBar(analysis) {
+  const { positive, neutral, negative } = EmailTemplates.getPercentages(analysis);
+  const segment = (value, color) => (value > 0 ? `<td style="width: ${value}%; background: ${color}; height: 8px;"></td>` : '');
+
+  return `
+    <table style="width: 100%; border-collapse: collapse; border-radius: 4px; overflow: hidden; margin-bottom: 4px;"><tr>
+      ${segment(positive, '#28a745')}${segment(neutral, '#6c757d')}${segment(negative, '#dc3545')}
+    </tr></table>
+    <p style="margin: 0 0 14px 0; font-size: 11px; color: #495057;">
+      <span style="color: #28a745;">${positive}% positive</span> · ${neutral}% neutral · <span style="color: #dc3545;">${negative}% negative</span>
+    </p>
+  `;
+}
+
+function renderAnalysisFooter(analysis) {
+  return `Analysis based on ${analysis.reviews_analyzed || 0} reviews | ${analysis.analysis_type === 'little_airby_powered' ? 'Little Airby Powered' : 'AI-powered'}`;
+}
+
+// Plain-text counterparts
+function renderTextHeader(listingData, analysis) {
+  const url = EmailTemplates.getListingUrl(listingData);
+  const { positive, neutral, negative } = EmailTemplates.getPercentages(analysis);
+  const facts = EmailTemplates.getFacts(listingData);
+
+  return [
+    EmailTemplates.getTitle(listingData),
+    ...(facts.length > 0 ? [EmailTemplates.getReportGenerators().wrapEmailText(facts.join(' | '))] : []),
+    ...(url ? [url] : []),
+    ...(analysis.trust_score ? [`Trust score: ${analysis.trust_score}/100`] : []),
+    `Guests: ${positive}% positive, ${neutral}% neutral, ${negative}% negative`
+  ].join('\n');
+}
+
+function renderTextList(title, items) {
+  const { wrapEmailText } = EmailTemplates.getReportGenerators();
+  return `${title}\n${items.length > 0 ? items.map(item => wrapEmailText(item, '- ')).join('\n') : '- None mentioned'}`;
+}
+
+EmailTemplates.register({
+  id: 'full-report',
+  name: 'Full report',
+  description: 'Everything in the panel: sentiment, every aspect with guest quotes, pros and cons, insights and host behaviour',
+  subject: listingData => {
+    const siteName = EmailTemplates.getSiteAdapterClass().getSiteName(listingData.site);
+    return `🧸 Your ${siteName} Analysis: ${EmailTemplates.getTitle(listingData)}`;
+  },
+  html: (listingData, analysis, reviews) => EmailTemplates.getReportGenerators().generateEmailHTML(listingData, analysis, reviews),
+  text: (listingData, analysis, reviews) => EmailTemplates.getReportGenerators().generateEmailText(listingData, analysis, reviews)
+});
+
+EmailTemplates.register({
+  id: 'one-page-brief',
+  name: 'One-page brief',
+  description: 'The verdict at a glance: trust score, sentiment, the top pros, cons and aspects',
+  subject: listingData => `🧸 Brief: ${EmailTemplates.getTitle(listingData)}`,
+
+  html(listingData, analysis) {
+    const prosCons = analysis.pros_and_cons || {};
+    const summary = EmailTemplates.getShortSummary(analysis);
+
+    const aspectRows = EmailTemplates.getBestAndWorstAspects(analysis)
+      .map(aspect => `
+        <tr>
+          <td style="padding: 4px 0; font-size: 12px; color: #2c3e50;">${EmailTemplates.escapeHtml(EmailTemplates.capitalize(aspect.name))}</td>
+          <td style="padding: 4px 0; font-size: 12px; text-align: right; color: ${aspect.share >= 0.5 ? '#28a745' : '#dc3545'};">${Math.round(aspect.share * 100)}% positive</td>
+        </tr>`).join('');
+
+    const body = `
+      ${renderListingHeader(listingData)}
+      ${analysis.trust_score ? `<p style="margin: 0 0 10px 0; font-size: 13px;"><strong>Trust score:</strong> <span style="color: #28a745; font-weight: bold;">${analysis.trust_score}/100</span></p>` : ''}
+      ${summary ? `<p style="margin: 0 0 14px 0; padding: 10px 12px; background: #f8f9fa; border-left: 4px solid #007bff; border-radius: 6px; font-size: 13px; color: #495057; line-height: 1.5;">${EmailTemplates.escapeHtml(summary)}</p>` : ''}
+      ${renderSentimentBar(analysis)}
+      <table style="width: 100%; border-collapse: collapse; margin-bottom: 12px;"><tr>
+        <td style="width: 50%; vertical-align: top; padding-right: 6px;">
+          <h4 style="margin: 0 0 6px 0; color: #28a745; font-size: 13px;">👍 Pros</h4>
+          ${renderEmailList((prosCons.pros || []).slice(0, EMAIL_BRIEF_ITEMS), '#28a745')}
+        </td>
+        <td style="width: 50%; vertical-align: top; padding-left: 6px;">
+          <h4 style="margin: 0 0 6px 0; color: #dc3545; font-size: 13px;">👎 Cons</h4>
+          ${renderEmailList((prosCons.cons || []).slice(0, EMAIL_BRIEF_ITEMS), '#dc3545')}
+        </td>
+      </tr></table>
+      ${aspectRows ? `
+        <h4 style="margin: 0 0 4px 0; color: #2c3e50; font-size: 13px;">🔍 Best and worst aspects</h4>
+        <table style="width: 100%; border-collapse: collapse;">${aspectRows}</table>
+      ` : ''}
+    `;
+
+    return renderEmailShell({
+      heading: '🧸 Little Airby\'s brief',
+      subheading: 'The short version of the review analysis',
+      body,
+      footer: renderAnalysisFooter(analysis)
+    });
+  },
+
+  text(listingData, analysis) {
+    const prosCons = analysis.pros_and_cons || {};
+    const aspects = EmailTemplates.getBestAndWorstAspects(analysis);
+    const summary = EmailTemplates.getShortSummary(analysis);
+
+    return [
+      'TravanaSpot - Little Airby\'s brief',
+      renderTextHeader(listingData, analysis),
+      ...(summary ? [EmailTemplates.getReportGenerators().wrapEmailText(summary)] : []),
+      renderTextList('Pros', (prosCons.pros || []).slice(0, EMAIL_BRIEF_ITEMS)),
+      renderTextList('Cons', (prosCons.cons || []).slice(0, EMAIL_BRIEF_ITEMS)),
+      ...(aspects.length > 0 ? [renderTextList('Best and worst aspects',
+        aspects.map(aspect => `${EmailTemplates.capitalize(aspect.name)}: ${Math.round(aspect.share * 100)}% positive`))] : []),
+      `--\n${renderAnalysisFooter(analysis)}`
+    ].join('\n\n') + '\n';
+  }
+});
+
+EmailTemplates.register({
+  id: 'group-trip-vote',
+  name: 'Group-trip vote',
+  description: 'For travel companions: who it suits, what to watch out for, and a reply-to-vote ballot',
+  subject: listingData => `🗳️ Should we book ${EmailTemplates.getTitle(listingData)}?`,
+
+  html(listingData, analysis) {
+    const prosCons = analysis.pros_and_cons || {};
+    const insights = analysis.guest_insights || {};
+    const chips = (items, background, color) => items.map(item =>
+      `<span style="display: inline-block; padding: 2px 8px; border-radius: 10px; font-size: 11px; background: ${background}; color: ${color}; margin: 2px;">${EmailTemplates.escapeHtml(item)}</span>`
+    ).join('') || '<span style="font-size: 11px; color: #adb5bd; font-style: italic;">Nothing stood out</span>';
+    const ballot = (label, background) =>
+      `<td style="width: 33%; text-align: center; padding: 10px 4px; background: ${background}; border-radius: 8px; font-size: 14px; font-weight: 600; color: #333;">${label}</td>`;
+
+    const body = `
+      ${renderListingHeader(listingData)}
+      ${analysis.trust_score ? `<p style="margin: 0 0 10px 0; font-size: 13px;"><strong>Little Airby's trust score:</strong> ${analysis.trust_score}/100</p>` : ''}
+      ${renderSentimentBar(analysis)}
+      <h4 style="margin: 0 0 6px 0; color: #2c3e50; font-size: 13px;">✅ Great for</h4>
+      <div style="margin-bottom: 10px;">${chips(insights.recommended_for || [], '#d4edda', '#155724')}</div>
+      <h4 style="margin: 0 0 6px 0; color: #2c3e50; font-size: 13px;">⚠️ Think twice if you're</h4>
+      <div style="margin-bottom: 14px;">${chips(insights.not_recommended_for || [], '#f8d7da', '#721c24')}</div>
+      <table style="width: 100%; border-collapse: collapse; margin-bottom: 16px;"><tr>
+        <td style="width: 50%; vertical-align: top; padding-right: 6px;">
+          <h4 style="margin: 0 0 6px 0; color: #28a745; font-size: 13px;">👍 Guests loved</h4>
+          ${renderEmailList((prosCons.pros || []).slice(0, EMAIL_BRIEF_ITEMS), '#28a745')}
+        </td>
+        <td style="width: 50%; vertical-align: top; padding-left: 6px;">
+          <h4 style="margin: 0 0 6px 0; color: #dc3545; font-size: 13px;">👎 Guests complained about</h4>
+          ${renderEmailList((prosCons.cons || []).slice(0, EMAIL_BRIEF_ITEMS), '#dc3545')}
+        </td>
+      </tr></table>
+      <div style="background: #f0f8ff; border: 1px solid #e6f3ff; border-radius: 8px; padding: 12px;">
+        <h4 style="margin: 0 0 8px 0; color: #2c3e50; font-size: 14px; text-align: center;">🗳️ Your vote</h4>
+        <table style="width: 100%; border-collapse: separate; border-spacing: 6px;"><tr>
+          ${ballot('👍 Yes', '#d4edda')}${ballot('🤔 Maybe', '#fff3cd')}${ballot('👎 No', '#f8d7da')}
+        </tr></table>
+        <p style="margin: 8px 0 0 0; font-size: 12px; color: #495057; text-align: center;">Reply to all with <strong>YES</strong>, <strong>MAYBE</strong> or <strong>NO</strong> so everyone sees the count.</p>
+      </div>
+    `;
+
+    return renderEmailShell({
+      heading: '🗳️ Should we book this?',
+      subheading: 'Little Airby read the reviews so the group doesn\'t have to',
+      body,
+      footer: renderAnalysisFooter(analysis)
+    });
+  },
+
+  text(listingData, analysis) {
+    const prosCons = analysis.pros_and_cons || {};
+    const insights = analysis.guest_insights || {};
+    const { wrapEmailText } = EmailTemplates.getReportGenerators();
+    const joined = items => (items && items.length > 0 ? items.join(', ') : 'Nothing stood out');
+
+    return [
+      'Should we book this? - TravanaSpot',
+      renderTextHeader(listingData, analysis),
+      `${wrapEmailText(joined(insights.recommended_for), 'Great for: ')}\n${wrapEmailText(joined(insights.not_recommended_for), 'Think twice if you\'re: ')}`,
+      renderTextList('Guests loved', (prosCons.pros || []).slice(0, EMAIL_BRIEF_ITEMS)),
+      renderTextList('Guests complained about', (prosCons.cons || []).slice(0, EMAIL_BRIEF_ITEMS)),
+      'YOUR VOTE\nReply to all with YES, MAYBE or NO so everyone sees the count.',
+      `--\n${renderAnalysisFooter(analysis)}`
+    ].join('\n\n') + '\n';
+  }
+});
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { EmailTemplates, DEFAULT_EMAIL_TEMPLATE };
+} else {
+  self.EmailTemplates = EmailTemplates;
+}
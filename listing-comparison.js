@@ -0,0 +1,193 @@
+// TravanaSpot - Listing Comparison
+// Renders 2-4 saved analyses side by side (one column per listing)
+
+const COMPARISON_ASPECTS = [
+  'Cleanliness', 'Location', 'HostCommunication', 'ValueForMoney', 'AccuracyOfListing',
+  'CheckInProcess', 'NoiseLevels', 'Comfort', 'Amenities'
+];
+
+const COMPARISON_ASPECT_LABELS = {
+  HostCommunication: 'Host Communication',
+  ValueForMoney: 'Value for Money',
+  AccuracyOfListing: 'Accuracy of Listing',
+  CheckInProcess: 'Check-in Process',
+  NoiseLevels: 'Noise Levels'
+};
+
+/**
+ * Build comparison rows from stored listing entries
+ *
+ * Each row has one cell per entry. Cells carry a numeric `score` used to pick
+ * the best column: `better: 'higher'` or `'lower'` decides the direction, and
+ * `better: null` rows (plain lists) are never highlighted.
+ */
+function buildComparisonRows(entries) {
+  const rows = [];
+
+  const analysisOf = entry => entry.analysis || {};
+
+  rows.push({
+    section: 'Overview',
+    label: 'Trust Score',
+    better: 'higher',
+    cells: entries.map(entry => {
+      const score = analysisOf(entry).trust_score || 0;
+      return { score, text: `${score}/100` };
+    })
+  });
+
+  [
+    ['positive_percentage', 'Positive', 'higher'],
+    ['neutral_percentage', 'Neutral', null],
+    ['negative_percentage', 'Negative', 'lower']
+  ].forEach(([field, label, better]) => {
+    rows.push({
+      section: 'Guest Sentiment',
+      label,
+      better,
+      cells: entries.map(entry => {
+        const value = Math.round(analysisOf(entry).sentiment_analysis?.[field] || 0);
+        return { score: value, text: `${value}%` };
+      })
+    });
+  });
+
+  COMPARISON_ASPECTS.forEach(aspect => {
+    rows.push({
+      section: 'Aspects',
+      label: COMPARISON_ASPECT_LABELS[aspect] || aspect,
+      better: 'higher',
+      cells: entries.map(entry => {
+        const keyword = (analysisOf(entry).keyword_analysis || []).find(k => k.keyword === aspect);
+        const positive = keyword?.positive || 0;
+        const negative = keyword?.negative || 0;
+
+        // Share of positive mentions decides the winner, so a listing with more reviews doesn't
+        // win on volume alone; aspects nobody mentioned can't win
+        return {
+          score: positive + negative > 0 ? positive / (positive + negative) : null,
+          positive,
+          negative
+        };
+      })
+    });
+  });
+
+  // Pros and cons are compared by reading them: how many the model listed grows with the review count
+  ['pros', 'cons'].forEach(field => {
+    rows.push({
+      section: 'Pros & Cons',
+      label: field === 'pros' ? 'Pros' : 'Cons',
+      better: null,
+      cells: entries.map(entry => ({
+        score: null,
+        list: analysisOf(entry).pros_and_cons?.[field] || []
+      }))
+    });
+  });
+
+  rows.push({
+    section: 'Guest Insights',
+    label: 'Recommended For',
+    better: null,
+    cells: entries.map(entry => ({
+      score: null,
+      list: analysisOf(entry).guest_insights?.recommended_for || []
+    }))
+  });
+
+  rows.forEach(row => markBestCells(row));
+
+  return rows;
+}
+
+// Flag the best cell(s) in a row; ties are all flagged, and nothing is flagged when every column is equal
+function markBestCells(row) {
+  row.cells.forEach(cell => { cell.best = false; });
+
+  if (!row.better) return;
+
+  const scores = row.cells.map(cell => cell.score).filter(score => typeof score === 'number');
+  if (scores.length === 0) return;
+
+  const bestScore = row.better === 'lower' ? Math.min(...scores) : Math.max(...scores);
+  const allEqual = scores.length === row.cells.length && scores.every(score => score === bestScore);
+  if (allEqual) return;
+
+  row.cells.forEach(cell => {
+    cell.best = cell.score === bestScore;
+  });
+}
+
+// Generate the comparison table for 2-4 stored listing entries
+function generateComparisonHTML(entries) {
+  // Helper function to escape HTML
+  const escapeHtml = (text) => {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+  };
+
+  const rows = buildComparisonRows(entries);
+
+  const renderCell = (cell) => {
+    let content;
+    if (cell.list) {
+      content = cell.list.length > 0
+        ? `<ul class="comparison-list">${cell.list.map(item => `<li>${escapeHtml(item)}</li>`).join('')}</ul>`
+        : '<span class="comparison-empty">None</span>';
+    } else if (cell.positive !== undefined) {
+      content = cell.positive + cell.negative > 0
+        ? `<span class="positive-count">+${cell.positive}</span> <span class="negative-count">-${cell.negative}</span> <span class="comparison-share">${Math.round(cell.score * 100)}% positive</span>`
+        : '<span class="comparison-empty">No mentions</span>';
+    } else {
+      content = escapeHtml(cell.text);
+    }
+
+    return `<td class="${cell.best ? 'comparison-best' : ''}">${content}</td>`;
+  };
+
+  let currentSection = null;
+  const bodyRows = rows.map(row => {
+    let sectionRow = '';
+    if (row.section !== currentSection) {
+      currentSection = row.section;
+      sectionRow = `<tr class="comparison-section"><td colspan="${entries.length + 1}">${escapeHtml(row.section)}</td></tr>`;
+    }
+
+    return `
+      ${sectionRow}
+      <tr>
+        <th scope="row">${escapeHtml(row.label)}</th>
+        ${row.cells.map(renderCell).join('')}
+      </tr>
+    `;
+  }).join('');
+
+  return `
+    <div class="comparison-table-wrapper">
+      <table class="comparison-table">
+        <thead>
+          <tr>
+            <th></th>
+            ${entries.map(entry => `
+              <th scope="col">
+                <div class="comparison-listing-title">${escapeHtml(entry.listingData?.title || `Listing ${entry.listingId}`)}</div>
+                ${entry.listingData?.location ? `<div class="comparison-listing-location">📍 ${escapeHtml(entry.listingData.location)}</div>` : ''}
+              </th>
+            `).join('')}
+          </tr>
+        </thead>
+        <tbody>
+          ${bodyRows}
+        </tbody>
+      </table>
+    </div>
+    <p class="section-subtitle" style="margin-top: 8px;">✨ Highlighted cells are the best value in each row</p>
+  `;
+}
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { buildComparisonRows, generateComparisonHTML };
+}
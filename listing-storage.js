@@ -0,0 +1,277 @@
+// TravanaSpot - Listing Storage
+// Persists extracted reviews and finished analyses in chrome.storage.local,
+// keyed by the listing ID (see site-adapter.js), so reopening the side panel doesn't re-run Little Airby
+
+// How many reviews to collect and analyze when Settings has no "reviewLimit"
+const DEFAULT_REVIEW_LIMIT = 100;
+
+// Summaries of every stored listing by ID (see summarizeListing), so listing them and the
+// watchlist alarm don't read every listing's reviews and analysis
+const LISTING_INDEX_KEY = 'listingIndex';
+
+class ListingStorage {
+  constructor(storageArea = chrome.storage.local) {
+    this.storage = storageArea;
+    this.KEY_PREFIX = 'listing:';
+  }
+
+  static getSiteAdapterClass() {
+    return typeof SiteAdapter !== 'undefined' ? SiteAdapter : require('./site-adapter.js').SiteAdapter;
+  }
+
+  // Listing ID of a supported listing page: the Airbnb room ID, "vrbo-…" or "booking-…" (null for other pages)
+  static getListingIdFromUrl(url) {
+    return ListingStorage.getSiteAdapterClass().getListingId(url);
+  }
+
+  /**
+   * Content hash of a review set
+   *
+   * - Order-independent: Airbnb may return the same reviews in a different order
+   * - Only uses the fields the analysis depends on (name, date, rating, text, host response)
+   * - The host response is only added when present, so hashes of reviews without one don't change
+   * - FNV-1a 32-bit, so it runs synchronously in content scripts and the side panel
+   */
+  static hashReviews(reviews) {
+    if (!Array.isArray(reviews) || reviews.length === 0) return null;
+
+    const signature = reviews
+      .map(review => [
+        review.name || '',
+        review.date || '',
+        review.rating || 0,
+        (review.text || review.comments || '').trim(),
+        ...(review.hostResponse?.text ? [review.hostResponse.text.trim()] : [])
+      ].join('|'))
+      .sort()
+      .join('\n');
+
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < signature.length; i++) {
+      hash ^= signature.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+
+    return `${reviews.length}-${(hash >>> 0).toString(16).padStart(8, '0')}`;
+  }
+
+  // Reviews in `current` that weren't in `previous` (matched on name, date and text)
+  static diffReviews(previous, current) {
+    const reviewKey = review => [
+      review.name || '',
+      review.date || '',
+      (review.text || review.comments || '').trim()
+    ].join('|');
+
+    const seen = new Set((previous || []).map(reviewKey));
+    return (current || []).filter(review => !seen.has(reviewKey(review)));
+  }
+
+  // Parse the "reviewLimit" setting ('100', '250', 'all') into a count (Infinity for all)
+  static parseReviewLimit(value) {
+    if (value === 'all' || value === Infinity) return Infinity;
+
+    const limit = parseInt(value, 10);
+    return Number.isFinite(limit) && limit > 0 ? limit : DEFAULT_REVIEW_LIMIT;
+  }
+
+  // Index entry for a listing: everything but its reviews, analysis and unseen reviews
+  static summarizeListing(entry) {
+    const { reviews: _reviews, analysis, unseenReviews, ...summary } = entry;
+    return { ...summary, hasAnalysis: !!analysis, unseenCount: unseenReviews?.length || 0 };
+  }
+
+  // Fill in the defaults of the options an analysis is stored with
+  static normalizeAnalysisOptions({ language = 'en', translateSnippets = false } = {}) {
+    return { language: language || 'en', translateSnippets: !!translateSnippets };
+  }
+
+  // Review limit chosen on the options page
+  async getReviewLimit() {
+    const result = await this.storage.get('reviewLimit');
+    return ListingStorage.parseReviewLimit(result.reviewLimit);
+  }
+
+  getKey(listingId) {
+    return `${this.KEY_PREFIX}${listingId}`;
+  }
+
+  // Get the stored entry for a listing (or null if never saved)
+  async getListing(listingId) {
+    if (!listingId) return null;
+
+    const key = this.getKey(listingId);
+    const result = await this.storage.get(key);
+    return result[key] || null;
+  }
+
+  // Merge fields into a listing entry and write it back, together with its index entry
+  async updateListing(listingId, fields) {
+    const existing = await this.getListing(listingId) || { listingId };
+    const entry = {
+      ...existing,
+      ...fields,
+      listingId,
+      updatedAt: new Date().toISOString()
+    };
+
+    const index = await this.getIndex();
+    await this.storage.set({
+      [this.getKey(listingId)]: entry,
+      [LISTING_INDEX_KEY]: { ...index, [listingId]: ListingStorage.summarizeListing(entry) }
+    });
+    return entry;
+  }
+
+  // The listing index; built once from the full entries when storage has none (saved before the index existed)
+  async getIndex() {
+    const result = await this.storage.get(LISTING_INDEX_KEY);
+    if (result[LISTING_INDEX_KEY]) return result[LISTING_INDEX_KEY];
+
+    const all = await this.storage.get(null);
+    const index = Object.fromEntries(
+      Object.entries(all)
+        .filter(([key]) => key.startsWith(this.KEY_PREFIX))
+        .map(([, entry]) => [entry.listingId, ListingStorage.summarizeListing(entry)])
+    );
+
+    console.log(`TravanaSpot: Built listing index for ${Object.keys(index).length} stored listings`);
+    await this.storage.set({ [LISTING_INDEX_KEY]: index });
+    return index;
+  }
+
+  // Save an extracted review set (keeps any stored analysis so its hash can be compared later)
+  // pageReviewCount: the total the listing page showed, so a later visit can tell when reviews were added
+  // reviewLimit: the limit the set was collected with, so raising it in Settings collects again
+  async saveReviews(listingId, reviews, { pageReviewCount = null, reviewLimit = null } = {}) {
+    if (!listingId || !Array.isArray(reviews) || reviews.length === 0) return null;
+
+    console.log(`TravanaSpot: Storing ${reviews.length} reviews for listing ${listingId}`);
+
+    return this.updateListing(listingId, {
+      reviews,
+      reviewHash: ListingStorage.hashReviews(reviews),
+      reviewsSavedAt: new Date().toISOString(),
+      ...(pageReviewCount ? { pageReviewCount } : {}),
+      ...(reviewLimit ? { reviewLimit: Number.isFinite(reviewLimit) ? reviewLimit : 'all' } : {})
+    });
+  }
+
+  // Get stored reviews for a listing (empty array if none)
+  async getReviews(listingId) {
+    const entry = await this.getListing(listingId);
+    return entry?.reviews || [];
+  }
+
+  // Save a finished analysis together with the review set it was computed from
+  // analysisOptions: the settings that shape the output ({ language, translateSnippets }), compared on reuse
+  async saveAnalysis(listingId, { reviews, analysis, listingData = null, analysisOptions = {} }) {
+    if (!listingId || !analysis) return null;
+
+    // Reviews are stored once at the top level, not duplicated inside listingData
+    const { reviews: _listingReviews, ...listingInfo } = listingData || {};
+    const reviewHash = ListingStorage.hashReviews(reviews);
+
+    console.log(`TravanaSpot: Storing analysis for listing ${listingId} (review hash ${reviewHash})`);
+
+    return this.updateListing(listingId, {
+      reviews,
+      reviewHash,
+      analysis,
+      analysisHash: reviewHash,
+      analysisOptions,
+      analyzedAt: new Date().toISOString(),
+      ...(listingData ? { listingData: listingInfo } : {})
+    });
+  }
+
+  // Return the stored analysis only if it was computed from the same review set with the same
+  // analysisOptions (see saveAnalysis); analyses stored without options count as English, untranslated
+  async getCachedAnalysis(listingId, reviewHash, analysisOptions = {}) {
+    const entry = await this.getListing(listingId);
+
+    if (!entry || !entry.analysis || !reviewHash) return null;
+
+    if (entry.analysisHash !== reviewHash) {
+      console.log(`TravanaSpot: Stored analysis for ${listingId} is stale (${entry.analysisHash} != ${reviewHash})`);
+      return null;
+    }
+
+    const stored = ListingStorage.normalizeAnalysisOptions(entry.analysisOptions);
+    const wanted = ListingStorage.normalizeAnalysisOptions(analysisOptions);
+    if (stored.language !== wanted.language || stored.translateSnippets !== wanted.translateSnippets) {
+      console.log(`TravanaSpot: Stored analysis for ${listingId} was made with other settings (${JSON.stringify(stored)})`);
+      return null;
+    }
+
+    return entry.analysis;
+  }
+
+  // Summaries of every stored listing (unordered, see summarizeListing); getListing has the full entry
+  async listListings() {
+    return Object.values(await this.getIndex());
+  }
+
+  // Start or stop background re-checks for a listing
+  async setWatched(listingId, watched, listingData = null) {
+    if (!listingId) return null;
+
+    const { reviews: _listingReviews, ...listingInfo } = listingData || {};
+
+    return this.updateListing(listingId, {
+      watched: !!watched,
+      watchedAt: watched ? new Date().toISOString() : null,
+      ...(listingData ? { listingData: listingInfo } : {})
+    });
+  }
+
+  async getWatchedListings() {
+    const entries = await this.listListings();
+    return entries.filter(entry => entry.watched);
+  }
+
+  // Store the result of a background re-check; new reviews stay unseen until the panel shows the listing
+  // complete: false when collection stopped at its time limit; the partial set then doesn't replace the stored one,
+  // or the next complete check would report every review it left out as new
+  async recordWatchCheck(listingId, reviews, newReviews, { complete = true } = {}) {
+    const entry = await this.getListing(listingId);
+    const unseen = [...(entry?.unseenReviews || []), ...newReviews];
+
+    if (!complete) {
+      return this.updateListing(listingId, {
+        lastCheckedAt: new Date().toISOString(),
+        unseenReviews: unseen
+      });
+    }
+
+    return this.updateListing(listingId, {
+      reviews,
+      reviewHash: ListingStorage.hashReviews(reviews),
+      reviewsSavedAt: new Date().toISOString(),
+      lastCheckedAt: new Date().toISOString(),
+      unseenReviews: unseen
+    });
+  }
+
+  async markReviewsSeen(listingId) {
+    const entry = await this.getListing(listingId);
+    if (!entry || !entry.unseenReviews || entry.unseenReviews.length === 0) return entry;
+
+    return this.updateListing(listingId, { unseenReviews: [] });
+  }
+
+  async removeListing(listingId) {
+    if (!listingId) return;
+
+    const { [listingId]: _removed, ...index } = await this.getIndex();
+    await this.storage.remove(this.getKey(listingId));
+    await this.storage.set({ [LISTING_INDEX_KEY]: index });
+  }
+}
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ListingStorage;
+} else {
+  self.ListingStorage = ListingStorage;
+}
@@ -0,0 +1,288 @@
+// TravanaSpot - Settings page
+// Settings are stored in chrome.storage.local; the side panel picks up changes live
+
+function showStatus(elementId, message, type) {
+    const status = document.getElementById(elementId);
+    status.textContent = message;
+    status.className = `status ${type || ''}`;
+}
+
+// ============================================================================
+// AI Backend
+// ============================================================================
+
+function readAISettingsForm() {
+    const selected = document.querySelector('input[name="ai-provider"]:checked');
+
+    return {
+        provider: selected ? selected.value : DEFAULT_AI_SETTINGS.provider,
+        localEndpoint: document.getElementById('local-endpoint').value.trim() || DEFAULT_AI_SETTINGS.localEndpoint,
+        localModel: document.getElementById('local-model').value.trim() || DEFAULT_AI_SETTINGS.localModel,
+        localApiKey: document.getElementById('local-api-key').value.trim(),
+        localContextTokens: parseInt(document.getElementById('local-context-tokens').value, 10) || DEFAULT_AI_SETTINGS.localContextTokens,
+        localEmbeddingModel: document.getElementById('local-embedding-model').value.trim()
+    };
+}
+
+function updateLocalHttpVisibility() {
+    const selected = document.querySelector('input[name="ai-provider"]:checked');
+    document.getElementById('local-http-settings').style.display =
+        selected && selected.value === 'local-http' ? 'block' : 'none';
+}
+
+async function loadAISettings() {
+    const stored = await chrome.storage.local.get('aiSettings');
+    const settings = { ...DEFAULT_AI_SETTINGS, ...(stored.aiSettings || {}) };
+
+    const radio = document.querySelector(`input[name="ai-provider"][value="${settings.provider}"]`);
+    if (radio) radio.checked = true;
+
+    document.getElementById('local-endpoint').value = settings.localEndpoint;
+    document.getElementById('local-model').value = settings.localModel;
+    document.getElementById('local-api-key').value = settings.localApiKey;
+    document.getElementById('local-context-tokens').value = settings.localContextTokens;
+    document.getElementById('local-embedding-model').value = settings.localEmbeddingModel;
+
+    updateLocalHttpVisibility();
+}
+
+// localhost and 127.0.0.1 are in the manifest; a server elsewhere on the LAN or remote needs its
+// host permission first. Must be called straight from the click handler, like requestEmailEndpointAccess.
+async function requestLocalEndpointAccess(settings) {
+    if (settings.provider !== 'local-http') return true;
+
+    const { protocol, hostname } = new URL(settings.localEndpoint);
+    if (hostname === 'localhost' || hostname === '127.0.0.1') return true;
+
+    return chrome.permissions.request({ origins: [`${protocol}//${hostname}/*`] });
+}
+
+async function saveAISettings() {
+    const settings = readAISettingsForm();
+
+    if (settings.provider === 'local-http') {
+        try {
+            new URL(settings.localEndpoint);
+        } catch (error) {
+            showStatus('ai-settings-status', '❌ Server URL is not a valid URL', 'error');
+            return;
+        }
+    }
+
+    if (!await requestLocalEndpointAccess(settings)) {
+        showStatus('ai-settings-status', `❌ Allow access to ${new URL(settings.localEndpoint).hostname} to use the model server there`, 'error');
+        return;
+    }
+
+    await chrome.storage.local.set({ aiSettings: settings });
+    console.log('Options: AI settings saved', { ...settings, localApiKey: settings.localApiKey ? '***' : '' });
+    showStatus('ai-settings-status', '✅ Saved', 'success');
+}
+
+async function testAISettings() {
+    const settings = readAISettingsForm();
+
+    try {
+        if (!await requestLocalEndpointAccess(settings)) {
+            showStatus('ai-settings-status', `❌ Allow access to ${new URL(settings.localEndpoint).hostname} to use the model server there`, 'error');
+            return;
+        }
+    } catch (error) {
+        showStatus('ai-settings-status', '❌ Server URL is not a valid URL', 'error');
+        return;
+    }
+
+    showStatus('ai-settings-status', 'Testing...', '');
+
+    const provider = createAIProvider(settings);
+    const result = await provider.testConnection();
+
+    if (result.success) {
+        showStatus('ai-settings-status', `✅ Connected${result.reply ? ` (model replied "${result.reply.substring(0, 20)}")` : ''}`, 'success');
+    } else {
+        showStatus('ai-settings-status', `❌ ${result.error}`, 'error');
+    }
+}
+
+// ============================================================================
+// Reviews
+// ============================================================================
+
+const DEFAULT_REVIEW_LIMIT_SETTING = '100';
+
+async function loadReviewSettings() {
+    const stored = await chrome.storage.local.get(['reviewLimit', 'translateReviewSnippets']);
+    const limit = stored.reviewLimit || DEFAULT_REVIEW_LIMIT_SETTING;
+
+    const radio = document.querySelector(`input[name="review-limit"][value="${limit}"]`);
+    if (radio) radio.checked = true;
+
+    document.getElementById('translate-review-snippets').checked = !!stored.translateReviewSnippets;
+}
+
+async function saveReviewSettings() {
+    const selected = document.querySelector('input[name="review-limit"]:checked');
+    const reviewLimit = selected ? selected.value : DEFAULT_REVIEW_LIMIT_SETTING;
+    const translateReviewSnippets = document.getElementById('translate-review-snippets').checked;
+
+    await chrome.storage.local.set({ reviewLimit, translateReviewSnippets });
+    console.log('Options: Review settings saved', { reviewLimit, translateReviewSnippets });
+    showStatus('review-settings-status', '✅ Saved', 'success');
+}
+
+// ============================================================================
+// Chat
+// ============================================================================
+
+const DEFAULT_CHAT_ANSWER_MODE = 'first-match';
+
+async function loadChatSettings() {
+    const stored = await chrome.storage.local.get('chatAnswerMode');
+    const mode = stored.chatAnswerMode || DEFAULT_CHAT_ANSWER_MODE;
+
+    const radio = document.querySelector(`input[name="chat-answer-mode"][value="${mode}"]`);
+    if (radio) radio.checked = true;
+}
+
+async function saveChatSettings() {
+    const selected = document.querySelector('input[name="chat-answer-mode"]:checked');
+    const chatAnswerMode = selected ? selected.value : DEFAULT_CHAT_ANSWER_MODE;
+
+    await chrome.storage.local.set({ chatAnswerMode });
+    console.log('Options: Chat answer mode saved', chatAnswerMode);
+    showStatus('chat-settings-status', '✅ Saved', 'success');
+}
+
+// ============================================================================
+// Email
+// ============================================================================
+
+// Fields shown for each transport
+const EMAIL_TRANSPORT_SECTIONS = {
+    resend: 'email-resend-settings',
+    webhook: 'email-webhook-settings',
+    'smtp-relay': 'email-relay-settings'
+};
+
+function readEmailSettingsForm() {
+    const selected = document.querySelector('input[name="email-transport"]:checked');
+
+    return EmailSettings.normalize({
+        transport: selected ? selected.value : DEFAULT_EMAIL_SETTINGS.transport,
+        resendApiKey: document.getElementById('email-resend-api-key').value,
+        webhookUrl: document.getElementById('email-webhook-url').value,
+        webhookSecret: document.getElementById('email-webhook-secret').value,
+        relayUrl: document.getElementById('email-relay-url').value,
+        fromAddress: document.getElementById('email-from-address').value,
+        fromName: document.getElementById('email-from-name').value
+    });
+}
+
+function updateEmailTransportVisibility() {
+    const selected = document.querySelector('input[name="email-transport"]:checked');
+    Object.entries(EMAIL_TRANSPORT_SECTIONS).forEach(([transport, sectionId]) => {
+        document.getElementById(sectionId).style.display =
+            selected && selected.value === transport ? 'block' : 'none';
+    });
+}
+
+async function loadEmailSettings() {
+    const settings = await EmailSettings.load();
+
+    const radio = document.querySelector(`input[name="email-transport"][value="${settings.transport}"]`);
+    if (radio) radio.checked = true;
+
+    document.getElementById('email-resend-api-key').value = settings.resendApiKey;
+    document.getElementById('email-webhook-url').value = settings.webhookUrl;
+    document.getElementById('email-webhook-secret').value = settings.webhookSecret;
+    document.getElementById('email-relay-url').value = settings.relayUrl;
+    document.getElementById('email-from-address').value = settings.fromAddress;
+    document.getElementById('email-from-name').value = settings.fromName;
+
+    updateEmailTransportVisibility();
+}
+
+// The webhook and relay can be on any host, so the service worker needs permission to post there.
+// Must be called straight from the click handler: Chrome only asks during a user gesture.
+async function requestEmailEndpointAccess(settings) {
+    const endpoint = EmailSettings.getEndpoint(settings);
+    if (!endpoint) return true;
+
+    const { protocol, hostname } = new URL(endpoint);
+    return chrome.permissions.request({ origins: [`${protocol}//${hostname}/*`] });
+}
+
+async function saveEmailSettings() {
+    const settings = readEmailSettingsForm();
+    const problem = EmailSettings.validate(settings);
+
+    if (problem) {
+        showStatus('email-settings-status', `❌ ${problem}`, 'error');
+        return;
+    }
+
+    if (!await requestEmailEndpointAccess(settings)) {
+        showStatus('email-settings-status', `❌ Allow access to ${new URL(EmailSettings.getEndpoint(settings)).hostname} to send email there`, 'error');
+        return;
+    }
+
+    await EmailSettings.save(settings);
+    console.log('Options: Email settings saved', { ...settings, resendApiKey: '***', webhookSecret: '***' });
+    showStatus('email-settings-status', '✅ Saved', 'success');
+}
+
+// Sends through the service worker with the form's values, so settings can be checked before saving
+async function testEmailSettings() {
+    const recipient = document.getElementById('email-test-recipient').value.trim();
+    if (!EmailSettings.isValidAddress(recipient)) {
+        showStatus('email-settings-status', '❌ Enter the address to send the test email to', 'error');
+        return;
+    }
+
+    const settings = readEmailSettingsForm();
+    const problem = EmailSettings.validate(settings);
+    if (problem) {
+        showStatus('email-settings-status', `❌ ${problem}`, 'error');
+        return;
+    }
+
+    if (!await requestEmailEndpointAccess(settings)) {
+        showStatus('email-settings-status', `❌ Allow access to ${new URL(EmailSettings.getEndpoint(settings)).hostname} to send email there`, 'error');
+        return;
+    }
+
+    showStatus('email-settings-status', 'Sending...', '');
+
+    const result = await chrome.runtime.sendMessage({
+        type: 'test_email_settings',
+        settings,
+        to: recipient
+    });
+
+    if (result?.success) {
+        showStatus('email-settings-status', `✅ Test email sent to ${recipient}`, 'success');
+    } else {
+        showStatus('email-settings-status', `❌ ${result?.error || 'The service worker did not answer'}`, 'error');
+    }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    loadAISettings();
+    loadReviewSettings();
+    loadChatSettings();
+    loadEmailSettings();
+
+    document.querySelectorAll('input[name="ai-provider"]').forEach(radio => {
+        radio.addEventListener('change', updateLocalHttpVisibility);
+    });
+    document.querySelectorAll('input[name="email-transport"]').forEach(radio => {
+        radio.addEventListener('change', updateEmailTransportVisibility);
+    });
+
+    document.getElementById('save-ai-settings-btn').addEventListener('click', saveAISettings);
+    document.getElementById('test-ai-settings-btn').addEventListener('click', testAISettings);
+    document.getElementById('save-review-settings-btn').addEventListener('click', saveReviewSettings);
+    document.getElementById('save-chat-settings-btn').addEventListener('click', saveChatSettings);
+    document.getElementById('save-email-settings-btn').addEventListener('click', saveEmailSettings);
+    document.getElementById('test-email-settings-btn').addEventListener('click', testEmailSettings);
+});
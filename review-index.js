@@ -0,0 +1,141 @@
+// TravanaSpot - Review Index
+// Ranks cached reviews by relevance to a chat question, so askQuestion only sends
+// the best matches to the Prompt API instead of scanning every review
+
+/**
+ * BM25 over the review text, optionally blended with embeddings
+ *
+ * - Built once per review set in buildReviewCache (pure JS, no AI needed)
+ * - rank() returns only reviews that match at least one question term
+ * - With an embed(texts) function (see LocalHttpProvider), review vectors are computed
+ *   on the first ranked question and every review gets a cosine score; the final score
+ *   is EMBEDDING_WEIGHT * cosine + (1 - EMBEDDING_WEIGHT) * normalized BM25
+ */
+
+// Words that say nothing about what a guest is asking for
+const REVIEW_INDEX_STOPWORDS = new Set([
+  'a', 'an', 'the', 'and', 'or', 'but', 'of', 'to', 'in', 'on', 'at', 'for', 'with', 'by', 'from',
+  'is', 'are', 'was', 'were', 'be', 'been', 'it', 'its', 'this', 'that', 'there', 'these', 'those',
+  'i', 'we', 'you', 'he', 'she', 'they', 'me', 'us', 'my', 'our', 'your', 'their', 'his', 'her',
+  'do', 'does', 'did', 'have', 'has', 'had', 'can', 'could', 'would', 'should', 'will', 'any',
+  'what', 'which', 'who', 'how', 'when', 'where', 'why', 'about', 'if', 'so', 'as', 'not', 'no',
+  'very', 'really', 'just', 'also', 'some', 'place', 'stay', 'guests', 'guest', 'people', 'say', 'said'
+]);
+
+class ReviewIndex {
+  // documents: [{ id, text }] (the review cache entries)
+  constructor(documents, { k1 = 1.2, b = 0.75 } = {}) {
+    this.k1 = k1;
+    this.b = b;
+    this.EMBEDDING_WEIGHT = 0.6;
+    this.documents = documents || [];
+    this.embeddings = null; // id -> vector, filled on first rank() with an embed function
+
+    this.termFrequencies = this.documents.map(doc => {
+      const frequencies = new Map();
+      ReviewIndex.tokenize(doc.text).forEach(term => frequencies.set(term, (frequencies.get(term) || 0) + 1));
+      return frequencies;
+    });
+
+    this.lengths = this.termFrequencies.map(frequencies => [...frequencies.values()].reduce((sum, n) => sum + n, 0));
+    this.averageLength = this.lengths.reduce((sum, n) => sum + n, 0) / (this.documents.length || 1);
+
+    // Number of reviews containing each term
+    this.documentFrequencies = new Map();
+    this.termFrequencies.forEach(frequencies => {
+      frequencies.forEach((_, term) => {
+        this.documentFrequencies.set(term, (this.documentFrequencies.get(term) || 0) + 1);
+      });
+    });
+  }
+
+  // Lowercase words without stopwords, with plurals folded ("beds" → "bed")
+  static tokenize(text) {
+    return (text || '')
+      .toLowerCase()
+      .split(/[^\p{L}\p{N}]+/u)
+      .filter(word => word.length > 1 && !REVIEW_INDEX_STOPWORDS.has(word))
+      .map(word => (word.length > 3 && word.endsWith('s') && !word.endsWith('ss') ? word.slice(0, -1) : word));
+  }
+
+  idf(term) {
+    const documentFrequency = this.documentFrequencies.get(term) || 0;
+    return Math.log(1 + (this.documents.length - documentFrequency + 0.5) / (documentFrequency + 0.5));
+  }
+
+  // BM25 score of every review (same order as documents)
+  scoreBM25(query) {
+    const terms = [...new Set(ReviewIndex.tokenize(query))];
+
+    return this.termFrequencies.map((frequencies, i) => {
+      const lengthNorm = 1 - this.b + this.b * (this.lengths[i] / (this.averageLength || 1));
+
+      return terms.reduce((score, term) => {
+        const frequency = frequencies.get(term) || 0;
+        if (frequency === 0) return score;
+        return score + this.idf(term) * (frequency * (this.k1 + 1)) / (frequency + this.k1 * lengthNorm);
+      }, 0);
+    });
+  }
+
+  /**
+   * Reviews ranked by relevance, best first: [{ id, text, score }]
+   *
+   * embed: optional async (texts) => number[][]; failures fall back to BM25 only
+   */
+  async rank(query, { limit = 30, embed = null } = {}) {
+    const bm25 = this.scoreBM25(query);
+    const maxBM25 = Math.max(0, ...bm25);
+
+    let similarities = null;
+    if (embed && this.documents.length > 0) {
+      try {
+        similarities = await this.scoreEmbeddings(query, embed);
+      } catch (error) {
+        console.warn('TravanaSpot: Embedding ranking failed, using BM25 only:', error.message);
+      }
+    }
+
+    return this.documents
+      .map((doc, i) => {
+        const keywordScore = maxBM25 > 0 ? bm25[i] / maxBM25 : 0;
+        const score = similarities
+          ? this.EMBEDDING_WEIGHT * similarities[i] + (1 - this.EMBEDDING_WEIGHT) * keywordScore
+          : keywordScore;
+        return { id: doc.id, text: doc.text, score };
+      })
+      .filter(entry => entry.score > 0)
+      .sort((a, b) => b.score - a.score || a.id - b.id)
+      .slice(0, limit);
+  }
+
+  async scoreEmbeddings(query, embed) {
+    if (!this.embeddings) {
+      const vectors = await embed(this.documents.map(doc => doc.text));
+      this.embeddings = new Map(this.documents.map((doc, i) => [doc.id, vectors[i]]));
+    }
+
+    const [queryVector] = await embed([query]);
+    return this.documents.map(doc => ReviewIndex.cosineSimilarity(queryVector, this.embeddings.get(doc.id)));
+  }
+
+  static cosineSimilarity(a, b) {
+    if (!a || !b || a.length !== b.length) return 0;
+
+    let dot = 0;
+    let normA = 0;
+    let normB = 0;
+    for (let i = 0; i < a.length; i++) {
+      dot += a[i] * b[i];
+      normA += a[i] * a[i];
+      normB += b[i] * b[i];
+    }
+
+    return normA && normB ? Math.max(0, dot / Math.sqrt(normA * normB)) : 0;
+  }
+}
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ReviewIndex;
+}
@@ -0,0 +1,299 @@
+// TravanaSpot - Review Languages
+// Guesses the language of each review and holds the aspect and sentiment words of
+// languages other than English, so the keyword heuristics in browser-ai-integration.js
+// don't skip reviews written in German, French, Spanish, ...
+
+// Returned by detect() when a text has too few common words to tell
+const UNKNOWN_REVIEW_LANGUAGE = 'und';
+
+// A text needs this many stopword hits before it's assigned a language
+const MIN_STOPWORD_HITS = 2;
+
+/**
+ * Per language
+ *
+ * - stopwords: common words that identify the language (articles, pronouns, "very", "was")
+ * - aspects: words for the 9 review aspects, matched as whole words; a trailing * matches
+ *   the start of a word instead ("sauber*" also finds "sauberer", "bed" doesn't find
+ *   "bedankt"). English lives in REVIEW_ASPECT_KEYWORDS of browser-ai-integration.js
+ * - positive / negative: sentiment words, matched the same way
+ * - hostResponse: apologetic / defensive phrases and fix promises ("repariert") in host
+ *   responses, matched the same way. English lives in HOST_TONE_PHRASES and
+ *   HOST_FIX_PROMISE_PATTERN of browser-ai-integration.js
+ */
+const REVIEW_LANGUAGES = {
+  en: {
+    name: 'English',
+    stopwords: ['the', 'and', 'was', 'were', 'is', 'with', 'very', 'we', 'our', 'for', 'of', 'to', 'this', 'that', 'but', 'not', 'would', 'had', 'you', 'they', 'there', 'my', 'it', 'stay', 'place']
+  },
+  de: {
+    name: 'German',
+    stopwords: ['und', 'der', 'die', 'das', 'ist', 'war', 'sehr', 'wir', 'nicht', 'mit', 'ein', 'eine', 'es', 'zu', 'auf', 'für', 'auch', 'uns', 'ich', 'den', 'dem', 'aber', 'alles', 'waren', 'haben', 'hat', 'wohnung'],
+    aspects: {
+      Cleanliness: ['sauber*', 'schmutz*', 'dreckig*', 'staub*', 'ordentlich*'],
+      Location: ['lage', 'gegend', 'viertel', 'zentral*', 'umgebung'],
+      HostCommunication: ['gastgeber*', 'kommunikation', 'hilfsbereit*', 'erreichbar'],
+      ValueForMoney: ['preis*', 'teuer', 'günstig*', 'geld'],
+      AccuracyOfListing: ['beschreibung', 'beschrieben', 'fotos', 'bilder', 'inserat'],
+      CheckInProcess: ['check-in', 'einchecken', 'ankunft', 'schlüssel*'],
+      NoiseLevels: ['lärm*', 'laut', 'ruhig*', 'geräusch*', 'leise'],
+      Comfort: ['bequem*', 'bett*', 'gemütlich*', 'matratze*', 'kissen'],
+      Amenities: ['ausstattung', 'wlan', 'küche', 'parkplatz*', 'pool', 'waschmaschine']
+    },
+    positive: ['toll*', 'super', 'schön*', 'perfekt*', 'wunderbar*', 'ausgezeichnet*', 'sauber*', 'bequem*', 'empfehl*'],
+    negative: ['schlecht*', 'schmutzig*', 'dreckig*', 'laut', 'enttäuschend*', 'problem*', 'leider', 'kaputt*', 'schimmel*'],
+    hostResponse: {
+      apologetic: ['entschuldig*', 'tut uns leid', 'tut mir leid', 'bedauer*', 'danke für ihr feedback', 'danke für den hinweis', 'sie haben recht', 'unannehmlichkeit*'],
+      defensive: ['allerdings', 'jedoch', 'eigentlich', 'stimmt nicht', 'nicht wahr', 'unfair', 'falsch', 'in der beschreibung', 'im inserat', 'hätten sie', 'nie beschwert', 'übertrieb*'],
+      fixPromise: ['repariert', 'reparieren', 'behoben', 'beheben', 'ersetzt', 'ausgetauscht', 'erneuert', 'kümmern uns', 'gekümmert', 'verbessert', 'installiert']
+    }
+  },
+  fr: {
+    name: 'French',
+    stopwords: ['le', 'les', 'et', 'est', 'était', 'très', 'nous', 'avec', 'pour', 'une', 'des', 'du', 'dans', 'pas', 'mais', 'sur', 'qui', 'ce', 'au', 'aux', 'il', 'je', 'appartement', 'logement', 'séjour'],
+    aspects: {
+      Cleanliness: ['propre*', 'sale', 'poussière*', 'nickel'],
+      Location: ['emplacement', 'quartier', 'situé*', 'localisation', 'centre'],
+      HostCommunication: ['hôte*', 'communication', 'réacti*', 'disponible*', 'accueil*'],
+      ValueForMoney: ['prix', 'rapport qualité', 'cher', 'chère', 'valeur'],
+      AccuracyOfListing: ['annonce', 'conforme*', 'photos', 'description'],
+      CheckInProcess: ['check-in', 'arrivée', 'clé', 'clés'],
+      NoiseLevels: ['bruit*', 'bruyant*', 'calme', 'silencieu*'],
+      Comfort: ['confort*', 'lit', 'lits', 'matelas', 'oreiller*', 'literie'],
+      Amenities: ['équipement*', 'équipé*', 'wifi', 'cuisine', 'parking', 'piscine']
+    },
+    positive: ['super', 'parfait*', 'excellent*', 'magnifique*', 'génial*', 'propre*', 'confortable*', 'agréable*', 'recommande*'],
+    negative: ['mauvais*', 'sale', 'bruyant*', 'décevant*', 'problème*', 'malheureusement', 'cassé*', 'moisissure*'],
+    hostResponse: {
+      apologetic: ['désolé*', 'excus*', 'regrett*', 'navré*', 'merci pour votre retour', 'merci pour votre commentaire', 'vous avez raison', 'désagrément*'],
+      defensive: ['cependant', 'pourtant', 'en fait', 'pas vrai', 'faux', 'fausse', 'injuste', "dans l'annonce", 'clairement indiqué', 'auriez dû', 'jamais plaint*', 'exagér*'],
+      fixPromise: ['réparé*', 'réparer', 'remplacé*', 'remplacer', 'changé*', 'résolu*', 'amélioré*', 'installé*', 'corrigé*']
+    }
+  },
+  es: {
+    name: 'Spanish',
+    stopwords: ['el', 'los', 'las', 'y', 'es', 'muy', 'con', 'para', 'una', 'que', 'del', 'por', 'pero', 'todo', 'fue', 'estaba', 'nos', 'lo', 'al', 'su', 'está', 'apartamento', 'estancia', 'lugar'],
+    aspects: {
+      Cleanliness: ['limpi*', 'sucio*', 'sucia*', 'polvo'],
+      Location: ['ubicación', 'ubicado*', 'zona', 'barrio', 'céntrico*'],
+      HostCommunication: ['anfitri*', 'comunicación', 'atento', 'atenta', 'amable*'],
+      ValueForMoney: ['precio*', 'caro', 'cara', 'calidad-precio', 'calidad precio'],
+      AccuracyOfListing: ['descripción', 'anuncio', 'fotos', 'imágenes'],
+      CheckInProcess: ['check-in', 'llegada', 'llave*', 'entrada'],
+      NoiseLevels: ['ruido*', 'ruidoso*', 'tranquil*', 'silencio*'],
+      Comfort: ['cómod*', 'cama', 'camas', 'colchón', 'almohada*', 'acogedor*'],
+      Amenities: ['equipad*', 'wifi', 'cocina', 'piscina', 'aparcamiento', 'estacionamiento']
+    },
+    positive: ['genial*', 'excelente*', 'perfect*', 'maravillos*', 'increíble*', 'limpi*', 'cómod*', 'recomiendo', 'encantó'],
+    negative: ['mal', 'sucio*', 'sucia*', 'ruidoso*', 'decepcion*', 'problema*', 'desafortunadamente', 'roto', 'rota', 'humedad'],
+    hostResponse: {
+      apologetic: ['lo sentimos', 'lo siento', 'disculp*', 'perdón', 'lamentamos', 'gracias por tus comentarios', 'gracias por sus comentarios', 'tienes razón', 'tiene razón', 'molestias'],
+      defensive: ['sin embargo', 'en realidad', 'no es cierto', 'no es verdad', 'falso', 'injust*', 'en el anuncio', 'claramente', 'debería haber', 'nunca se quej*', 'exager*'],
+      fixPromise: ['reparad*', 'reparar', 'arreglad*', 'arreglar', 'cambiad*', 'sustituid*', 'reemplazad*', 'solucionad*', 'mejorad*', 'instalad*']
+    }
+  },
+  it: {
+    name: 'Italian',
+    stopwords: ['il', 'gli', 'e', 'è', 'molto', 'con', 'per', 'che', 'della', 'non', 'ma', 'tutto', 'era', 'ci', 'siamo', 'anche', 'nel', 'alla', 'casa', 'appartamento', 'soggiorno'],
+    aspects: {
+      Cleanliness: ['pulit*', 'pulizia', 'sporc*', 'polvere'],
+      Location: ['posizione', 'zona', 'quartiere', 'centrale', 'vicino'],
+      HostCommunication: ['host', 'comunicazione', 'disponibil*', 'gentil*'],
+      ValueForMoney: ['prezzo', 'costos*', 'qualità prezzo', 'qualità-prezzo'],
+      AccuracyOfListing: ['descrizione', 'annuncio', 'foto'],
+      CheckInProcess: ['check-in', 'arrivo', 'chiavi', 'chiave'],
+      NoiseLevels: ['rumor*', 'tranquill*', 'silenzio*'],
+      Comfort: ['comod*', 'letto', 'materasso', 'cuscin*', 'accogliente'],
+      Amenities: ['attrezzat*', 'wifi', 'cucina', 'piscina', 'parcheggio']
+    },
+    positive: ['ottim*', 'perfett*', 'bellissim*', 'fantastic*', 'eccellente', 'pulit*', 'comod*', 'consiglio', 'meraviglios*'],
+    negative: ['sporc*', 'rumoros*', 'deludente', 'problema*', 'purtroppo', 'rotto', 'rotta', 'muffa', 'pessim*'],
+    hostResponse: {
+      apologetic: ['ci scusiamo', 'scus*', 'dispiace', 'dispiaciut*', 'grazie per il feedback', 'grazie per la segnalazione', 'ha ragione', 'hai ragione', 'disagio', 'inconvenient*'],
+      defensive: ['tuttavia', 'in realtà', 'non è vero', 'falso', 'ingiust*', "nell'annuncio", 'chiaramente', 'avrebbe dovuto', 'avreste dovuto', 'mai lamentat*', 'esager*'],
+      fixPromise: ['riparat*', 'riparare', 'sostituit*', 'sostituire', 'cambiat*', 'risolt*', 'sistemat*', 'migliorat*', 'installat*']
+    }
+  },
+  pt: {
+    name: 'Portuguese',
+    stopwords: ['os', 'e', 'é', 'muito', 'com', 'para', 'um', 'uma', 'que', 'do', 'da', 'em', 'não', 'mas', 'tudo', 'foi', 'estava', 'nos', 'no', 'na', 'casa', 'apartamento', 'estadia'],
+    aspects: {
+      Cleanliness: ['limp*', 'suj*', 'poeira'],
+      Location: ['localização', 'localizado*', 'bairro', 'zona', 'central'],
+      HostCommunication: ['anfitri*', 'comunicação', 'atencios*', 'disponível', 'simpátic*'],
+      ValueForMoney: ['preço', 'caro', 'cara', 'qualidade-preço', 'qualidade preço'],
+      AccuracyOfListing: ['descrição', 'anúncio', 'fotos'],
+      CheckInProcess: ['check-in', 'chegada', 'chave*'],
+      NoiseLevels: ['barulh*', 'ruído*', 'tranquil*', 'silêncio*', 'sossegad*'],
+      Comfort: ['confortável', 'cama', 'camas', 'colchão', 'almofada*', 'aconchegante'],
+      Amenities: ['equipad*', 'wifi', 'cozinha', 'piscina', 'estacionamento']
+    },
+    positive: ['ótim*', 'excelente', 'perfeit*', 'maravilhos*', 'incrível', 'limp*', 'confortável', 'recomendo', 'adorámos', 'adoramos'],
+    negative: ['mau', 'má', 'suj*', 'barulhent*', 'decepcion*', 'problema*', 'infelizmente', 'partido', 'avariado*', 'humidade'],
+    hostResponse: {
+      apologetic: ['lamentamos', 'desculp*', 'obrigado pelo feedback', 'obrigada pelo feedback', 'obrigado pelo comentário', 'tem razão', 'incómodo', 'incômodo', 'transtorno'],
+      defensive: ['no entanto', 'contudo', 'na verdade', 'não é verdade', 'falso', 'injust*', 'no anúncio', 'claramente', 'deveria ter', 'nunca se queix*', 'exager*'],
+      fixPromise: ['reparad*', 'reparar', 'consertad*', 'substituíd*', 'substituir', 'trocad*', 'resolvid*', 'melhorad*', 'instalad*']
+    }
+  },
+  nl: {
+    name: 'Dutch',
+    stopwords: ['de', 'het', 'een', 'en', 'is', 'was', 'erg', 'zeer', 'wij', 'we', 'met', 'voor', 'van', 'niet', 'maar', 'alles', 'ook', 'heel', 'zijn', 'er', 'op', 'appartement', 'verblijf'],
+    aspects: {
+      Cleanliness: ['schoon', 'schone', 'vies', 'vieze', 'stof*', 'netjes'],
+      Location: ['ligging', 'locatie', 'buurt', 'wijk', 'centraal'],
+      HostCommunication: ['gastheer', 'gastvrouw', 'host', 'communicatie', 'behulpzaam'],
+      ValueForMoney: ['prijs*', 'duur', 'waar voor je geld'],
+      AccuracyOfListing: ['beschrijving', 'beschreven', "foto's", 'advertentie'],
+      CheckInProcess: ['check-in', 'inchecken', 'aankomst', 'sleutel*'],
+      NoiseLevels: ['lawaai*', 'geluid*', 'rustig*', 'stil', 'luid*'],
+      Comfort: ['comfortabel*', 'bed', 'bedden', 'matras*', 'kussen*', 'gezellig*'],
+      Amenities: ['voorzieningen', 'wifi', 'keuken', 'parkeer*', 'zwembad']
+    },
+    positive: ['geweldig*', 'perfect*', 'prachtig*', 'fantastisch*', 'uitstekend*', 'schoon', 'comfortabel*', 'aanrader', 'fijn*'],
+    negative: ['slecht*', 'vies', 'vieze', 'lawaai*', 'teleurstellend*', 'probleem', 'problemen', 'helaas', 'kapot*', 'schimmel*'],
+    hostResponse: {
+      apologetic: ['sorry', 'excuses', 'excuseer', 'spijt', 'vervelend', 'bedankt voor je feedback', 'bedankt voor uw feedback', 'je hebt gelijk', 'u heeft gelijk', 'ongemak'],
+      defensive: ['echter', 'eigenlijk', 'niet waar', 'onwaar', 'oneerlijk', 'in de advertentie', 'duidelijk vermeld', 'nooit geklaagd', 'overdrev*'],
+      fixPromise: ['gerepareerd', 'repareren', 'vervangen', 'opgelost', 'verbeterd', 'geïnstalleerd']
+    }
+  }
+};
+
+class ReviewLanguages {
+  /**
+   * Guess the language of a review from its common words
+   *
+   * Returns { language, confidence }: language is a code from REVIEW_LANGUAGES, or
+   * UNKNOWN_REVIEW_LANGUAGE when fewer than MIN_STOPWORD_HITS words are recognized;
+   * confidence is the winning language's share of all stopword hits (0-1).
+   */
+  static detect(text) {
+    const words = (text || '').toLowerCase().match(/\p{L}+/gu) || [];
+
+    let best = null;
+    let bestHits = 0;
+    let totalHits = 0;
+
+    Object.entries(ReviewLanguages.getStopwordSets()).forEach(([language, stopwords]) => {
+      const hits = words.filter(word => stopwords.has(word)).length;
+      totalHits += hits;
+      if (hits > bestHits) {
+        best = language;
+        bestHits = hits;
+      }
+    });
+
+    if (bestHits < MIN_STOPWORD_HITS) {
+      return { language: UNKNOWN_REVIEW_LANGUAGE, confidence: 0 };
+    }
+
+    return { language: best, confidence: Math.round((bestHits / totalHits) * 100) / 100 };
+  }
+
+  // Stopwords as Sets, built once
+  static getStopwordSets() {
+    if (!ReviewLanguages.stopwordSets) {
+      ReviewLanguages.stopwordSets = Object.fromEntries(
+        Object.entries(REVIEW_LANGUAGES).map(([language, { stopwords }]) => [language, new Set(stopwords)])
+      );
+    }
+    return ReviewLanguages.stopwordSets;
+  }
+
+  // Is this a language detect() can return (anything but und)?
+  static isKnown(language) {
+    return Object.prototype.hasOwnProperty.call(REVIEW_LANGUAGES, language);
+  }
+
+  // Language name for display ("German"); 'Unknown' for und and codes we don't know
+  static getName(language) {
+    return REVIEW_LANGUAGES[language]?.name || 'Unknown';
+  }
+
+  // Aspect words of a language ({} for English and unknown languages)
+  static getAspectKeywords(language) {
+    return REVIEW_LANGUAGES[language]?.aspects || {};
+  }
+
+  // Sentiment words of a language ({positive: [], negative: []} for English and unknown languages)
+  static getSentimentWords(language) {
+    const strings = REVIEW_LANGUAGES[language] || {};
+    return { positive: strings.positive || [], negative: strings.negative || [] };
+  }
+
+  // Host response phrases of a language (empty lists for English and unknown languages)
+  static getHostResponseWords(language) {
+    const strings = REVIEW_LANGUAGES[language]?.hostResponse || {};
+    return { apologetic: strings.apologetic || [], defensive: strings.defensive || [], fixPromise: strings.fixPromise || [] };
+  }
+
+  // Does the text use any of a language's stopwords? (for texts too short for detect())
+  static hasStopword(text, language) {
+    const stopwords = ReviewLanguages.getStopwordSets()[language];
+    const words = (text || '').toLowerCase().match(/\p{L}+/gu) || [];
+    return !!stopwords && words.some(word => stopwords.has(word));
+  }
+
+  // Does a lowercase text contain the keyword as a whole word (or, for "limpi*", at the start of a word)?
+  static hasKeyword(lowerText, keyword) {
+    const isPrefix = keyword.endsWith('*');
+    const word = ReviewLanguages.stripWildcard(keyword);
+
+    let index = lowerText.indexOf(word);
+    while (index !== -1) {
+      const startsWord = index === 0 || !/\p{L}/u.test(lowerText[index - 1]);
+      const endsWord = isPrefix || !/\p{L}/u.test(lowerText[index + word.length] || '');
+      if (startsWord && endsWord) return true;
+      index = lowerText.indexOf(word, index + 1);
+    }
+    return false;
+  }
+
+  // The keyword as it appears in text ("limpi*" → "limpi")
+  static stripWildcard(keyword) {
+    return keyword.endsWith('*') ? keyword.slice(0, -1) : keyword;
+  }
+
+  /**
+   * Count reviews per language
+   *
+   * Returns { total, primary_language, languages: [{ language, name, count, percentage }] }
+   * sorted by count, with undetected reviews last as 'und'.
+   */
+  static summarize(languages) {
+    const counts = {};
+    languages.forEach(language => {
+      counts[language] = (counts[language] || 0) + 1;
+    });
+
+    const total = languages.length;
+    const entries = Object.entries(counts)
+      .map(([language, count]) => ({
+        language,
+        name: ReviewLanguages.getName(language),
+        count,
+        percentage: total > 0 ? Math.round((count / total) * 100) : 0
+      }))
+      .sort((a, b) => {
+        if (a.language === UNKNOWN_REVIEW_LANGUAGE) return 1;
+        if (b.language === UNKNOWN_REVIEW_LANGUAGE) return -1;
+        return b.count - a.count;
+      });
+
+    const primary = entries.find(entry => entry.language !== UNKNOWN_REVIEW_LANGUAGE);
+
+    return {
+      total,
+      primary_language: primary ? primary.language : UNKNOWN_REVIEW_LANGUAGE,
+      languages: entries
+    };
+  }
+}
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { ReviewLanguages, REVIEW_LANGUAGES, UNKNOWN_REVIEW_LANGUAGE };
+} else {
+  self.ReviewLanguages = ReviewLanguages;
+}
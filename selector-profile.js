@@ -0,0 +1,218 @@
+// TravanaSpot - Selector Profile
+// All DOM selectors the content script uses, with ordered fallbacks per field, so an
+// Airbnb redeploy that renames obfuscated classes (.lgx66tx, .c5dn5hn, ...) means
+// editing this profile instead of hunting through extraction code
+
+/**
+ * Lookup order for a field
+ *
+ * 1. Each CSS selector in `selectors`, first to last
+ * 2. The `structural` locator: finds the field from headings, aria-labels and text
+ *    patterns, which survive class renames
+ *
+ * find()/findAll() return the strategy that matched (the selector itself, or
+ * "structural:<name>") so each extraction can report how it found every field.
+ * Bump `version` whenever selectors change; it is stored with every extraction.
+ */
+const DEFAULT_SELECTOR_PROFILE = {
+  version: '2025.10-2',
+  fields: {
+    // Listing page
+    title: {
+      selectors: ['h1[elementtiming="LCP-target"]', '[data-section-id="TITLE_DEFAULT"] h1'],
+      structural: 'pageHeading'
+    },
+    ratingBadge: {
+      selectors: ['[data-testid*="rating"], [aria-label*="stars"]'],
+      structural: 'ratingText'
+    },
+    price: {
+      selectors: ['[data-testid="price"]', '[data-testid="book-it-default"] [data-testid*="price"]'],
+      structural: 'priceText'
+    },
+    location: {
+      selectors: ['[data-section-id="OVERVIEW_DEFAULT_V2"] h2', '[data-section-id="OVERVIEW_DEFAULT"] h2'],
+      structural: 'overviewHeading'
+    },
+    capacityList: {
+      selectors: ['.lgx66tx', '[data-section-id="OVERVIEW_DEFAULT_V2"] ol'],
+      structural: 'capacityText'
+    },
+    host: {
+      selectors: ['[data-testid="host"]', '[data-section-id="HOST_OVERVIEW_DEFAULT"] h2'],
+      structural: 'hostedBy'
+    },
+
+    // Reviews (inside the "Show all reviews" dialog or the page)
+    reviewItem: {
+      selectors: ['[data-review-id]']
+    },
+    reviewFallbackItem: {
+      // Every match is used (see SelectorProfile.findAll with { union: true })
+      selectors: [
+        '[data-testid*="review"]',
+        '[class*="review-item"]',
+        '[class*="review-card"]',
+        '[id*="review"]',
+        'article[role="article"]',
+        'div[role="article"]'
+      ]
+    },
+    reviewName: {
+      selectors: ['h2[elementtiming="LCP-target"]', 'h2', '[class*="name"]']
+    },
+    reviewLocation: {
+      selectors: ['.s15w4qkt']
+    },
+    reviewDate: {
+      selectors: ['.c5dn5hn'],
+      structural: 'reviewDateText'
+    },
+    reviewText: {
+      selectors: ['.r1bctolv span', 'span[class*="text"]'],
+      structural: 'longestSpan'
+    }
+  },
+
+  // Fields the panel's extraction health check expects to find
+  keyFields: {
+    listing: ['title', 'rating', 'reviewCount', 'price', 'location'],
+    review: ['name', 'text', 'date', 'rating']
+  }
+};
+
+// Elements without child elements, with their trimmed text
+function getLeafElements(root) {
+  return Array.from(root.querySelectorAll('*'))
+    .filter(element => element.children.length === 0)
+    .map(element => ({ element, text: (element.textContent || '').trim() }))
+    .filter(item => item.text.length > 0);
+}
+
+// Structural locators: (root) => candidate elements, best first
+const STRUCTURAL_LOCATORS = {
+  pageHeading: root => Array.from(root.querySelectorAll('h1')),
+
+  // "4.92 · 128 reviews" or aria-label "Rated 4.92 out of 5"
+  ratingText: root => [
+    ...Array.from(root.querySelectorAll('[aria-label]')).filter(element => /rated\s+\d(\.\d+)?/i.test(element.getAttribute('aria-label'))),
+    ...getLeafElements(root).filter(item => /\d\.\d+\s*·?\s*\d+\s+reviews?/i.test(item.text)).map(item => item.element)
+  ],
+
+  // "$120 night", "€95 per night", "95 € Nacht"
+  priceText: root => getLeafElements(root)
+    .filter(item => (/^[$€£¥]\s?\d[\d,.]*/.test(item.text) || /^\d[\d,.\s]*\s?[$€£¥]$/.test(item.text)) &&
+      /night|nacht|nuit|noche|notte/i.test(item.element.parentElement?.textContent || ''))
+    .map(item => item.element),
+
+  // "Entire rental unit in Lisbon, Portugal"
+  overviewHeading: root => Array.from(root.querySelectorAll('h2'))
+    .filter(element => /\s+in\s+\S/.test(element.textContent || '')),
+
+  // The list holding "4 guests · 2 bedrooms · ..."
+  capacityText: root => getLeafElements(root)
+    .filter(item => /^\d+\s+guests?$/i.test(item.text))
+    .map(item => item.element.closest('ol, ul') || item.element.parentElement),
+
+  hostedBy: root => getLeafElements(root)
+    .filter(item => /^Hosted by\s+\S/i.test(item.text))
+    .map(item => item.element),
+
+  // "June 2025", "Oktober 2025", "octubre de 2025", "2 weeks ago", "a month ago"
+  reviewDateText: root => getLeafElements(root)
+    .filter(item => /^\p{L}+(?:\s+de)?\s+\d{4}\b/u.test(item.text) || /^(\d+|an?)\s+(day|week|month|year)s?\s+ago\b/i.test(item.text))
+    .map(item => item.element),
+
+  longestSpan: root => Array.from(root.querySelectorAll('span'))
+    .filter(span => span.textContent && span.textContent.trim().length > 20)
+    .sort((a, b) => b.textContent.length - a.textContent.length)
+};
+
+class SelectorProfile {
+  constructor(profile = DEFAULT_SELECTOR_PROFILE) {
+    this.profile = profile;
+    this.version = profile.version;
+  }
+
+  getSelectors(field) {
+    return this.profile.fields[field]?.selectors || [];
+  }
+
+  getKeyFields(kind) {
+    return this.profile.keyFields?.[kind] || [];
+  }
+
+  // A strategy other than the field's first selector means Airbnb's markup has drifted
+  isFallbackStrategy(field, strategy) {
+    return !!strategy && strategy !== this.getSelectors(field)[0];
+  }
+
+  // Candidates for one selector (a broken selector in the profile counts as no match)
+  querySelector(root, selector) {
+    try {
+      return Array.from(root.querySelectorAll(selector));
+    } catch (error) {
+      console.warn(`TravanaSpot: Invalid selector in profile ${this.version}: ${selector}`);
+      return [];
+    }
+  }
+
+  /**
+   * First element for a field: { element, strategy } (both null when nothing matched)
+   *
+   * filter: optional (element) => boolean, e.g. to skip the host response inside a review
+   */
+  find(field, root = document, { filter = null } = {}) {
+    const { elements, strategy } = this.findAll(field, root, { filter });
+    return { element: elements[0] || null, strategy: elements.length > 0 ? strategy : null };
+  }
+
+  /**
+   * Every element for a field from the first strategy that matches: { elements, strategy }
+   *
+   * union: collect matches of all selectors instead (deduplicated, strategy lists them)
+   */
+  findAll(field, root = document, { filter = null, union = false } = {}) {
+    const spec = this.profile.fields[field];
+    if (!spec) {
+      return { elements: [], strategy: null };
+    }
+
+    const keep = element => !filter || filter(element);
+
+    if (union) {
+      const elements = new Set();
+      const matched = [];
+      (spec.selectors || []).forEach(selector => {
+        const found = this.querySelector(root, selector).filter(keep);
+        if (found.length > 0) matched.push(selector);
+        found.forEach(element => elements.add(element));
+      });
+      return { elements: Array.from(elements), strategy: matched.length > 0 ? matched.join(', ') : null };
+    }
+
+    for (const selector of spec.selectors || []) {
+      const elements = this.querySelector(root, selector).filter(keep);
+      if (elements.length > 0) {
+        return { elements, strategy: selector };
+      }
+    }
+
+    const locate = STRUCTURAL_LOCATORS[spec.structural];
+    if (locate) {
+      const elements = locate(root).filter(element => element && keep(element));
+      if (elements.length > 0) {
+        return { elements, strategy: `structural:${spec.structural}` };
+      }
+    }
+
+    return { elements: [], strategy: null };
+  }
+}
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { SelectorProfile, DEFAULT_SELECTOR_PROFILE, STRUCTURAL_LOCATORS };
+} else {
+  self.SelectorProfile = SelectorProfile;
+}
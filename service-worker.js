@@ -1,39 +1,402 @@
 // TravanaSpot - Airbnb Listing Reviews Sentiment Analysis
 // Service worker for handling side panel operations and review analysis
 
+importScripts('listing-storage.js', 'airbnb-locales.js', 'site-adapter.js', 'airbnb-adapter.js', 'vrbo-adapter.js', 'booking-adapter.js', 'email-settings.js', 'email-queue.js');
+
 let currentListingData = null;
+const listingStorage = new ListingStorage();
+const emailQueue = new EmailQueue();
+
+const WATCHLIST_ALARM = 'watchlist-check';
+const WATCHLIST_CHECK_INTERVAL_MINUTES = 360; // Re-check watched listings every 6 hours
+const WATCH_PAGE_LOAD_TIMEOUT_MS = 60000;
+// Chrome cancels a message that is still pending after 5 minutes, so the content script stops
+// scrolling after WATCH_COLLECTION_TIME_LIMIT_MS and answers with what it has so far
+const WATCH_EXTRACTION_TIMEOUT_MS = 240000;
+const WATCH_COLLECTION_TIME_LIMIT_MS = 200000;
+
+const EMAIL_RETRY_ALARM = 'email-retry';
 
 chrome.runtime.onInstalled.addListener(() => {
   console.log('TravanaSpot extension installed');
+  ensureWatchlistAlarm();
+  updateWatchBadge();
 });
 
-// Email sending function
-async function sendEmailViaResend(emailData) {
-  const RESEND_API_KEY = 're_hDDW8vmQ_6QqDVThLXXcsV32TbtbF5ndh';
-  const API_ENDPOINT = 'https://api.resend.com/emails';
-  
+chrome.runtime.onStartup.addListener(() => {
+  ensureWatchlistAlarm();
+  updateWatchBadge();
+  processEmailQueue(); // Emails that came due while the browser was closed
+});
+
+// ============================================================================
+// Watchlist - periodic background re-checks for new reviews
+// ============================================================================
+
+// Keep the alarm only while at least one listing is watched
+async function ensureWatchlistAlarm() {
+  const watched = await listingStorage.getWatchedListings();
+  const existing = await chrome.alarms.get(WATCHLIST_ALARM);
+
+  if (watched.length === 0) {
+    if (existing) {
+      await chrome.alarms.clear(WATCHLIST_ALARM);
+      console.log('Service Worker: No watched listings, watchlist alarm cleared');
+    }
+    return;
+  }
+
+  if (!existing) {
+    await chrome.alarms.create(WATCHLIST_ALARM, {
+      delayInMinutes: WATCHLIST_CHECK_INTERVAL_MINUTES,
+      periodInMinutes: WATCHLIST_CHECK_INTERVAL_MINUTES
+    });
+    console.log(`Service Worker: Watchlist alarm set (every ${WATCHLIST_CHECK_INTERVAL_MINUTES} minutes)`);
+  }
+}
+
+// Badge shows the number of new reviews not yet seen in the side panel
+async function updateWatchBadge() {
+  const watched = await listingStorage.getWatchedListings();
+  const unseen = watched.reduce((total, entry) => total + entry.unseenCount, 0);
+
+  await chrome.action.setBadgeBackgroundColor({ color: '#ff385c' });
+  await chrome.action.setBadgeText({ text: unseen > 0 ? String(unseen) : '' });
+}
+
+// Resolve once the tab has finished loading (or reject after timeoutMs)
+function waitForTabComplete(tabId, timeoutMs) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      chrome.tabs.onUpdated.removeListener(listener);
+      reject(new Error('Timed out waiting for listing page to load'));
+    }, timeoutMs);
+
+    function listener(updatedTabId, changeInfo) {
+      if (updatedTabId === tabId && changeInfo.status === 'complete') {
+        clearTimeout(timer);
+        chrome.tabs.onUpdated.removeListener(listener);
+        resolve();
+      }
+    }
+
+    chrome.tabs.onUpdated.addListener(listener);
+  });
+}
+
+// Open the listing in a background tab and run the content script's extract_reviews path
+// (domain: the regional site it was watched on, e.g. airbnb.de). Resolves to { reviews, timedOut },
+// timedOut meaning collection stopped at WATCH_COLLECTION_TIME_LIMIT_MS with only part of the reviews
+async function collectReviewsInBackgroundTab(listingId, domain = null) {
+  const tab = await chrome.tabs.create({
+    url: SiteAdapter.getListingUrl(listingId, domain),
+    active: false
+  });
+
   try {
-    const response = await fetch(API_ENDPOINT, {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${RESEND_API_KEY}`,
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify(emailData)
+    await waitForTabComplete(tab.id, WATCH_PAGE_LOAD_TIMEOUT_MS);
+
+    // Give the site time to render its "Show all reviews" button
+    await new Promise(resolve => setTimeout(resolve, 5000));
+
+    const response = await Promise.race([
+      chrome.tabs.sendMessage(tab.id, {
+        type: 'extract_reviews',
+        forceRefresh: true,
+        background: true,
+        timeLimitMs: WATCH_COLLECTION_TIME_LIMIT_MS
+      }),
+      new Promise((_, reject) => setTimeout(() => reject(new Error('Timed out collecting reviews')), WATCH_EXTRACTION_TIMEOUT_MS))
+    ]);
+
+    return { reviews: response?.reviews || [], timedOut: !!response?.timedOut };
+  } finally {
+    chrome.tabs.remove(tab.id).catch(() => {});
+  }
+}
+
+// entry: the listing's index summary; its stored reviews are read here, one listing at a time
+async function checkWatchedListing(entry) {
+  const listingId = entry.listingId;
+  const previousReviews = await listingStorage.getReviews(listingId);
+
+  console.log(`Service Worker: Re-checking watched listing ${listingId}`);
+
+  const { reviews, timedOut } = await collectReviewsInBackgroundTab(listingId, entry.listingData?.domain);
+  if (reviews.length === 0) {
+    console.warn(`Service Worker: No reviews collected for watched listing ${listingId}, keeping previous set`);
+    return;
+  }
+
+  // A partial set is missing older reviews too, so it is neither diffed nor stored; the next
+  // complete check reports whatever is new since the stored set
+  if (timedOut) {
+    console.warn(`Service Worker: Collection for watched listing ${listingId} hit its time limit (${reviews.length} reviews), not diffing`);
+    await listingStorage.recordWatchCheck(listingId, reviews, [], { complete: false });
+    return;
+  }
+
+  // First check only records a baseline
+  const newReviews = previousReviews.length > 0 ? ListingStorage.diffReviews(previousReviews, reviews) : [];
+  await listingStorage.recordWatchCheck(listingId, reviews, newReviews);
+
+  console.log(`Service Worker: ${newReviews.length} new reviews for listing ${listingId}`);
+
+  if (newReviews.length > 0) {
+    notifyNewReviews(entry, newReviews);
+  }
+}
+
+function notifyNewReviews(entry, newReviews) {
+  const title = entry.listingData?.title || `Listing ${entry.listingId}`;
+  const lowRated = newReviews.filter(review => review.rating && review.rating <= 3);
+
+  const message = lowRated.length > 0
+    ? `⚠️ ${lowRated.length} of ${newReviews.length} new reviews rated 3 stars or lower`
+    : `${newReviews.length} new review${newReviews.length === 1 ? '' : 's'}`;
+
+  chrome.notifications.create(`watch:${entry.listingId}:${Date.now()}`, {
+    type: 'basic',
+    iconUrl: 'images/icon-128.png',
+    title: `TravanaSpot: ${title}`,
+    message,
+    priority: lowRated.length > 0 ? 2 : 0
+  });
+}
+
+async function checkWatchedListings() {
+  const watched = await listingStorage.getWatchedListings();
+  console.log(`Service Worker: Checking ${watched.length} watched listings`);
+
+  // One at a time so we never have several Airbnb tabs scrolling at once
+  for (const entry of watched) {
+    try {
+      await checkWatchedListing(entry);
+    } catch (error) {
+      console.error(`Service Worker: Watch check failed for listing ${entry.listingId}:`, error);
+    }
+  }
+
+  await updateWatchBadge();
+}
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === WATCHLIST_ALARM) {
+    checkWatchedListings();
+  } else if (alarm.name === EMAIL_RETRY_ALARM) {
+    processEmailQueue();
+  }
+});
+
+// Clicking a watchlist notification opens the listing
+chrome.notifications.onClicked.addListener((notificationId) => {
+  const [prefix, listingId] = notificationId.split(':');
+  if (prefix !== 'watch' || !listingId) return;
+
+  listingStorage.getListing(listingId)
+    .catch(() => null)
+    .then(entry => chrome.tabs.create({ url: SiteAdapter.getListingUrl(listingId, entry?.listingData?.domain) }));
+  chrome.notifications.clear(notificationId);
+});
+
+// ============================================================================
+// Email transports
+// ============================================================================
+// Each transport gets the message as { from, to, subject, html, text }, with `from`
+// formatted from the settings and `text` the plain-text alternative to `html`.
+// send() resolves to { success, error } instead of throwing. Failures worth
+// retrying (network errors, 408, 429, 5xx) also carry `retryable: true`.
+
+class EmailTransport {
+  constructor(settings) {
+    this.settings = settings;
+  }
+
+  get label() {
+    return EMAIL_TRANSPORTS[this.settings.transport]?.label || 'Email';
+  }
+
+  async send(email) {
+    throw new Error('send() must be implemented by the transport');
+  }
+
+  // POST a JSON body and turn the reply into { success, error }
+  async postJson(url, body, headers = {}) {
+    try {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: JSON.stringify(body)
+      });
+
+      if (response.ok) {
+        return { success: true, error: null };
+      }
+      const retryable = response.status === 408 || response.status === 429 || response.status >= 500;
+      return {
+        success: false,
+        error: this.describeFailure(response.status, await response.text()),
+        ...(retryable ? { retryable } : {})
+      };
+    } catch (error) {
+      return { success: false, error: `Could not reach ${this.label}: ${error.message}`, retryable: true };
+    }
+  }
+
+  // The server's own message when it gives one ({ message } or { error } JSON, or short text)
+  describeFailure(status, body) {
+    let message = '';
+    try {
+      const data = JSON.parse(body);
+      message = data?.message || data?.error || '';
+    } catch (error) {
+      message = body.trim().length <= 200 ? body.trim() : '';
+    }
+    return message || `${this.label} returned HTTP ${status}`;
+  }
+}
+
+// Resend's REST API with the user's own key; it sends `html` and `text` as multipart/alternative
+class ResendTransport extends EmailTransport {
+  async send(email) {
+    return this.postJson('https://api.resend.com/emails', email, {
+      'Authorization': `Bearer ${this.settings.resendApiKey}`
+    });
+  }
+}
+
+// The message as JSON to any URL, e.g. a team backend that stores or forwards it
+class WebhookTransport extends EmailTransport {
+  async send(email) {
+    const headers = this.settings.webhookSecret ? { 'X-TravanaSpot-Secret': this.settings.webhookSecret } : {};
+    return this.postJson(this.settings.webhookUrl, {
+      event: 'email',
+      sentAt: new Date().toISOString(),
+      email
+    }, headers);
+  }
+}
+
+// A local relay that hands the message to SMTP, for development: Mailpit (the maintained
+// MailHog successor) exposes this JSON format at /api/v1/send and shows the mail in its inbox
+class SmtpRelayTransport extends EmailTransport {
+  async send(email) {
+    return this.postJson(this.settings.relayUrl, {
+      From: { Email: this.settings.fromAddress, Name: this.settings.fromName },
+      To: email.to.map(address => ({ Email: address })),
+      Subject: email.subject,
+      HTML: email.html,
+      Text: email.text
     });
+  }
+}
+
+const EMAIL_TRANSPORT_CLASSES = {
+  resend: ResendTransport,
+  webhook: WebhookTransport,
+  'smtp-relay': SmtpRelayTransport
+};
+
+function createEmailTransport(settings) {
+  const TransportClass = EMAIL_TRANSPORT_CLASSES[settings.transport];
+  return TransportClass ? new TransportClass(settings) : null;
+}
+
+// Send an email through the transport chosen in ⚙️ Settings → Email
+// (settings: use these instead of the stored ones, e.g. to test the settings form before saving)
+async function sendEmail(emailData, settings = null) {
+  const emailSettings = settings ? EmailSettings.normalize(settings) : await EmailSettings.load();
+  const transport = createEmailTransport(emailSettings);
+
+  if (!transport || !EmailSettings.isConfigured(emailSettings)) {
+    console.warn('Service Worker: Email is not set up, not sending');
+    return {
+      success: false,
+      code: EMAIL_NOT_CONFIGURED,
+      error: 'Email is not set up yet. Choose how to send and add a sender address in Settings.'
+    };
+  }
+
+  const result = await transport.send({ ...emailData, from: EmailSettings.formatSender(emailSettings) });
+
+  if (result.success) {
+    console.log(`Service Worker: Email sent via ${transport.label}`);
+  } else {
+    console.error(`Service Worker: Email via ${transport.label} failed:`, result.error);
+  }
+  return result;
+}
+
+// Test send from the settings page, with the settings as currently entered in the form
+async function sendTestEmail(settings, recipient) {
+  const problem = EmailSettings.validate(settings);
+  if (problem) {
+    return { success: false, error: problem };
+  }
+
+  return sendEmail({
+    to: [recipient],
+    subject: '🧸 TravanaSpot test email',
+    html: '<p>Your TravanaSpot email settings work. Little Airby will send listing analyses from this address.</p>',
+    text: 'Your TravanaSpot email settings work. Little Airby will send listing analyses from this address.\n'
+  }, settings);
+}
+
+// ============================================================================
+// Email queue - every email is queued first and retried with backoff
+// ============================================================================
+
+let emailQueueRun = Promise.resolve();
+
+// Queue an email and try it right away. Resolves to { success, error } for that first
+// attempt, plus status ('sent', 'retrying', 'failed') and nextAttemptAt when retrying.
+async function queueEmail(emailData, listing = {}) {
+  const settings = await EmailSettings.load();
+  if (!EmailSettings.isConfigured(settings)) {
+    return sendEmail(emailData, settings); // Not set up: nothing to retry
+  }
+
+  const job = await emailQueue.enqueue(emailData, listing);
+  await processEmailQueue();
+
+  // A run that was already going may have sent it, so look the attempt up in the history
+  const history = await emailQueue.getHistory();
+  const entry = history.find(attempt => attempt.jobId === job.id);
+  if (!entry) {
+    return { success: false, error: 'The email is queued and will be sent shortly', status: 'retrying', nextAttemptAt: null };
+  }
+  return { success: entry.status === 'sent', error: entry.error, status: entry.status, nextAttemptAt: entry.nextAttemptAt };
+}
+
+// Runs are chained so an alarm and a new email never send the same job twice
+function processEmailQueue() {
+  emailQueueRun = emailQueueRun.then(sendDueEmails, sendDueEmails);
+  return emailQueueRun;
+}
 
-    const data = await response.json();
-    
-    if (response.ok) {
-      console.log('Email sent successfully from service worker!', data);
-      return { success: true, data };
-    } else {
-      console.error('Failed to send email from service worker:', data);
-      return { success: false, error: data };
+// Try every due email once, then set the alarm for the next retry
+async function sendDueEmails() {
+  try {
+    const jobs = await emailQueue.getDueJobs();
+    for (const job of jobs) {
+      const entry = await emailQueue.recordAttempt(job, await sendEmail(job.emailData));
+      if (entry.status === 'retrying') {
+        console.warn(`Service Worker: Email to ${entry.recipient} failed (attempt ${entry.attempt}), retrying at ${new Date(entry.nextAttemptAt).toISOString()}`);
+      }
     }
+    await scheduleEmailRetry();
   } catch (error) {
-    console.error('Error sending email from service worker:', error);
-    return { success: false, error: error.message };
+    console.error('Service Worker: Email queue run failed:', error);
+  }
+}
+
+// One alarm for the earliest queued email; alarms outlive the service worker
+async function scheduleEmailRetry() {
+  const nextAttemptAt = await emailQueue.getNextAttemptAt();
+  if (nextAttemptAt === null) {
+    await chrome.alarms.clear(EMAIL_RETRY_ALARM);
+  } else {
+    await chrome.alarms.create(EMAIL_RETRY_ALARM, { when: nextAttemptAt });
   }
 }
 
@@ -84,15 +447,40 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     // Relay the message to the side panel
     chrome.runtime.sendMessage({
       type: 'reviews_ready',
-      reviews: message.reviews
+      reviews: message.reviews,
+      extraction: message.extraction
     });
     return true;
   }
   
+  // Watch toggled in the side panel
+  if (message.type === 'watchlist_updated') {
+    ensureWatchlistAlarm()
+      .then(updateWatchBadge)
+      .then(() => sendResponse({ success: true }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+
+  // Side panel showed a watched listing, so its new reviews have been seen
+  if (message.type === 'watch_reviews_seen') {
+    listingStorage.markReviewsSeen(message.listingId)
+      .then(updateWatchBadge)
+      .then(() => sendResponse({ success: true }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+
+  // Test send from ⚙️ Settings → Email
+  if (message.type === 'test_email_settings') {
+    sendTestEmail(message.settings, message.to).then(sendResponse);
+    return true;
+  }
+
   // Handle email sending request
   if (message.type === 'send_email') {
     console.log('Service Worker: Received email send request');
-    sendEmailViaResend(message.emailData).then(result => {
+    queueEmail(message.emailData, message.listing).then(result => {
       sendResponse(result);
     });
     return true; // Keep the message channel open for async response
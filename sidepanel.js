@@ -1,8 +1,10 @@
 // TravanaSpot - Side Panel JavaScript
-// Handles displaying extracted Airbnb listing data
+// Handles displaying extracted listing data
 
 let listingData = null;
 let currentAnalysis = null;
+let reviewExtraction = null; // Strategy report from the content script's latest review extraction
+const listingStorage = new ListingStorage(); // Persistent per-listing analysis cache
 
 // Toggle snippets visibility - defined early to be available globally
 window.toggleSnippets = function(elementId, button) {
@@ -32,23 +34,34 @@ window.toggleSnippets = function(elementId, button) {
     }
 };
 
+// Fields of listingData that describe the extraction rather than the listing
+const LISTING_METADATA_KEYS = ['listingId', 'site', 'domain', 'locale', 'extraction'];
+
+// Name of the site the shown listing is on ("Booking.com"); saved listings from before site adapters are Airbnb
+function getListingSiteName(data = listingData) {
+    return SiteAdapter.getSiteName(data?.site);
+}
+
 // Function to render the listing data
-function renderListingData(data) {
+// (loadReviews: false renders a saved listing without asking the active tab for reviews)
+function renderListingData(data, { loadReviews = true } = {}) {
     const contentDiv = document.getElementById('content');
     
-    if (!data || Object.keys(data).every(key => !data[key])) {
+    // Empty lists/objects (no amenities, no category scores) don't count as extracted data
+    const hasValue = value => (value && typeof value === 'object' ? Object.keys(value).length > 0 : !!value);
+    if (!data || Object.keys(data).filter(key => !LISTING_METADATA_KEYS.includes(key)).every(key => !hasValue(data[key]))) {
         contentDiv.innerHTML = `
             <div class="no-data">
                 <h3>No Data Found</h3>
                 <p>Unable to extract listing information from this page.</p>
-                <p>Make sure you're on an Airbnb room listing page.</p>
+                <p>Make sure you're on an Airbnb, Vrbo or Booking.com listing page.</p>
             </div>
         `;
         return;
     }
 
-    // Build the data sections
-    let html = '';
+    // Build the data sections (extraction warnings go on top, filled by renderExtractionHealth)
+    let html = '<div id="extraction-health"></div>';
 
     // Title and Location Section at the beginning
     if (data.title || data.location) {
@@ -85,10 +98,18 @@ function renderListingData(data) {
                     <div class="data-value">${data.reviewCount} reviews</div>
                 </div>
                 ` : ''}
+                ${data.badges && data.badges.length > 0 ? `
+                <div class="listing-badges">
+                    ${data.badges.map(badge => `<span class="listing-badge">${badge === 'Superhost' ? '🏅' : '🏆'} ${escapeHtml(badge)}</span>`).join('')}
+                </div>
+                ` : ''}
             </div>
         `;
     }
 
+    // The site's own category scores
+    html += generateCategoryRatingsHTML(data.categoryRatings);
+
     // Price Section
     if (data.price) {
         html += `
@@ -132,11 +153,24 @@ function renderListingData(data) {
         `;
     }
 
+    // Amenities, house rules and cancellation policy
+    html += generateListingPoliciesHTML(data);
+
     contentDiv.innerHTML = html;
     
     // Handle reviews separately in the new reviews container
     renderReviewsSection(data.reviews || []);
 
+    if (!loadReviews) {
+        return;
+    }
+
+    reviewExtraction = null;
+    renderExtractionHealth();
+
+    updateWatchButton();
+    restoreChatConversation();
+
     // Load reviews asynchronously (immediate check)
     loadReviewsAsync();
 
@@ -169,6 +203,133 @@ function renderListingData(data) {
     }, 100);
 }
 
+const CATEGORY_RATING_LABELS = {
+    cleanliness: 'Cleanliness',
+    accuracy: 'Accuracy',
+    checkIn: 'Check-in',
+    communication: 'Communication',
+    location: 'Location',
+    value: 'Value'
+};
+
+const AMENITIES_PREVIEW_COUNT = 12;
+
+const EXTRACTION_FIELD_LABELS = {
+    title: 'title',
+    rating: 'rating',
+    reviewCount: 'review count',
+    price: 'price',
+    location: 'location',
+    host: 'host',
+    capacityList: 'capacity',
+    ratingBadge: 'rating badge',
+    item: 'review cards',
+    name: 'reviewer names',
+    text: 'review text',
+    date: 'review dates'
+};
+
+// Warns when the selector profile no longer matches the site's markup (see selector-profile.js)
+function generateExtractionHealthHTML(listingExtraction, reviewExtraction) {
+    const label = field => EXTRACTION_FIELD_LABELS[field] || field;
+    const missingListing = listingExtraction?.missing || [];
+    const missingReview = reviewExtraction?.missing || [];
+    const fallbackListing = listingExtraction?.fallbacks || [];
+    // Review fields found only by a structural locator in at least one review
+    const fallbackReview = Object.entries(reviewExtraction?.fields || {})
+        .filter(([, counts]) => Object.keys(counts).some(strategy => strategy.startsWith('structural:')))
+        .map(([field]) => field);
+
+    if (missingListing.length === 0 && missingReview.length === 0) {
+        if (fallbackListing.length === 0 && fallbackReview.length === 0) {
+            return '';
+        }
+        return `
+            <div class="extraction-health extraction-health-notice">
+                ℹ️ ${escapeHtml(getListingSiteName())}'s page layout may have changed: found ${[...fallbackListing, ...fallbackReview].map(label).join(', ')} with backup selectors.
+            </div>
+        `;
+    }
+
+    const version = listingExtraction?.profileVersion || reviewExtraction?.profileVersion;
+    return `
+        <div class="extraction-health extraction-health-warning">
+            <strong>⚠️ Some details could not be read from this page</strong>
+            ${missingListing.length > 0 ? `<p>Listing: ${missingListing.map(label).join(', ')}</p>` : ''}
+            ${missingReview.length > 0 ? `<p>Reviews: ${missingReview.map(label).join(', ')}</p>` : ''}
+            <p class="extraction-health-hint">${escapeHtml(getListingSiteName())} may have changed its layout. The analysis may be incomplete${version ? ` (selector profile ${escapeHtml(version)})` : ''}.</p>
+        </div>
+    `;
+}
+
+function renderExtractionHealth() {
+    const container = document.getElementById('extraction-health');
+    if (!container) return;
+    // Saved listings re-opened from history show what was stored, not a live extraction
+    container.innerHTML = openHistoryEntry ? '' : generateExtractionHealthHTML(listingData?.extraction, reviewExtraction);
+}
+
+function generateCategoryRatingsHTML(categoryRatings) {
+    const entries = Object.entries(CATEGORY_RATING_LABELS)
+        .filter(([key]) => typeof categoryRatings?.[key] === 'number');
+    if (entries.length === 0) {
+        return '';
+    }
+
+    return `
+        <div class="data-section">
+            <div class="data-label">${escapeHtml(getListingSiteName())} category ratings:</div>
+            <div class="category-ratings">
+                ${entries.map(([key, label]) => `
+                    <div class="category-rating">
+                        <span>${label}</span>
+                        <strong>${categoryRatings[key]}</strong>
+                    </div>
+                `).join('')}
+            </div>
+        </div>
+    `;
+}
+
+function generateListingPoliciesHTML(data) {
+    let html = '';
+
+    if (data.amenities && data.amenities.length > 0) {
+        const extra = data.amenities.length - AMENITIES_PREVIEW_COUNT;
+        html += `
+            <div class="data-section">
+                <div class="data-label">Amenities:</div>
+                <div class="capacity-grid">
+                    ${data.amenities.slice(0, AMENITIES_PREVIEW_COUNT).map(item => `<div class="capacity-item">${escapeHtml(item)}</div>`).join('')}
+                    ${extra > 0 ? `<div class="capacity-item">+${extra} more</div>` : ''}
+                </div>
+            </div>
+        `;
+    }
+
+    if (data.houseRules && data.houseRules.length > 0) {
+        html += `
+            <div class="data-section">
+                <div class="data-label">House rules:</div>
+                <ul class="listing-rules">
+                    ${data.houseRules.map(rule => `<li>${escapeHtml(rule)}</li>`).join('')}
+                </ul>
+            </div>
+        `;
+    }
+
+    if (data.cancellationPolicy) {
+        html += `
+            <div class="data-section">
+                <div class="data-label">Cancellation policy:</div>
+                <div class="data-value">${escapeHtml(data.cancellationPolicy)}</div>
+            </div>
+        `;
+    }
+
+    return html;
+}
+
 // Function to show error message
 function showError(message) {
     const contentDiv = document.getElementById('content');
@@ -186,7 +347,7 @@ function showLoading() {
     contentDiv.innerHTML = `
         <div class="loading">
             <div class="spinner"></div>
-            <p>Analyzing Airbnb listing...</p>
+            <p>Analyzing listing...</p>
         </div>
     `;
 }
@@ -208,6 +369,10 @@ async function loadReviewsAsync(forceRefresh = false) {
         
         if (response && response.reviews) {
             console.log(`SidePanel: Got ${response.reviews.length} reviews, updating section...`);
+            if (response.extraction) {
+                reviewExtraction = response.extraction;
+                renderExtractionHealth();
+            }
             // Update the reviews section
             updateReviewsSection(response.reviews);
         } else {
@@ -227,8 +392,8 @@ function renderReviewsSection(reviews) {
         const reviewsHtml = `
             <div class="reviews-section">
                 <div class="reviews-header">📝 Guest Reviews (${reviews.length})</div>
-                ${reviews.map(review => `
-                    <div class="review-item">
+                ${reviews.map((review, index) => `
+                    <div class="review-item" data-review-index="${index}">
                         <div class="review-header">
                             <div class="reviewer-name">${review.name || 'Guest'}</div>
                             <div class="review-date">${review.date || 'Recent'}</div>
@@ -236,6 +401,12 @@ function renderReviewsSection(reviews) {
                         ${review.location ? `<div class="review-location">📍 ${review.location}</div>` : ''}
                         ${review.rating ? `<div class="review-rating">${'★'.repeat(review.rating)}</div>` : ''}
                         <div class="review-text">${review.text || 'No review text available'}</div>
+                        ${review.hostResponse ? `
+                            <div class="host-response">
+                                <div class="host-response-header">💬 Response from ${escapeHtml(review.hostResponse.hostName || 'host')}${review.hostResponse.date ? ` · ${escapeHtml(review.hostResponse.date)}` : ''}</div>
+                                <div>${escapeHtml(review.hostResponse.text)}</div>
+                            </div>
+                        ` : ''}
                     </div>
                 `).join('')}
             </div>
@@ -254,6 +425,12 @@ function renderReviewsSection(reviews) {
 // Function to update the reviews section
 function updateReviewsSection(reviews) {
     console.log('SidePanel: updateReviewsSection called with:', reviews?.length, 'reviews');
+
+    // Don't replace a saved analysis the user re-opened from History
+    if (openHistoryEntry) {
+        console.log('SidePanel: Saved analysis open, ignoring live reviews update');
+        return;
+    }
     
     // Update the reviews container
     renderReviewsSection(reviews);
@@ -297,12 +474,273 @@ function updateAIStatus(message) {
     }
 }
 
+let excludeFlaggedReviews = false; // Use review_reliability.adjusted_trust_score when set
+
+const RELIABILITY_SIGNAL_LABELS = {
+    near_duplicate: 'Near-duplicate text',
+    generic_praise: 'Short generic praise',
+    review_burst: 'Part of a review burst',
+    rating_mismatch: 'Stars don\'t match the text'
+};
+
+function getDisplayedTrustScore(analysis) {
+    if (excludeFlaggedReviews && analysis.review_reliability?.flagged_count > 0) {
+        return analysis.review_reliability.adjusted_trust_score;
+    }
+    return analysis.trust_score || 0;
+}
+
+// Review reliability indicator with the flagged reviews (older saved analyses have no review_reliability)
+function generateReliabilitySectionHTML(reliability) {
+    if (!reliability) {
+        return '';
+    }
+
+    const levelLabel = { high: '✅ High', medium: '⚠️ Medium', low: '🚩 Low' }[reliability.level] || reliability.level;
+
+    return `
+        <div class="reliability-box ${reliability.level}">
+            <div class="reliability-header">
+                <strong>🛡️ Review Reliability: ${levelLabel} (${reliability.reliability_score}/100)</strong>
+                <span>${reliability.flagged_count} of ${reliability.total_reviews} flagged</span>
+            </div>
+            ${reliability.flagged_count > 0 ? `
+                <label class="reliability-toggle">
+                    <input type="checkbox" id="exclude-flagged-toggle" ${excludeFlaggedReviews ? 'checked' : ''}>
+                    Exclude flagged reviews from trust score (${reliability.adjusted_trust_score}/100 without them)
+                </label>
+                <button class="expand-btn" data-target="flagged-reviews-list" data-original-color="#dc3545" style="margin-top: 8px; background: none; border: 1px solid #dc3545; color: #dc3545; padding: 4px 8px; border-radius: 4px; cursor: pointer; font-size: 11px; transition: all 0.2s;">
+                    Show ${reliability.flagged_count} flagged
+                </button>
+                <div class="snippet-list collapsed" id="flagged-reviews-list" style="display: none;">
+                    ${reliability.flagged_reviews.map(item => `
+                        <div class="snippet clickable-snippet flagged-review" data-snippet="${escapeHtml(item.text.substring(0, 80))}" data-type="negative" data-keyword="Reliability">
+                            <strong>${escapeHtml(item.name)}</strong>${item.rating ? ` · ${item.rating}★` : ''}${item.date ? ` · ${escapeHtml(item.date)}` : ''}
+                            <div>"${escapeHtml(item.text.substring(0, 120))}${item.text.length > 120 ? '...' : ''}"</div>
+                            <div class="flagged-reasons">${item.signals.map(signal => RELIABILITY_SIGNAL_LABELS[signal] || signal).join(' · ')}</div>
+                            <span class="snippet-hint">Click to find in reviews</span>
+                        </div>
+                    `).join('')}
+                </div>
+            ` : ''}
+        </div>
+    `;
+}
+
+async function loadReliabilityPreference() {
+    const stored = await chrome.storage.local.get('excludeFlaggedReviews');
+    excludeFlaggedReviews = !!stored.excludeFlaggedReviews;
+}
+
+// Wire the "exclude flagged" toggle after the analysis HTML is inserted
+function setupReliabilityToggle(analysis) {
+    const toggle = document.getElementById('exclude-flagged-toggle');
+    if (!toggle) return;
+
+    toggle.addEventListener('change', () => {
+        excludeFlaggedReviews = toggle.checked;
+        chrome.storage.local.set({ excludeFlaggedReviews });
+
+        const trustValue = document.querySelector('.comprehensive-analysis .trust-value');
+        if (trustValue) {
+            trustValue.textContent = `${getDisplayedTrustScore(analysis)}/100`;
+        }
+    });
+}
+
+const TREND_LABELS = {
+    improving: '📈 Improving',
+    declining: '📉 Declining',
+    stable: '➖ Stable',
+    insufficient_data: 'Not enough dated reviews'
+};
+
+// Inline SVG timeline of average rating per month/quarter (bars show review volume)
+function generateTrendChartSVG(buckets) {
+    const width = 300;
+    const height = 130;
+    const padLeft = 24;
+    const padRight = 8;
+    const padTop = 10;
+    const padBottom = 22;
+    const plotWidth = width - padLeft - padRight;
+    const plotHeight = height - padTop - padBottom;
+
+    const step = plotWidth / buckets.length;
+    const maxCount = Math.max(...buckets.map(bucket => bucket.review_count), 1);
+    const xFor = index => padLeft + step * index + step / 2;
+    const yFor = rating => padTop + plotHeight - ((rating - 1) / 4) * plotHeight;
+
+    const gridLines = [1, 2, 3, 4, 5].map(rating => `
+        <line x1="${padLeft}" x2="${width - padRight}" y1="${yFor(rating)}" y2="${yFor(rating)}" stroke="#e9ecef" stroke-width="1"/>
+        <text x="${padLeft - 6}" y="${yFor(rating) + 3}" font-size="8" text-anchor="end" fill="#6c757d">${rating}★</text>
+    `).join('');
+
+    const volumeBars = buckets.map((bucket, index) => {
+        const barHeight = (bucket.review_count / maxCount) * plotHeight * 0.4;
+        return `<rect x="${xFor(index) - step * 0.3}" y="${padTop + plotHeight - barHeight}" width="${step * 0.6}" height="${barHeight}" fill="#dee2e6"/>`;
+    }).join('');
+
+    const rated = buckets
+        .map((bucket, index) => ({ bucket, index }))
+        .filter(({ bucket }) => bucket.average_rating !== null);
+
+    const line = rated.length > 1
+        ? `<polyline fill="none" stroke="#ff385c" stroke-width="2" points="${rated.map(({ bucket, index }) => `${xFor(index)},${yFor(bucket.average_rating)}`).join(' ')}"/>`
+        : '';
+
+    const points = rated.map(({ bucket, index }) => `
+        <circle cx="${xFor(index)}" cy="${yFor(bucket.average_rating)}" r="3" fill="#ff385c">
+            <title>${escapeHtml(bucket.label)}: ${bucket.average_rating}★ (${bucket.review_count} review${bucket.review_count === 1 ? '' : 's'})</title>
+        </circle>
+    `).join('');
+
+    // Only label the first and last period to keep the axis readable in the narrow panel
+    const axisLabels = [0, buckets.length - 1]
+        .filter((index, i, all) => all.indexOf(index) === i)
+        .map(index => `
+            <text x="${xFor(index)}" y="${height - 6}" font-size="8" text-anchor="${index === 0 && buckets.length > 1 ? 'start' : 'end'}" fill="#6c757d">${escapeHtml(buckets[index].label)}</text>
+        `).join('');
+
+    return `
+        <svg class="trend-chart" viewBox="0 0 ${width} ${height}" role="img" aria-label="Average rating over time">
+            ${gridLines}
+            ${volumeBars}
+            ${line}
+            ${points}
+            ${axisLabels}
+        </svg>
+    `;
+}
+
+// Rating-over-time section (older saved analyses have no trend_analysis)
+function generateTrendSectionHTML(trend) {
+    if (!trend || !trend.buckets || trend.buckets.length === 0) {
+        return '';
+    }
+
+    const notes = [];
+    if (trend.earlier_average_rating !== null && trend.recent_average_rating !== null) {
+        notes.push(`Recent reviews average ${trend.recent_average_rating}★ vs ${trend.earlier_average_rating}★ before`);
+    }
+    if (trend.declining_aspects.length > 0) {
+        notes.push(`⚠️ Slipping: ${trend.declining_aspects.join(', ')}`);
+    }
+    if (trend.improving_aspects.length > 0) {
+        notes.push(`✨ Getting better: ${trend.improving_aspects.join(', ')}`);
+    }
+
+    return `
+        <div class="trend-section">
+            <h4>🕒 Rating Over Time <span class="trend-badge ${trend.trend}">${TREND_LABELS[trend.trend] || trend.trend}</span></h4>
+            <p class="section-subtitle">Average stars per ${trend.granularity} from ${trend.dated_review_count} dated reviews</p>
+            ${generateTrendChartSVG(trend.buckets)}
+            ${notes.map(note => `<div class="trend-note">${escapeHtml(note)}</div>`).join('')}
+        </div>
+    `;
+}
+
+const HOST_TONE_LABELS = {
+    apologetic: '🙏 Apologetic',
+    defensive: '🛡️ Defensive',
+    neutral: '➖ Neutral',
+    unknown: '❔ Unknown'
+};
+
+// Host responses: response rate, tone and complaints that came back after a promised fix
+// (older saved analyses and listings without host responses have no host_behaviour)
+function generateHostBehaviourSectionHTML(host) {
+    if (!host) {
+        return '';
+    }
+
+    const negativeRate = host.negative_response_rate !== null
+        ? `${host.negative_response_rate}% of negative reviews (${host.negative_responded_count}/${host.negative_count})`
+        : 'No negative reviews to respond to';
+
+    return `
+        <div class="host-behaviour-section">
+            <h4>🏠 Host Behaviour <span class="host-tone-badge ${host.dominant_tone}">${HOST_TONE_LABELS[host.dominant_tone] || host.dominant_tone}</span></h4>
+            <p class="section-subtitle">From ${host.responded_count} host responses to ${host.total_reviews} reviews (${host.response_rate}%)</p>
+            <div class="host-behaviour-row"><span>Responds to</span><strong>${negativeRate}</strong></div>
+            <div class="host-behaviour-row"><span>Tone</span><strong>${host.tone.apologetic} apologetic · ${host.tone.defensive} defensive · ${host.tone.neutral} neutral${host.tone.unknown ? ` · ${host.tone.unknown} unknown (language not recognized)` : ''}</strong></div>
+            ${host.recurring_issues.length > 0 ? `
+                <div class="host-recurring-title">⚠️ Complaints that came back after the host promised a fix</div>
+                ${host.recurring_issues.map(issue => `
+                    <div class="host-recurring-issue">
+                        <strong>${escapeHtml(issue.aspect)}</strong>: promised ${issue.promised_on ? `in ${escapeHtml(issue.promised_on)}` : ''} ("${escapeHtml(issue.promise)}"),
+                        then ${issue.later_complaints.length} later complaint${issue.later_complaints.length === 1 ? '' : 's'}
+                        ${issue.later_complaints.map(complaint => `
+                            <div class="snippet clickable-snippet" data-snippet="${escapeHtml(complaint.snippet.substring(0, 80))}" data-type="negative" data-keyword="${escapeHtml(issue.aspect)}">
+                                ${escapeHtml(complaint.name)}${complaint.date ? ` · ${escapeHtml(complaint.date)}` : ''}: "${escapeHtml(complaint.snippet)}"
+                                <span class="snippet-hint">Click to find in reviews</span>
+                            </div>
+                        `).join('')}
+                    </div>
+                `).join('')}
+            ` : ''}
+        </div>
+    `;
+}
+
+// The site's category scores vs. what the review text says (older saved analyses have no category_cross_check)
+function generateCategoryCrossCheckHTML(crossCheck) {
+    if (!crossCheck || crossCheck.categories.length === 0) {
+        return '';
+    }
+
+    const siteName = escapeHtml(getListingSiteName());
+    return `
+        <div class="cross-check-section">
+            <h4>⚖️ ${siteName} Ratings vs. Reviews</h4>
+            <p class="section-subtitle">${crossCheck.disagreements.length === 0
+                ? `The reviews back up ${siteName}'s category scores`
+                : `${crossCheck.disagreements.length} of ${crossCheck.categories.length} category scores don't match what guests write`}</p>
+            ${crossCheck.categories.map(item => `
+                <div class="cross-check-row ${item.agrees === false ? 'disagrees' : ''}">
+                    <span class="cross-check-label">${escapeHtml(item.label)}</span>
+                    <span>${siteName} ${item.airbnb_rating}★</span>
+                    <span>${item.review_score !== null ? `Reviews ${item.review_score}★` : 'Too few mentions'}</span>
+                </div>
+                ${item.note ? `<div class="cross-check-note">⚠️ ${escapeHtml(item.note)}</div>` : ''}
+            `).join('')}
+        </div>
+    `;
+}
+
+// Languages the reviews are written in (older saved analyses have no language_distribution;
+// hidden when every review is in the output language)
+function generateLanguageDistributionHTML(distribution) {
+    if (!distribution || distribution.other_language_count === 0) {
+        return '';
+    }
+
+    return `
+        <div class="language-distribution-section">
+            <h4>🌍 Review Languages</h4>
+            <div class="language-distribution-bar">
+                ${distribution.languages.map(entry => `
+                    <span class="language-chip ${entry.language === 'und' ? 'unknown' : ''}">${escapeHtml(entry.name)} ${entry.percentage}%</span>
+                `).join('')}
+            </div>
+            ${distribution.translation_error ? `<p class="section-subtitle">⚠️ Snippets left untranslated: ${escapeHtml(distribution.translation_error)}</p>` : ''}
+        </div>
+    `;
+}
+
+// Translation shown under a quoted snippet, pro or con (analysis.snippet_translations)
+function generateSnippetTranslationHTML(text, translations) {
+    const translation = translations && translations[text];
+    return translation ? `<div class="snippet-translation">🌍 ${escapeHtml(translation)}</div>` : '';
+}
+
 // Generate comprehensive analysis HTML
 function generateComprehensiveAnalysisHTML(analysis) {
     const sentiment = analysis.sentiment_analysis || {};
     const keywords = analysis.keyword_analysis || [];
     const prosCons = analysis.pros_and_cons || {};
     const insights = analysis.guest_insights || {};
+    const translations = analysis.snippet_translations || null;
     
     return `
         <div class="comprehensive-analysis">
@@ -311,10 +749,13 @@ function generateComprehensiveAnalysisHTML(analysis) {
                 <h3>🧸 Little Airby's Sweet Insights</h3>
                 <div class="trust-score">
                     <span class="trust-label">Trust Score:</span>
-                    <span class="trust-value">${analysis.trust_score || 0}/100</span>
+                    <span class="trust-value">${getDisplayedTrustScore(analysis)}/100</span>
                 </div>
             </div>
 
+            <!-- Review Reliability -->
+            ${generateReliabilitySectionHTML(analysis.review_reliability)}
+
             <!-- Overall Summary -->
             <div class="summary-box">
                 <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 10px;">
@@ -358,6 +799,18 @@ function generateComprehensiveAnalysisHTML(analysis) {
                 </div>
             </div>
 
+            <!-- Rating Over Time -->
+            ${generateTrendSectionHTML(analysis.trend_analysis)}
+
+            <!-- Category Ratings vs. Reviews -->
+            ${generateCategoryCrossCheckHTML(analysis.category_cross_check)}
+
+            <!-- Host Behaviour -->
+            ${generateHostBehaviourSectionHTML(analysis.host_behaviour)}
+
+            <!-- Review Languages -->
+            ${generateLanguageDistributionHTML(analysis.language_distribution)}
+
             <!-- Keyword Analysis -->
             <div class="keyword-section">
                 <h4>🔍 Top Highlights</h4>
@@ -402,6 +855,7 @@ function generateComprehensiveAnalysisHTML(analysis) {
                                                 ${positiveLimited.slice(0, 3).map((snippet, index) => `
                                                     <div class="snippet clickable-snippet" data-snippet="${snippet}" data-type="positive" data-keyword="${keyword.keyword}">
                                                         "${snippet}"
+                                                        ${generateSnippetTranslationHTML(snippet, translations)}
                                                         <span class="snippet-hint">Click to find in reviews</span>
                                                     </div>
                                                 `).join('')}
@@ -411,6 +865,7 @@ function generateComprehensiveAnalysisHTML(analysis) {
                                                     ${positiveLimited.slice(3).map((snippet, index) => `
                                                         <div class="snippet clickable-snippet" data-snippet="${snippet}" data-type="positive" data-keyword="${keyword.keyword}">
                                                             "${snippet}"
+                                                            ${generateSnippetTranslationHTML(snippet, translations)}
                                                             <span class="snippet-hint">Click to find in reviews</span>
                                                         </div>
                                                     `).join('')}
@@ -428,6 +883,7 @@ function generateComprehensiveAnalysisHTML(analysis) {
                                                 ${negativeLimited.slice(0, 3).map((snippet, index) => `
                                                     <div class="snippet clickable-snippet" data-snippet="${snippet}" data-type="negative" data-keyword="${keyword.keyword}">
                                                         "${snippet}"
+                                                        ${generateSnippetTranslationHTML(snippet, translations)}
                                                         <span class="snippet-hint">Click to find in reviews</span>
                                                     </div>
                                                 `).join('')}
@@ -437,6 +893,7 @@ function generateComprehensiveAnalysisHTML(analysis) {
                                                     ${negativeLimited.slice(3).map((snippet, index) => `
                                                         <div class="snippet clickable-snippet" data-snippet="${snippet}" data-type="negative" data-keyword="${keyword.keyword}">
                                                             "${snippet}"
+                                                            ${generateSnippetTranslationHTML(snippet, translations)}
                                                             <span class="snippet-hint">Click to find in reviews</span>
                                                         </div>
                                                     `).join('')}
@@ -465,13 +922,13 @@ function generateComprehensiveAnalysisHTML(analysis) {
                     <div class="pros-column">
                         <h4>👍 Pros</h4>
                         <ul class="pros-list">
-                            ${(prosCons.pros || []).map(pro => `<li>${pro}</li>`).join('')}
+                            ${(prosCons.pros || []).map(pro => `<li>${pro}${generateSnippetTranslationHTML(pro, translations)}</li>`).join('')}
                         </ul>
                     </div>
                     <div class="cons-column">
                         <h4>👎 Cons</h4>
                         <ul class="cons-list">
-                            ${(prosCons.cons || []).map(con => `<li>${con}</li>`).join('')}
+                            ${(prosCons.cons || []).map(con => `<li>${con}${generateSnippetTranslationHTML(con, translations)}</li>`).join('')}
                         </ul>
                     </div>
                 </div>
@@ -519,17 +976,22 @@ function generateComprehensiveAnalysisHTML(analysis) {
 // Listen for messages from service worker
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     if (message.type === 'update_side_panel') {
+        closeHistoryEntry({ reload: false });
         listingData = message.data;
         renderListingData(listingData);
     } else if (message.type === 'reviews_ready') {
         console.log('SidePanel: Received notification that reviews are ready!', message.reviews?.length);
-        if (message.reviews) {
+        if (message.reviews && !openHistoryEntry) {
             // Store reviews in listingData so AI functions can access them
             if (!listingData) {
                 listingData = {};
             }
             listingData.reviews = message.reviews;
             console.log('SidePanel: Stored reviews in listingData:', listingData.reviews?.length);
+            if (message.extraction) {
+                reviewExtraction = message.extraction;
+                renderExtractionHealth();
+            }
             updateReviewsSection(message.reviews);
         }
     }
@@ -538,6 +1000,7 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
 // Request data when side panel loads
 document.addEventListener('DOMContentLoaded', () => {
     showLoading();
+    loadReliabilityPreference();
     
     // Set up refresh button listener
     setTimeout(() => {
@@ -566,7 +1029,7 @@ document.addEventListener('DOMContentLoaded', () => {
             listingData = response.data;
             renderListingData(listingData);
         } else {
-            showError('No listing data available. Please click the TravanaSpot button on an Airbnb listing page.');
+            showError('No listing data available. Please click the TravanaSpot button on an Airbnb, Vrbo or Booking.com listing page.');
         }
     });
 });
@@ -585,6 +1048,7 @@ window.addEventListener('focus', () => {
 
 // Little Airby Integration
 let geminiAI = null;
+let chatSession = null; // ChatSession of the listing shown in the panel (chat-session.js)
     
 
 
@@ -594,6 +1058,7 @@ function initGeminiAI() {
         if (window.TravanaSpotGeminiAI) {
             geminiAI = new window.TravanaSpotGeminiAI();
             console.log('SidePanel: Little Airby (Gemini AI) initialized');
+            applyAIProviderSettings();
         } else {
             console.error('SidePanel: Little Airby (TravanaSpotGeminiAI) not available');
         }
@@ -602,6 +1067,27 @@ function initGeminiAI() {
     }
 }
 
+// Point Little Airby at the AI backend chosen on the settings page
+async function applyAIProviderSettings() {
+    if (!geminiAI) return;
+
+    try {
+        const stored = await chrome.storage.local.get('aiSettings');
+        const provider = createAIProvider(stored.aiSettings || {});
+        await geminiAI.setProvider(provider);
+        console.log('SidePanel: Little Airby is using AI provider:', provider.name);
+    } catch (error) {
+        console.error('SidePanel: Failed to apply AI provider settings:', error);
+    }
+}
+
+// Settings page changes apply without reopening the panel
+chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'local' && changes.aiSettings) {
+        applyAIProviderSettings();
+    }
+});
+
 // Handle Little Airby analysis
 async function handleAIAnalysis() {
     if (!geminiAI) {
@@ -634,14 +1120,14 @@ async function handleAIAnalysis() {
                     <p>❌ No reviews available for Little Airby to analyze.</p>
                     <p style="font-size: 12px; color: #666;">
                         Please collect reviews first by clicking "🔄 Refresh Reviews" 
-                        or ensure you're on an Airbnb listing page with reviews.
+                        or ensure you're on an Airbnb, Vrbo or Booking.com listing page with reviews.
                     </p>
                 </div>
             `;
             return;
         }
 
-        const analysis = await geminiAI.analyzeReviews(reviews);
+        const { analysis } = await analyzeReviewsWithCache(reviews, { onProgress: renderAnalysisProgress });
         
         // Store the analysis globally for email functionality
         currentAnalysis = analysis;
@@ -662,6 +1148,7 @@ async function handleAIAnalysis() {
 
             // Add click handlers for snippet navigation
             setupSnippetClickHandlers();
+            setupReliabilityToggle(analysis);
 
             // Setup Text-to-Speech for summary
             setupTextToSpeech();
@@ -730,7 +1217,7 @@ async function handleAISummary() {
                     <p>❌ No reviews available for summary.</p>
                     <p style="font-size: 12px; color: #666;">
                         Please collect reviews first by clicking "🔄 Refresh Reviews" 
-                        or ensure you're on an Airbnb listing page with reviews.
+                        or ensure you're on an Airbnb, Vrbo or Booking.com listing page with reviews.
                     </p>
                 </div>
             `;
@@ -748,6 +1235,7 @@ async function handleAISummary() {
         } else {
             // New comprehensive analysis format
             analysisDiv.innerHTML = generateComprehensiveAnalysisHTML(summary);
+            setupReliabilityToggle(summary);
         }
 
     } catch (error) {
@@ -784,6 +1272,179 @@ async function handleAISummary() {
     }
 }
 
+// Cached review text may end with "..." from truncation; keep a prefix that
+// still appears verbatim in the review card
+function getCitationSnippet(text) {
+    return (text || '').replace(/\.\.\.$/, '').trim().substring(0, 120);
+}
+
+// Footnote markers placed after the answer text: [1] [2] ...
+function generateCitationMarkersHTML(citations) {
+    if (!citations || citations.length === 0) return '';
+
+    return ' ' + citations.map((citation, i) => `
+        <button class="citation-link citation-marker ${citation.stance === 'contradicts' ? 'contradicts' : ''}" data-citation="${i}" title="${citation.stance === 'contradicts' ? 'Show review (disagrees)' : 'Show review'}">[${i + 1}]</button>
+    `.trim()).join('');
+}
+
+// Source list under the answer, one line per cited review
+function generateCitationListHTML(citations) {
+    if (!citations || citations.length === 0) return '';
+
+    return `
+        <div class="citation-list">
+            <div class="citation-list-title">Sources</div>
+            ${citations.map((citation, i) => {
+                const snippet = getCitationSnippet(citation.text);
+                return `
+                    <div class="citation-link citation-source ${citation.stance === 'contradicts' ? 'contradicts' : ''}" data-citation="${i}" title="Show review">
+                        <span class="citation-number">[${i + 1}]</span>
+                        <span>"${escapeHtml(snippet)}${snippet.length < (citation.text || '').length ? '…' : ''}"</span>
+                    </div>
+                `;
+            }).join('')}
+        </div>
+    `;
+}
+
+// Map-reduce answers count the cited reviews on each side
+function generateAgreementHTML(agreement) {
+    if (!agreement || agreement.supporting + agreement.contradicting === 0) return '';
+
+    const guests = count => `${count} ${count === 1 ? 'guest' : 'guests'}`;
+    return `
+        <div class="citation-agreement">
+            <span class="agree">👍 ${guests(agreement.supporting)} agree</span>
+            ${agreement.contradicting > 0 ? `<span class="disagree">👎 ${guests(agreement.contradicting)} disagree</span>` : ''}
+        </div>
+    `;
+}
+
+function setupCitationClickHandlers(container, citations) {
+    container.querySelectorAll('.citation-link').forEach(link => {
+        link.addEventListener('click', () => {
+            const citation = citations[parseInt(link.dataset.citation, 10)];
+            if (!citation) return;
+
+            findAndHighlightReview(getCitationSnippet(citation.text), 'Little Airby', `source ${parseInt(link.dataset.citation, 10) + 1}`, citation.id);
+        });
+    });
+}
+
+// Create or get Q&A container - insert it right after the question input
+function getOrCreateQAContainer() {
+    let qaContainer = document.getElementById('qa-responses');
+    if (qaContainer) return qaContainer;
+
+    console.log('SidePanel: Creating new Q&A responses container');
+    qaContainer = document.createElement('div');
+    qaContainer.id = 'qa-responses';
+    qaContainer.style.cssText = 'margin-top: 16px;';
+
+    // Insert after the question input
+    const questionInput = document.getElementById('ai-question-input');
+    if (questionInput && questionInput.parentNode) {
+        questionInput.parentNode.insertBefore(qaContainer, questionInput.nextSibling);
+    } else {
+        // Fallback: insert after ai-controls
+        const aiControls = document.querySelector('.ai-controls');
+        if (aiControls && aiControls.parentNode) {
+            aiControls.parentNode.insertBefore(qaContainer, aiControls.nextSibling);
+        }
+    }
+    return qaContainer;
+}
+
+// Conversation of the listing shown in the panel (loaded from storage on first use)
+async function getChatSession() {
+    const listingId = await getDisplayedListingId();
+
+    if (!chatSession || chatSession.listingId !== listingId) {
+        chatSession = await new ChatSession(geminiAI, listingId).load();
+    }
+
+    // The AI instance is created after the panel loads and may be replaced
+    chatSession.ai = geminiAI;
+    return chatSession;
+}
+
+// One question/answer turn, in the compact Q&A card design
+function generateChatTurnHTML(turn, index) {
+    const citations = turn.citations || [];
+    const answerText = turn.answer && turn.answer.trim()
+        ? turn.answer
+        : '🤔 Little Airby received your question but couldn\'t generate a response. Please try asking again!';
+    const resolved = turn.standaloneQuestion && turn.standaloneQuestion !== turn.question;
+
+    return `
+        <div class="qa-response" data-turn="${index}" style="background: #f8f9fa; border-radius: 8px; padding: 16px; margin-top: 12px;">
+            <div style="margin-bottom: 12px;">
+                <div style="display: flex; align-items: center; gap: 8px; margin-bottom: 8px;">
+                    <span style="color: #ff385c; font-size: 14px;">💬</span>
+                    <span style="color: #495057; font-size: 13px; font-style: italic;">"${escapeHtml(turn.question)}"</span>
+                </div>
+                ${resolved ? `<div class="chat-resolved-question">↳ understood as "${escapeHtml(turn.standaloneQuestion)}"</div>` : ''}
+            </div>
+            <div style="background: white; padding: 12px; border-radius: 6px; border: 1px solid #e9ecef;">
+                <div style="display: flex; align-items: flex-start; gap: 8px;">
+                    <span style="font-size: 16px;">🧸</span>
+                    <div style="flex: 1;">
+                        <div style="color: #495057; font-size: 13px; line-height: 1.6; white-space: pre-wrap;">${escapeHtml(answerText)}${generateCitationMarkersHTML(citations)}</div>
+                        ${generateAgreementHTML(turn.agreement)}
+                        ${generateCitationListHTML(citations)}
+                    </div>
+                </div>
+            </div>
+            <div style="text-align: right; margin-top: 8px;">
+                <small style="color: #999; font-size: 11px;">${new Date(turn.askedAt || Date.now()).toLocaleTimeString()}</small>
+            </div>
+        </div>
+    `;
+}
+
+function generateChatTurnsHTML(turns) {
+    return (turns || []).map((turn, index) => generateChatTurnHTML(turn, index)).join('');
+}
+
+// Citation footnotes are per turn, so wire each card to its own citations
+function setupChatTurnHandlers(container, turns) {
+    container.querySelectorAll('.qa-response[data-turn]').forEach(turnElement => {
+        const turn = turns[parseInt(turnElement.dataset.turn, 10)];
+        if (turn) {
+            setupCitationClickHandlers(turnElement, turn.citations || []);
+        }
+    });
+}
+
+function renderChatConversation(container, turns) {
+    container.innerHTML = generateChatTurnsHTML(turns);
+    setupChatTurnHandlers(container, turns);
+
+    const clearBtn = document.getElementById('clear-qa-btn');
+    if (clearBtn) {
+        clearBtn.style.display = turns.length > 0 ? 'inline-flex' : 'none';
+    }
+}
+
+// Show the stored conversation for the listing now in the panel
+async function restoreChatConversation() {
+    try {
+        const session = await getChatSession();
+        const qaContainer = document.getElementById('qa-responses');
+
+        if (session.turns.length === 0) {
+            if (qaContainer) qaContainer.remove();
+            const clearBtn = document.getElementById('clear-qa-btn');
+            if (clearBtn) clearBtn.style.display = 'none';
+            return;
+        }
+
+        renderChatConversation(qaContainer || getOrCreateQAContainer(), session.turns);
+    } catch (error) {
+        console.error('SidePanel: Failed to restore chat conversation:', error);
+    }
+}
+
 // Handle Little Airby question asking
 async function handleAIQuestion() {
     console.log('SidePanel: handleAIQuestion called');
@@ -818,32 +1479,11 @@ async function handleAIQuestion() {
         questionBtn.classList.add('analyzing');
         questionBtn.disabled = true;
         
-        // Create or get Q&A container - insert it right after the question input
-        let qaContainer = document.getElementById('qa-responses');
-        if (!qaContainer) {
-            console.log('SidePanel: Creating new Q&A responses container');
-            qaContainer = document.createElement('div');
-            qaContainer.id = 'qa-responses';
-            qaContainer.style.cssText = 'margin-top: 16px;';
-            
-            // Insert after the question input
-            const questionInput = document.getElementById('ai-question-input');
-            if (questionInput && questionInput.parentNode) {
-                console.log('SidePanel: Inserting Q&A container after question input');
-                questionInput.parentNode.insertBefore(qaContainer, questionInput.nextSibling);
-            } else {
-                // Fallback: insert after ai-controls
-                const aiControls = document.querySelector('.ai-controls');
-                if (aiControls && aiControls.parentNode) {
-                    aiControls.parentNode.insertBefore(qaContainer, aiControls.nextSibling);
-                }
-            }
-        } else {
-            console.log('SidePanel: Q&A container already exists');
-        }
-        
-        // Show loading in Q&A container
-        qaContainer.innerHTML = `
+        const qaContainer = getOrCreateQAContainer();
+        const session = await getChatSession();
+
+        // Show loading under the earlier turns of the conversation
+        qaContainer.innerHTML = generateChatTurnsHTML(session.turns) + `
             <div class="loading" style="padding: 16px; background: #f8f9fa; border-radius: 8px; margin: 0;">
                 <div class="spinner" style="width: 30px; height: 30px; margin: 0 auto 10px;"></div>
                 <p style="margin: 0; font-size: 13px;">Little Airby is thinking about your question...</p>
@@ -853,15 +1493,16 @@ async function handleAIQuestion() {
         const reviews = await getCurrentReviews();
         
         if (!reviews || reviews.length === 0) {
-            qaContainer.innerHTML = `
+            qaContainer.innerHTML = generateChatTurnsHTML(session.turns) + `
                 <div class="qa-response" style="background: #fff3cd; padding: 16px; border-radius: 8px; border: 1px solid #ffeaa7; margin-top: 12px;">
                     <p style="margin: 0; color: #856404; font-weight: bold;">❌ No reviews available</p>
                     <p style="margin: 10px 0 0 0; font-size: 12px; color: #666;">
                         Please collect reviews first by clicking "🔄 Refresh Reviews" 
-                        or ensure you're on an Airbnb listing page with reviews.
+                        or ensure you're on an Airbnb, Vrbo or Booking.com listing page with reviews.
                     </p>
                 </div>
             `;
+            setupChatTurnHandlers(qaContainer, session.turns);
             questionBtn.classList.remove('analyzing');
             questionBtn.disabled = false;
             return;
@@ -873,66 +1514,24 @@ async function handleAIQuestion() {
             title: listingData?.title || null
         };
         
-        const result = await geminiAI.askQuestion(reviews, question, contextData);
+        // 'first-match' (default) answers from the best-matching reviews; 'map-reduce' reads every review and reports agreement
+        const { chatAnswerMode } = await chrome.storage.local.get('chatAnswerMode');
+        const result = await session.ask(reviews, question, contextData, {
+            mode: chatAnswerMode || 'first-match',
+            siteName: getListingSiteName()
+        });
         
         // Debug log the result
-        console.log('SidePanel: Q&A result type:', typeof result);
         console.log('SidePanel: Q&A result:', result);
-        
-        // Extract the answer text
-        let answerText = '';
-        if (typeof result === 'string') {
-            answerText = result;
-        } else if (result && typeof result === 'object') {
-            answerText = result.summary || 'No answer available';
-        } else {
-            answerText = 'Unable to get response from Little Airby';
+        if (result.standaloneQuestion !== question) {
+            console.log('SidePanel: Follow-up asked as:', result.standaloneQuestion);
         }
         
-        console.log('SidePanel: Answer text:', answerText);
-        console.log('SidePanel: Answer text length:', answerText.length);
-        
-        // If answer is empty, provide a fallback
-        if (!answerText || answerText.trim() === '') {
-            answerText = '🤔 Little Airby received your question but couldn\'t generate a response. Please try asking again!';
-        }
-        
-        // Create Q&A response element with compact design
-        const qaResponse = `
-            <div class="qa-response" style="background: #f8f9fa; border-radius: 8px; padding: 16px; margin-top: 12px;">
-                <div style="margin-bottom: 12px;">
-                    <div style="display: flex; align-items: center; gap: 8px; margin-bottom: 8px;">
-                        <span style="color: #ff385c; font-size: 14px;">💬</span>
-                        <span style="color: #495057; font-size: 13px; font-style: italic;">"${escapeHtml(question)}"</span>
-                    </div>
-                </div>
-                <div style="background: white; padding: 12px; border-radius: 6px; border: 1px solid #e9ecef;">
-                    <div style="display: flex; align-items: flex-start; gap: 8px;">
-                        <span style="font-size: 16px;">🧸</span>
-                        <div style="flex: 1;">
-                            <div style="color: #495057; font-size: 13px; line-height: 1.6; white-space: pre-wrap;">
-                                ${escapeHtml(answerText)}
-                            </div>
-                        </div>
-                    </div>
-                </div>
-                <div style="text-align: right; margin-top: 8px;">
-                    <small style="color: #999; font-size: 11px;">${new Date().toLocaleTimeString()}</small>
-                </div>
-            </div>
-        `;
-        
-        // Clear loading and add the new response
-        qaContainer.innerHTML = qaResponse;
+        // Replace loading with the whole conversation, newest turn last
+        renderChatConversation(qaContainer, session.turns);
         
         // Make sure the container is visible
         qaContainer.style.display = 'block';
-        
-        // Show clear Q&A button
-        const clearBtn = document.getElementById('clear-qa-btn');
-        if (clearBtn) {
-            clearBtn.style.display = 'inline-flex';
-        }
 
         questionInput.value = '';
         questionInput.style.display = 'none';
@@ -958,44 +1557,97 @@ async function handleAIQuestion() {
             errorMessage = 'API server error - try again later';
         }
         
-        // Use Q&A responses container for error display
-        let qaContainer = document.getElementById('qa-responses');
-        if (!qaContainer) {
-            qaContainer = document.createElement('div');
-            qaContainer.id = 'qa-responses';
-            qaContainer.style.cssText = 'margin-top: 16px;';
-            
-            // Insert after the question input
-            const questionInput = document.getElementById('ai-question-input');
-            if (questionInput && questionInput.parentNode) {
-                questionInput.parentNode.insertBefore(qaContainer, questionInput.nextSibling);
-            } else {
-                // Fallback: insert after ai-controls
-                const aiControls = document.querySelector('.ai-controls');
-                if (aiControls && aiControls.parentNode) {
-                    aiControls.parentNode.insertBefore(qaContainer, aiControls.nextSibling);
-                }
-            }
-        }
+        // Use Q&A responses container for error display, below the earlier turns
+        const qaContainer = getOrCreateQAContainer();
+        const turns = chatSession ? chatSession.turns : [];
         
-        qaContainer.innerHTML = `
+        qaContainer.innerHTML = generateChatTurnsHTML(turns) + `
             <div class="qa-response" style="background: #fee; padding: 16px; border-radius: 8px; border: 1px solid #f5c6cb; margin-top: 12px;">
                 <p style="margin: 0; color: #c33; font-weight: bold;">❌ Little Airby Question Error</p>
                 <p style="margin: 10px 0 0 0; font-size: 12px; color: #666;">${errorMessage}</p>
                 <p style="margin: 5px 0 0 0; font-size: 10px; color: #999;">Check browser console for detailed error logs</p>
             </div>
         `;
+        setupChatTurnHandlers(qaContainer, turns);
     } finally {
         questionBtn.classList.remove('analyzing');
         questionBtn.disabled = false;
     }
 }
 
+// ============================================================================
+// Email layout picker and preview (layouts from email-templates.js)
+// ============================================================================
+
+function getSelectedEmailTemplate() {
+    const select = document.getElementById('email-template-select');
+    return select && select.value ? select.value : DEFAULT_EMAIL_TEMPLATE;
+}
+
+// Fill the layout picker, selecting the layout used last time
+async function setupEmailTemplatePicker() {
+    const select = document.getElementById('email-template-select');
+    if (!select) return;
+
+    const stored = await chrome.storage.local.get('emailTemplate');
+    select.innerHTML = EmailTemplates.list().map(template => `
+        <option value="${escapeHtml(template.id)}">${escapeHtml(template.name)}</option>
+    `).join('');
+    select.value = EmailTemplates.get(stored.emailTemplate).id;
+
+    select.addEventListener('change', () => {
+        chrome.storage.local.set({ emailTemplate: select.value });
+        renderEmailPreview();
+    });
+}
+
+// Show the selected layout as it will be sent, in a sandboxed iframe
+function renderEmailPreview() {
+    const frame = document.getElementById('email-preview-frame');
+    const description = document.getElementById('email-template-description');
+    if (!frame) return;
+
+    const template = EmailTemplates.get(getSelectedEmailTemplate());
+    description.textContent = template.description;
+
+    if (!currentAnalysis) {
+        frame.srcdoc = `<p style="font-family: sans-serif; color: #6c757d; text-align: center; padding: 20px;">The preview appears once Little Airby has finished the analysis.</p>`;
+        return;
+    }
+
+    try {
+        frame.srcdoc = EmailTemplates.render(template.id, listingData || {}, currentAnalysis, listingData?.reviews || []).html;
+    } catch (error) {
+        console.error('SidePanel: Email preview failed:', error);
+        frame.srcdoc = `<p style="font-family: sans-serif; color: #dc3545; padding: 20px;">Couldn't render this layout: ${escapeHtml(error.message)}</p>`;
+    }
+}
+
+// Swap the form for a sent/queued notice for a few seconds
+function showEmailSendNotice(html, durationMs) {
+    const emailContainer = document.getElementById('email-input-container');
+    const form = document.getElementById('email-form');
+    const notice = document.getElementById('email-send-notice');
+
+    form.style.display = 'none';
+    notice.innerHTML = html;
+    notice.style.display = 'block';
+
+    setTimeout(() => {
+        emailContainer.style.display = 'none';
+        notice.style.display = 'none';
+        form.style.display = 'block';
+        document.getElementById('email-input').value = '';
+        const sendBtn = document.getElementById('send-email-btn');
+        sendBtn.disabled = false;
+        sendBtn.textContent = '✉️ Send';
+    }, durationMs);
+}
+
 // Handle email sending
 async function handleEmailSend() {
     const emailInput = document.getElementById('email-input');
     const email = emailInput.value.trim();
-    const emailContainer = document.getElementById('email-input-container');
     const sendBtn = document.getElementById('send-email-btn');
     
     if (!email || !email.includes('@')) {
@@ -1016,42 +1668,40 @@ async function handleEmailSend() {
         // Create email sender instance
         const emailSender = new EmailSender();
         
-        // Send the email with current data
+        // Send the email with current data in the chosen layout
         const result = await emailSender.sendAnalysisEmail(
             email,
             listingData || {},
             currentAnalysis,
-            listingData?.reviews || []
+            listingData?.reviews || [],
+            getSelectedEmailTemplate()
         );
         
         if (result.success) {
-            // Show success message
-            emailContainer.innerHTML = `
+            showEmailSendNotice(`
                 <div style="background: #d4edda; color: #155724; padding: 12px; border-radius: 6px; text-align: center;">
                     <p style="margin: 0; font-weight: bold;">✅ Email sent successfully!</p>
                     <p style="margin: 5px 0 0 0; font-size: 12px;">Check your inbox at ${escapeHtml(email)}</p>
                 </div>
-            `;
-            
-            // Hide after 3 seconds
-            setTimeout(() => {
-                emailContainer.style.display = 'none';
-                emailContainer.innerHTML = `
-                    <input type="email" id="email-input" class="ai-question-input" placeholder="Enter your email address to receive the analysis..." style="display: block;">
-                    <div style="display: flex; gap: 8px; margin-top: 8px;">
-                        <button id="send-email-btn" class="ai-btn" style="background: #28a745; font-size: 12px; padding: 6px 12px;">
-                            ✉️ Send
-                        </button>
-                        <button id="cancel-email-btn" class="ai-btn" style="background: #6c757d; font-size: 12px; padding: 6px 12px;">
-                            Cancel
-                        </button>
-                    </div>
-                `;
-                // Re-setup listeners
-                setupAIListeners();
-            }, 3000);
+            `, 3000);
+        } else if (result.status === 'retrying') {
+            // Queued after a transient failure: the service worker keeps retrying
+            const retryAt = result.nextAttemptAt ? new Date(result.nextAttemptAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }) : 'shortly';
+            showEmailSendNotice(`
+                <div style="background: #fff3cd; color: #856404; padding: 12px; border-radius: 6px; text-align: center;">
+                    <p style="margin: 0; font-weight: bold;">📬 Not sent yet, Little Airby will try again at ${escapeHtml(retryAt)}</p>
+                    <p style="margin: 5px 0 0 0; font-size: 12px;">${escapeHtml(result.error || '')} · See 📤 Sent Emails</p>
+                </div>
+            `, 6000);
+        } else if (result.code === EMAIL_NOT_CONFIGURED) {
+            // No credentials yet: nothing was sent, offer to open Settings → Email
+            sendBtn.disabled = false;
+            sendBtn.textContent = '✉️ Send';
+            if (confirm(`${result.error}\n\nOpen Settings now?`)) {
+                chrome.runtime.openOptionsPage();
+            }
         } else {
-            throw new Error(result.error?.message || 'Failed to send email');
+            throw new Error(typeof result.error === 'string' ? result.error : result.error?.message || 'Failed to send email');
         }
     } catch (error) {
         console.error('SidePanel: Email sending failed:', error);
@@ -1068,6 +1718,83 @@ function escapeHtml(text) {
     return div.innerHTML;
 }
 
+// Get the room ID of the listing open in the active tab
+async function getActiveListingId() {
+    try {
+        const tabs = await chrome.tabs.query({ active: true, currentWindow: true });
+        return ListingStorage.getListingIdFromUrl(tabs[0]?.url);
+    } catch (error) {
+        console.error('SidePanel: Failed to read active tab URL:', error);
+        return null;
+    }
+}
+
+// Analyze reviews, reusing the stored analysis when the review set hasn't changed
+// onProgress receives partial analyses while Little Airby works through the chunks
+async function analyzeReviewsWithCache(reviews, { onProgress = null } = {}) {
+    const listingId = await getActiveListingId();
+    const reviewHash = ListingStorage.hashReviews(reviews);
+
+    // Summaries come back in the listing page's language; a stored analysis is only reused with the same settings
+    const { translateReviewSnippets } = await chrome.storage.local.get('translateReviewSnippets');
+    const analysisOptions = { language: listingData?.locale || 'en', translateSnippets: !!translateReviewSnippets };
+
+    if (listingId) {
+        try {
+            const storedAnalysis = await listingStorage.getCachedAnalysis(listingId, reviewHash, analysisOptions);
+            if (storedAnalysis) {
+                console.log(`SidePanel: Loaded stored analysis for listing ${listingId} (hash ${reviewHash})`);
+                return { analysis: storedAnalysis, fromCache: true };
+            }
+        } catch (error) {
+            console.error('SidePanel: Failed to read stored analysis:', error);
+        }
+    }
+
+    if (!geminiAI) {
+        throw new Error('Little Airby not initialized');
+    }
+
+    const reviewLimit = await listingStorage.getReviewLimit();
+    const analysis = await geminiAI.analyzeReviews(reviews, null, {
+        reviewLimit,
+        onProgress,
+        categoryRatings: listingData?.categoryRatings || null,
+        siteName: getListingSiteName(),
+        ...analysisOptions
+    });
+
+    if (listingId && analysis && typeof analysis === 'object') {
+        try {
+            await listingStorage.saveAnalysis(listingId, { reviews, analysis, listingData, analysisOptions });
+        } catch (error) {
+            console.error('SidePanel: Failed to store analysis:', error);
+        }
+    }
+
+    return { analysis, fromCache: false };
+}
+
+// Show a partial analysis with a progress bar while the remaining chunks are processed
+function renderAnalysisProgress(partialAnalysis) {
+    const analysisDiv = document.getElementById('ai-analysis');
+    if (!analysisDiv || openHistoryEntry) return;
+
+    const { stage, completed, total } = partialAnalysis.progress;
+    const stageLabel = stage === 'summarizing' ? 'Summarizing reviews' : 'Extracting keywords and insights';
+    const percent = Math.round((completed / total) * 100);
+
+    analysisDiv.innerHTML = `
+        <div class="analysis-progress">
+            🧸 ${stageLabel}: chunk ${completed} of ${total}. Results update as Little Airby reads on...
+            <div class="analysis-progress-bar"><div class="analysis-progress-fill" style="width: ${percent}%;"></div></div>
+        </div>
+        ${generateComprehensiveAnalysisHTML(partialAnalysis)}
+    `;
+
+    setupSnippetClickHandlers();
+}
+
 // Get current reviews from the page
 async function getCurrentReviews() {
     try {
@@ -1163,6 +1890,7 @@ function setupAIListeners() {
             // Toggle email input
             if (emailContainer.style.display === 'none') {
                 emailContainer.style.display = 'block';
+                renderEmailPreview();
                 emailInput.focus();
             } else {
                 emailContainer.style.display = 'none';
@@ -1173,12 +1901,16 @@ function setupAIListeners() {
     // Clear Q&A button functionality
     const clearQABtn = document.getElementById('clear-qa-btn');
     if (clearQABtn) {
-        clearQABtn.addEventListener('click', () => {
+        clearQABtn.addEventListener('click', async () => {
             const qaContainer = document.getElementById('qa-responses');
             if (qaContainer) {
                 qaContainer.remove();
                 clearQABtn.style.display = 'none';
             }
+
+            // Forget the conversation too, so the next question starts fresh
+            const session = await getChatSession();
+            await session.clear();
         });
     }
     
@@ -1239,7 +1971,9 @@ function setupSnippetClickHandlers() {
 }
 
 // Find and highlight the review containing the snippet
-function findAndHighlightReview(snippetText, keyword, type) {
+// reviewIndex: position of the review in the list (chat citations know it);
+// the card is only trusted if it still contains the snippet, otherwise we search by text
+function findAndHighlightReview(snippetText, keyword, type, reviewIndex = null) {
     const reviewsSection = document.querySelector('.reviews-section');
     if (!reviewsSection) {
         console.log('SidePanel: Reviews section not found');
@@ -1256,8 +1990,18 @@ function findAndHighlightReview(snippetText, keyword, type) {
         item.classList.remove('highlighted-review');
     });
 
+    if (reviewIndex !== null) {
+        const indexedReview = reviewsSection.querySelector(`.review-item[data-review-index="${reviewIndex}"]`);
+        const indexedText = indexedReview?.querySelector('.review-text')?.textContent || '';
+        if (indexedReview && indexedText.includes(snippetText)) {
+            foundReview = indexedReview;
+        }
+    }
+
     // Search for the snippet in reviews
     reviewItems.forEach((reviewItem, index) => {
+        if (foundReview) return;
+
         const reviewText = reviewItem.querySelector('.review-text')?.textContent || '';
         
         // Check for exact match first
@@ -1364,17 +2108,17 @@ let autoAnalysisTriggered = false;
 
 // Auto-trigger comprehensive analysis
 async function autoTriggerAnalysis(reviews) {
-    if (!geminiAI) {
-        console.log('SidePanel: Little Airby not initialized for auto-analysis');
-        return;
-    }
-
     // Prevent duplicate auto-triggers
     if (autoAnalysisTriggered) {
         console.log('SidePanel: Auto-analysis already triggered, skipping duplicate call');
         return;
     }
 
+    if (openHistoryEntry) {
+        console.log('SidePanel: Saved analysis open, skipping auto-analysis');
+        return;
+    }
+
     const analysisDiv = document.getElementById('ai-analysis');
     if (!analysisDiv) {
         console.log('SidePanel: Analysis div not found');
@@ -1397,13 +2141,13 @@ async function autoTriggerAnalysis(reviews) {
             </div>
         `;
 
-        // Perform comprehensive analysis
-        const analysis = await geminiAI.analyzeReviews(reviews);
+        // Perform comprehensive analysis (or load the stored one if reviews are unchanged)
+        const { analysis, fromCache } = await analyzeReviewsWithCache(reviews, { onProgress: renderAnalysisProgress });
         
         // Store the analysis globally for email functionality
         currentAnalysis = analysis;
         
-        console.log('SidePanel: Auto-analysis completed');
+        console.log('SidePanel: Auto-analysis completed', fromCache ? '(loaded from storage)' : '');
         console.log('SidePanel: Analysis result type:', typeof analysis);
         
         // Check if analysis is a string (old format) or object (new format)
@@ -1419,13 +2163,14 @@ async function autoTriggerAnalysis(reviews) {
 
             // Add click handlers for snippet navigation
             setupSnippetClickHandlers();
+            setupReliabilityToggle(analysis);
 
             // Setup Text-to-Speech for summary
             setupTextToSpeech();
         }
 
         // Show success notification
-        showAutoAnalysisNotification(reviews.length, analysis.analysis_type);
+        showAutoAnalysisNotification(reviews.length, analysis.analysis_type, fromCache);
 
     } catch (error) {
         console.error('SidePanel: Little Airby auto-analysis failed:', error);
@@ -1472,7 +2217,7 @@ async function autoTriggerAnalysis(reviews) {
 }
 
 // Show notification for auto-analysis completion
-function showAutoAnalysisNotification(reviewCount, analysisType = 'ai_powered') {
+function showAutoAnalysisNotification(reviewCount, analysisType = 'ai_powered', fromCache = false) {
     const notification = document.createElement('div');
     notification.className = 'auto-analysis-notification';
     notification.style.cssText = `
@@ -1496,9 +2241,9 @@ function showAutoAnalysisNotification(reviewCount, analysisType = 'ai_powered')
         <div style="display: flex; align-items: center; gap: 8px;">
             <span>🧸</span>
             <div>
-                <strong>Auto-Analysis Complete!</strong>
+                <strong>${fromCache ? 'Saved Analysis Loaded!' : 'Auto-Analysis Complete!'}</strong>
                 <br>
-                <small>Analyzed ${reviewCount} reviews with ${analysisTypeText}</small>
+                <small>${fromCache ? `No new reviews since the last analysis of ${reviewCount} reviews` : `Analyzed ${reviewCount} reviews with ${analysisTypeText}`}</small>
             </div>
         </div>
     `;
@@ -1528,6 +2273,470 @@ style.textContent = `
 `;
 document.head.appendChild(style);
 
+// ============================================================================
+// Email send history (every attempt by the service worker's email queue)
+// ============================================================================
+
+const emailQueue = new EmailQueue();
+
+const EMAIL_STATUS_LABELS = {
+    sent: '✅ Sent',
+    retrying: '🔁 Retrying',
+    failed: '❌ Failed'
+};
+
+function isEmailHistoryVisible() {
+    return document.getElementById('email-history').style.display !== 'none';
+}
+
+async function toggleEmailHistory() {
+    const emailHistory = document.getElementById('email-history');
+    if (isEmailHistoryVisible()) {
+        emailHistory.style.display = 'none';
+        return;
+    }
+
+    emailHistory.style.display = 'block';
+    await renderEmailHistory();
+}
+
+async function renderEmailHistory() {
+    const list = document.getElementById('email-history-list');
+
+    let entries = [];
+    try {
+        entries = await emailQueue.getHistory();
+    } catch (error) {
+        console.error('SidePanel: Failed to load email history:', error);
+    }
+
+    if (entries.length === 0) {
+        list.innerHTML = `<div class="no-reviews">No emails sent yet.</div>`;
+        return;
+    }
+
+    list.innerHTML = entries.map(entry => {
+        const status = EMAIL_STATUS_LABELS[entry.status] || entry.status;
+        const retry = entry.status === 'retrying' && entry.nextAttemptAt
+            ? ` · next try ${new Date(entry.nextAttemptAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`
+            : '';
+
+        return `
+            <div class="email-history-item ${escapeHtml(entry.status)}">
+                <div class="history-item-header">
+                    <span class="history-title">${escapeHtml(entry.listingTitle || (entry.listingId ? `Listing ${entry.listingId}` : entry.subject))}</span>
+                    <span>${status}</span>
+                </div>
+                <div class="history-meta">
+                    <span>To ${escapeHtml(entry.recipient)} · attempt ${entry.attempt}${retry}</span>
+                    <span>${new Date(entry.timestamp).toLocaleString()}</span>
+                </div>
+                ${entry.error ? `<div class="email-history-error">${escapeHtml(entry.error)}</div>` : ''}
+            </div>
+        `;
+    }).join('');
+}
+
+async function clearEmailHistory() {
+    await emailQueue.clearHistory();
+    await renderEmailHistory();
+}
+
+function setupEmailHistoryListeners() {
+    const emailHistoryBtn = document.getElementById('email-history-btn');
+    const clearEmailHistoryBtn = document.getElementById('clear-email-history-btn');
+
+    if (emailHistoryBtn) {
+        emailHistoryBtn.addEventListener('click', toggleEmailHistory);
+    }
+
+    if (clearEmailHistoryBtn) {
+        clearEmailHistoryBtn.addEventListener('click', clearEmailHistory);
+    }
+}
+
+// Retries happen in the background, so keep an open history up to date
+chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'local' && changes.emailHistory && isEmailHistoryVisible()) {
+        renderEmailHistory();
+    }
+});
+
+// ============================================================================
+// Listing History (saved analyses from chrome.storage)
+// ============================================================================
+
+let historyEntries = [];
+let openHistoryEntry = null; // Saved entry currently re-opened in the main view
+const selectedForComparison = new Set(); // Listing IDs ticked in the history list
+const MAX_COMPARISON_LISTINGS = 4;
+
+// Toggle between the history list and the current listing
+async function toggleHistoryView() {
+    const historyView = document.getElementById('history-view');
+    const comparisonView = document.getElementById('comparison-view');
+    if (historyView.style.display === 'none' && comparisonView.style.display === 'none') {
+        await showHistoryView();
+    } else {
+        hideHistoryView();
+    }
+}
+
+function setMainSectionsVisible(visible) {
+    const display = visible ? '' : 'none';
+    document.getElementById('content').style.display = display;
+    document.querySelector('.ai-section').style.display = display;
+    document.getElementById('reviews-container').style.display = display;
+}
+
+async function showHistoryView() {
+    const historyView = document.getElementById('history-view');
+    const historyBtn = document.getElementById('history-btn');
+
+    setMainSectionsVisible(false);
+    document.getElementById('history-banner').style.display = 'none';
+    historyView.style.display = 'block';
+    historyBtn.textContent = '⬅️ Back';
+
+    document.getElementById('history-list').innerHTML = `
+        <div class="loading">
+            <div class="spinner"></div>
+            <p>Loading saved analyses...</p>
+        </div>
+    `;
+
+    try {
+        // The index only has summaries; read the full entries of the analyzed listings
+        const summaries = (await listingStorage.listListings()).filter(summary => summary.hasAnalysis);
+        const entries = await Promise.all(summaries.map(summary => listingStorage.getListing(summary.listingId)));
+        historyEntries = entries.filter(entry => entry?.analysis && typeof entry.analysis === 'object');
+        console.log(`SidePanel: Loaded ${historyEntries.length} saved analyses`);
+    } catch (error) {
+        console.error('SidePanel: Failed to load history:', error);
+        historyEntries = [];
+    }
+
+    // Drop selections for listings that were removed from storage
+    Array.from(selectedForComparison).forEach(listingId => {
+        if (!historyEntries.some(entry => entry.listingId === listingId)) {
+            selectedForComparison.delete(listingId);
+        }
+    });
+
+    renderHistoryList();
+}
+
+function hideHistoryView() {
+    document.getElementById('history-view').style.display = 'none';
+    document.getElementById('comparison-view').style.display = 'none';
+    document.getElementById('history-btn').textContent = '📚 History';
+    setMainSectionsVisible(true);
+
+    if (openHistoryEntry) {
+        document.getElementById('history-banner').style.display = 'flex';
+    }
+}
+
+// Filter by search text and sort the saved analyses
+function getFilteredHistoryEntries() {
+    const query = document.getElementById('history-search').value.trim().toLowerCase();
+    const sortBy = document.getElementById('history-sort').value;
+
+    const filtered = historyEntries.filter(entry => {
+        if (!query) return true;
+        const title = entry.listingData?.title || '';
+        const location = entry.listingData?.location || '';
+        return `${title} ${location}`.toLowerCase().includes(query);
+    });
+
+    const sorters = {
+        date: (a, b) => new Date(b.analyzedAt || 0) - new Date(a.analyzedAt || 0),
+        trust: (a, b) => (b.analysis.trust_score || 0) - (a.analysis.trust_score || 0),
+        positive: (a, b) =>
+            (b.analysis.sentiment_analysis?.positive_percentage || 0) -
+            (a.analysis.sentiment_analysis?.positive_percentage || 0),
+        title: (a, b) => (a.listingData?.title || '').localeCompare(b.listingData?.title || '')
+    };
+
+    return filtered.sort(sorters[sortBy] || sorters.date);
+}
+
+function renderHistoryList() {
+    const historyList = document.getElementById('history-list');
+    const entries = getFilteredHistoryEntries();
+
+    updateComparisonControls();
+
+    if (historyEntries.length === 0) {
+        historyList.innerHTML = `
+            <div class="no-reviews">Little Airby hasn't analyzed any listings yet.</div>
+        `;
+        return;
+    }
+
+    if (entries.length === 0) {
+        historyList.innerHTML = `
+            <div class="no-reviews">No saved listings match your search.</div>
+        `;
+        return;
+    }
+
+    historyList.innerHTML = entries.map(entry => {
+        const sentiment = entry.analysis.sentiment_analysis || {};
+        const analyzedAt = entry.analyzedAt ? new Date(entry.analyzedAt).toLocaleDateString() : 'Unknown date';
+
+        const selected = selectedForComparison.has(entry.listingId);
+
+        return `
+            <div class="history-item${selected ? ' selected' : ''}" data-listing-id="${escapeHtml(entry.listingId)}">
+                <div class="history-item-header">
+                    <div class="history-title">${escapeHtml(entry.listingData?.title || `Listing ${entry.listingId}`)}</div>
+                    <div class="history-trust">${entry.analysis.trust_score || 0}/100</div>
+                </div>
+                <label class="history-compare-toggle">
+                    <input type="checkbox" class="history-compare-checkbox" ${selected ? 'checked' : ''}> Compare
+                </label>
+                ${entry.listingData?.location ? `<div class="history-location">📍 ${escapeHtml(entry.listingData.location)}</div>` : ''}
+                <div class="history-meta">
+                    <span class="history-sentiment">
+                        <span class="positive">${Math.round(sentiment.positive_percentage || 0)}% 👍</span> ·
+                        <span class="neutral">${Math.round(sentiment.neutral_percentage || 0)}% ➖</span> ·
+                        <span class="negative">${Math.round(sentiment.negative_percentage || 0)}% 👎</span>
+                    </span>
+                    <span>${analyzedAt}</span>
+                </div>
+            </div>
+        `;
+    }).join('');
+
+    historyList.querySelectorAll('.history-item').forEach(item => {
+        const listingId = item.getAttribute('data-listing-id');
+
+        item.addEventListener('click', () => {
+            reopenHistoryEntry(listingId);
+        });
+
+        const toggle = item.querySelector('.history-compare-toggle');
+        toggle.addEventListener('click', (e) => {
+            // Ticking a listing shouldn't open it
+            e.stopPropagation();
+        });
+
+        toggle.querySelector('input').addEventListener('change', (e) => {
+            toggleComparisonSelection(listingId, e.target.checked);
+        });
+    });
+}
+
+function toggleComparisonSelection(listingId, selected) {
+    if (selected) {
+        if (selectedForComparison.size >= MAX_COMPARISON_LISTINGS) {
+            alert(`You can compare up to ${MAX_COMPARISON_LISTINGS} listings at a time.`);
+            renderHistoryList();
+            return;
+        }
+        selectedForComparison.add(listingId);
+    } else {
+        selectedForComparison.delete(listingId);
+    }
+
+    renderHistoryList();
+}
+
+function updateComparisonControls() {
+    const compareBtn = document.getElementById('compare-btn');
+    const countLabel = document.getElementById('comparison-count');
+    const count = selectedForComparison.size;
+
+    compareBtn.disabled = count < 2;
+    countLabel.textContent = count === 0
+        ? `Tick 2-${MAX_COMPARISON_LISTINGS} listings to compare`
+        : `${count} of ${MAX_COMPARISON_LISTINGS} selected`;
+}
+
+// Render the ticked saved analyses side by side
+function showComparisonView() {
+    const entries = historyEntries.filter(entry => selectedForComparison.has(entry.listingId));
+    if (entries.length < 2) return;
+
+    console.log('SidePanel: Comparing listings', entries.map(entry => entry.listingId));
+
+    document.getElementById('comparison-content').innerHTML = generateComparisonHTML(entries);
+    document.getElementById('history-view').style.display = 'none';
+    document.getElementById('comparison-view').style.display = 'block';
+}
+
+function closeComparisonView() {
+    document.getElementById('comparison-view').style.display = 'none';
+    document.getElementById('history-view').style.display = 'block';
+    renderHistoryList();
+}
+
+// Re-render a saved analysis in the main view without visiting the listing page
+function reopenHistoryEntry(listingId) {
+    const entry = historyEntries.find(e => e.listingId === listingId);
+    if (!entry) {
+        console.error('SidePanel: Saved analysis not found:', listingId);
+        return;
+    }
+
+    console.log('SidePanel: Re-opening saved analysis for listing', listingId);
+    openHistoryEntry = entry;
+
+    // Point chat and email at the saved listing
+    listingData = { ...(entry.listingData || {}), reviews: entry.reviews || [] };
+    currentAnalysis = entry.analysis;
+    if (geminiAI) {
+        geminiAI.reviewCache = null;
+    }
+
+    renderListingData(listingData, { loadReviews: false });
+
+    const analysisDiv = document.getElementById('ai-analysis');
+    analysisDiv.style.display = 'block';
+    analysisDiv.innerHTML = generateComprehensiveAnalysisHTML(entry.analysis);
+    setupSnippetClickHandlers();
+    setupReliabilityToggle(entry.analysis);
+    setupTextToSpeech();
+
+    const banner = document.getElementById('history-banner');
+    banner.innerHTML = `
+        <span>📚 Saved analysis from ${entry.analyzedAt ? new Date(entry.analyzedAt).toLocaleString() : 'an earlier visit'}</span>
+        <button id="close-history-entry-btn" class="ai-btn" style="background: #6c757d; font-size: 11px; padding: 4px 8px;">Back to current listing</button>
+    `;
+    document.getElementById('close-history-entry-btn').addEventListener('click', () => {
+        closeHistoryEntry();
+    });
+
+    hideHistoryView();
+    updateWatchButton();
+    restoreChatConversation();
+}
+
+// Leave a re-opened saved analysis and return to the listing in the active tab
+function closeHistoryEntry({ reload = true } = {}) {
+    if (!openHistoryEntry) return;
+
+    console.log('SidePanel: Closing saved analysis');
+    openHistoryEntry = null;
+    currentAnalysis = null;
+    autoAnalysisTriggered = false;
+    if (geminiAI) {
+        geminiAI.reviewCache = null;
+    }
+
+    const banner = document.getElementById('history-banner');
+    banner.style.display = 'none';
+    banner.innerHTML = '';
+
+    document.getElementById('ai-analysis').style.display = 'none';
+
+    if (!reload) return;
+
+    showLoading();
+    chrome.runtime.sendMessage({ type: 'get_listing_data' }, (response) => {
+        if (response && response.data) {
+            listingData = response.data;
+            renderListingData(listingData);
+        } else {
+            showError('No listing data available. Please click the TravanaSpot button on an Airbnb, Vrbo or Booking.com listing page.');
+        }
+    });
+}
+
+// ============================================================================
+// Watchlist (background re-checks run by the service worker)
+// ============================================================================
+
+// Listing shown in the panel: the re-opened saved entry, or the one in the active tab
+async function getDisplayedListingId() {
+    return openHistoryEntry ? openHistoryEntry.listingId : getActiveListingId();
+}
+
+async function updateWatchButton() {
+    const watchBtn = document.getElementById('watch-btn');
+    if (!watchBtn) return;
+
+    const listingId = await getDisplayedListingId();
+    if (!listingId) {
+        watchBtn.disabled = true;
+        watchBtn.textContent = '👁️ Watch';
+        return;
+    }
+
+    const entry = await listingStorage.getListing(listingId);
+    watchBtn.disabled = false;
+    watchBtn.textContent = entry?.watched ? '👁️ Watching' : '👁️ Watch';
+    watchBtn.title = entry?.lastCheckedAt
+        ? `Last checked ${new Date(entry.lastCheckedAt).toLocaleString()}`
+        : 'Re-check this listing for new reviews in the background';
+
+    // Showing the listing counts as seeing its new reviews
+    if (entry?.unseenReviews?.length > 0) {
+        console.log(`SidePanel: ${entry.unseenReviews.length} new reviews since last visit to ${listingId}`);
+        chrome.runtime.sendMessage({ type: 'watch_reviews_seen', listingId });
+    }
+}
+
+async function toggleWatch() {
+    const listingId = await getDisplayedListingId();
+    if (!listingId) return;
+
+    const entry = await listingStorage.getListing(listingId);
+    const watched = !entry?.watched;
+
+    await listingStorage.setWatched(listingId, watched, openHistoryEntry ? null : listingData);
+    console.log(`SidePanel: ${watched ? 'Watching' : 'Stopped watching'} listing ${listingId}`);
+
+    chrome.runtime.sendMessage({ type: 'watchlist_updated' });
+    updateWatchButton();
+}
+
+function setupHistoryListeners() {
+    const historyBtn = document.getElementById('history-btn');
+    const historySearch = document.getElementById('history-search');
+    const historySort = document.getElementById('history-sort');
+
+    if (historyBtn) {
+        historyBtn.addEventListener('click', () => {
+            toggleHistoryView();
+        });
+    }
+
+    if (historySearch) {
+        historySearch.addEventListener('input', renderHistoryList);
+    }
+
+    if (historySort) {
+        historySort.addEventListener('change', renderHistoryList);
+    }
+
+    const settingsBtn = document.getElementById('settings-btn');
+    if (settingsBtn) {
+        settingsBtn.addEventListener('click', () => {
+            chrome.runtime.openOptionsPage();
+        });
+    }
+
+    const watchBtn = document.getElementById('watch-btn');
+    if (watchBtn) {
+        watchBtn.addEventListener('click', () => {
+            toggleWatch();
+        });
+    }
+
+    const compareBtn = document.getElementById('compare-btn');
+    const closeComparisonBtn = document.getElementById('close-comparison-btn');
+
+    if (compareBtn) {
+        compareBtn.addEventListener('click', showComparisonView);
+    }
+
+    if (closeComparisonBtn) {
+        closeComparisonBtn.addEventListener('click', closeComparisonView);
+    }
+}
+
 // ============================================================================
 // Text-to-Speech Functionality (Web Speech API)
 // ============================================================================
@@ -1644,5 +2853,8 @@ document.addEventListener('DOMContentLoaded', () => {
     setTimeout(() => {
         initGeminiAI();
         setupAIListeners();
+        setupHistoryListeners();
+        setupEmailHistoryListeners();
+        setupEmailTemplatePicker();
     }, 1000);
 }); 
\ No newline at end of file
@@ -0,0 +1,402 @@
+// TravanaSpot - Site Adapters
+// Everything the content script needs to know about one booking site: which URLs are
+// listing pages, how to read the listing and its reviews, and how to open the full
+// review list. The content script, side panel and AI pipeline only see the normalized
+// shapes below, so adding a site means adding an adapter (airbnb-adapter.js, ...).
+
+/**
+ * Adapter interface
+ *
+ * Static (usable from the service worker and side panel, no page needed):
+ * - id / siteName:                  'airbnb' / 'Airbnb'
+ * - ratingScale                     What review scores are out of (5 or 10)
+ * - isListingUrl(url)               Is this a listing page the adapter can read?
+ * - getListingId(url)               Storage ID of the listing, or null. Airbnb keeps the plain
+ *                                   room ID; other sites prefix theirs ("vrbo-…", "booking-…")
+ * - ownsListingId(listingId)        Does a stored listing ID belong to this site?
+ * - getListingUrl(listingId, domain)
+ *
+ * Per page (new Adapter({ document, location })):
+ * - extractListing()                Listing data with listingId, site, domain, locale, title,
+ *                                   rating (out of 5), reviewCount, price, location, host, ...
+ *                                   and an `extraction` health report
+ * - extractReviews()                Normalized reviews currently in the DOM; the strategies
+ *                                   used are left in `lastExtraction`
+ * - openAllReviews()                Click the site's "show all reviews" control (true if found)
+ * - loadMoreReviews()               Next batch of reviews when the list doesn't load on scroll (async)
+ * - isReviewsPage()                 Already on a page that lists every review?
+ * - closeReviews()                  Close the review dialog again (async, true if closed)
+ *
+ * Normalized review: { name, location, date, stayDetails, rating, text, hostResponse }
+ * - date: month and year as written ("June 2025", "Juni 2025"); stayDetails keeps the full line
+ * - rating: whole stars 1-5 (sites that score out of 10 are converted)
+ * - hostResponse: { hostName, text, date } when the host answered
+ * Empty fields are left out.
+ */
+
+// Review fields in the order they are stored
+const NORMALIZED_REVIEW_FIELDS = ['name', 'location', 'date', 'stayDetails', 'rating', 'text', 'hostResponse'];
+
+// English month names for dates like "Oct 12, 2025" (Vrbo)
+const ENGLISH_MONTH_NAMES = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
+
+// Close buttons most review dialogs use; adapters put their own selectors first
+const GENERIC_CLOSE_SELECTORS = [
+  '[role="dialog"] button[aria-label*="Close"]',
+  '[data-testid*="close-button"]',
+  'button[title="Close"]',
+  'button[title="close"]',
+  '.modal-close',
+  '.close-button',
+  '[aria-label*="Close modal"]'
+];
+
+class SiteAdapter {
+  constructor({ document: pageDocument = document, location = window.location, profile = null } = {}) {
+    this.document = pageDocument;
+    this.location = location; // window.location is live, so SPA navigation is picked up
+    this.profile = profile;
+    this.lastExtraction = null;
+  }
+
+  // Adapters in lookup order (loaded as scripts before the content script and side panel)
+  static get adapters() {
+    return [
+      typeof AirbnbAdapter !== 'undefined' ? AirbnbAdapter : require('./airbnb-adapter.js').AirbnbAdapter,
+      typeof VrboAdapter !== 'undefined' ? VrboAdapter : require('./vrbo-adapter.js').VrboAdapter,
+      typeof BookingAdapter !== 'undefined' ? BookingAdapter : require('./booking-adapter.js').BookingAdapter
+    ];
+  }
+
+  static getLocaleClass() {
+    return typeof AirbnbLocale !== 'undefined' ? AirbnbLocale : require('./airbnb-locales.js').AirbnbLocale;
+  }
+
+  static getSelectorProfileClass() {
+    return typeof SelectorProfile !== 'undefined' ? SelectorProfile : require('./selector-profile.js').SelectorProfile;
+  }
+
+  // Adapter class for a listing URL, or null
+  static forUrl(url) {
+    return SiteAdapter.adapters.find(adapter => adapter.isListingUrl(url)) || null;
+  }
+
+  // Adapter for the current page; local test pages are read as Airbnb
+  static forPage(pageDocument = document, location = window.location) {
+    const Adapter = SiteAdapter.forUrl(location.href) || SiteAdapter.adapters[0];
+    return new Adapter({ document: pageDocument, location });
+  }
+
+  static isListingUrl(url) {
+    return !!SiteAdapter.forUrl(url);
+  }
+
+  // Storage ID of the listing at a URL on any supported site, or null
+  static getListingId(url) {
+    for (const adapter of SiteAdapter.adapters) {
+      const listingId = adapter.getListingId(url);
+      if (listingId) return listingId;
+    }
+    return null;
+  }
+
+  // Page URL of a stored listing (domain: where it was found, e.g. airbnb.de)
+  static getListingUrl(listingId, domain = null) {
+    const adapter = SiteAdapter.adapters.find(candidate => candidate.ownsListingId(listingId)) || SiteAdapter.adapters[0];
+    return adapter.getListingUrl(listingId, domain);
+  }
+
+  // Display name of a site ID ('booking' -> 'Booking.com'); listings saved before adapters were Airbnb
+  static getSiteName(site) {
+    const adapter = SiteAdapter.adapters.find(candidate => candidate.id === site) || SiteAdapter.adapters[0];
+    return adapter.siteName;
+  }
+
+  /**
+   * Review in the shared shape (see the interface above)
+   *
+   * scale: what the site scores out of, 5 or 10
+   */
+  static normalizeReview(review, { scale = 5 } = {}) {
+    const normalized = {};
+
+    NORMALIZED_REVIEW_FIELDS.forEach(field => {
+      let value = review[field];
+      if (typeof value === 'string') value = value.trim();
+      if (field === 'rating') value = SiteAdapter.toStars(value, scale);
+      if (field === 'hostResponse' && !value?.text) value = null;
+
+      if (value) {
+        normalized[field] = value;
+      }
+    });
+
+    return normalized;
+  }
+
+  // Whole stars (1-5) from a score out of `scale`, or 0 when there is no score
+  static toStars(score, scale = 5) {
+    const value = typeof score === 'string' ? parseFloat(score.replace(',', '.')) : score;
+    if (!Number.isFinite(value) || value <= 0) return 0;
+
+    return Math.min(5, Math.max(1, Math.round(value * 5 / scale)));
+  }
+
+  // Listing-level score out of 5 as shown in the panel ("9.2" out of 10 -> "4.6")
+  static toFiveScale(score, scale = 5) {
+    const value = typeof score === 'string' ? parseFloat(score.replace(',', '.')) : score;
+    if (!Number.isFinite(value) || value <= 0) return '';
+
+    return String(Math.round(value * 5 / scale * 100) / 100);
+  }
+
+  // Month and year of a review date: "März 2025", "octubre de 2025", or "Oct 12, 2025" -> "October 2025"
+  static getMonthYear(text, language = 'en') {
+    const Locale = SiteAdapter.getLocaleClass();
+    const monthYear = Locale.findMonthYear(text, language);
+    if (monthYear) return monthYear.text;
+
+    const match = (text || '').match(/\b([A-Za-z]{3})[a-z]*\.?\s+\d{1,2},?\s+(\d{4})\b/);
+    const monthName = match && ENGLISH_MONTH_NAMES.find(month => month.slice(0, 3).toLowerCase() === match[1].toLowerCase());
+    return monthName ? `${monthName} ${match[2]}` : '';
+  }
+
+  // Trimmed text of every element without child elements (skips buttons and links like "Show more")
+  static getLeafTexts(root) {
+    if (!root) return [];
+
+    return Array.from(root.querySelectorAll('*'))
+      .filter(element => element.children.length === 0 && !element.closest('button, a'))
+      .map(element => (element.textContent || '').trim())
+      .filter(text => text.length > 1);
+  }
+
+  get url() {
+    return this.location.href;
+  }
+
+  get listingId() {
+    return this.constructor.getListingId(this.url);
+  }
+
+  // Page language, so the analysis answers in it (languages AirbnbLocale knows, else English)
+  get language() {
+    const Locale = SiteAdapter.getLocaleClass();
+    return Locale.detect({ lang: this.document.documentElement.lang }).language;
+  }
+
+  // Listing fields every site has; adapters fill the rest in extractListing()
+  createListingData() {
+    return {
+      listingId: this.listingId,
+      site: this.constructor.id,
+      domain: this.location.hostname ? this.location.hostname.replace(/^www\./, '') : null,
+      locale: this.language,
+      title: '',
+      rating: '',
+      reviewCount: '',
+      price: '',
+      location: '',
+      host: '',
+      guests: '',
+      bedrooms: '',
+      beds: '',
+      baths: '',
+      categoryRatings: {},
+      amenities: [],
+      houseRules: [],
+      cancellationPolicy: '',
+      badges: [],
+      reviews: []
+    };
+  }
+
+  // First element for a profile field, recording which strategy found it
+  findField(field, strategies, root = this.document) {
+    const { element, strategy } = this.profile.find(field, root);
+    strategies[field] = strategy;
+    return element;
+  }
+
+  // Which profile strategy found each field, for the panel's extraction health check
+  buildListingExtraction(data, strategies) {
+    return {
+      profileVersion: this.profile.version,
+      site: this.constructor.id,
+      fields: strategies,
+      missing: this.profile.getKeyFields('listing').filter(field => !data[field]),
+      fallbacks: Object.keys(strategies).filter(field => this.profile.isFallbackStrategy(field, strategies[field]))
+    };
+  }
+
+  /**
+   * Reviews currently in the DOM, normalized
+   *
+   * Review cards come from the profile's reviewItem field (reviewFallbackItem when there are
+   * none) and are read by readReview()/readFallbackReview(). Records which strategy found each
+   * field in lastExtraction: { profileVersion, site, reviewCount, fields: { text: { '<strategy>': count } }, missing }
+   * where missing lists key review fields no review had (an assumed 5★ rating doesn't count).
+   */
+  extractReviews() {
+    const reviews = [];
+    const strategyCounts = {};
+    const recordStrategy = (field, strategy) => {
+      strategyCounts[field] = strategyCounts[field] || {};
+      const key = strategy || 'none';
+      strategyCounts[field][key] = (strategyCounts[field][key] || 0) + 1;
+    };
+
+    try {
+      const { elements: reviewElements, strategy: itemStrategy } = this.profile.findAll('reviewItem', this.document);
+
+      if (reviewElements.length > 0) {
+        reviewElements.forEach(element => {
+          try {
+            recordStrategy('item', itemStrategy);
+            const review = this.readReview(element, recordStrategy);
+
+            // Only add review if it has meaningful content (the collection loop applies the limit)
+            if (review.name && review.text) {
+              reviews.push(SiteAdapter.normalizeReview(review, { scale: this.constructor.ratingScale }));
+            } else if (review.text && review.text.length > 20) {
+              // Even without a name, if there's substantial text, include it
+              review.name = 'Anonymous';
+              reviews.push(SiteAdapter.normalizeReview(review, { scale: this.constructor.ratingScale }));
+            }
+          } catch (e) {
+            // Skip this review if there's an error
+            console.log('TravanaSpot: Error processing review:', e);
+          }
+        });
+
+        const reviewsWithRatings = reviews.filter(r => r.rating && r.rating > 0).length;
+        console.log(`TravanaSpot: Extracted ${reviews.length} ${this.constructor.siteName} reviews from DOM (${reviewsWithRatings} with ratings)`);
+      } else {
+        // Fallback: look for any review-like elements with multiple selectors
+        const { elements: fallbackElements, strategy: fallbackStrategy } = this.profile.findAll('reviewFallbackItem', this.document, { union: true });
+
+        fallbackElements.forEach(element => {
+          try {
+            recordStrategy('item', fallbackStrategy);
+            const review = this.readFallbackReview(element, recordStrategy);
+
+            if (review.name || review.text) {
+              reviews.push(SiteAdapter.normalizeReview(review, { scale: this.constructor.ratingScale }));
+            }
+          } catch (e) {
+            // Skip this review if there's an error
+            console.log('TravanaSpot: Error processing fallback review:', e);
+          }
+        });
+      }
+    } catch (e) {
+      console.log('TravanaSpot: Error extracting reviews from DOM:', e);
+    }
+
+    this.lastExtraction = {
+      profileVersion: this.profile.version,
+      site: this.constructor.id,
+      reviewCount: reviews.length,
+      fields: strategyCounts,
+      missing: reviews.length === 0 ? [] : this.profile.getKeyFields('review').filter(field =>
+        !Object.keys(strategyCounts[field] || {}).some(strategy => strategy !== 'none' && strategy !== 'assumed')
+      )
+    };
+
+    return reviews;
+  }
+
+  // Raw review fields from one review card; recordStrategy(field, strategy) for the health report
+  readReview(element, recordStrategy) {
+    throw new Error(`${this.constructor.name} must implement readReview()`);
+  }
+
+  // Review-like element found by the generic fallback selectors
+  readFallbackReview(element, recordStrategy) {
+    const review = {};
+
+    const nameElement = element.querySelector('h2, strong, b');
+    recordStrategy('name', nameElement ? 'h2, strong, b' : null);
+    if (nameElement && nameElement.textContent) {
+      review.name = nameElement.textContent.trim();
+    }
+
+    const dateElement = element.querySelector('time, [class*="date"]');
+    recordStrategy('date', dateElement ? 'time, [class*="date"]' : null);
+    if (dateElement && dateElement.textContent) {
+      review.date = dateElement.textContent.trim();
+    }
+
+    const textElement = element.querySelector('p, div[class*="text"], span[class*="text"]');
+    recordStrategy('text', textElement ? 'p, div[class*="text"], span[class*="text"]' : null);
+    if (textElement && textElement.textContent) {
+      review.text = textElement.textContent.trim();
+    }
+    recordStrategy('rating', null);
+
+    return review;
+  }
+
+  // First button whose text passes the test
+  findButton(test) {
+    return Array.from(this.document.querySelectorAll('button, a[role="button"]')).find(button => {
+      try {
+        return test((button.textContent || '').trim());
+      } catch (e) {
+        return false;
+      }
+    }) || null;
+  }
+
+  openAllReviews() {
+    return false;
+  }
+
+  // Load the next batch of reviews in the open list (a "more" button or the next page), true if it did
+  async loadMoreReviews() {
+    return false;
+  }
+
+  isReviewsPage() {
+    return false;
+  }
+
+  // Selectors for the element that scrolls through the review list, tried before generic ones
+  getReviewScrollSelectors() {
+    return [];
+  }
+
+  // Close buttons for the review dialog, best first
+  getCloseSelectors() {
+    return GENERIC_CLOSE_SELECTORS;
+  }
+
+  // Click the first visible close button of the review dialog
+  async closeReviews() {
+    // Wait a moment for any final renders
+    await new Promise(resolve => setTimeout(resolve, 500));
+
+    for (const selector of this.getCloseSelectors()) {
+      for (const closeButton of this.document.querySelectorAll(selector)) {
+        // Check if button is visible and clickable
+        if (closeButton.offsetParent !== null &&
+            closeButton.getBoundingClientRect().width > 0 &&
+            closeButton.getBoundingClientRect().height > 0) {
+          console.log(`TravanaSpot: Found close button with selector: ${selector}`);
+          closeButton.click();
+          await new Promise(resolve => setTimeout(resolve, 1000));
+          return true;
+        }
+      }
+    }
+
+    return false;
+  }
+}
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { SiteAdapter, GENERIC_CLOSE_SELECTORS };
+} else {
+  self.SiteAdapter = SiteAdapter;
+}
@@ -0,0 +1,82 @@
+// Token counting in both AI providers: the model's own tokenizer where the backend has one
+
+const { describe, it, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { ChromeBuiltInProvider, LocalHttpProvider } = require('../ai-providers.js');
+const { silenceConsole } = require('./helpers/fake-chrome-ai.js');
+
+let restoreConsole;
+const originalFetch = global.fetch;
+
+before(() => {
+  restoreConsole = silenceConsole();
+});
+
+after(() => {
+  restoreConsole();
+});
+
+afterEach(() => {
+  global.fetch = originalFetch;
+});
+
+// fetch stand-in answering by path, recording every request
+function stubFetch(routes) {
+  const requests = [];
+  global.fetch = async (url, init = {}) => {
+    const path = new URL(url).pathname;
+    requests.push({ path, body: JSON.parse(init.body) });
+
+    const { status = 200, body = {} } = routes[path] || { status: 404 };
+    return {
+      ok: status >= 200 && status < 300,
+      status,
+      json: async () => body,
+      text: async () => JSON.stringify(body)
+    };
+  };
+  return requests;
+}
+
+describe('ChromeBuiltInProvider.countTokens', () => {
+  it("uses the session's measureInputUsage", async () => {
+    const session = { measureInputUsage: async text => text.split(' ').length };
+
+    assert.equal(await new ChromeBuiltInProvider().countTokens('three short words', session), 3);
+  });
+
+  it('falls back to countPromptTokens, then to an estimate', async () => {
+    const provider = new ChromeBuiltInProvider();
+
+    assert.equal(await provider.countTokens('abc', { countPromptTokens: async () => 7 }), 7);
+    assert.equal(await provider.countTokens('twelve chars', {}), 3);
+  });
+});
+
+describe('LocalHttpProvider.countTokens', () => {
+  it("counts with the server's /tokenize endpoint", async () => {
+    const requests = stubFetch({ '/tokenize': { body: { tokens: [1, 2, 3, 4, 5] } } });
+    const provider = new LocalHttpProvider({ endpoint: 'http://192.168.1.20:8080' });
+
+    assert.equal(await provider.countTokens('Spotless flat near the beach'), 5);
+    assert.deepEqual(requests, [{ path: '/tokenize', body: { content: 'Spotless flat near the beach' } }]);
+  });
+
+  it("estimates from the last reply's usage when the server can't tokenize", async () => {
+    const requests = stubFetch({
+      '/v1/chat/completions': {
+        body: { choices: [{ message: { content: 'OK' } }], usage: { prompt_tokens: 10, total_tokens: 11 } }
+      }
+    });
+    const provider = new LocalHttpProvider({ endpoint: 'http://localhost:11434' });
+
+    // 30 characters of prompt came to 10 tokens: 3 characters per token
+    const session = await provider.createLanguageModelSession();
+    await session.prompt('x'.repeat(30));
+
+    assert.equal(await session.measureInputUsage('y'.repeat(60)), 20);
+    assert.equal(await provider.countTokens('z'.repeat(9)), 3);
+    assert.equal(requests.filter(request => request.path === '/tokenize').length, 1);
+  });
+});
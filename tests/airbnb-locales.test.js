@@ -0,0 +1,94 @@
+// Regional Airbnb domains and locale-aware phrase parsing
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { AirbnbLocale, AIRBNB_DOMAIN_LANGUAGES } = require('../airbnb-locales.js');
+
+describe('AirbnbLocale', () => {
+  it('takes the language from <html lang>, then from the domain', () => {
+    assert.equal(AirbnbLocale.detect({ lang: 'fr-CA', hostname: 'www.airbnb.ca' }).language, 'fr');
+    assert.equal(AirbnbLocale.detect({ lang: 'en', hostname: 'www.airbnb.de' }).language, 'en');
+    assert.equal(AirbnbLocale.detect({ hostname: 'www.airbnb.com.mx' }).language, 'es');
+    assert.equal(AirbnbLocale.detect({ lang: 'ja', hostname: 'www.airbnb.jp' }).language, 'en');
+  });
+
+  it('recognizes listing pages on regional domains only', () => {
+    assert.ok(AirbnbLocale.isListingUrl('https://www.airbnb.co.uk/rooms/12345?adults=2'));
+    assert.ok(AirbnbLocale.isListingUrl('https://www.airbnb.com.au/rooms/12345'));
+    assert.ok(!AirbnbLocale.isListingUrl('https://www.airbnb.de/s/Berlin/homes'));
+    assert.ok(!AirbnbLocale.isListingUrl('https://airbnb.example.com/rooms/12345'));
+    assert.ok(!AirbnbLocale.isListingUrl('not a url'));
+  });
+
+  it('builds listing URLs on the domain they were found on', () => {
+    assert.equal(AirbnbLocale.getListingUrl('12345', 'www.airbnb.fr'), 'https://www.airbnb.fr/rooms/12345');
+    assert.equal(AirbnbLocale.getListingUrl('12345', 'airbnb.es'), 'https://www.airbnb.es/rooms/12345');
+    assert.equal(AirbnbLocale.getListingUrl('12345'), 'https://www.airbnb.com/rooms/12345');
+  });
+
+  it('lists every regional domain in the manifest', () => {
+    const manifest = require('../manifest.json');
+    const matches = manifest.content_scripts[0].matches;
+
+    Object.keys(AIRBNB_DOMAIN_LANGUAGES).forEach(domain => {
+      assert.ok(matches.includes(`https://www.${domain}/rooms/*`), domain);
+    });
+  });
+
+  it('parses rating text, host responses and review counts per language', () => {
+    const german = new AirbnbLocale('de');
+    assert.equal(german.parseRatingStars('Bewertung: 4 Sterne'), 4);
+    assert.equal(german.parseResponseFrom('Antwort von Maria'), 'Maria');
+    assert.equal(german.parseReviewCount('4,92 · 1.024 Bewertungen'), '1024');
+    assert.ok(german.matches('showAllReviews', 'Alle 1.024 Bewertungen anzeigen'));
+
+    const french = new AirbnbLocale('fr');
+    assert.equal(french.parseRatingStars('Note : 5 étoiles'), 5);
+    assert.equal(french.parseResponseFrom('Réponse de Jean'), 'Jean');
+    assert.equal(french.parseReviewCount('4,8 · 36 commentaires'), '36');
+
+    const spanish = new AirbnbLocale('es');
+    assert.equal(spanish.parseRatingStars('Calificación: 3 estrellas'), 3);
+    assert.ok(spanish.matches('showAllReviews', 'Mostrar las 128 reseñas'));
+  });
+
+  it('falls back to English phrases on regional pages', () => {
+    const german = new AirbnbLocale('de');
+
+    assert.equal(german.parseRatingStars('Rating, 2 stars'), 2);
+    assert.equal(german.parseResponseFrom('Response from Tom'), 'Tom');
+    assert.equal(german.parseResponseFrom('Great stay'), null);
+    assert.equal(new AirbnbLocale('en').parseRatingStars('Bewertung: 4 Sterne'), 0);
+  });
+
+  it('reads listing details per language, with English labels still understood', () => {
+    const french = new AirbnbLocale('fr');
+    const spanish = new AirbnbLocale('es');
+    const italian = new AirbnbLocale('it');
+
+    assert.equal(french.getCategoryLabels()['Propreté'], 'cleanliness');
+    assert.equal(french.getCategoryLabels().Value, 'value');
+    assert.deepEqual(spanish.getHeadings('cancellationPolicy'), ['Política de cancelación', 'Cancellation policy']);
+    assert.ok(italian.matches('amenitiesChrome', 'Mostra tutti i 45 servizi'));
+    assert.ok(spanish.matches('unavailable', 'No disponible: Lavadora'));
+
+    assert.deepEqual(
+      ['4 voyageurs', '2 chambres', '3 lits', '1 salle de bain'].map(text => french.parseCapacityField(text)),
+      ['guests', 'bedrooms', 'beds', 'baths']
+    );
+    assert.deepEqual(
+      ['4 ospiti', '2 camere da letto', '3 letti', '1 bagno'].map(text => italian.parseCapacityField(text)),
+      ['guests', 'bedrooms', 'beds', 'baths']
+    );
+    assert.equal(spanish.parseCapacityField('2 habitaciones'), 'bedrooms');
+    assert.equal(spanish.parseCapacityField('Entrada independiente'), null);
+  });
+
+  it('finds month-year dates in any supported language', () => {
+    assert.deepEqual(AirbnbLocale.findMonthYear('März 2025 · Aufenthalt mit Kindern'), { text: 'März 2025', monthIndex: 2, year: 2025 });
+    assert.deepEqual(AirbnbLocale.findMonthYear('octubre de 2025'), { text: 'octubre de 2025', monthIndex: 9, year: 2025 });
+    assert.deepEqual(new AirbnbLocale('it').findMonthYear('maggio 2024'), { text: 'maggio 2024', monthIndex: 4, year: 2024 });
+    assert.equal(AirbnbLocale.findMonthYear('2 weeks ago'), null);
+  });
+});
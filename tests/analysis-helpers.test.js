@@ -0,0 +1,328 @@
+// Pure helpers of the analysis pipeline (no AI sessions involved)
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const TravanaSpotBrowserAI = require('../browser-ai-integration.js');
+const { createFakeChromeAI, silenceConsole } = require('./helpers/fake-chrome-ai.js');
+
+const ASPECTS = ['Cleanliness', 'Location', 'HostCommunication', 'ValueForMoney', 'AccuracyOfListing', 'CheckInProcess', 'NoiseLevels', 'Comfort', 'Amenities'];
+
+let restoreConsole;
+let ai;
+
+before(() => {
+  restoreConsole = silenceConsole();
+  createFakeChromeAI().install();
+  ai = new TravanaSpotBrowserAI();
+});
+
+after(() => {
+  restoreConsole();
+  createFakeChromeAI().uninstall();
+});
+
+describe('mergeKeywordAnalysis', () => {
+  it('always returns all 9 aspects in a fixed order', () => {
+    const merged = ai.mergeKeywordAnalysis([]);
+    assert.deepEqual(merged.map(k => k.keyword), ASPECTS);
+    merged.forEach(k => {
+      assert.equal(k.positive, 0);
+      assert.equal(k.negative, 0);
+      assert.equal(k.total_mentions, 0);
+    });
+  });
+
+  it('sums counts across chunks', () => {
+    const merged = ai.mergeKeywordAnalysis([
+      [{ keyword: 'Cleanliness', positive: 3, negative: 1, total_mentions: 4 }],
+      [{ keyword: 'Cleanliness', positive: 2, negative: 0, total_mentions: 2 }, { keyword: 'Location', positive: 5, negative: 2, total_mentions: 7 }]
+    ]);
+
+    const byAspect = Object.fromEntries(merged.map(k => [k.keyword, k]));
+    assert.equal(byAspect.Cleanliness.positive, 5);
+    assert.equal(byAspect.Cleanliness.negative, 1);
+    assert.equal(byAspect.Cleanliness.total_mentions, 6);
+    assert.equal(byAspect.Location.positive, 5);
+    assert.equal(byAspect.Location.negative, 2);
+  });
+
+  it('ignores unknown aspects and chunks without an array', () => {
+    const merged = ai.mergeKeywordAnalysis([
+      null,
+      { keyword: 'Cleanliness' },
+      [{ keyword: 'Breakfast', positive: 9, negative: 0, total_mentions: 9 }]
+    ]);
+
+    assert.equal(merged.length, 9);
+    assert.equal(merged.reduce((sum, k) => sum + k.positive, 0), 0);
+  });
+
+  it('caps merged snippets at 10 per side', () => {
+    const chunk = [{
+      keyword: 'Comfort',
+      positive: 6,
+      negative: 6,
+      total_mentions: 12,
+      positive_snippets: Array.from({ length: 6 }, (_, i) => `comfy ${i}`),
+      negative_snippets: Array.from({ length: 6 }, (_, i) => `lumpy ${i}`)
+    }];
+
+    const comfort = ai.mergeKeywordAnalysis([chunk, chunk]).find(k => k.keyword === 'Comfort');
+    assert.equal(comfort.positive, 12);
+    assert.equal(comfort.positive_snippets.length, 10);
+    assert.equal(comfort.negative_snippets.length, 10);
+  });
+});
+
+describe('createOptimizedChunks', () => {
+  const SEPARATOR_LENGTH = 5; // '\n---\n'
+  const MAX_CHARS_PER_CHUNK = 3000;
+
+  it('keeps every chunk within the ~750 token budget', () => {
+    const reviews = Array.from({ length: 40 }, (_, i) => `${i}`.padEnd(400, 'x'));
+    const chunks = ai.createOptimizedChunks(reviews, 0);
+
+    assert.ok(chunks.length > 1);
+    chunks.forEach(chunk => {
+      const size = chunk.reduce((sum, review) => sum + review.length + SEPARATOR_LENGTH, 0);
+      assert.ok(size <= MAX_CHARS_PER_CHUNK, `chunk of ${size} chars exceeds limit`);
+    });
+    assert.equal(chunks.flat().length, reviews.length);
+  });
+
+  it('repeats the last review of a chunk at the start of the next one with overlap', () => {
+    const reviews = Array.from({ length: 20 }, (_, i) => `${i}`.padEnd(400, 'x'));
+    const chunks = ai.createOptimizedChunks(reviews, 1);
+
+    for (let i = 1; i < chunks.length; i++) {
+      assert.equal(chunks[i][0], chunks[i - 1][chunks[i - 1].length - 1]);
+    }
+  });
+
+  it('puts a single oversized review in a chunk of its own', () => {
+    const huge = 'y'.repeat(5000);
+    const chunks = ai.createOptimizedChunks(['short review', huge, 'another short one'], 0);
+
+    assert.deepEqual(chunks.map(c => c.length), [1, 1, 1]);
+    assert.equal(chunks[1][0], huge);
+  });
+
+  it('returns no chunks for no reviews', () => {
+    assert.deepEqual(ai.createOptimizedChunks([]), []);
+  });
+});
+
+describe('parseSummaryToStructure', () => {
+  const ratings = values => values.map(rating => ({ text: 'A stay', rating }));
+
+  it('derives sentiment percentages from star ratings', () => {
+    const result = ai.parseSummaryToStructure('Nice place.', 10, ratings([5, 5, 5, 5, 5, 5, 4, 4, 2, 1]));
+
+    assert.equal(result.sentiment_analysis.positive_percentage, 60);
+    assert.equal(result.sentiment_analysis.neutral_percentage, 20);
+    assert.equal(result.sentiment_analysis.negative_percentage, 20);
+    assert.equal(result.reviews_analyzed, 10);
+  });
+
+  it('scores 80 when positive leads by more than 20 points', () => {
+    const result = ai.parseSummaryToStructure('Great.', 5, ratings([5, 5, 5, 5, 1]));
+    assert.equal(result.sentiment_analysis.overall_sentiment, 'positive');
+    assert.equal(result.trust_score, 80);
+  });
+
+  it('scores 60 when negative leads by more than 20 points', () => {
+    const result = ai.parseSummaryToStructure('Bad.', 5, ratings([1, 2, 1, 2, 5]));
+    assert.equal(result.sentiment_analysis.overall_sentiment, 'negative');
+    assert.equal(result.trust_score, 60);
+  });
+
+  it('scores 70 for a mixed listing', () => {
+    const result = ai.parseSummaryToStructure('Mixed.', 4, ratings([5, 5, 1, 1]));
+    assert.equal(result.sentiment_analysis.overall_sentiment, 'neutral');
+    assert.equal(result.trust_score, 70);
+  });
+
+  it('falls back to text sentiment when no review has a rating', () => {
+    const result = ai.parseSummaryToStructure('Summary.', 2, [
+      { text: 'Excellent, amazing, wonderful and clean' },
+      { text: 'Terrible, dirty and noisy, the worst' }
+    ]);
+
+    assert.equal(result.sentiment_analysis.positive_percentage, 50);
+    assert.equal(result.sentiment_analysis.negative_percentage, 50);
+  });
+
+  it('keeps percentages summing to 100', () => {
+    const result = ai.parseSummaryToStructure('Summary.', 3, ratings([5, 4, 1]));
+    const { positive_percentage, neutral_percentage, negative_percentage } = result.sentiment_analysis;
+    assert.equal(positive_percentage + neutral_percentage + negative_percentage, 100);
+  });
+});
+
+describe('crossCheckCategoryRatings', () => {
+  const aspect = (keyword, positive, negative) => ({ keyword, positive, negative });
+
+  it('flags categories the review text disagrees with', () => {
+    const result = ai.crossCheckCategoryRatings(
+      [aspect('Cleanliness', 2, 6), aspect('Location', 9, 1), aspect('ValueForMoney', 10, 0)],
+      { cleanliness: 4.9, location: 4.8, value: 3.9 }
+    );
+
+    assert.deepEqual(result.disagreements.map(item => item.category), ['cleanliness', 'value']);
+
+    const cleanliness = result.categories.find(item => item.category === 'cleanliness');
+    assert.equal(cleanliness.review_score, 2);
+    assert.equal(cleanliness.difference, 2.9);
+    assert.match(cleanliness.note, /6 of 8 review mentions are negative/);
+
+    const value = result.categories.find(item => item.category === 'value');
+    assert.match(value.note, /only 3.9★, yet 10 of 10/);
+
+    assert.equal(result.categories.find(item => item.category === 'location').agrees, true);
+  });
+
+  it('does not judge categories with too few mentions', () => {
+    const result = ai.crossCheckCategoryRatings([aspect('CheckInProcess', 0, 2)], { checkIn: 5 });
+
+    assert.equal(result.categories[0].agrees, null);
+    assert.equal(result.categories[0].review_score, null);
+    assert.equal(result.disagreements.length, 0);
+  });
+
+  it('returns null when the listing has no category scores', () => {
+    assert.equal(ai.crossCheckCategoryRatings([aspect('Cleanliness', 5, 0)], {}), null);
+    assert.equal(ai.crossCheckCategoryRatings([aspect('Cleanliness', 5, 0)], null), null);
+  });
+});
+
+describe('analyzeHostBehaviour', () => {
+  const review = (name, date, rating, text, response) => ({
+    name, date, rating, text,
+    ...(response ? { hostResponse: { hostName: 'Maria', text: response, date } } : {})
+  });
+
+  const reviews = [
+    review('Ana', 'January 2024', 2, 'The mattress was lumpy and the bed creaked all night.',
+      'So sorry about the bed! We have replaced the mattress with a new one.'),
+    review('Ben', 'February 2024', 5, 'Lovely flat, great location.', 'Thank you Ben, come back soon!'),
+    review('Cleo', 'March 2024', 3, 'Noisy street, could hear the bar until 2am.',
+      'However, the listing clearly stated the flat is above a bar. You should have read it.'),
+    review('Dan', 'May 2024', 2, 'The bed was still uncomfortable, woke up with a sore back.'),
+    review('Eve', 'June 2024', 1, 'Dirty bathroom and no towels.')
+  ];
+
+  it('measures the response rate to negative reviews', () => {
+    const result = ai.analyzeHostBehaviour(reviews);
+
+    assert.equal(result.responded_count, 3);
+    assert.equal(result.response_rate, 60);
+    assert.equal(result.negative_count, 4);
+    assert.equal(result.negative_responded_count, 2);
+    assert.equal(result.negative_response_rate, 50);
+  });
+
+  it('classifies apologetic and defensive responses', () => {
+    const result = ai.analyzeHostBehaviour(reviews);
+
+    assert.deepEqual(result.responses.map(item => item.tone), ['apologetic', 'neutral', 'defensive']);
+    assert.deepEqual(result.tone, { apologetic: 1, defensive: 1, neutral: 1, unknown: 0 });
+  });
+
+  it('reads the tone and fix promises of responses in other languages', () => {
+    const result = ai.analyzeHostBehaviour([
+      review('Jonas', 'January 2024', 2, 'Die Matratze war durchgelegen und das Bett quietschte.',
+        'Es tut uns leid wegen des Bettes! Wir haben die Matratze inzwischen ersetzt.'),
+      review('Lucie', 'February 2024', 3, 'Le quartier est bruyant la nuit.',
+        "Cependant, le bruit de la rue était clairement indiqué dans l'annonce."),
+      review('Kenji', 'March 2024', 5, 'Great stay.', 'ありがとうございました。またのお越しをお待ちしております。'),
+      review('Dan', 'May 2024', 2, 'The bed was still uncomfortable, woke up with a sore back.')
+    ]);
+
+    assert.deepEqual(result.responses.map(item => item.tone), ['apologetic', 'defensive', 'unknown']);
+    assert.deepEqual(result.responses.map(item => item.promised_fix), [true, false, false]);
+    assert.deepEqual(result.recurring_issues.map(issue => [issue.aspect, issue.later_complaints[0].name]), [['Comfort', 'Dan']]);
+  });
+
+  it('finds complaints that came back after a promised fix', () => {
+    const result = ai.analyzeHostBehaviour(reviews);
+
+    assert.equal(result.recurring_issues.length, 1);
+    assert.equal(result.recurring_issues[0].aspect, 'Comfort');
+    assert.equal(result.recurring_issues[0].promised_on, 'January 2024');
+    assert.deepEqual(result.recurring_issues[0].later_complaints.map(item => item.name), ['Dan']);
+  });
+
+  it('returns null when no review has a host response', () => {
+    assert.equal(ai.analyzeHostBehaviour([review('Ana', 'January 2024', 5, 'Great stay')]), null);
+  });
+});
+
+describe('attachReviewReliability', () => {
+  const review = (name, date, rating, text) => ({ name, date, rating, text });
+
+  const genuine = [
+    review('Ana', 'March 2025', 5, 'The flat was spotless and the host met us at the door with the keys.'),
+    review('Tom', 'April 2025', 4, 'Good location near the metro, though the bedroom gets warm in the afternoon.'),
+    review('Lena', 'May 2025', 4, 'Comfortable bed and a well equipped kitchen, street parking was hard to find.'),
+    review('Pierre', 'June 2025', 5, 'Quiet courtyard room, fast wifi and a lovely walk to the old town.')
+  ];
+  const generic = ['Mia', 'Leo', 'Zoe', 'Max', 'Ivy', 'Sam'].map(name => review(name, 'July 2025', 5, 'Great place, highly recommend!'));
+
+  it('lowers the adjusted trust score when a block of generic 5-star reviews is left out', () => {
+    const analysis = ai.attachReviewReliability({ trust_score: 80 }, [...genuine, ...generic]);
+
+    assert.equal(analysis.review_reliability.flagged_count, 6);
+    assert.ok(ai.ratingTrustScore(genuine) < ai.ratingTrustScore([...genuine, ...generic]));
+    assert.equal(analysis.review_reliability.adjusted_trust_score, 73);
+  });
+
+  it('maps the mean rating onto 0-100', () => {
+    assert.equal(ai.ratingTrustScore([review('A', '', 5, 'x'), review('B', '', 1, 'y')]), 50);
+    assert.equal(ai.ratingTrustScore([review('A', '', 4, 'x')]), 75);
+    assert.equal(ai.ratingTrustScore([review('A', '', 0, 'Terrible, dirty and noisy.')]), 0);
+  });
+});
+
+describe('multilingual keyword heuristics', () => {
+  it('finds aspects and sentiment in the review\'s own language', () => {
+    assert.deepEqual(ai.findAspects('Die Wohnung war leider schmutzig und die Straße sehr laut.'), ['Cleanliness', 'NoiseLevels']);
+    assert.deepEqual(ai.findAspects('La literie était confortable et le quartier très calme.'), ['Location', 'NoiseLevels', 'Comfort']);
+    assert.equal(ai.detectSentiment('El apartamento estaba sucio y muy ruidoso, una decepción.'), 'negative');
+  });
+
+  it('keeps foreign-language complaints in the fallback keyword analysis', () => {
+    const result = ai.createFallbackStructuredData([
+      'Die Wohnung war leider schmutzig und die Matratze war kaputt.',
+      'Spotless flat with a comfortable bed, great location.'
+    ]);
+    const byAspect = Object.fromEntries(result.keyword_analysis.map(item => [item.keyword, item]));
+
+    assert.equal(byAspect.Cleanliness.negative, 1);
+    assert.ok(byAspect.Cleanliness.negative_snippets[0].includes('schmutzig'));
+    assert.equal(byAspect.Comfort.negative, 1);
+    assert.equal(byAspect.Comfort.positive, 1);
+    assert.ok(result.pros_and_cons.cons.some(con => con.startsWith('Die Wohnung')));
+  });
+
+  it('leaves the fallback analysis of English reviews as it was', () => {
+    const reviews = [
+      'Great value for the price and the check-in was easy, a wonderful stay.',
+      'Check-in was a problem and the price felt too high for a dirty flat.',
+      'We love the place, lovely host who answered within minutes.',
+      'The bed was comfortable but the street was noisy at night.'
+    ];
+    const result = ai.createFallbackStructuredData(reviews);
+    const counts = Object.fromEntries(result.keyword_analysis.map(item => [item.keyword, [item.positive, item.negative]]));
+
+    // Value and check-in only collect praise; a tie in sentiment words counts as negative
+    assert.deepEqual(counts, {
+      Cleanliness: [0, 0], Location: [0, 0], HostCommunication: [1, 0], ValueForMoney: [1, 0], AccuracyOfListing: [0, 0],
+      CheckInProcess: [1, 0], NoiseLevels: [0, 1], Comfort: [0, 1], Amenities: [0, 0]
+    });
+    assert.deepEqual(result.pros_and_cons, {
+      pros: [`${reviews[0]}...`, `${reviews[3]}...`],
+      cons: [`${reviews[1]}...`, `${reviews[3]}...`]
+    });
+  });
+});
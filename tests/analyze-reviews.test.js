@@ -0,0 +1,615 @@
+// Analysis pipeline against a scripted fake of Chrome's LanguageModel/Summarizer
+
+const { describe, it, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const TravanaSpotBrowserAI = require('../browser-ai-integration.js');
+const ListingStorage = require('../listing-storage.js');
+const { createFakeChromeAI, createMemoryStorage, structuredResponse, silenceConsole, makeReviews } = require('./helpers/fake-chrome-ai.js');
+
+let restoreConsole;
+let fake;
+
+// Reviews near the 500-character truncation limit (~120 tokens each), so 20 of them take two chunks
+const LONG_REVIEW_TEXT = 'Lovely clean apartment, great location and a very helpful host. '.repeat(7).trim();
+
+before(() => {
+  restoreConsole = silenceConsole();
+});
+
+after(() => {
+  restoreConsole();
+});
+
+afterEach(() => {
+  if (fake) fake.uninstall();
+  fake = null;
+});
+
+describe('recursiveSummarize', () => {
+  it('summarizes in a single call when the input fits', async () => {
+    fake = createFakeChromeAI({ summarizeResponses: ['Final summary'] }).install();
+    const ai = new TravanaSpotBrowserAI();
+    ai.summarizerSession = await ai.initSummarizerSession();
+
+    const result = await ai.recursiveSummarize(['one', 'two'], 'context');
+
+    assert.equal(result, 'Final summary');
+    assert.equal(fake.calls.summarize.length, 1);
+    assert.equal(fake.calls.summarize[0].input, 'one\n\ntwo');
+  });
+
+  it('reduces level by level until the summaries fit', async () => {
+    // Every intermediate summary is short, so level 2 fits in one request
+    fake = createFakeChromeAI({ summarizeResponses: ['short'] }).install();
+    const ai = new TravanaSpotBrowserAI();
+    ai.summarizerSession = await ai.initSummarizerSession();
+
+    const summaries = Array.from({ length: 6 }, (_, i) => `${i}`.padEnd(1000, 's'));
+    const result = await ai.recursiveSummarize(summaries, 'context');
+
+    assert.equal(result, 'short');
+    const levelOneCalls = fake.calls.summarize.filter(call => call.options.context.startsWith('Level 1'));
+    assert.ok(levelOneCalls.length >= 2);
+    assert.equal(fake.calls.summarize.length, levelOneCalls.length + 1);
+  });
+
+  it('stops at the maximum recursion depth and joins what it has', async () => {
+    // Summaries never shrink, so the input never fits
+    const bloated = 'z'.repeat(3500);
+    fake = createFakeChromeAI({ summarizeResponses: [bloated] }).install();
+    const ai = new TravanaSpotBrowserAI();
+    ai.summarizerSession = await ai.initSummarizerSession();
+
+    const result = await ai.recursiveSummarize([bloated, bloated], 'context');
+
+    assert.equal(result, [bloated, bloated].join('\n\n'));
+    const deepestLevel = Math.max(...fake.calls.summarize.map(call => parseInt(call.options.context.match(/Level (\d+)/)[1], 10)));
+    assert.equal(deepestLevel, 5);
+  });
+});
+
+describe('extractStructuredData', () => {
+  it('merges keyword counts, pros/cons and insights across chunks', async () => {
+    fake = createFakeChromeAI({
+      promptResponses: [
+        structuredResponse({ keywords: { Cleanliness: { positive: 4 } }, pros: ['Spotless'], recommendedFor: ['Couples'] }),
+        structuredResponse({ keywords: { Cleanliness: { positive: 1, negative: 2 } }, pros: ['Spotless', 'Quiet'], cons: ['Small'], recommendedFor: ['Couples', 'Families'] })
+      ]
+    }).install();
+    const ai = new TravanaSpotBrowserAI();
+
+    // 20 long reviews at the default 6144-token budget = 2 chunks of 10
+    const reviews = makeReviews(20, { text: LONG_REVIEW_TEXT }).map(r => r.text);
+    const result = await ai.extractStructuredData(reviews, '');
+
+    const cleanliness = result.keyword_analysis.find(k => k.keyword === 'Cleanliness');
+    assert.equal(cleanliness.positive, 5);
+    assert.equal(cleanliness.negative, 2);
+    assert.deepEqual(result.pros_and_cons.pros, ['Spotless', 'Quiet']);
+    assert.deepEqual(result.pros_and_cons.cons, ['Small']);
+    assert.equal(result.guest_insights.recommended_for[0], 'Couples');
+  });
+
+  it('sends review text to the Prompt API with the JSON schema', async () => {
+    fake = createFakeChromeAI({ promptResponses: [structuredResponse()] }).install();
+    const ai = new TravanaSpotBrowserAI();
+
+    await ai.extractStructuredData(['The balcony view was stunning at sunset'], '');
+
+    const call = fake.calls.prompt[0];
+    assert.ok(call.input.includes('The balcony view was stunning at sunset'));
+    assert.equal(call.options.responseConstraint.type, 'object');
+  });
+
+  it('accepts JSON wrapped in a markdown code block', async () => {
+    fake = createFakeChromeAI({
+      promptResponses: ['```json\n' + structuredResponse({ keywords: { Location: { positive: 3 } } }) + '\n```']
+    }).install();
+    const ai = new TravanaSpotBrowserAI();
+
+    const result = await ai.extractStructuredData(['Great location near the beach'], '');
+    assert.equal(result.keyword_analysis.find(k => k.keyword === 'Location').positive, 3);
+  });
+
+  it('skips failed chunks and keeps the rest', async () => {
+    fake = createFakeChromeAI({
+      promptResponses: [
+        new Error('Model crashed'),
+        structuredResponse({ keywords: { Comfort: { positive: 2 } } })
+      ]
+    }).install();
+    const ai = new TravanaSpotBrowserAI();
+
+    const result = await ai.extractStructuredData(makeReviews(20, { text: LONG_REVIEW_TEXT }).map(r => r.text), '');
+    assert.equal(result._errorReason, undefined);
+    assert.equal(result.keyword_analysis.find(k => k.keyword === 'Comfort').positive, 2);
+  });
+
+  it('falls back to keyword detection when every chunk fails', async () => {
+    fake = createFakeChromeAI({ promptResponses: ['not json at all'] }).install();
+    const ai = new TravanaSpotBrowserAI();
+
+    const result = await ai.extractStructuredData(['Very clean and great location'], '');
+
+    assert.match(result._errorReason, /Chunked extraction failed/);
+    assert.equal(result.keyword_analysis.length, 9);
+  });
+
+  it('sizes chunks from the token counts the session measures', async () => {
+    fake = createFakeChromeAI({ promptResponses: [structuredResponse()] }).install();
+    const ai = new TravanaSpotBrowserAI();
+
+    // Short reviews measure ~20 tokens each, so all 20 fit in one chunk
+    const reviews = makeReviews(20).map(r => r.text);
+    await ai.extractStructuredData(reviews, '');
+
+    assert.equal(fake.calls.measureInputUsage[0], reviews.join('\n---\n'));
+    assert.equal(fake.calls.prompt.length, 1);
+    assert.ok(fake.calls.measureInputUsage.includes(fake.calls.prompt[0].input));
+  });
+
+  it('refuses a chunk that does not fit in the remaining tokens', async () => {
+    fake = createFakeChromeAI({ maxTokens: 3000, tokensSoFar: 2900, promptResponses: [structuredResponse()] }).install();
+    const ai = new TravanaSpotBrowserAI();
+
+    const result = await ai.extractStructuredData(['A cosy flat with a comfortable bed'], '');
+
+    assert.equal(fake.calls.prompt.length, 0);
+    assert.match(result._errorReason, /Chunked extraction failed/);
+  });
+});
+
+describe('analyzeReviews', () => {
+  it('combines the summary, rating sentiment and structured data', async () => {
+    fake = createFakeChromeAI({
+      summarizeResponses: ['Guests loved the spotless apartment.'],
+      promptResponses: [structuredResponse({ keywords: { Cleanliness: { positive: 8 } }, pros: ['Spotless'] })]
+    }).install();
+    const ai = new TravanaSpotBrowserAI();
+
+    const analysis = await ai.analyzeReviews(makeReviews(8));
+
+    assert.ok(analysis.summary.includes('Guests loved the spotless apartment.'));
+    assert.equal(analysis.sentiment_analysis.positive_percentage, 100);
+    assert.equal(analysis.trust_score, 80);
+    assert.equal(analysis.keyword_analysis.find(k => k.keyword === 'Cleanliness').positive, 8);
+    assert.deepEqual(analysis.pros_and_cons.pros, ['Spotless']);
+    assert.equal(analysis.keyword_analysis_error, null);
+    assert.equal(ai.isAnalyzing, false);
+    assert.equal(ai.reviewCache.reviews.length, 8);
+  });
+
+  it('uses at most 100 reviews', async () => {
+    fake = createFakeChromeAI({ promptResponses: [structuredResponse()] }).install();
+    const ai = new TravanaSpotBrowserAI();
+
+    const analysis = await ai.analyzeReviews(makeReviews(130));
+    assert.equal(analysis.reviews_analyzed, 100);
+  });
+
+  it('analyzes up to the configured review limit', async () => {
+    fake = createFakeChromeAI({ promptResponses: [structuredResponse()] }).install();
+    const ai = new TravanaSpotBrowserAI();
+
+    const limited = await ai.analyzeReviews(makeReviews(300), null, { reviewLimit: 250 });
+    const everything = await ai.analyzeReviews(makeReviews(300), null, { reviewLimit: Infinity });
+
+    assert.equal(limited.reviews_analyzed, 250);
+    assert.equal(everything.reviews_analyzed, 300);
+    assert.equal(ai.reviewCache.reviews.length, 300);
+  });
+
+  it('reports a partial analysis after every chunk', async () => {
+    fake = createFakeChromeAI({
+      summarizeResponses: ['Guests loved the spotless apartment.'],
+      promptResponses: [
+        structuredResponse({ keywords: { Cleanliness: { positive: 4 } } }),
+        structuredResponse({ keywords: { Cleanliness: { positive: 1 } } })
+      ]
+    }).install();
+    const ai = new TravanaSpotBrowserAI();
+    const updates = [];
+
+    const analysis = await ai.analyzeReviews(makeReviews(20, { text: LONG_REVIEW_TEXT }), null, { onProgress: partial => updates.push(partial) });
+
+    assert.ok(updates.every(update => update.is_partial));
+    assert.equal(updates[0].progress.stage, 'summarizing');
+
+    const extracting = updates.filter(update => update.progress.stage === 'extracting');
+    assert.deepEqual(extracting.map(update => update.progress), [
+      { stage: 'extracting', completed: 1, total: 2 },
+      { stage: 'extracting', completed: 2, total: 2 }
+    ]);
+    assert.deepEqual(extracting.map(update => update.keyword_analysis.find(k => k.keyword === 'Cleanliness').positive), [4, 5]);
+    assert.ok(extracting[0].summary.includes('Guests loved the spotless apartment.'));
+
+    assert.equal(analysis.is_partial, undefined);
+  });
+
+  it('keeps analyzing when the progress callback throws', async () => {
+    fake = createFakeChromeAI({ promptResponses: [structuredResponse({ keywords: { Location: { positive: 2 } } })] }).install();
+    const ai = new TravanaSpotBrowserAI();
+
+    const analysis = await ai.analyzeReviews(makeReviews(5), null, {
+      onProgress: () => { throw new Error('Panel closed'); }
+    });
+
+    assert.equal(analysis.keyword_analysis.find(k => k.keyword === 'Location').positive, 2);
+    assert.equal(analysis.keyword_analysis_error, null);
+  });
+
+  it('cross-checks Airbnb category scores when they are given', async () => {
+    fake = createFakeChromeAI({
+      promptResponses: [structuredResponse({ keywords: { Cleanliness: { positive: 1, negative: 5 } } })]
+    }).install();
+    const ai = new TravanaSpotBrowserAI();
+
+    const analysis = await ai.analyzeReviews(makeReviews(8), null, { categoryRatings: { cleanliness: 4.9 } });
+    const withoutScores = await ai.analyzeReviews(makeReviews(8));
+
+    assert.equal(analysis.category_cross_check.disagreements[0].category, 'cleanliness');
+    assert.equal(withoutScores.category_cross_check, undefined);
+  });
+
+  it('includes host behaviour when reviews carry host responses', async () => {
+    fake = createFakeChromeAI({ promptResponses: [structuredResponse()] }).install();
+    const ai = new TravanaSpotBrowserAI();
+    const reviews = makeReviews(4);
+    reviews[0].hostResponse = { hostName: 'Maria', text: 'Thank you for staying with us!', date: '' };
+
+    const analysis = await ai.analyzeReviews(reviews);
+    const withoutResponses = await ai.analyzeReviews(makeReviews(4));
+
+    assert.equal(analysis.host_behaviour.responded_count, 1);
+    assert.equal(withoutResponses.host_behaviour, null);
+  });
+
+  it('summarizes in the listing page language', async () => {
+    fake = createFakeChromeAI({ promptResponses: [structuredResponse()] }).install();
+    const ai = new TravanaSpotBrowserAI();
+
+    await ai.analyzeReviews(makeReviews(8), null, { language: 'es' });
+
+    assert.equal(fake.calls.summarizerOptions[0].outputLanguage, 'es');
+    assert.ok(fake.calls.summarize.every(call => call.options.outputLanguage === 'es'));
+    assert.ok(fake.calls.prompt[0].input.includes('LANGUAGE: Write pros_and_cons and guest_insights in Spanish'));
+  });
+
+  it('names the listing\'s site in the Summarizer contexts', async () => {
+    fake = createFakeChromeAI({ promptResponses: [structuredResponse()] }).install();
+    const ai = new TravanaSpotBrowserAI();
+
+    await ai.analyzeReviews(makeReviews(8), null, { siteName: 'Vrbo' });
+
+    assert.match(fake.calls.summarizerOptions[0].sharedContext, /^These are Vrbo guest reviews/);
+    assert.ok(fake.calls.summarize.every(call => /Vrbo guest reviews/.test(call.options.context)));
+    assert.ok(!JSON.stringify(fake.calls.summarize.map(call => call.options.context)).includes('Airbnb'));
+  });
+
+  it('summarizes in English when the Summarizer cannot write the page language', async () => {
+    fake = createFakeChromeAI({ promptResponses: [structuredResponse()], summarizerLanguages: ['en', 'es', 'ja'] }).install();
+    const ai = new TravanaSpotBrowserAI();
+
+    const analysis = await ai.analyzeReviews(makeReviews(8), null, { language: 'de' });
+
+    assert.deepEqual(fake.calls.summarizerOptions.map(options => options.outputLanguage), ['de', 'en']);
+    assert.ok(fake.calls.summarize.every(call => call.options.outputLanguage === 'en'));
+    assert.ok(!fake.calls.prompt[0].input.includes('LANGUAGE:'));
+    assert.ok(analysis.summary.includes('Guests enjoyed their stay.'));
+  });
+
+  it('reports the languages of the reviews', async () => {
+    fake = createFakeChromeAI({ promptResponses: [structuredResponse()] }).install();
+    const ai = new TravanaSpotBrowserAI();
+    const reviews = [
+      ...makeReviews(3),
+      { name: 'Lukas', rating: 2, text: 'Die Wohnung war leider schmutzig und die Straße war sehr laut.' },
+      { name: 'Claire', rating: 5, text: 'Appartement très propre et bien situé, nous avons adoré.' }
+    ];
+
+    const analysis = await ai.analyzeReviews(reviews);
+
+    assert.deepEqual(analysis.language_distribution.languages.map(entry => [entry.language, entry.count]), [['en', 3], ['de', 1], ['fr', 1]]);
+    assert.equal(analysis.language_distribution.primary_language, 'en');
+    assert.equal(analysis.language_distribution.other_language_count, 2);
+    assert.ok(fake.calls.prompt[0].input.includes('REVIEW LANGUAGES: Some reviews are written in German, French'));
+    assert.equal(analysis.snippet_translations, undefined);
+  });
+
+  it('translates foreign-language snippets when asked to', async () => {
+    // Failing chunks fall back to keyword detection, which quotes the reviews as written
+    fake = createFakeChromeAI({
+      summarizerAvailability: 'unavailable',
+      promptResponses: [new Error('Model crashed')]
+    }).install();
+    const ai = new TravanaSpotBrowserAI();
+    const reviews = [
+      ...makeReviews(2),
+      { name: 'Lukas', rating: 2, text: 'Die Wohnung war leider schmutzig und die Straße war sehr laut.' }
+    ];
+
+    const analysis = await ai.analyzeReviews(reviews, null, { translateSnippets: true });
+    const translated = Object.entries(analysis.snippet_translations);
+
+    assert.ok(translated.length > 0);
+    translated.forEach(([original, translation]) => assert.equal(translation, `[en] ${original}`));
+    assert.ok(fake.calls.translate.every(call => call.sourceLanguage === 'de' && call.targetLanguage === 'en'));
+    assert.equal(analysis.language_distribution.translation_error, undefined);
+  });
+
+  it('keeps snippets as written when the language pair cannot be translated', async () => {
+    fake = createFakeChromeAI({
+      summarizerAvailability: 'unavailable',
+      promptResponses: [new Error('Model crashed')],
+      translatorAvailability: 'unavailable'
+    }).install();
+    const ai = new TravanaSpotBrowserAI();
+    const reviews = [{ name: 'Lukas', rating: 2, text: 'Die Wohnung war leider schmutzig und die Straße war sehr laut.' }];
+
+    const analysis = await ai.analyzeReviews(reviews, null, { translateSnippets: true });
+
+    assert.deepEqual(analysis.snippet_translations, {});
+    assert.match(analysis.language_distribution.translation_error, /can't translate de to en/);
+  });
+
+  it('parses review dates in the supported page languages', () => {
+    const ai = new TravanaSpotBrowserAI();
+
+    assert.deepEqual(ai.parseReviewDate('Oktober 2025 · Aufenthalt mit Kindern'), new Date(2025, 9, 1));
+    assert.deepEqual(ai.parseReviewDate('octubre de 2025'), new Date(2025, 9, 1));
+    assert.deepEqual(ai.parseReviewDate('août 2024'), new Date(2024, 7, 1));
+    assert.deepEqual(ai.parseReviewDate('June 2025'), new Date(2025, 5, 1));
+  });
+
+  it('reads the review limit setting', () => {
+    assert.equal(ListingStorage.parseReviewLimit('250'), 250);
+    assert.equal(ListingStorage.parseReviewLimit('all'), Infinity);
+    assert.equal(ListingStorage.parseReviewLimit(undefined), 100);
+    assert.equal(ListingStorage.parseReviewLimit('lots'), 100);
+  });
+
+  it('reuses a stored analysis only for the same language and snippet translation setting', async () => {
+    const storage = new ListingStorage(createMemoryStorage());
+    const reviews = makeReviews(3);
+    const reviewHash = ListingStorage.hashReviews(reviews);
+    await storage.saveAnalysis('123', { reviews, analysis: { summary: 'Ruhig' }, analysisOptions: { language: 'de', translateSnippets: true } });
+
+    assert.deepEqual(await storage.getCachedAnalysis('123', reviewHash, { language: 'de', translateSnippets: true }), { summary: 'Ruhig' });
+    assert.equal(await storage.getCachedAnalysis('123', reviewHash, { language: 'en', translateSnippets: true }), null);
+    assert.equal(await storage.getCachedAnalysis('123', reviewHash, { language: 'de' }), null);
+
+    // Analyses stored before the options were recorded were English and untranslated
+    await storage.updateListing('123', { analysisOptions: undefined });
+    assert.ok(await storage.getCachedAnalysis('123', reviewHash, { language: 'en', translateSnippets: false }));
+  });
+
+  it('runs Prompt API only when the Summarizer is unavailable', async () => {
+    fake = createFakeChromeAI({
+      summarizerAvailability: 'unavailable',
+      promptResponses: [structuredResponse({ keywords: { Location: { positive: 4 } } })]
+    }).install();
+    const ai = new TravanaSpotBrowserAI();
+
+    const analysis = await ai.analyzeReviews(makeReviews(5));
+
+    assert.equal(fake.calls.summarize.length, 0);
+    assert.match(analysis.message, /Summarizer API unavailable/);
+    assert.equal(analysis.keyword_analysis.find(k => k.keyword === 'Location').positive, 4);
+  });
+
+  it('falls back to basic analysis when both APIs are unavailable', async () => {
+    fake = createFakeChromeAI({ summarizerAvailability: 'unavailable', promptAvailable: 'no' }).install();
+    const ai = new TravanaSpotBrowserAI();
+
+    const analysis = await ai.analyzeReviews(makeReviews(5));
+
+    assert.equal(analysis.analysis_type, 'basic_analysis');
+    assert.match(analysis.message, /both AI APIs unavailable/);
+    assert.equal(fake.calls.prompt.length, 0);
+  });
+
+  it('falls back to basic analysis when every chunk summary fails', async () => {
+    fake = createFakeChromeAI({ summarizeResponses: [new Error('Summarizer crashed')] }).install();
+    const ai = new TravanaSpotBrowserAI();
+
+    const analysis = await ai.analyzeReviews(makeReviews(5));
+
+    assert.equal(analysis.analysis_type, 'basic_analysis');
+    assert.match(analysis.message, /error occurred/);
+    assert.equal(ai.isAnalyzing, false);
+  });
+
+  it('rejects empty input and concurrent runs', async () => {
+    fake = createFakeChromeAI({ promptResponses: [structuredResponse()] }).install();
+    const ai = new TravanaSpotBrowserAI();
+
+    await assert.rejects(ai.analyzeReviews([]), /No reviews to analyze/);
+
+    const first = ai.analyzeReviews(makeReviews(3));
+    await assert.rejects(ai.analyzeReviews(makeReviews(3)), /Analysis already in progress/);
+    await first;
+  });
+});
+
+describe('askQuestion', () => {
+  const answer = (fields) => JSON.stringify({ found: true, answer: '', review_ids: [], ...fields });
+
+  it('returns the answer with the cited reviews', async () => {
+    fake = createFakeChromeAI({
+      promptResponses: [answer({ answer: 'Yes, there is a bakery next door.', review_ids: [2, 4] })]
+    }).install();
+    const ai = new TravanaSpotBrowserAI();
+
+    const result = await ai.askQuestion(makeReviews(5), 'Is there food nearby?');
+
+    assert.equal(result.answer, 'Yes, there is a bakery next door.');
+    assert.equal(result.found, true);
+    assert.deepEqual(result.citations.map(c => c.id), [2, 4]);
+    assert.ok(result.citations[0].text.includes('(stay 3)'));
+    assert.ok(fake.calls.prompt[0].input.includes('[Review 2]'));
+    assert.equal(fake.calls.prompt[0].options.responseConstraint.type, 'object');
+    assert.equal(fake.calls.destroy, 1);
+  });
+
+  it('drops cited IDs that were not in the batch', async () => {
+    fake = createFakeChromeAI({
+      promptResponses: [answer({ answer: 'Quiet at night.', review_ids: [1, 1, 57, -3] })]
+    }).install();
+    const ai = new TravanaSpotBrowserAI();
+
+    const result = await ai.askQuestion(makeReviews(5), 'Is it quiet?');
+    assert.deepEqual(result.citations.map(c => c.id), [1]);
+  });
+
+  it('moves on to the next batch until one answers', async () => {
+    fake = createFakeChromeAI({
+      promptResponses: [
+        JSON.stringify({ found: false, answer: '', review_ids: [] }),
+        answer({ answer: 'Parking is on the street.', review_ids: [13] })
+      ]
+    }).install();
+    const ai = new TravanaSpotBrowserAI();
+
+    const result = await ai.askQuestion(makeReviews(20), 'Where do I park?');
+
+    assert.equal(fake.calls.prompt.length, 2);
+    assert.deepEqual(result.citations.map(c => c.id), [13]);
+  });
+
+  it('reports not found when no batch answers', async () => {
+    fake = createFakeChromeAI({ promptResponses: [JSON.stringify({ found: false, answer: '', review_ids: [] })] }).install();
+    const ai = new TravanaSpotBrowserAI();
+
+    const result = await ai.askQuestion(makeReviews(5), 'Is there a pool?');
+
+    assert.equal(result.found, false);
+    assert.deepEqual(result.citations, []);
+    assert.match(result.answer, /not mentioned in the reviews/);
+  });
+
+  it('keeps a prose reply as an uncited answer', async () => {
+    fake = createFakeChromeAI({ promptResponses: ['The host left a welcome basket.'] }).install();
+    const ai = new TravanaSpotBrowserAI();
+
+    const result = await ai.askQuestion(makeReviews(5), 'Any welcome gifts?');
+
+    assert.equal(result.answer, 'The host left a welcome basket.');
+    assert.deepEqual(result.citations, []);
+  });
+});
+
+describe('askQuestion map-reduce mode', () => {
+  const partial = (answer, ids) => JSON.stringify({ found: true, answer, review_ids: ids });
+  const notFound = JSON.stringify({ found: false, answer: '', review_ids: [] });
+
+  it('asks every batch and merges the partial answers', async () => {
+    fake = createFakeChromeAI({
+      promptResponses: [
+        partial('Street noise at night.', [1, 2, 3]),
+        notFound,
+        partial('Quiet bedroom at the back.', [25]),
+        JSON.stringify({ answer: '3 guests mention street noise, 1 says it was quiet.', supporting_ids: [1, 2, 3], contradicting_ids: [25] })
+      ]
+    }).install();
+    const ai = new TravanaSpotBrowserAI();
+
+    const result = await ai.askQuestion(makeReviews(30), 'Is it noisy?', {}, { mode: 'map-reduce' });
+
+    assert.equal(fake.calls.prompt.length, 4);
+    assert.match(fake.calls.prompt[3].input, /Finding 1 \(from reviews 1, 2, 3\): Street noise at night\./);
+    assert.equal(result.answer, '3 guests mention street noise, 1 says it was quiet.');
+    assert.deepEqual(result.agreement, { supporting: 3, contradicting: 1 });
+    assert.deepEqual(result.citations.map(c => [c.id, c.stance]), [[1, 'supports'], [2, 'supports'], [3, 'supports'], [25, 'contradicts']]);
+  });
+
+  it('uses a fresh session for every batch', async () => {
+    fake = createFakeChromeAI({
+      promptResponses: [
+        partial('Street noise at night.', [1]),
+        partial('Street noise too.', [12]),
+        JSON.stringify({ answer: 'Noisy.', supporting_ids: [1, 12], contradicting_ids: [] })
+      ]
+    }).install();
+    const ai = new TravanaSpotBrowserAI();
+
+    await ai.askQuestion(makeReviews(20), 'Is it noisy?', {}, { mode: 'map-reduce' });
+
+    // one clone per extra batch plus one for the reduce step
+    assert.equal(fake.calls.clone, 2);
+    assert.equal(ai.languageModelSession, null);
+  });
+
+  it('ignores reduce IDs that no batch cited and keeps each review on one side', async () => {
+    fake = createFakeChromeAI({
+      promptResponses: [
+        partial('Street noise at night.', [1, 2]),
+        JSON.stringify({ answer: 'Noisy.', supporting_ids: [1, 99], contradicting_ids: [1, 2] })
+      ]
+    }).install();
+    const ai = new TravanaSpotBrowserAI();
+
+    const result = await ai.askQuestion(makeReviews(5), 'Is it noisy?', {}, { mode: 'map-reduce' });
+    assert.deepEqual(result.agreement, { supporting: 1, contradicting: 1 });
+  });
+
+  it('skips a batch that fails and merges the rest', async () => {
+    fake = createFakeChromeAI({
+      promptResponses: [
+        partial('Street noise at night.', [1]),
+        new Error('Model crashed'),
+        partial('Trams outside.', [25]),
+        JSON.stringify({ answer: '2 guests mention noise from the street.', supporting_ids: [1, 25], contradicting_ids: [] })
+      ]
+    }).install();
+    const ai = new TravanaSpotBrowserAI();
+
+    const result = await ai.askQuestion(makeReviews(30), 'Is it noisy?', {}, { mode: 'map-reduce' });
+
+    assert.match(fake.calls.prompt[3].input, /Finding 2 \(from reviews 25\): Trams outside\./);
+    assert.equal(result.answer, '2 guests mention noise from the street.');
+    assert.deepEqual(result.agreement, { supporting: 2, contradicting: 0 });
+  });
+
+  it('joins the partial answers when the reduce step fails', async () => {
+    fake = createFakeChromeAI({
+      promptResponses: [
+        partial('Street noise at night.', [1]),
+        partial('Trams outside.', [14]),
+        new Error('Model crashed')
+      ]
+    }).install();
+    const ai = new TravanaSpotBrowserAI();
+
+    const result = await ai.askQuestion(makeReviews(20), 'Is it noisy?', {}, { mode: 'map-reduce' });
+
+    assert.equal(result.answer, 'Street noise at night.\n\nTrams outside.');
+    assert.deepEqual(result.agreement, { supporting: 2, contradicting: 0 });
+  });
+
+  it('skips the reduce step when no batch answers', async () => {
+    fake = createFakeChromeAI({ promptResponses: [notFound] }).install();
+    const ai = new TravanaSpotBrowserAI();
+
+    const result = await ai.askQuestion(makeReviews(20), 'Is there a pool?', {}, { mode: 'map-reduce' });
+
+    assert.equal(fake.calls.prompt.length, 2);
+    assert.equal(result.found, false);
+  });
+
+  it('reads every review, not just the top-ranked ones', async () => {
+    fake = createFakeChromeAI({ promptResponses: [notFound] }).install();
+    const ai = new TravanaSpotBrowserAI();
+    const reviews = [
+      ...makeReviews(40, { text: 'The street was noisy at night.' }),
+      ...makeReviews(5, { text: 'Spotless kitchen.' })
+    ];
+
+    await ai.askQuestion(reviews, 'Is it noisy?', {}, { mode: 'map-reduce' });
+
+    // 45 reviews in batches of 10, the 5 that don't mention noise last
+    assert.equal(fake.calls.prompt.length, 5);
+    assert.match(fake.calls.prompt[4].input, /Spotless kitchen/);
+    assert.doesNotMatch(fake.calls.prompt[3].input, /Spotless kitchen/);
+  });
+});
@@ -0,0 +1,167 @@
+// Multi-turn chat: follow-up rewriting, context trimming and persistence
+
+const { describe, it, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const TravanaSpotBrowserAI = require('../browser-ai-integration.js');
+const ChatSession = require('../chat-session.js');
+const { createFakeChromeAI, createMemoryStorage, silenceConsole, makeReviews } = require('./helpers/fake-chrome-ai.js');
+
+const answer = (text, ids = [0]) => JSON.stringify({ found: true, answer: text, review_ids: ids });
+const rewrite = question => JSON.stringify({ question });
+
+let restoreConsole;
+let fake;
+
+before(() => {
+  restoreConsole = silenceConsole();
+});
+
+after(() => {
+  restoreConsole();
+});
+
+afterEach(() => {
+  if (fake) fake.uninstall();
+  fake = null;
+});
+
+describe('ChatSession', () => {
+  it('asks the first question as is and stores the turn', async () => {
+    fake = createFakeChromeAI({ promptResponses: [answer('Yes, it is quiet at night.', [1])] }).install();
+    const storage = createMemoryStorage();
+    const chat = new ChatSession(new TravanaSpotBrowserAI(), '123', storage);
+
+    const result = await chat.ask(makeReviews(5), 'Is it quiet?');
+
+    assert.equal(result.standaloneQuestion, 'Is it quiet?');
+    assert.equal(fake.calls.prompt.length, 1);
+    assert.equal(storage.data['chat:123'].turns.length, 1);
+    assert.equal(storage.data['chat:123'].turns[0].answer, 'Yes, it is quiet at night.');
+    assert.deepEqual(storage.data['chat:123'].turns[0].citations.map(c => c.id), [1]);
+  });
+
+  it('rewrites a follow-up using the earlier turns before answering', async () => {
+    fake = createFakeChromeAI({
+      promptResponses: [
+        answer('Guests mention street noise until midnight.'),
+        rewrite('Is the street noise a problem for kids?'),
+        answer('Families said the kids slept fine.')
+      ]
+    }).install();
+    const chat = new ChatSession(new TravanaSpotBrowserAI(), '123', createMemoryStorage());
+
+    await chat.ask(makeReviews(5), 'Is it noisy?');
+    const result = await chat.ask(makeReviews(5), 'What about for kids?');
+
+    assert.equal(result.standaloneQuestion, 'Is the street noise a problem for kids?');
+    assert.match(fake.calls.prompt[1].input, /NEW QUESTION: "What about for kids\?"/);
+    assert.match(fake.calls.prompt[2].input, /QUESTION: "Is the street noise a problem for kids\?"/);
+
+    // The rewrite session starts from the conversation so far
+    const conversation = fake.calls.initialPrompts.find(prompts => prompts.some(p => p.content === 'Guests mention street noise until midnight.'));
+    assert.ok(conversation);
+    assert.deepEqual(conversation.slice(1).map(p => p.role), ['user', 'assistant']);
+  });
+
+  it("names the listing's site in the system prompt of every session", async () => {
+    fake = createFakeChromeAI({
+      promptResponses: [answer('Guests mention street noise.'), rewrite('Is the street noise a problem for kids?'), answer('Kids slept fine.')]
+    }).install();
+    const chat = new ChatSession(new TravanaSpotBrowserAI(), 'vrbo-321', createMemoryStorage());
+
+    await chat.ask(makeReviews(5), 'Is it noisy?', {}, { siteName: 'Vrbo' });
+    await chat.ask(makeReviews(5), 'What about for kids?', {}, { siteName: 'Vrbo' });
+
+    const systemPrompts = fake.calls.initialPrompts.map(prompts => prompts[0].content);
+    assert.equal(systemPrompts.length, 3);
+    assert.ok(systemPrompts.every(content => content.includes('understand Vrbo reviews')));
+  });
+
+  it('asks the original question when the rewrite fails', async () => {
+    fake = createFakeChromeAI({
+      promptResponses: [answer('Street noise.'), 'not json', answer('Kids slept fine.')]
+    }).install();
+    const chat = new ChatSession(new TravanaSpotBrowserAI(), '123', createMemoryStorage());
+
+    await chat.ask(makeReviews(5), 'Is it noisy?');
+    const result = await chat.ask(makeReviews(5), 'What about for kids?');
+
+    assert.equal(result.standaloneQuestion, 'What about for kids?');
+    assert.equal(result.answer, 'Kids slept fine.');
+  });
+
+  it('keeps a failed answer out of the context of later turns', async () => {
+    fake = createFakeChromeAI({
+      promptResponses: [new Error('Model crashed'), answer('Street parking only.')]
+    }).install();
+    const storage = createMemoryStorage();
+    const chat = new ChatSession(new TravanaSpotBrowserAI(), '123', storage);
+
+    const failed = await chat.ask(makeReviews(5), 'Is it noisy?');
+    assert.match(failed.answer, /^Sorry, I encountered an error: Model crashed/);
+
+    // With only a failed turn there is nothing to rewrite against
+    const result = await chat.ask(makeReviews(5), 'Is there parking?');
+
+    assert.equal(result.answer, 'Street parking only.');
+    assert.equal(fake.calls.prompt.length, 2);
+    assert.deepEqual(storage.data['chat:123'].turns.map(turn => !!turn.failed), [true, false]);
+    assert.ok(fake.calls.initialPrompts.every(prompts => prompts.every(p => !p.content.startsWith('Sorry, I encountered an error'))));
+  });
+
+  it('drops the oldest turns from the context when the session is nearly full', async () => {
+    fake = createFakeChromeAI({ maxTokens: 400, promptResponses: [rewrite('Is there parking?'), answer('Street parking only.')] }).install();
+    const longAnswer = 'The host was lovely and answered quickly. '.repeat(10);
+    const turns = Array.from({ length: 4 }, (_, i) => ({ question: `Question ${i}`, standaloneQuestion: `Question ${i}`, answer: longAnswer }));
+    const storage = createMemoryStorage({ 'chat:123': { turns, contextStart: 0 } });
+    const chat = await new ChatSession(new TravanaSpotBrowserAI(), '123', storage).load();
+
+    await chat.ask(makeReviews(5), 'And parking?');
+
+    assert.ok(chat.contextStart > 0);
+    assert.ok(chat.contextStart < 4, 'the latest turn is always kept');
+    assert.equal(chat.turns.length, 5, 'stored conversation is never trimmed');
+    assert.equal(storage.data['chat:123'].contextStart, chat.contextStart);
+  });
+
+  it('drops the oldest turns when the conversation is too large to start a session', async () => {
+    fake = createFakeChromeAI({ promptResponses: [rewrite('Is there parking?'), answer('Street parking only.')] }).install();
+    const createSession = fake.createSession.bind(fake);
+    fake.createSession = options => {
+      const size = options.initialPrompts.reduce((sum, prompt) => sum + prompt.content.length, 0);
+      if (options.initialPrompts.length > 1 && size > 1000) {
+        throw new DOMException('The input is too large.', 'QuotaExceededError');
+      }
+      return createSession(options);
+    };
+
+    const longAnswer = 'The host was lovely and answered quickly. '.repeat(10);
+    const turns = Array.from({ length: 4 }, (_, i) => ({ question: `Question ${i}`, standaloneQuestion: `Question ${i}`, answer: longAnswer }));
+    const storage = createMemoryStorage({ 'chat:123': { turns, contextStart: 0 } });
+    const chat = await new ChatSession(new TravanaSpotBrowserAI(), '123', storage).load();
+
+    const result = await chat.ask(makeReviews(5), 'And parking?');
+
+    assert.equal(result.standaloneQuestion, 'Is there parking?');
+    assert.equal(chat.contextStart, 2);
+    assert.equal(storage.data['chat:123'].contextStart, 2);
+  });
+
+  it('restores and clears the stored conversation per listing', async () => {
+    fake = createFakeChromeAI().install();
+    const storage = createMemoryStorage({
+      'chat:123': { turns: [{ question: 'Is it clean?', answer: 'Spotless.' }], contextStart: 0 }
+    });
+
+    const chat = await new ChatSession(new TravanaSpotBrowserAI(), '123', storage).load();
+    const other = await new ChatSession(new TravanaSpotBrowserAI(), '456', storage).load();
+
+    assert.equal(chat.turns.length, 1);
+    assert.equal(other.turns.length, 0);
+
+    await chat.clear();
+    assert.equal(chat.turns.length, 0);
+    assert.equal(storage.data['chat:123'], undefined);
+  });
+});
@@ -0,0 +1,386 @@
+// Content script extraction against saved Airbnb pages (tests/fixtures)
+
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { loadContentScript, readFixture } = require('./helpers/content-script-dom.js');
+
+let page;
+
+afterEach(() => {
+  if (page) page.close();
+  page = null;
+});
+
+// Open the reviews dialog the way Airbnb does when "Show all reviews" is clicked
+function openReviewsModal(document) {
+  document.body.insertAdjacentHTML('beforeend', readFixture('reviews-modal.html'));
+}
+
+describe('extractListingData', () => {
+  it('reads the listing details', () => {
+    page = loadContentScript('listing-page.html');
+    const data = page.run('extractListingData()');
+
+    assert.equal(data.listingId, '12345');
+    assert.equal(data.title, 'Sunny loft near the river');
+    assert.equal(data.rating, '4.92');
+    assert.equal(data.reviewCount, '128');
+    assert.equal(data.price, '€95');
+    assert.equal(data.location, 'Entire loft in Lisbon, Portugal');
+    assert.equal(data.host, 'Hosted by Maria');
+    assert.deepEqual(
+      [data.guests, data.bedrooms, data.beds, data.baths],
+      ['4 guests', '· 2 bedrooms', '· 3 beds', '· 1 bath']
+    );
+  });
+
+  it('reads category ratings, amenities, policies and badges', () => {
+    page = loadContentScript('listing-page.html');
+    const data = page.run('extractListingData()');
+
+    assert.deepEqual(data.categoryRatings, {
+      cleanliness: 4.9, accuracy: 4.8, checkIn: 5, communication: 5, location: 4.7, value: 4.6
+    });
+    assert.deepEqual(data.amenities, ['Kitchen', 'Wifi', 'Dedicated workspace', 'Air conditioning']);
+    assert.deepEqual(data.houseRules, ['Check-in after 3:00 pm', 'Checkout before 11:00 am', '4 guests maximum']);
+    assert.equal(data.cancellationPolicy, "Free cancellation before 14 Nov. Review this host's full policy for details.");
+    assert.deepEqual(data.badges, ['Superhost', 'Guest favourite']);
+  });
+
+  it('reports the primary selectors when the markup matches the profile', () => {
+    page = loadContentScript('listing-page.html');
+    const { extraction } = page.run('extractListingData()');
+
+    assert.equal(extraction.profileVersion, page.run('siteAdapter.profile.version'));
+    assert.equal(extraction.fields.title, 'h1[elementtiming="LCP-target"]');
+    assert.deepEqual(extraction.missing, []);
+    assert.deepEqual(extraction.fallbacks, []);
+  });
+
+  it('falls back to structural locators after class names change', () => {
+    page = loadContentScript('listing-page-drifted.html');
+    const data = page.run('extractListingData()');
+
+    assert.equal(data.title, 'Stone cabin in the hills');
+    assert.equal(data.rating, '4.8');
+    assert.equal(data.reviewCount, '36');
+    assert.equal(data.price, '€110');
+    assert.equal(data.location, 'Entire cabin in Sintra, Portugal');
+    assert.equal(data.host, 'Hosted by João');
+    assert.equal(data.guests, '2 guests');
+
+    assert.equal(data.extraction.fields.price, 'structural:priceText');
+    assert.deepEqual(data.extraction.missing, []);
+    assert.deepEqual(
+      data.extraction.fallbacks.sort(),
+      ['capacityList', 'host', 'location', 'price', 'ratingBadge', 'title']
+    );
+  });
+
+  it('lists key fields it could not find', () => {
+    page = loadContentScript('listing-page.html');
+    page.document.querySelector('[data-section-id="BOOK_IT_SIDEBAR"]').remove();
+
+    const { extraction } = page.run('extractListingData()');
+
+    assert.deepEqual(extraction.missing, ['price']);
+  });
+});
+
+describe('extractReviewsFromDOM', () => {
+  const byName = reviews => Object.fromEntries(reviews.map(review => [review.name, review]));
+
+  it('reads names, locations, dates and text', () => {
+    page = loadContentScript('listing-page.html');
+    openReviewsModal(page.document);
+    const reviews = byName(page.run('extractReviewsFromDOM()'));
+
+    assert.equal(reviews.Ana.location, 'Porto, Portugal');
+    assert.equal(reviews.Ana.date, 'October 2025');
+    assert.equal(reviews.Ana.stayDetails, 'October 2025 · Stayed about a week');
+    assert.equal(reviews.Ana.text, 'Spotless loft, Maria left us great restaurant tips and the river view is stunning.');
+    assert.equal(reviews.Tom.date, 'August 2025');
+  });
+
+  it('takes star ratings from the "Rating, X stars" text', () => {
+    page = loadContentScript('listing-page.html');
+    openReviewsModal(page.document);
+    const reviews = byName(page.run('extractReviewsFromDOM()'));
+
+    assert.equal(reviews.Joana.rating, 4);
+    assert.equal(reviews.Pierre.rating, 2);
+  });
+
+  it('counts star icons when there is no rating text, and assumes 5 stars without either', () => {
+    page = loadContentScript('listing-page.html');
+    openReviewsModal(page.document);
+    const reviews = byName(page.run('extractReviewsFromDOM()'));
+
+    assert.equal(reviews.Tom.rating, 4);
+    assert.equal(reviews.Lena.rating, 5);
+
+    const { fields } = page.run('lastReviewExtraction');
+    assert.equal(fields.rating['structural:starIcons'], 1);
+    assert.equal(fields.rating.assumed, 1);
+  });
+
+  it('keeps the host response out of the review text', () => {
+    page = loadContentScript('listing-page.html');
+    const reviews = byName(page.run('extractReviewsFromDOM()'));
+
+    assert.deepEqual(reviews.Ana.hostResponse, {
+      hostName: 'Maria',
+      text: 'Thank you Ana, it was a pleasure hosting you. Come back soon!',
+      date: 'October 2025'
+    });
+    assert.ok(!reviews.Ana.text.includes('Thank you Ana'));
+    assert.equal(reviews.Joana.hostResponse, undefined);
+  });
+
+  it('finds dates and text structurally after class names change', () => {
+    page = loadContentScript('listing-page-drifted.html');
+    const reviews = page.run('extractReviewsFromDOM()');
+
+    assert.deepEqual(reviews.map(review => [review.name, review.date, review.rating]), [
+      ['Sofia', 'September 2025', 5],
+      ['Mark', 'August 2025', 3]
+    ]);
+    assert.ok(reviews[1].text.startsWith('Lovely setting'));
+
+    const extraction = page.run('lastReviewExtraction');
+    assert.equal(extraction.reviewCount, 2);
+    assert.deepEqual(extraction.fields.date, { 'structural:reviewDateText': 2 });
+    assert.deepEqual(extraction.fields.text, { 'structural:longestSpan': 2 });
+    assert.deepEqual(extraction.missing, []);
+  });
+});
+
+describe('review collection', () => {
+  it('opens the reviews dialog and collects each review once', async () => {
+    page = loadContentScript('listing-page.html', { storage: { reviewLimit: '5' }, instantTimers: true });
+    const showAll = Array.from(page.document.querySelectorAll('button'))
+      .find(button => button.textContent.includes('Show all 128 reviews'));
+    showAll.addEventListener('click', () => openReviewsModal(page.document));
+
+    const response = await page.chrome.dispatch({ type: 'extract_reviews' });
+
+    // Joana and Ana appear both on the page and in the dialog
+    assert.deepEqual(response.reviews.map(review => review.name), ['Joana', 'Ana', 'Tom', 'Lena', 'Pierre']);
+    assert.equal(response.extraction.reviewCount, 7);
+
+    const ready = page.chrome.sentMessages.find(message => message.type === 'reviews_ready');
+    assert.equal(ready.reviews.length, 5);
+    assert.ok(ready.extraction);
+
+    // Reviews are stored without holding up the response
+    await new Promise(resolve => setImmediate(resolve));
+    const stored = page.storage.data['listing:12345'];
+    assert.equal(stored.reviews.length, 5);
+    assert.equal(stored.pageReviewCount, 128);
+  });
+
+  it('reuses stored reviews while the page shows the same review count', async () => {
+    const storedReviews = [{ name: 'Joana', date: 'October 2025', rating: 5, text: 'Spotless and bright.' }];
+    page = loadContentScript('listing-page.html', {
+      storage: { 'listing:12345': { listingId: '12345', reviews: storedReviews, pageReviewCount: 128, reviewLimit: 100 } }
+    });
+
+    const response = await page.chrome.dispatch({ type: 'extract_reviews' });
+
+    assert.equal(response.fromStorage, true);
+    assert.deepEqual(response.reviews, storedReviews);
+  });
+
+  it('collects again when the page shows more reviews than the stored set', async () => {
+    const storedReviews = [{ name: 'Joana', date: 'October 2025', rating: 5, text: 'Spotless and bright.' }];
+    page = loadContentScript('listing-page.html', {
+      storage: { reviewLimit: '5', 'listing:12345': { listingId: '12345', reviews: storedReviews, pageReviewCount: 120 } },
+      instantTimers: true
+    });
+    const showAll = Array.from(page.document.querySelectorAll('button'))
+      .find(button => button.textContent.includes('Show all 128 reviews'));
+    showAll.addEventListener('click', () => openReviewsModal(page.document));
+
+    const response = await page.chrome.dispatch({ type: 'extract_reviews' });
+
+    assert.equal(response.fromStorage, undefined);
+    assert.deepEqual(response.reviews.map(review => review.name), ['Joana', 'Ana', 'Tom', 'Lena', 'Pierre']);
+
+    await new Promise(resolve => setImmediate(resolve));
+    assert.equal(page.storage.data['listing:12345'].pageReviewCount, 128);
+  });
+
+  it('collects again when the review limit was raised since the stored set', async () => {
+    const storedReviews = [{ name: 'Joana', date: 'October 2025', rating: 5, text: 'Spotless and bright.' }];
+    page = loadContentScript('listing-page.html', {
+      storage: { reviewLimit: '5', 'listing:12345': { listingId: '12345', reviews: storedReviews, pageReviewCount: 128, reviewLimit: 1 } },
+      instantTimers: true
+    });
+    const showAll = Array.from(page.document.querySelectorAll('button'))
+      .find(button => button.textContent.includes('Show all 128 reviews'));
+    showAll.addEventListener('click', () => openReviewsModal(page.document));
+
+    const response = await page.chrome.dispatch({ type: 'extract_reviews' });
+
+    assert.equal(response.reviews.length, 5);
+    await new Promise(resolve => setImmediate(resolve));
+    assert.equal(page.storage.data['listing:12345'].reviewLimit, 5);
+  });
+});
+
+describe('regional pages', () => {
+  const GERMAN_URL = 'https://www.airbnb.de/rooms/67890';
+
+  it('reads German rating, review count and language from an airbnb.de page', () => {
+    page = loadContentScript('listing-page-de.html', { url: GERMAN_URL });
+    const data = page.run('extractListingData()');
+
+    assert.equal(data.listingId, '67890');
+    assert.equal(data.domain, 'airbnb.de');
+    assert.equal(data.locale, 'de');
+    assert.equal(data.rating, '4.87');
+    assert.equal(data.reviewCount, '1024');
+    assert.equal(data.price, '89 €');
+  });
+
+  it('reads German category ratings, amenities, policies and capacity', () => {
+    page = loadContentScript('listing-page-de.html', { url: GERMAN_URL });
+    const data = page.run('extractListingData()');
+
+    assert.deepEqual(data.categoryRatings, {
+      cleanliness: 4.9, accuracy: 4.8, checkIn: 5, communication: 4.9, location: 4.6, value: 4.7
+    });
+    assert.deepEqual(data.amenities, ['Küche', 'WLAN', 'Waschmaschine']);
+    assert.deepEqual(data.houseRules, ['Check-in ab 15:00 Uhr', 'Check-out vor 11:00 Uhr', 'Maximal 3 Gäste']);
+    assert.equal(data.cancellationPolicy, 'Kostenlose Stornierung vor dem 14. Nov.');
+    assert.deepEqual(
+      [data.guests, data.bedrooms, data.beds, data.baths],
+      ['3 Gäste', '· 1 Schlafzimmer', '· 2 Betten', '· 1 Badezimmer']
+    );
+  });
+
+  it('reads German review dates, ratings and host responses', () => {
+    page = loadContentScript('listing-page-de.html', { url: GERMAN_URL });
+    const [lukas, emma] = page.run('extractReviewsFromDOM()');
+
+    assert.equal(lukas.date, 'März 2025');
+    assert.equal(lukas.rating, 4);
+    assert.deepEqual(lukas.hostResponse, {
+      hostName: 'Katrin',
+      text: 'Danke Lukas, wir haben inzwischen neue Fenster einbauen lassen.',
+      date: 'März 2025'
+    });
+    assert.equal(emma.date, 'Februar 2025');
+    assert.equal(emma.rating, 5, 'English rating text is still understood');
+  });
+
+  it('finds the German "Show all reviews" button', async () => {
+    page = loadContentScript('listing-page-de.html', { url: GERMAN_URL, storage: { reviewLimit: '2' }, instantTimers: true });
+    let clicked = false;
+    page.document.querySelector('[data-section-id="REVIEWS_DEFAULT"] button').addEventListener('click', () => {
+      clicked = true;
+    });
+
+    const response = await page.chrome.dispatch({ type: 'extract_reviews' });
+
+    assert.ok(clicked);
+    assert.deepEqual(response.reviews.map(review => review.name), ['Lukas', 'Emma']);
+  });
+});
+
+describe('other sites', () => {
+  const VRBO_URL = 'https://www.vrbo.com/1234567ha';
+  const BOOKING_URL = 'https://www.booking.com/hotel/pt/casa-do-rio.en-gb.html';
+
+  it('reads a Vrbo property with its score converted to 5', () => {
+    page = loadContentScript('vrbo-listing.html', { url: VRBO_URL });
+    const data = page.run('extractListingData()');
+
+    assert.equal(data.site, 'vrbo');
+    assert.equal(data.listingId, 'vrbo-1234567ha');
+    assert.equal(data.title, 'Seaside cottage with garden');
+    assert.equal(data.rating, '4.7');
+    assert.equal(data.reviewCount, '56');
+    assert.equal(data.location, 'Ericeira, Lisbon District, Portugal');
+    assert.deepEqual([data.guests, data.bedrooms, data.beds, data.baths], ['Sleeps 6', '3 bedrooms', '4 beds', '2 bathrooms']);
+    assert.deepEqual(data.badges, ['Premier Host']);
+    assert.deepEqual(data.extraction.missing, []);
+  });
+
+  it('picks the site adapter again when the site opens a listing without a page load', async () => {
+    page = loadContentScript('vrbo-listing.html', { url: 'https://www.vrbo.com/search?destination=Ericeira' });
+    assert.equal(page.run('siteAdapter.listingId'), null);
+
+    page.window.history.pushState({}, '', '/1234567ha');
+    page.document.body.appendChild(page.document.createElement('div'));
+    await new Promise(resolve => setImmediate(resolve));
+
+    assert.equal(page.run('siteAdapter.listingId'), 'vrbo-1234567ha');
+    assert.equal(page.run('extractListingData()').site, 'vrbo');
+  });
+
+  it('normalizes Vrbo reviews to stars and month-year dates', () => {
+    page = loadContentScript('vrbo-listing.html', { url: VRBO_URL });
+    const [catarina, daniel] = page.run('extractReviewsFromDOM()');
+
+    assert.deepEqual(catarina, {
+      name: 'Catarina',
+      date: 'October 2025',
+      stayDetails: 'Oct 12, 2025',
+      rating: 5,
+      text: 'Beautiful cottage, two minutes from the beach and spotless when we arrived.',
+      hostResponse: { hostName: 'Rui', text: 'Thank you Catarina, see you next summer!', date: 'October 2025' }
+    });
+    assert.equal(daniel.rating, 2);
+    assert.equal(page.run('lastReviewExtraction').site, 'vrbo');
+  });
+
+  it('reads a Booking.com hotel with subscores mapped to the shared categories', () => {
+    page = loadContentScript('booking-hotel.html', { url: BOOKING_URL });
+    const data = page.run('extractListingData()');
+
+    assert.equal(data.site, 'booking');
+    assert.equal(data.listingId, 'booking-pt-casa-do-rio');
+    assert.equal(data.title, 'Casa do Rio Guesthouse');
+    assert.equal(data.rating, '4.4');
+    assert.equal(data.reviewCount, '1204');
+    assert.deepEqual(data.categoryRatings, { communication: 4.7, cleanliness: 4.5, value: 4.1 });
+    assert.deepEqual(data.amenities, ['Free WiFi', 'Non-smoking rooms', 'Airport shuttle']);
+    assert.deepEqual(data.extraction.missing, []);
+  });
+
+  it('joins Booking.com liked and disliked parts into the review text', () => {
+    page = loadContentScript('booking-hotel.html', { url: BOOKING_URL });
+    const [sophie, mark] = page.run('extractReviewsFromDOM()');
+
+    assert.equal(sophie.text, 'Wonderful stay by the river\nFriendly staff and a great breakfast on the terrace.\nThe shower drained slowly.');
+    assert.equal(sophie.location, 'France');
+    assert.equal(sophie.date, 'October 2025');
+    assert.equal(sophie.stayDetails, 'Double Room with River View · 2 nights · Couple');
+    assert.equal(sophie.rating, 5);
+    assert.deepEqual(sophie.hostResponse, {
+      hostName: 'Casa do Rio Guesthouse',
+      text: 'Merci Sophie, the plumber has been by.',
+      date: ''
+    });
+    assert.equal(mark.rating, 2);
+    assert.equal(mark.text, 'Street noise all night, could not sleep with the windows open.');
+  });
+
+  it('opens the reviews with the site\'s own control and stores them under the site\'s listing ID', async () => {
+    page = loadContentScript('booking-hotel.html', { url: BOOKING_URL, storage: { reviewLimit: '2' }, instantTimers: true });
+    let clicked = false;
+    page.document.querySelector('[data-testid="fr-read-all-reviews"]').addEventListener('click', () => {
+      clicked = true;
+    });
+
+    const response = await page.chrome.dispatch({ type: 'extract_reviews' });
+
+    assert.ok(clicked);
+    assert.deepEqual(response.reviews.map(review => review.name), ['Sophie', 'Mark']);
+
+    await new Promise(resolve => setImmediate(resolve));
+    assert.equal(page.storage.data['listing:booking-pt-casa-do-rio'].reviews.length, 2);
+  });
+});
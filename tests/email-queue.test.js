@@ -0,0 +1,106 @@
+// Email queue: backoff, the send history, and retries that survive a service worker restart
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { EmailQueue, EMAIL_MAX_ATTEMPTS } = require('../email-queue.js');
+const { createMemoryStorage } = require('./helpers/fake-chrome-ai.js');
+const { loadServiceWorker, createFakeFetch } = require('./helpers/service-worker-env.js');
+
+const EMAIL = { to: ['guest@example.com'], subject: 'Your analysis', html: '<p>Hi</p>' };
+const LISTING = { listingId: '12345', title: 'Cozy loft' };
+const EMAIL_SETTINGS = { transport: 'resend', resendApiKey: 're_test_123', fromAddress: 'reports@example.com' };
+
+describe('EmailQueue', () => {
+  it('doubles the wait after each failed attempt, up to an hour', () => {
+    assert.deepEqual([1, 2, 3, 4, 5].map(EmailQueue.getRetryDelay), [60000, 120000, 240000, 480000, 960000]);
+    assert.equal(EmailQueue.getRetryDelay(10), 3600000);
+  });
+
+  it('reschedules transient failures and records every attempt', async () => {
+    const queue = new EmailQueue(createMemoryStorage());
+    const job = await queue.enqueue(EMAIL, LISTING, 1000);
+
+    const retry = await queue.recordAttempt(job, { success: false, error: 'Too many requests', retryable: true }, 2000);
+    assert.equal(retry.status, 'retrying');
+    assert.equal(retry.nextAttemptAt, 62000);
+    assert.deepEqual(await queue.getDueJobs(61999), []);
+    assert.equal((await queue.getDueJobs(62000)).length, 1);
+
+    const [queued] = await queue.getJobs();
+    const sent = await queue.recordAttempt(queued, { success: true, error: null }, 62000);
+    assert.equal(sent.status, 'sent');
+    assert.deepEqual(await queue.getJobs(), []);
+    assert.equal(await queue.getNextAttemptAt(), null);
+
+    const history = await queue.getHistory();
+    assert.deepEqual(history.map(entry => [entry.status, entry.attempt]), [['sent', 2], ['retrying', 1]]);
+    assert.deepEqual(
+      { recipient: history[0].recipient, listingId: history[0].listingId, listingTitle: history[0].listingTitle, timestamp: history[0].timestamp },
+      { recipient: 'guest@example.com', listingId: '12345', listingTitle: 'Cozy loft', timestamp: 62000 }
+    );
+  });
+
+  it('gives up on permanent failures and after the last attempt', async () => {
+    const queue = new EmailQueue(createMemoryStorage());
+
+    const rejected = await queue.enqueue(EMAIL, LISTING);
+    assert.equal((await queue.recordAttempt(rejected, { success: false, error: 'Invalid API key' })).status, 'failed');
+
+    const flaky = await queue.enqueue(EMAIL, LISTING);
+    const lastEntry = await queue.recordAttempt({ ...flaky, attempts: EMAIL_MAX_ATTEMPTS - 1 }, { success: false, error: 'HTTP 503', retryable: true });
+    assert.equal(lastEntry.status, 'failed');
+    assert.equal(lastEntry.nextAttemptAt, null);
+    assert.deepEqual(await queue.getJobs(), []);
+  });
+});
+
+describe('service worker email queue', () => {
+  it('queues a rate-limited email and sends it from the retry alarm after a restart', async () => {
+    let rateLimited = true;
+    const reply = () => (rateLimited ? { status: 429, body: { message: 'Too many requests' } } : { status: 200, body: { id: 'e1' } });
+    const worker = loadServiceWorker({ storage: { emailSettings: EMAIL_SETTINGS }, fetch: createFakeFetch(reply) });
+
+    const result = await worker.dispatch({ type: 'send_email', emailData: EMAIL, listing: LISTING });
+    assert.equal(result.success, false);
+    assert.equal(result.status, 'retrying');
+    assert.equal(result.error, 'Too many requests');
+
+    const [job] = worker.storage.data.emailQueue;
+    assert.equal(worker.chrome.alarms.scheduled['email-retry'].when, job.nextAttemptAt);
+
+    // A fresh worker over the same storage, woken by the alarm once the retry is due
+    rateLimited = false;
+    const storage = { ...worker.storage.data, emailQueue: [{ ...job, nextAttemptAt: Date.now() }] };
+    const restarted = loadServiceWorker({ storage, fetch: createFakeFetch(reply) });
+    restarted.fireAlarm('email-retry');
+    await restarted.run('emailQueueRun');
+
+    assert.deepEqual(restarted.storage.data.emailQueue, []);
+    assert.equal(restarted.chrome.alarms.scheduled['email-retry'], undefined);
+    assert.deepEqual(restarted.storage.data.emailHistory.map(entry => entry.status), ['sent', 'retrying']);
+  });
+
+  it('answers with the first attempt and keeps no job when it succeeds or fails for good', async () => {
+    const sentWorker = loadServiceWorker({ storage: { emailSettings: EMAIL_SETTINGS } });
+    const sent = await sentWorker.dispatch({ type: 'send_email', emailData: EMAIL, listing: LISTING });
+    assert.deepEqual(sent, { success: true, error: null, status: 'sent', nextAttemptAt: null });
+
+    const rejectedWorker = loadServiceWorker({
+      storage: { emailSettings: EMAIL_SETTINGS },
+      fetch: createFakeFetch(() => ({ status: 422, body: { message: 'Invalid `to` field' } }))
+    });
+    const rejected = await rejectedWorker.dispatch({ type: 'send_email', emailData: EMAIL, listing: LISTING });
+    assert.deepEqual(rejected, { success: false, error: 'Invalid `to` field', status: 'failed', nextAttemptAt: null });
+    assert.deepEqual(rejectedWorker.storage.data.emailQueue, []);
+  });
+
+  it('does not queue anything until email is set up', async () => {
+    const worker = loadServiceWorker();
+    const result = await worker.dispatch({ type: 'send_email', emailData: EMAIL, listing: LISTING });
+
+    assert.equal(result.code, 'EMAIL_NOT_CONFIGURED');
+    assert.equal(worker.storage.data.emailQueue, undefined);
+    assert.equal(worker.storage.data.emailHistory, undefined);
+  });
+});
@@ -0,0 +1,69 @@
+// Email settings: validation, the configured check and the sender line
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { EmailSettings, DEFAULT_EMAIL_SETTINGS } = require('../email-settings.js');
+const { createMemoryStorage } = require('./helpers/fake-chrome-ai.js');
+
+const VALID = { resendApiKey: 're_test_123', fromAddress: 'reports@example.com', fromName: 'Little Airby' };
+
+describe('EmailSettings', () => {
+  it('starts out unconfigured, with no built-in key or sender', async () => {
+    const settings = await EmailSettings.load(createMemoryStorage());
+
+    assert.deepEqual(settings, DEFAULT_EMAIL_SETTINGS);
+    assert.equal(settings.resendApiKey, '');
+    assert.ok(!EmailSettings.isConfigured(settings));
+  });
+
+  it('saves trimmed settings and reads them back', async () => {
+    const storage = createMemoryStorage();
+    await EmailSettings.save({ ...VALID, fromAddress: '  reports@example.com ' }, storage);
+
+    const settings = await EmailSettings.load(storage);
+    assert.equal(settings.fromAddress, 'reports@example.com');
+    assert.ok(EmailSettings.isConfigured(settings));
+  });
+
+  it('explains the first problem with the settings', () => {
+    assert.equal(EmailSettings.validate(VALID), null);
+    assert.equal(EmailSettings.validate({ ...VALID, resendApiKey: '' }), 'Enter your Resend API key');
+    assert.match(EmailSettings.validate({ ...VALID, resendApiKey: 'sk_live' }), /start with "re_"/);
+    assert.equal(EmailSettings.validate({ ...VALID, fromAddress: '' }), 'Enter the sender address');
+    assert.match(EmailSettings.validate({ ...VALID, fromAddress: 'reports' }), /not an email address/);
+    assert.match(EmailSettings.validate({ ...VALID, fromName: 'Airby <bot>' }), /display name/);
+  });
+
+  it('needs both credentials and a sender address to send', () => {
+    assert.ok(EmailSettings.isConfigured(VALID));
+    assert.ok(!EmailSettings.isConfigured({ ...VALID, resendApiKey: ' ' }));
+    assert.ok(!EmailSettings.isConfigured({ ...VALID, fromAddress: 'not-an-address' }));
+  });
+
+  it('checks the settings of the chosen transport only', () => {
+    const webhook = { ...VALID, transport: 'webhook', resendApiKey: '', webhookUrl: 'https://backend.example.com/hook' };
+    const relay = { ...VALID, transport: 'smtp-relay', resendApiKey: '' };
+
+    assert.ok(EmailSettings.isConfigured(webhook));
+    assert.equal(EmailSettings.validate(webhook), null);
+    assert.equal(EmailSettings.validate({ ...webhook, webhookUrl: '' }), 'Enter the webhook URL');
+    assert.match(EmailSettings.validate({ ...webhook, webhookUrl: 'backend/hook' }), /not an http\(s\) URL/);
+
+    assert.ok(EmailSettings.isConfigured(relay), 'the relay URL defaults to a local Mailpit');
+    assert.equal(EmailSettings.validate({ ...relay, relayUrl: '' }), 'Enter the relay URL');
+    assert.equal(EmailSettings.validate({ ...VALID, transport: 'carrier-pigeon' }), 'Choose how to send email');
+    assert.ok(!EmailSettings.isConfigured({ ...VALID, transport: 'carrier-pigeon' }));
+  });
+
+  it('names the endpoint the extension needs access to', () => {
+    assert.equal(EmailSettings.getEndpoint(VALID), null);
+    assert.equal(EmailSettings.getEndpoint({ transport: 'webhook', webhookUrl: 'https://backend.example.com/hook' }), 'https://backend.example.com/hook');
+    assert.equal(EmailSettings.getEndpoint({ transport: 'smtp-relay' }), 'http://localhost:8025/api/v1/send');
+  });
+
+  it('formats the sender with the display name when there is one', () => {
+    assert.equal(EmailSettings.formatSender(VALID), 'Little Airby <reports@example.com>');
+    assert.equal(EmailSettings.formatSender({ ...VALID, fromName: '' }), 'reports@example.com');
+  });
+});
@@ -0,0 +1,71 @@
+// Plain-text alternative of the analysis email
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { generateEmailText } = require('../email-template-exact.js');
+
+const LISTING = { title: 'Cozy loft in Alfama', rating: '4.91', reviewCount: '128', location: 'Lisbon, Portugal' };
+
+const ANALYSIS = {
+  trust_score: 87,
+  summary: 'Guests love the views from the terrace and the spotless kitchen, though a few mention street noise on weekend nights and a steep climb to the third floor.',
+  sentiment_analysis: { positive_percentage: 78.4, neutral_percentage: 12, negative_percentage: 9.6 },
+  keyword_analysis: [
+    { keyword: 'cleanliness', positive: 40, negative: 2 },
+    { keyword: 'noise', positive: 1, negative: 12 }
+  ],
+  pros_and_cons: { pros: ['Great views'], cons: ['Street noise at weekends'] },
+  guest_insights: {
+    recommended_for: ['Couples', 'Solo travelers'],
+    not_recommended_for: [],
+    best_features: ['Terrace'],
+    areas_for_improvement: ['Soundproofing']
+  },
+  reviews_analyzed: 40,
+  analysis_type: 'little_airby_powered'
+};
+
+describe('generateEmailText', () => {
+  it('covers the summary, sentiment, aspects, pros/cons and insights', () => {
+    const text = generateEmailText(LISTING, ANALYSIS, []);
+
+    assert.match(text, /^Cozy loft in Alfama\n4\.91 stars \| 128 reviews \| Lisbon, Portugal\nTrust score: 87\/100$/m);
+    assert.match(text, /Summary\n-------\nGuests love the views/);
+    assert.match(text, /Positive {3}78%\nNeutral {4}12%\nNegative {3}10%/);
+    assert.match(text, /Pros\n----\n- Great views\n\nCons\n----\n- Street noise at weekends/);
+    assert.match(text, /Recommended for: Couples, Solo travelers\nBest features: Terrace\nAreas for improvement: Soundproofing/);
+    assert.match(text, /Analysis based on 40 \(all available\) reviews \| Little Airby Powered\n$/);
+    assert.doesNotMatch(text, /<[a-z]/i);
+  });
+
+  it('lines the aspect counts up in columns', () => {
+    const text = generateEmailText(LISTING, ANALYSIS, []);
+
+    assert.ok(text.includes([
+      'Aspect       Positive  Negative',
+      '-----------  --------  --------',
+      'Cleanliness        40         2',
+      'Noise               1        12'
+    ].join('\n')));
+  });
+
+  it('wraps long lines for text-only clients', () => {
+    const text = generateEmailText(LISTING, {
+      ...ANALYSIS,
+      pros_and_cons: { pros: ['Great views from the terrace over the river and the old town, especially at sunset'], cons: [] }
+    }, []);
+
+    assert.ok(text.split('\n').every(line => line.length <= 72));
+    assert.match(text, /- Great views from the terrace over the river and the old town,\n {2}especially at sunset/);
+    assert.match(text, /Cons\n----\n- None mentioned/);
+  });
+
+  it('still renders an analysis with only the basics', () => {
+    const text = generateEmailText({}, { sentiment_analysis: {} }, []);
+
+    assert.match(text, /Airbnb Listing/);
+    assert.match(text, /Positive {4}0%/);
+    assert.doesNotMatch(text, /Aspects|Summary|Guest insights|Host behaviour/);
+  });
+});
@@ -0,0 +1,107 @@
+// Email layouts: the registry, and each layout rendered from the same analysis
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { JSDOM } = require('jsdom');
+
+const { EmailTemplates, DEFAULT_EMAIL_TEMPLATE } = require('../email-templates.js');
+
+const LISTING = {
+  listingId: '12345',
+  domain: 'airbnb.co.uk',
+  title: 'Cozy loft <Alfama>',
+  rating: '4.91',
+  reviewCount: '128',
+  location: 'Lisbon, Portugal'
+};
+
+const ANALYSIS = {
+  trust_score: 87,
+  summary: 'Guests love the terrace views. The kitchen is spotless. A few mention street noise on weekend nights from the bars on the square below, which the host says the building is looking into with new double glazing over the winter.',
+  sentiment_analysis: { positive_percentage: 78, neutral_percentage: 12, negative_percentage: 10 },
+  keyword_analysis: [
+    { keyword: 'cleanliness', positive: 40, negative: 2 },
+    { keyword: 'location', positive: 30, negative: 0 },
+    { keyword: 'comfort', positive: 12, negative: 3 },
+    { keyword: 'value', positive: 8, negative: 4 },
+    { keyword: 'noise', positive: 1, negative: 12 },
+    { keyword: 'amenities', positive: 0, negative: 0 }
+  ],
+  pros_and_cons: { pros: ['Great views', 'Spotless', 'Walkable', 'Fast wifi'], cons: ['Street noise', 'Steep stairs'] },
+  guest_insights: {
+    recommended_for: ['Couples'],
+    not_recommended_for: ['Light sleepers'],
+    best_features: ['Terrace'],
+    areas_for_improvement: ['Soundproofing']
+  },
+  reviews_analyzed: 40,
+  analysis_type: 'little_airby_powered'
+};
+
+describe('EmailTemplates', () => {
+  // The full report builds on generateEmailHTML, which escapes through the DOM
+  before(() => {
+    global.document = new JSDOM('').window.document;
+  });
+
+  after(() => {
+    delete global.document;
+  });
+
+  it('registers the three layouts, full report first', () => {
+    assert.deepEqual(EmailTemplates.list().map(template => template.id), ['full-report', 'one-page-brief', 'group-trip-vote']);
+    assert.ok(EmailTemplates.list().every(template => template.name && template.description));
+    assert.equal(DEFAULT_EMAIL_TEMPLATE, 'full-report');
+  });
+
+  it('falls back to the full report for unknown layouts', () => {
+    assert.equal(EmailTemplates.get('retired-layout').id, 'full-report');
+    assert.equal(EmailTemplates.render(undefined, LISTING, ANALYSIS).templateId, 'full-report');
+  });
+
+  it('renders every layout from the same analysis, with HTML and text bodies', () => {
+    EmailTemplates.list().forEach(({ id }) => {
+      const email = EmailTemplates.render(id, LISTING, ANALYSIS, []);
+
+      assert.match(email.subject, /Cozy loft <Alfama>/, id);
+      assert.match(email.html, /Cozy loft &lt;Alfama&gt;/, id);
+      assert.doesNotMatch(email.html, /<Alfama>/, id);
+      assert.match(email.text, /Cozy loft <Alfama>/, id);
+      assert.match(email.text, /78%/, id);
+      assert.ok(email.text.split('\n').every(line => line.length <= 72), `${id} wraps its plain text`);
+    });
+  });
+
+  it('keeps the brief to the top items and the best and worst aspects', () => {
+    const { subject, html, text } = EmailTemplates.render('one-page-brief', LISTING, ANALYSIS);
+
+    assert.equal(subject, '🧸 Brief: Cozy loft <Alfama>');
+    assert.match(html, /Walkable/);
+    assert.doesNotMatch(html, /Fast wifi/);
+    assert.match(text, /Best and worst aspects\n- Location: 100% positive\n- Cleanliness: 95% positive\n- Comfort: 80% positive\n- Noise: 8% positive/);
+    assert.doesNotMatch(text, /Amenities|Value:/);
+    assert.match(text, /Guests love the terrace views\. The kitchen is spotless\./);
+    assert.doesNotMatch(text, /double glazing/, 'only the first sentences of the summary');
+  });
+
+  it('asks the group to vote by reply and links the listing', () => {
+    const { subject, html, text } = EmailTemplates.render('group-trip-vote', LISTING, ANALYSIS);
+
+    assert.equal(subject, '🗳️ Should we book Cozy loft <Alfama>?');
+    assert.match(html, /href="https:\/\/www\.airbnb\.co\.uk\/rooms\/12345"/);
+    assert.match(html, /👍 Yes[\s\S]*🤔 Maybe[\s\S]*👎 No/);
+    assert.match(text, /Great for: Couples\nThink twice if you're: Light sleepers/);
+    assert.match(text, /Reply to all with YES, MAYBE or NO/);
+    assert.match(text, /https:\/\/www\.airbnb\.co\.uk\/rooms\/12345/);
+  });
+
+  it('names the site for untitled listings', () => {
+    const { subject } = EmailTemplates.render('group-trip-vote', { site: 'vrbo' }, ANALYSIS);
+    assert.equal(subject, '🗳️ Should we book Vrbo Listing?');
+  });
+
+  it('names the listing\'s site in the full report subject', () => {
+    assert.equal(EmailTemplates.render('full-report', LISTING, ANALYSIS).subject, '🧸 Your Airbnb Analysis: Cozy loft <Alfama>');
+    assert.equal(EmailTemplates.render('full-report', { site: 'booking' }, ANALYSIS).subject, '🧸 Your Booking.com Analysis: Booking.com Listing');
+  });
+});
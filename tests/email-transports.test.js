@@ -0,0 +1,98 @@
+// Email transports in the service worker: Resend, the JSON webhook and the local SMTP relay
+// all resolve sendEmail() to the same { success, error }
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { loadServiceWorker, createFakeFetch } = require('./helpers/service-worker-env.js');
+
+const SENDER = { fromAddress: 'reports@example.com', fromName: 'Little Airby' };
+const EMAIL = { to: ['guest@example.com'], subject: 'Your analysis', html: '<p>Hi</p>', text: 'Hi\n' };
+
+function sendWith(emailSettings, reply) {
+  const worker = loadServiceWorker({
+    storage: { emailSettings: { ...SENDER, ...emailSettings } },
+    fetch: createFakeFetch(reply)
+  });
+  return worker.call('sendEmail', EMAIL).then(result => ({ result, worker }));
+}
+
+describe('email transports', () => {
+  it('sends through Resend with the stored key and sender', async () => {
+    const { result, worker } = await sendWith({ transport: 'resend', resendApiKey: 're_test_123' });
+
+    assert.deepEqual(result, { success: true, error: null });
+    const [request] = worker.fetch.requests;
+    assert.equal(request.url, 'https://api.resend.com/emails');
+    assert.equal(request.headers.Authorization, 'Bearer re_test_123');
+    assert.deepEqual(request.body, { ...EMAIL, from: 'Little Airby <reports@example.com>' });
+  });
+
+  it('posts the email as JSON to the webhook, with the secret header when set', async () => {
+    const { result, worker } = await sendWith({
+      transport: 'webhook',
+      webhookUrl: 'https://backend.example.com/hooks/email',
+      webhookSecret: 's3cret'
+    });
+
+    assert.deepEqual(result, { success: true, error: null });
+    const [request] = worker.fetch.requests;
+    assert.equal(request.url, 'https://backend.example.com/hooks/email');
+    assert.equal(request.headers['X-TravanaSpot-Secret'], 's3cret');
+    assert.equal(request.body.event, 'email');
+    assert.deepEqual(request.body.email, { ...EMAIL, from: 'Little Airby <reports@example.com>' });
+  });
+
+  it('hands the email to the local relay in its send format', async () => {
+    const { result, worker } = await sendWith({ transport: 'smtp-relay' }, () => ({ status: 200, body: { ID: 'abc' } }));
+
+    assert.deepEqual(result, { success: true, error: null });
+    const [request] = worker.fetch.requests;
+    assert.equal(request.url, 'http://localhost:8025/api/v1/send');
+    assert.deepEqual(request.body, {
+      From: { Email: 'reports@example.com', Name: 'Little Airby' },
+      To: [{ Email: 'guest@example.com' }],
+      Subject: 'Your analysis',
+      HTML: '<p>Hi</p>',
+      Text: 'Hi\n'
+    });
+  });
+
+  it('reports failures the same way on every transport', async () => {
+    const resend = await sendWith({ transport: 'resend', resendApiKey: 're_x' },
+      () => ({ status: 403, body: { message: 'The from domain is not verified' } }));
+    const webhook = await sendWith({ transport: 'webhook', webhookUrl: 'https://backend.example.com/hook' },
+      () => ({ status: 502, body: '' }));
+    const relay = await sendWith({ transport: 'smtp-relay' }, () => new TypeError('Failed to fetch'));
+
+    assert.deepEqual(resend.result, { success: false, error: 'The from domain is not verified' });
+    assert.deepEqual(webhook.result, { success: false, error: 'Webhook returned HTTP 502', retryable: true });
+    assert.deepEqual(relay.result, { success: false, error: 'Could not reach SMTP relay: Failed to fetch', retryable: true });
+  });
+
+  it('sends nothing until the chosen transport is set up', async () => {
+    const { result, worker } = await sendWith({ transport: 'webhook', webhookUrl: '' });
+
+    assert.equal(result.success, false);
+    assert.equal(result.code, 'EMAIL_NOT_CONFIGURED');
+    assert.equal(worker.fetch.requests.length, 0);
+  });
+
+  it('test-sends with unsaved settings after validating them', async () => {
+    const worker = loadServiceWorker();
+    const invalid = await worker.dispatch({
+      type: 'test_email_settings',
+      settings: { ...SENDER, transport: 'webhook', webhookUrl: 'ftp://example.com' },
+      to: 'me@example.com'
+    });
+    const sent = await worker.dispatch({
+      type: 'test_email_settings',
+      settings: { ...SENDER, transport: 'smtp-relay' },
+      to: 'me@example.com'
+    });
+
+    assert.deepEqual(invalid, { success: false, error: '"ftp://example.com" is not an http(s) URL' });
+    assert.deepEqual(sent, { success: true, error: null });
+    assert.deepEqual(worker.fetch.requests.map(request => request.body.To), [[{ Email: 'me@example.com' }]]);
+  });
+});
@@ -0,0 +1,102 @@
+// Offline page for content-script tests: a saved fixture in jsdom, the manifest's
+// content scripts evaluated into it, and a stubbed `chrome` object
+//
+// The scripts share one global scope, as they do in the extension, so their top-level
+// functions and variables (extractListingData, lastReviewExtraction, ...) can be read
+// back with page.run(). Results are copied out as JSON, so they compare like plain objects.
+
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+const { JSDOM, VirtualConsole } = require('jsdom');
+
+const { createMemoryStorage } = require('./fake-chrome-ai.js');
+
+const ROOT = path.join(__dirname, '..', '..');
+const FIXTURES = path.join(__dirname, '..', 'fixtures');
+const LISTING_URL = 'https://www.airbnb.com/rooms/12345';
+
+function readFixture(name) {
+  return fs.readFileSync(path.join(FIXTURES, name), 'utf8');
+}
+
+// chrome.runtime / chrome.storage stand-in that records outgoing messages
+function createFakeChrome(storage) {
+  const listeners = [];
+  const sentMessages = [];
+
+  return {
+    sentMessages,
+    runtime: {
+      id: 'travanaspot-test',
+      lastError: undefined,
+      sendMessage(message, callback) {
+        sentMessages.push(message);
+        if (callback) callback({ success: true });
+      },
+      onMessage: { addListener: listener => listeners.push(listener) },
+      getURL: file => `chrome-extension://travanaspot-test/${file}`
+    },
+    storage: { local: storage },
+
+    // Deliver a message as the side panel would; resolves with (a JSON copy of) what sendResponse got
+    dispatch(message) {
+      return new Promise(resolve => {
+        const sendResponse = response => resolve(JSON.parse(JSON.stringify(response)));
+        listeners.forEach(listener => listener(message, {}, sendResponse));
+      });
+    }
+  };
+}
+
+/**
+ * Load a fixture and the content scripts
+ *
+ * url: page URL; picks the site adapter and the listing ID (airbnb.com /rooms/12345 by default)
+ * storage: initial chrome.storage.local contents, e.g. { reviewLimit: '5' }
+ * instantTimers: run every setTimeout on the next tick, so review collection
+ *   (3s modal wait, scroll pauses) finishes in milliseconds
+ */
+function loadContentScript(fixture, { url = LISTING_URL, storage = {}, instantTimers = false } = {}) {
+  const dom = new JSDOM(readFixture(fixture), {
+    url,
+    runScripts: 'outside-only',
+    pretendToBeVisual: true,
+    virtualConsole: new VirtualConsole() // content script logging stays out of test output
+  });
+  const { window } = dom;
+
+  const storageArea = createMemoryStorage(storage);
+  const chrome = createFakeChrome(storageArea);
+  window.chrome = chrome;
+  window.alert = () => {};
+
+  if (instantTimers) {
+    const setTimeout = window.setTimeout.bind(window);
+    window.setTimeout = (callback, delay, ...args) => setTimeout(callback, 0, ...args);
+  }
+
+  const context = dom.getInternalVMContext();
+  const manifest = JSON.parse(fs.readFileSync(path.join(ROOT, 'manifest.json'), 'utf8'));
+  manifest.content_scripts[0].js.forEach(file => {
+    new vm.Script(fs.readFileSync(path.join(ROOT, file), 'utf8'), { filename: file }).runInContext(context);
+  });
+
+  return {
+    window,
+    document: window.document,
+    chrome,
+    storage: storageArea,
+    run: expression => {
+      const result = new vm.Script(`JSON.stringify(${expression})`).runInContext(context);
+      return result === undefined ? undefined : JSON.parse(result);
+    },
+    close: () => window.close()
+  };
+}
+
+module.exports = {
+  loadContentScript,
+  readFixture,
+  LISTING_URL
+};
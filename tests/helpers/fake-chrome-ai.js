@@ -0,0 +1,233 @@
+// Scripted stand-ins for Chrome's LanguageModel, Summarizer and Translator globals
+//
+// Responses are consumed in order. Each entry is either a string, an Error (thrown),
+// or a function (input, options, session) returning one of those. When the script runs
+// out, the last entry is reused.
+
+function nextResponse(script, input, options, session) {
+  if (script.length === 0) {
+    throw new Error('Fake AI: no scripted response');
+  }
+
+  const entry = script.length > 1 ? script.shift() : script[0];
+  const value = typeof entry === 'function' ? entry(input, options, session) : entry;
+
+  if (value instanceof Error) {
+    throw value;
+  }
+  return value;
+}
+
+class FakeLanguageModelSession {
+  constructor(fake, { maxTokens, tokensSoFar, tokensPerPrompt }) {
+    this.fake = fake;
+    this.maxTokens = maxTokens;
+    this.tokensSoFar = tokensSoFar;
+    this.tokensPerPrompt = tokensPerPrompt;
+    this.destroyed = false;
+  }
+
+  async prompt(input, options = {}) {
+    if (this.destroyed) {
+      throw new Error('Fake AI: prompt() on a destroyed session');
+    }
+
+    this.fake.calls.prompt.push({ input, options });
+    const response = nextResponse(this.fake.promptResponses, input, options, this);
+
+    // Default accounting mirrors the pipeline's own estimate (1 token ≈ 4 chars)
+    this.tokensSoFar += this.tokensPerPrompt !== null
+      ? this.tokensPerPrompt
+      : Math.ceil((input.length + response.length) / 4);
+
+    return response;
+  }
+
+  // Token count of an input, with the same 1 token ≈ 4 chars accounting as prompt()
+  async measureInputUsage(input) {
+    this.fake.calls.measureInputUsage.push(input);
+    return Math.ceil(input.length / 4);
+  }
+
+  async clone() {
+    this.fake.calls.clone++;
+    return this.fake.createSession();
+  }
+
+  destroy() {
+    this.destroyed = true;
+    this.fake.calls.destroy++;
+  }
+}
+
+class FakeSummarizer {
+  constructor(fake, options) {
+    this.fake = fake;
+    this.options = options;
+  }
+
+  async summarize(input, options = {}) {
+    this.fake.calls.summarize.push({ input, options });
+    return nextResponse(this.fake.summarizeResponses, input, options, this);
+  }
+
+  destroy() {
+    this.fake.calls.destroy++;
+  }
+}
+
+/**
+ * Create a fake Chrome Built-in AI
+ *
+ * options:
+ * - maxTokens / tokensSoFar: initial token state of every new session (before initial prompts)
+ * - tokensPerPrompt: fixed token cost per prompt (default: chars/4 of input + output)
+ * - promptAvailable: value of LanguageModel.params().available ('readily' | 'no')
+ * - summarizerAvailability: value of Summarizer.availability() ('available' | 'unavailable')
+ * - promptResponses / summarizeResponses: scripts (see nextResponse)
+ * - summarizerLanguages: output languages Summarizer.create accepts (default: any);
+ *   others throw NotSupportedError like Chrome does
+ * - translatorAvailability: value of Translator.availability() for every language pair;
+ *   translations are the text prefixed with the target language ("[en] Sehr sauber")
+ */
+function createFakeChromeAI({
+  maxTokens = 6144,
+  tokensSoFar = 0,
+  tokensPerPrompt = null,
+  promptAvailable = 'readily',
+  summarizerAvailability = 'available',
+  promptResponses = [],
+  summarizeResponses = ['Guests enjoyed their stay.'],
+  summarizerLanguages = null,
+  translatorAvailability = 'available'
+} = {}) {
+  const fake = {
+    promptResponses: [...promptResponses],
+    summarizeResponses: [...summarizeResponses],
+    calls: { prompt: [], summarize: [], measureInputUsage: [], clone: 0, destroy: 0, create: 0, initialPrompts: [], summarizerOptions: [], translate: [] },
+
+    createSession({ initialPrompts = [] } = {}) {
+      fake.calls.create++;
+      fake.calls.initialPrompts.push(initialPrompts);
+
+      // Initial prompts count towards the context like they do in Chrome (1 token ≈ 4 chars)
+      const promptTokens = Math.ceil(initialPrompts.reduce((sum, p) => sum + p.content.length, 0) / 4);
+      return new FakeLanguageModelSession(fake, { maxTokens, tokensSoFar: tokensSoFar + promptTokens, tokensPerPrompt });
+    },
+
+    LanguageModel: {
+      params: async () => ({ available: promptAvailable, defaultTemperature: 1, defaultTopK: 3, maxTopK: 8 }),
+      create: async (options) => fake.createSession(options)
+    },
+
+    Summarizer: {
+      availability: async () => summarizerAvailability,
+      create: async (options = {}) => {
+        fake.calls.summarizerOptions.push(options);
+        if (summarizerLanguages && options.outputLanguage && !summarizerLanguages.includes(options.outputLanguage)) {
+          const error = new Error(`Unsupported output language: ${options.outputLanguage}`);
+          error.name = 'NotSupportedError';
+          throw error;
+        }
+        return new FakeSummarizer(fake, options);
+      }
+    },
+
+    Translator: {
+      availability: async () => translatorAvailability,
+      create: async ({ sourceLanguage, targetLanguage }) => ({
+        translate: async (text) => {
+          fake.calls.translate.push({ text, sourceLanguage, targetLanguage });
+          return `[${targetLanguage}] ${text}`;
+        }
+      })
+    },
+
+    // Expose as globals the way Chrome does (ChromeBuiltInProvider reads them at call time)
+    install() {
+      global.LanguageModel = fake.LanguageModel;
+      global.Summarizer = fake.Summarizer;
+      global.Translator = fake.Translator;
+      return fake;
+    },
+
+    uninstall() {
+      delete global.LanguageModel;
+      delete global.Summarizer;
+      delete global.Translator;
+    }
+  };
+
+  return fake;
+}
+
+// Valid structured-extraction response for one chunk
+function structuredResponse({ keywords = {}, pros = [], cons = [], recommendedFor = [] } = {}) {
+  const aspects = ['Cleanliness', 'Location', 'HostCommunication', 'ValueForMoney', 'AccuracyOfListing', 'CheckInProcess', 'NoiseLevels', 'Comfort', 'Amenities'];
+
+  return JSON.stringify({
+    keyword_analysis: aspects.map(aspect => {
+      const { positive = 0, negative = 0 } = keywords[aspect] || {};
+      return {
+        keyword: aspect,
+        positive,
+        negative,
+        total_mentions: positive + negative,
+        positive_snippets: positive > 0 ? [`${aspect} was great`] : [],
+        negative_snippets: negative > 0 ? [`${aspect} was bad`] : []
+      };
+    }),
+    pros_and_cons: { pros, cons },
+    guest_insights: {
+      recommended_for: recommendedFor,
+      not_recommended_for: [],
+      best_features: [],
+      areas_for_improvement: []
+    }
+  });
+}
+
+// Silence the pipeline's console logging while a test file runs
+function silenceConsole() {
+  const original = { log: console.log, warn: console.warn, error: console.error };
+  console.log = () => {};
+  console.warn = () => {};
+  console.error = () => {};
+  return () => Object.assign(console, original);
+}
+
+// In-memory stand-in for a chrome.storage area
+function createMemoryStorage(initial = {}) {
+  const data = { ...initial };
+
+  return {
+    data,
+    async get(key) {
+      if (key === null) return { ...data };
+      return key in data ? { [key]: data[key] } : {};
+    },
+    async set(items) {
+      Object.assign(data, JSON.parse(JSON.stringify(items)));
+    },
+    async remove(key) {
+      delete data[key];
+    }
+  };
+}
+
+function makeReviews(count, { rating = 5, text = 'Lovely clean apartment, great location and a very helpful host.' } = {}) {
+  return Array.from({ length: count }, (_, i) => ({
+    name: `Guest ${i + 1}`,
+    date: 'June 2025',
+    rating,
+    text: `${text} (stay ${i + 1})`
+  }));
+}
+
+module.exports = {
+  createFakeChromeAI,
+  structuredResponse,
+  silenceConsole,
+  createMemoryStorage,
+  makeReviews
+};
@@ -0,0 +1,142 @@
+// service-worker.js in a vm context: importScripts() reads the extension's own files,
+// `chrome` is a stub with in-memory storage, and `fetch` is whatever the test passes in
+//
+// Like the content-script harness, top-level functions and constants (sendEmail,
+// createEmailTransport, ...) can be reached with worker.run(), which returns values from
+// the worker's own realm. Messages go through the real onMessage listener with
+// worker.dispatch(), and come back as plain JSON.
+
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const { createMemoryStorage } = require('./fake-chrome-ai.js');
+
+const ROOT = path.join(__dirname, '..', '..');
+
+function createEvent() {
+  const listeners = [];
+  return {
+    listeners,
+    addListener: listener => listeners.push(listener)
+  };
+}
+
+function createFakeChrome(storage) {
+  const alarms = {}; // name → { when, periodInMinutes }
+
+  return {
+    runtime: {
+      id: 'travanaspot-test',
+      lastError: undefined,
+      onInstalled: createEvent(),
+      onStartup: createEvent(),
+      onMessage: createEvent(),
+      sendMessage: async () => undefined,
+      getURL: file => `chrome-extension://travanaspot-test/${file}`
+    },
+    storage: { local: storage },
+    alarms: {
+      scheduled: alarms,
+      onAlarm: createEvent(),
+      get: async name => (alarms[name] ? { name, ...alarms[name] } : undefined),
+      create: async (name, info) => { alarms[name] = { ...info }; },
+      clear: async name => delete alarms[name]
+    },
+    action: {
+      setBadgeText: async () => undefined,
+      setBadgeBackgroundColor: async () => undefined
+    },
+    notifications: {
+      onClicked: createEvent(),
+      create: () => undefined,
+      clear: () => undefined
+    }
+  };
+}
+
+/**
+ * Recording fetch stand-in: responds with `reply(url, init)` (an object with status and
+ * body, or an Error to reject with), { status: 200, body: {} } by default
+ */
+function createFakeFetch(reply = () => ({ status: 200, body: {} })) {
+  const requests = [];
+
+  const fetch = async (url, init = {}) => {
+    const request = { url, method: init.method, headers: init.headers || {}, body: init.body ? JSON.parse(init.body) : null };
+    requests.push(request);
+
+    const response = reply(url, init);
+    if (response instanceof Error) throw response;
+
+    const text = typeof response.body === 'string' ? response.body : JSON.stringify(response.body ?? {});
+    return {
+      ok: response.status >= 200 && response.status < 300,
+      status: response.status,
+      text: async () => text,
+      json: async () => JSON.parse(text)
+    };
+  };
+  fetch.requests = requests;
+  return fetch;
+}
+
+/**
+ * Load the service worker
+ *
+ * storage: initial chrome.storage.local contents, e.g. { emailSettings: {...} }
+ * fetch: network stand-in (see createFakeFetch)
+ */
+function loadServiceWorker({ storage = {}, fetch = createFakeFetch() } = {}) {
+  const storageArea = createMemoryStorage(storage);
+  const chrome = createFakeChrome(storageArea);
+  const quietConsole = { log() {}, warn() {}, error() {}, info() {}, debug() {} };
+
+  const context = vm.createContext({
+    chrome,
+    fetch,
+    console: quietConsole,
+    setTimeout,
+    clearTimeout,
+    URL
+  });
+  context.self = context;
+  context.importScripts = (...files) => {
+    files.forEach(file => {
+      new vm.Script(fs.readFileSync(path.join(ROOT, file), 'utf8'), { filename: file }).runInContext(context);
+    });
+  };
+
+  context.importScripts('service-worker.js');
+
+  return {
+    chrome,
+    fetch,
+    storage: storageArea,
+    run: expression => new vm.Script(expression).runInContext(context),
+
+    // Await a top-level function of the worker; resolves with a JSON copy of its result
+    async call(name, ...args) {
+      const result = await context[name](...args);
+      return result === undefined ? undefined : JSON.parse(JSON.stringify(result));
+    },
+
+    // Fire an alarm as Chrome would once it is due
+    fireAlarm(name) {
+      chrome.alarms.onAlarm.listeners.forEach(listener => listener({ name }));
+    },
+
+    // Deliver a runtime message; resolves with (a JSON copy of) what the listener passed to sendResponse
+    dispatch(message, sender = {}) {
+      return new Promise(resolve => {
+        const sendResponse = response => resolve(JSON.parse(JSON.stringify(response)));
+        chrome.runtime.onMessage.listeners.forEach(listener => listener(message, sender, sendResponse));
+      });
+    }
+  };
+}
+
+module.exports = {
+  loadServiceWorker,
+  createFakeFetch
+};
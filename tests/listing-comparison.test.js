@@ -0,0 +1,126 @@
+// Side-by-side comparison: rows per metric and which column each row highlights
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { JSDOM } = require('jsdom');
+
+const { buildComparisonRows, generateComparisonHTML } = require('../listing-comparison.js');
+
+const entry = (listingId, analysis, listingData = { title: `Listing ${listingId}` }) => ({ listingId, analysis, listingData });
+
+const LOFT = entry('111', {
+  trust_score: 87,
+  sentiment_analysis: { positive_percentage: 78.4, neutral_percentage: 12, negative_percentage: 9.6 },
+  keyword_analysis: [
+    { keyword: 'Cleanliness', positive: 8, negative: 1 },
+    { keyword: 'NoiseLevels', positive: 1, negative: 5 }
+  ],
+  pros_and_cons: { pros: ['Views', 'Spotless'], cons: ['Street noise'] },
+  guest_insights: { recommended_for: ['Couples'] }
+});
+
+const COTTAGE = entry('222', {
+  trust_score: 72,
+  sentiment_analysis: { positive_percentage: 60, neutral_percentage: 25, negative_percentage: 15 },
+  keyword_analysis: [
+    { keyword: 'Cleanliness', positive: 9, negative: 2 },
+    { keyword: 'NoiseLevels', positive: 4, negative: 0 }
+  ],
+  pros_and_cons: { pros: ['Garden', 'Quiet'], cons: [] },
+  guest_insights: { recommended_for: ['Families with children'] }
+});
+
+const rowsByLabel = entries => Object.fromEntries(buildComparisonRows(entries).map(row => [row.label, row]));
+const best = row => row.cells.map(cell => cell.best);
+
+describe('buildComparisonRows', () => {
+  it('builds one row per metric with one cell per listing', () => {
+    const rows = buildComparisonRows([LOFT, COTTAGE]);
+
+    assert.deepEqual([...new Set(rows.map(row => row.section))], ['Overview', 'Guest Sentiment', 'Aspects', 'Pros & Cons', 'Guest Insights']);
+    assert.equal(rows.filter(row => row.section === 'Aspects').length, 9);
+    assert.ok(rows.every(row => row.cells.length === 2));
+  });
+
+  it('highlights the higher score, or the lower one for negatives', () => {
+    const rows = rowsByLabel([LOFT, COTTAGE]);
+
+    assert.deepEqual(best(rows['Trust Score']), [true, false]);
+    assert.deepEqual(best(rows.Positive), [true, false]);
+    assert.deepEqual(best(rows.Negative), [true, false]);
+    assert.equal(rows.Negative.cells[0].text, '10%');
+    assert.deepEqual(best(rows['Noise Levels']), [false, true]);
+  });
+
+  it('ranks aspects by their share of positive mentions, not by how many reviews mention them', () => {
+    // Cleanliness: 8 of 9 mentions positive (89%) beats 9 of 11 (82%) despite fewer mentions
+    assert.deepEqual(best(rowsByLabel([LOFT, COTTAGE]).Cleanliness), [true, false]);
+
+    const busy = entry('555', { keyword_analysis: [{ keyword: 'Location', positive: 30, negative: 15 }] });
+    const small = entry('666', { keyword_analysis: [{ keyword: 'Location', positive: 4, negative: 0 }] });
+    const rows = rowsByLabel([busy, small]);
+
+    assert.deepEqual(rows.Location.cells.map(cell => cell.score), [2 / 3, 1]);
+    assert.deepEqual(best(rows.Location), [false, true]);
+  });
+
+  it('highlights every tied column, but nothing when all columns are equal', () => {
+    const rows = rowsByLabel([LOFT, COTTAGE, entry('333', { ...COTTAGE.analysis, trust_score: 87 })]);
+    assert.deepEqual(best(rows['Trust Score']), [true, false, true]);
+
+    const twins = rowsByLabel([COTTAGE, entry('333', COTTAGE.analysis)]);
+    assert.deepEqual(best(twins.Cleanliness), [false, false]);
+    assert.deepEqual(best(twins['Trust Score']), [false, false]);
+  });
+
+  it('never highlights neutral sentiment, pros, cons or plain lists', () => {
+    const rows = rowsByLabel([LOFT, COTTAGE]);
+
+    assert.deepEqual(best(rows.Neutral), [false, false]);
+    assert.deepEqual(best(rows.Pros), [false, false]);
+    assert.deepEqual(best(rows.Cons), [false, false]);
+    assert.deepEqual(rows.Cons.cells[0].list, ['Street noise']);
+    assert.deepEqual(best(rows['Recommended For']), [false, false]);
+    assert.deepEqual(rows['Recommended For'].cells[1].list, ['Families with children']);
+  });
+
+  it('treats missing analysis fields as zero and unmentioned aspects as unscored', () => {
+    const rows = rowsByLabel([LOFT, entry('444', undefined, undefined)]);
+
+    assert.equal(rows['Trust Score'].cells[1].text, '0/100');
+    assert.equal(rows.Positive.cells[1].text, '0%');
+    assert.deepEqual(rows.Pros.cells[1].list, []);
+    assert.deepEqual(best(rows['Trust Score']), [true, false]);
+
+    // Nobody mentioned location, so no column wins it
+    assert.deepEqual(rows.Location.cells.map(cell => cell.score), [null, null]);
+    assert.deepEqual(best(rows.Location), [false, false]);
+    assert.deepEqual(best(rows.Cleanliness), [true, false]);
+  });
+});
+
+describe('generateComparisonHTML', () => {
+  before(() => {
+    global.document = new JSDOM('').window.document;
+  });
+
+  after(() => {
+    delete global.document;
+  });
+
+  it('renders a column per listing with escaped titles and highlighted best cells', () => {
+    const html = generateComparisonHTML([entry('111', LOFT.analysis, { title: 'Loft <Alfama>', location: 'Lisbon' }), COTTAGE]);
+    const table = new JSDOM(html).window.document.querySelector('table');
+
+    assert.deepEqual(
+      Array.from(table.querySelectorAll('thead .comparison-listing-title')).map(title => title.textContent),
+      ['Loft <Alfama>', 'Listing 222']
+    );
+    assert.match(html, /Loft &lt;Alfama&gt;/);
+
+    const trustRow = Array.from(table.querySelectorAll('tbody tr')).find(row => row.querySelector('th')?.textContent === 'Trust Score');
+    assert.deepEqual(Array.from(trustRow.querySelectorAll('td')).map(cell => cell.className), ['comparison-best', '']);
+    assert.match(html, /<span class="comparison-empty">No mentions<\/span>/);
+    assert.match(html, /<span class="comparison-share">89% positive<\/span>/);
+  });
+});
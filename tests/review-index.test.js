@@ -0,0 +1,137 @@
+// Review relevance ranking for chat questions
+
+const { describe, it, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const ReviewIndex = require('../review-index.js');
+const TravanaSpotBrowserAI = require('../browser-ai-integration.js');
+const { createFakeChromeAI, silenceConsole, makeReviews } = require('./helpers/fake-chrome-ai.js');
+
+const docs = [
+  { id: 0, text: 'Lovely flat, spotless kitchen and a comfy bed.' },
+  { id: 1, text: 'Street parking was easy to find right outside.' },
+  { id: 2, text: 'Great location. Parking is tricky, the parking garage is expensive.' },
+  { id: 3, text: 'The host was friendly and the view was stunning.' }
+];
+
+let restoreConsole;
+let fake;
+
+before(() => {
+  restoreConsole = silenceConsole();
+});
+
+after(() => {
+  restoreConsole();
+});
+
+afterEach(() => {
+  if (fake) fake.uninstall();
+  fake = null;
+});
+
+describe('ReviewIndex', () => {
+  it('drops stopwords and folds plurals', () => {
+    assert.deepEqual(ReviewIndex.tokenize('Is there parking for the cars?'), ['parking', 'car']);
+    assert.deepEqual(ReviewIndex.tokenize('Glass'), ['glass']);
+  });
+
+  it('ranks reviews mentioning the question terms first, most mentions first', async () => {
+    const ranked = await new ReviewIndex(docs).rank('Is there parking?');
+
+    assert.deepEqual(ranked.map(r => r.id), [2, 1]);
+    assert.equal(ranked[0].score, 1);
+  });
+
+  it('returns nothing when no review matches', async () => {
+    assert.deepEqual(await new ReviewIndex(docs).rank('Is there a pool?'), []);
+  });
+
+  it('respects the limit', async () => {
+    const ranked = await new ReviewIndex(docs).rank('parking view kitchen', { limit: 2 });
+    assert.equal(ranked.length, 2);
+  });
+
+  it('blends in embedding similarity when an embed function is given', async () => {
+    // 2-d toy vectors: the "pool" question is closest to review 3
+    const vectors = { 0: [1, 0], 1: [0.2, 1], 2: [0.3, 1], 3: [0, 1] };
+    const embedCalls = [];
+    const embed = async texts => {
+      embedCalls.push(texts.length);
+      return texts.map(text => {
+        const doc = docs.find(d => d.text === text);
+        return doc ? vectors[doc.id] : [0, 1];
+      });
+    };
+
+    const index = new ReviewIndex(docs);
+    const ranked = await index.rank('Is there a pool?', { embed });
+    await index.rank('Any pool?', { embed });
+
+    assert.equal(ranked[0].id, 3);
+    assert.equal(ranked.find(r => r.id === 0), undefined, 'orthogonal review has no score');
+    assert.deepEqual(embedCalls, [4, 1, 1], 'reviews are embedded once');
+  });
+
+  it('falls back to keywords when embedding fails', async () => {
+    const embed = async () => { throw new Error('server down'); };
+    const ranked = await new ReviewIndex(docs).rank('parking', { embed });
+    assert.deepEqual(ranked.map(r => r.id), [2, 1]);
+  });
+});
+
+describe('askQuestion retrieval', () => {
+  const answer = ids => JSON.stringify({ found: true, answer: 'Street parking.', review_ids: ids });
+
+  it('only sends the reviews that match the question', async () => {
+    const reviews = makeReviews(40);
+    reviews[33].text = 'Parking was free on the street.';
+    reviews[7].text = 'No parking nearby, we used a garage.';
+
+    fake = createFakeChromeAI({ promptResponses: [answer([33])] }).install();
+    const ai = new TravanaSpotBrowserAI();
+
+    const result = await ai.askQuestion(reviews, 'Is there parking?');
+
+    assert.equal(fake.calls.prompt.length, 1);
+    const input = fake.calls.prompt[0].input;
+    assert.ok(input.includes('[Review 33]') && input.includes('[Review 7]'));
+    assert.ok(!input.includes('[Review 0]'));
+    assert.deepEqual(result.citations.map(c => c.id), [33]);
+  });
+
+  it('caches every review, not just the first 100', async () => {
+    fake = createFakeChromeAI().install();
+    const ai = new TravanaSpotBrowserAI();
+
+    ai.buildReviewCache(makeReviews(250));
+    assert.equal(ai.reviewCache.reviews.length, 250);
+  });
+
+  it('rebuilds the cache when asked about a different review set', async () => {
+    fake = createFakeChromeAI({ promptResponses: [answer([0])] }).install();
+    const ai = new TravanaSpotBrowserAI();
+
+    await ai.askQuestion(makeReviews(5), 'Is there parking?');
+    const other = makeReviews(3, { text: 'Parking in the courtyard' });
+    await ai.askQuestion(other, 'Is there parking?');
+
+    assert.equal(ai.reviewCache.source, other);
+    assert.equal(ai.reviewCache.reviews.length, 3);
+  });
+
+  it('ranks with the provider embeddings when it has them', async () => {
+    fake = createFakeChromeAI({ promptResponses: [answer([1])] }).install();
+    const ai = new TravanaSpotBrowserAI();
+    const embedded = [];
+    ai.provider.embed = async texts => {
+      embedded.push(...texts);
+      return texts.map(() => [1, 0]);
+    };
+
+    await ai.askQuestion(makeReviews(3), 'Good for kids?');
+
+    assert.ok(embedded.includes('Good for kids?'));
+    assert.ok(fake.calls.prompt[0].input.includes('[Review 2]'));
+  });
+});
@@ -0,0 +1,73 @@
+// Review language detection and the per-language aspect and sentiment words
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { ReviewLanguages, REVIEW_LANGUAGES, UNKNOWN_REVIEW_LANGUAGE } = require('../review-languages.js');
+
+describe('ReviewLanguages', () => {
+  it('detects the language of a review from its common words', () => {
+    const samples = {
+      en: 'Lovely flat by the canal, Katrin was very helpful.',
+      de: 'Schöne helle Wohnung, nur die Straßenbahn ist nachts etwas laut.',
+      fr: 'Appartement très propre et bien situé, mais le lit était un peu dur.',
+      es: 'El apartamento estaba muy limpio y la ubicación es perfecta.',
+      it: 'Casa molto pulita, posizione ottima e host gentilissimo.',
+      pt: 'O apartamento é muito limpo e a localização é ótima.',
+      nl: 'Het appartement was erg schoon en de ligging is top.'
+    };
+
+    Object.entries(samples).forEach(([language, text]) => {
+      assert.equal(ReviewLanguages.detect(text).language, language, text);
+    });
+  });
+
+  it('gives up on texts with too few common words', () => {
+    assert.deepEqual(ReviewLanguages.detect('Super!'), { language: UNKNOWN_REVIEW_LANGUAGE, confidence: 0 });
+    assert.equal(ReviewLanguages.detect('').language, UNKNOWN_REVIEW_LANGUAGE);
+    assert.equal(ReviewLanguages.isKnown(UNKNOWN_REVIEW_LANGUAGE), false);
+  });
+
+  it('matches whole words, or the start of a word for keywords ending in *', () => {
+    assert.ok(ReviewLanguages.hasKeyword('le lit était dur', 'lit'));
+    assert.ok(!ReviewLanguages.hasKeyword('la literie était top', 'lit'));
+    assert.ok(!ReviewLanguages.hasKeyword('bonne qualité', 'lit'));
+    assert.ok(ReviewLanguages.hasKeyword('sehr sauber.', 'sauber*'));
+    assert.ok(ReviewLanguages.hasKeyword('sauberer als erwartet', 'sauber*'));
+    assert.ok(ReviewLanguages.hasKeyword('la limpieza', 'limpi*'));
+    assert.ok(!ReviewLanguages.hasKeyword('unsauber', 'sauber*'));
+  });
+
+  it('does not match keywords inside longer words', () => {
+    const { hasKeyword } = ReviewLanguages;
+    const matchesAny = (text, language, aspect) => ReviewLanguages.getAspectKeywords(language)[aspect]
+      .some(keyword => hasKeyword(text, keyword));
+
+    assert.ok(!matchesAny('bedankt voor alles!', 'nl', 'Comfort'));
+    assert.ok(!matchesAny('las características del piso', 'es', 'ValueForMoney'));
+    assert.ok(!ReviewLanguages.getSentimentWords('es').negative.some(word => hasKeyword('dejamos la maleta en la entrada', word)));
+    assert.ok(matchesAny('het bed was prima', 'nl', 'Comfort'));
+    assert.ok(ReviewLanguages.getSentimentWords('es').negative.some(word => hasKeyword('la cama estaba mal', word)));
+  });
+
+  it('has words for all 9 aspects in every language but English', () => {
+    const aspects = ['Cleanliness', 'Location', 'HostCommunication', 'ValueForMoney', 'AccuracyOfListing', 'CheckInProcess', 'NoiseLevels', 'Comfort', 'Amenities'];
+
+    Object.keys(REVIEW_LANGUAGES).filter(language => language !== 'en').forEach(language => {
+      assert.deepEqual(Object.keys(ReviewLanguages.getAspectKeywords(language)), aspects, language);
+      assert.ok(ReviewLanguages.getSentimentWords(language).negative.length > 0, language);
+    });
+    assert.deepEqual(ReviewLanguages.getAspectKeywords('en'), {});
+  });
+
+  it('counts reviews per language, undetected ones last', () => {
+    const distribution = ReviewLanguages.summarize(['de', 'und', 'en', 'de', 'fr']);
+
+    assert.equal(distribution.total, 5);
+    assert.equal(distribution.primary_language, 'de');
+    assert.deepEqual(distribution.languages.map(entry => [entry.language, entry.count, entry.percentage]), [
+      ['de', 2, 40], ['en', 1, 20], ['fr', 1, 20], ['und', 1, 20]
+    ]);
+    assert.equal(distribution.languages[3].name, 'Unknown');
+  });
+});
@@ -0,0 +1,111 @@
+// Selector profile: ordered fallbacks, structural locators and strategy reporting
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { SelectorProfile, DEFAULT_SELECTOR_PROFILE } = require('../selector-profile.js');
+const { silenceConsole } = require('./helpers/fake-chrome-ai.js');
+
+// Leaf element stand-in (no children)
+const el = (text, attributes = {}) => ({
+  textContent: text,
+  children: [],
+  parentElement: null,
+  getAttribute: name => attributes[name] ?? null,
+  closest: () => null
+});
+
+// Root whose querySelectorAll answers from a selector → elements map
+const fakeRoot = matches => ({
+  querySelectorAll(selector) {
+    if (selector.includes('[[')) throw new SyntaxError(`'${selector}' is not a valid selector`);
+    return matches[selector] || [];
+  }
+});
+
+let restoreConsole;
+
+before(() => {
+  restoreConsole = silenceConsole();
+});
+
+after(() => {
+  restoreConsole();
+});
+
+describe('SelectorProfile', () => {
+  const profile = new SelectorProfile();
+
+  it('uses the first selector that matches', () => {
+    const heading = el('Sunny loft');
+    const result = profile.find('title', fakeRoot({ '[data-section-id="TITLE_DEFAULT"] h1': [heading] }));
+
+    assert.equal(result.element, heading);
+    assert.equal(result.strategy, '[data-section-id="TITLE_DEFAULT"] h1');
+    assert.ok(profile.isFallbackStrategy('title', result.strategy));
+    assert.ok(!profile.isFallbackStrategy('title', 'h1[elementtiming="LCP-target"]'));
+  });
+
+  it('falls back to the structural locator when every selector misses', () => {
+    const hosted = el('Hosted by Maria');
+    const result = profile.find('host', fakeRoot({ '*': [el('Other text'), hosted] }));
+
+    assert.equal(result.element, hosted);
+    assert.equal(result.strategy, 'structural:hostedBy');
+  });
+
+  it('reports no strategy when nothing matches', () => {
+    assert.deepEqual(profile.find('price', fakeRoot({})), { element: null, strategy: null });
+    assert.deepEqual(profile.findAll('unknownField', fakeRoot({})), { elements: [], strategy: null });
+  });
+
+  it('applies the filter before choosing a strategy', () => {
+    const hostDate = el('May 2025');
+    const guestDate = el('June 2025');
+    const root = fakeRoot({ '.c5dn5hn': [hostDate], '*': [hostDate, guestDate] });
+
+    const result = profile.find('reviewDate', root, { filter: element => element !== hostDate });
+
+    assert.equal(result.element, guestDate);
+    assert.equal(result.strategy, 'structural:reviewDateText');
+  });
+
+  it('picks the longest span for review text', () => {
+    const short = el('Lovely stay, thanks a lot!');
+    const long = el('Lovely stay, the kitchen was spotless and the host was quick to reply.');
+    const result = profile.find('reviewText', fakeRoot({ span: [short, el('Hi'), long] }));
+
+    assert.equal(result.element, long);
+    assert.equal(result.strategy, 'structural:longestSpan');
+  });
+
+  it('unions every matching selector without duplicates', () => {
+    const a = el('A');
+    const b = el('B');
+    const root = fakeRoot({ '[data-testid*="review"]': [a], 'div[role="article"]': [a, b] });
+
+    const result = profile.findAll('reviewFallbackItem', root, { union: true });
+
+    assert.deepEqual(result.elements, [a, b]);
+    assert.equal(result.strategy, '[data-testid*="review"], div[role="article"]');
+  });
+
+  it('skips invalid selectors instead of throwing', () => {
+    const custom = new SelectorProfile({
+      version: 'test',
+      fields: { title: { selectors: ['h1[[broken', 'h1'] } },
+      keyFields: { listing: ['title'] }
+    });
+    const heading = el('Title');
+
+    assert.deepEqual(custom.find('title', fakeRoot({ h1: [heading] })), { element: heading, strategy: 'h1' });
+    assert.deepEqual(custom.getKeyFields('listing'), ['title']);
+    assert.deepEqual(custom.getKeyFields('review'), []);
+  });
+
+  it('versions the default profile and lists key fields', () => {
+    assert.equal(profile.version, DEFAULT_SELECTOR_PROFILE.version);
+    assert.ok(profile.getKeyFields('listing').includes('title'));
+    assert.ok(profile.getKeyFields('review').includes('text'));
+  });
+});
@@ -0,0 +1,80 @@
+// Site adapters: listing URLs and IDs per site, and the shared review shape
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { SiteAdapter } = require('../site-adapter.js');
+const ListingStorage = require('../listing-storage.js');
+
+describe('SiteAdapter', () => {
+  it('picks the adapter from the listing URL', () => {
+    assert.equal(SiteAdapter.forUrl('https://www.airbnb.de/rooms/67890').id, 'airbnb');
+    assert.equal(SiteAdapter.forUrl('https://www.vrbo.com/1234567ha?adults=2').id, 'vrbo');
+    assert.equal(SiteAdapter.forUrl('https://www.booking.com/hotel/pt/casa-do-rio.en-gb.html').id, 'booking');
+    assert.equal(SiteAdapter.forUrl('https://www.vrbo.com/search?destination=Lisbon'), null);
+    assert.equal(SiteAdapter.forUrl('https://www.booking.com/searchresults.html'), null);
+    assert.ok(!SiteAdapter.isListingUrl('not a url'));
+  });
+
+  it('keeps plain room IDs for Airbnb and prefixes the other sites', () => {
+    assert.equal(ListingStorage.getListingIdFromUrl('https://www.airbnb.co.uk/rooms/12345?check_in=2025-11-01'), '12345');
+    assert.equal(ListingStorage.getListingIdFromUrl('https://www.vrbo.com/1234567HA'), 'vrbo-1234567ha');
+    assert.equal(ListingStorage.getListingIdFromUrl('https://www.booking.com/hotel/pt/casa-do-rio.html'), 'booking-pt-casa-do-rio');
+    assert.equal(ListingStorage.getListingIdFromUrl('https://www.booking.com/hotel/pt/casa-do-rio.pt-pt.html'), 'booking-pt-casa-do-rio');
+    assert.equal(ListingStorage.getListingIdFromUrl('https://example.com/'), null);
+  });
+
+  it('rebuilds listing URLs from stored IDs', () => {
+    assert.equal(SiteAdapter.getListingUrl('12345', 'airbnb.fr'), 'https://www.airbnb.fr/rooms/12345');
+    assert.equal(SiteAdapter.getListingUrl('vrbo-1234567ha', 'vrbo.com'), 'https://www.vrbo.com/1234567ha');
+    assert.equal(SiteAdapter.getListingUrl('booking-pt-casa-do-rio', 'booking.com'), 'https://www.booking.com/hotel/pt/casa-do-rio.html');
+  });
+
+  it('names sites, treating listings saved without one as Airbnb', () => {
+    assert.equal(SiteAdapter.getSiteName('booking'), 'Booking.com');
+    assert.equal(SiteAdapter.getSiteName('vrbo'), 'Vrbo');
+    assert.equal(SiteAdapter.getSiteName(undefined), 'Airbnb');
+  });
+
+  it('normalizes reviews to one shape with whole stars', () => {
+    const review = SiteAdapter.normalizeReview({
+      text: '  Great stay  ',
+      rating: '8.0',
+      name: 'Sophie',
+      location: '',
+      hostResponse: { hostName: 'Casa do Rio', text: '', date: '' },
+      extra: 'dropped'
+    }, { scale: 10 });
+
+    assert.deepEqual(review, { name: 'Sophie', rating: 4, text: 'Great stay' });
+    assert.deepEqual(Object.keys(SiteAdapter.normalizeReview({ text: 'x', date: 'June 2025', name: 'A' })), ['name', 'date', 'text']);
+  });
+
+  it('converts scores out of 10', () => {
+    assert.equal(SiteAdapter.toStars('9,6', 10), 5);
+    assert.equal(SiteAdapter.toStars(1, 10), 1);
+    assert.equal(SiteAdapter.toStars(4, 5), 4);
+    assert.equal(SiteAdapter.toStars(undefined, 10), 0);
+    assert.equal(SiteAdapter.toFiveScale('9.2', 10), '4.6');
+    assert.equal(SiteAdapter.toFiveScale('', 10), '');
+  });
+
+  it('reduces review dates to month and year', () => {
+    assert.equal(SiteAdapter.getMonthYear('Oct 12, 2025'), 'October 2025');
+    assert.equal(SiteAdapter.getMonthYear('September 3, 2025'), 'September 2025');
+    assert.equal(SiteAdapter.getMonthYear('Stayed in März 2025', 'de'), 'März 2025');
+    assert.equal(SiteAdapter.getMonthYear('last week'), '');
+  });
+
+  it('lists every site in the manifest', () => {
+    const manifest = require('../manifest.json');
+    const [contentScripts] = manifest.content_scripts;
+
+    assert.ok(contentScripts.matches.includes('https://www.vrbo.com/*'));
+    assert.ok(contentScripts.matches.includes('https://www.booking.com/hotel/*'));
+    assert.deepEqual(
+      contentScripts.js.filter(file => file.endsWith('adapter.js')),
+      ['site-adapter.js', 'airbnb-adapter.js', 'vrbo-adapter.js', 'booking-adapter.js']
+    );
+  });
+});
@@ -0,0 +1,91 @@
+// Watchlist re-checks in the service worker: what a background check stores and which
+// reviews it reports as new. Collection is stubbed; the real one scrolls a background tab.
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { loadServiceWorker } = require('./helpers/service-worker-env.js');
+const { makeReviews } = require('./helpers/fake-chrome-ai.js');
+
+const LISTING_KEY = 'listing:12345';
+
+function loadWatchedListing(reviews) {
+  const worker = loadServiceWorker({
+    storage: {
+      [LISTING_KEY]: { listingId: '12345', watched: true, reviews, listingData: { title: 'Loft in Alfama' } }
+    }
+  });
+
+  const notifications = [];
+  worker.chrome.notifications.create = (id, options) => notifications.push(options);
+
+  // Each check collects the next { reviews, timedOut } result
+  const collect = results => {
+    worker.run('(next => { collectReviewsInBackgroundTab = async () => next(); })')(() => results.shift());
+  };
+
+  const check = async () => worker.call('checkWatchedListing', worker.storage.data[LISTING_KEY]);
+
+  return { worker, notifications, collect, check };
+}
+
+describe('watchlist checks', () => {
+  it('keeps the stored set when a check stops at its time limit, so the next complete check finds nothing new', async () => {
+    const reviews = makeReviews(10);
+    const { worker, collect, check } = loadWatchedListing(reviews);
+
+    collect([
+      { reviews: reviews.slice(0, 4), timedOut: true },
+      { reviews, timedOut: false }
+    ]);
+
+    await check();
+    assert.equal(worker.storage.data[LISTING_KEY].reviews.length, 10);
+
+    await check();
+    const entry = worker.storage.data[LISTING_KEY];
+    assert.equal(entry.reviews.length, 10);
+    assert.deepEqual(entry.unseenReviews, []);
+    assert.ok(entry.lastCheckedAt);
+  });
+
+  it('only alerts on reviews missing from the stored set, and not after a time-limited check', async () => {
+    const reviews = makeReviews(10);
+    const fresh = { name: 'Marta', date: 'October 2026', rating: 2, text: 'The heating was broken for our whole stay.' };
+    const { worker, notifications, collect, check } = loadWatchedListing(reviews);
+
+    collect([
+      { reviews: [fresh, ...reviews.slice(0, 3)], timedOut: true },
+      { reviews: [fresh, ...reviews], timedOut: false }
+    ]);
+
+    await check();
+    assert.equal(notifications.length, 0);
+    assert.deepEqual(worker.storage.data[LISTING_KEY].unseenReviews, []);
+
+    await check();
+    assert.deepEqual(worker.storage.data[LISTING_KEY].unseenReviews, [fresh]);
+    assert.equal(notifications.length, 1);
+    assert.equal(notifications[0].message, '⚠️ 1 of 1 new reviews rated 3 stars or lower');
+    assert.equal(worker.storage.data.listingIndex['12345'].unseenCount, 1);
+  });
+
+  it('finds watched listings from the listing index, without reading every stored review', async () => {
+    const { worker } = loadWatchedListing(makeReviews(10));
+    const reads = [];
+    const get = worker.storage.get;
+    worker.storage.get = key => {
+      reads.push(key);
+      return get(key);
+    };
+
+    // Listings stored before the index existed are indexed once
+    await worker.run('listingStorage.getWatchedListings()');
+    const watched = await worker.run('listingStorage.getWatchedListings()');
+
+    assert.deepEqual(reads, ['listingIndex', null, 'listingIndex']);
+    assert.equal(watched.length, 1);
+    assert.equal(watched[0].listingData.title, 'Loft in Alfama');
+    assert.equal(watched[0].reviews, undefined);
+  });
+});
@@ -0,0 +1,237 @@
+// TravanaSpot - Vrbo Adapter
+// Reads Vrbo property pages (vrbo.com/<id>, e.g. vrbo.com/1234567ha). Vrbo scores
+// reviews out of 10, so they are converted to stars (see site-adapter.js).
+
+// Selectors for Vrbo's markup, in the selector profile format (selector-profile.js)
+const VRBO_SELECTOR_PROFILE = {
+  version: 'vrbo-2025.10-1',
+  fields: {
+    title: {
+      selectors: ['[data-stid="content-hotel-title"] h1'],
+      structural: 'pageHeading'
+    },
+    ratingBadge: {
+      selectors: ['[data-stid="content-hotel-reviewsummary"]']
+    },
+    price: {
+      selectors: ['[data-stid="price-summary"] [data-test-id="price-summary-message-line"]', '[data-stid="price-summary"]'],
+      structural: 'priceText'
+    },
+    location: {
+      selectors: ['[data-stid="content-hotel-address"]']
+    },
+    capacityList: {
+      selectors: ['[data-stid="content-hotel-overview"] ul']
+    },
+    host: {
+      selectors: ['[data-stid="content-hotel-host"] h3'],
+      structural: 'hostedBy'
+    },
+    reviewItem: {
+      selectors: ['[itemprop="review"]', '[data-stid="product-review-item"]']
+    },
+    reviewFallbackItem: {
+      selectors: ['article[role="article"]']
+    },
+    reviewName: {
+      selectors: ['[itemprop="author"]', 'h4']
+    },
+    reviewRating: {
+      selectors: ['[itemprop="reviewRating"]', 'h3']
+    },
+    reviewDate: {
+      selectors: ['[itemprop="datePublished"]', 'time']
+    },
+    reviewText: {
+      selectors: ['[itemprop="description"]'],
+      structural: 'longestSpan'
+    },
+    reviewResponse: {
+      selectors: ['[data-stid="review-response"]']
+    }
+  },
+  keyFields: {
+    listing: ['title', 'rating', 'reviewCount', 'location'],
+    review: ['name', 'text', 'date', 'rating']
+  }
+};
+
+class VrboAdapter extends (typeof SiteAdapter !== 'undefined' ? SiteAdapter : require('./site-adapter.js').SiteAdapter) {
+  static get id() {
+    return 'vrbo';
+  }
+
+  static get siteName() {
+    return 'Vrbo';
+  }
+
+  static get ratingScale() {
+    return 10;
+  }
+
+  // Property number from a vrbo.com URL ("1234567ha"), or null
+  static getPropertyNumber(url) {
+    try {
+      const { hostname, pathname } = new URL(url);
+      if (!/(^|\.)vrbo\.com$/i.test(hostname)) return null;
+
+      const match = pathname.match(/^\/(\d{4,}(?:ha)?)\/?$/i);
+      return match ? match[1].toLowerCase() : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  static isListingUrl(url) {
+    return !!VrboAdapter.getPropertyNumber(url);
+  }
+
+  static getListingId(url) {
+    const propertyNumber = VrboAdapter.getPropertyNumber(url);
+    return propertyNumber ? `vrbo-${propertyNumber}` : null;
+  }
+
+  static ownsListingId(listingId) {
+    return String(listingId).startsWith('vrbo-');
+  }
+
+  static getListingUrl(listingId) {
+    return `https://www.vrbo.com/${String(listingId).replace(/^vrbo-/, '')}`;
+  }
+
+  constructor(options = {}) {
+    super(options);
+    this.profile = options.profile || new (VrboAdapter.getSelectorProfileClass())(VRBO_SELECTOR_PROFILE);
+  }
+
+  extractListing() {
+    const data = this.createListingData();
+    const strategies = {};
+    const text = field => (this.findField(field, strategies)?.textContent || '').trim();
+
+    try {
+      data.title = text('title');
+      data.price = text('price');
+      data.location = text('location');
+      data.host = text('host');
+
+      // "9.6/10 Exceptional · 128 reviews"
+      const summary = text('ratingBadge');
+      const scoreMatch = summary.match(/(\d+(?:[.,]\d+)?)\s*(?:\/|out of)\s*10/i);
+      if (scoreMatch) {
+        data.rating = VrboAdapter.toFiveScale(scoreMatch[1], 10);
+      }
+      const countMatch = summary.match(/(\d[\d,.]*)\s+reviews?\b/i);
+      if (countMatch) {
+        data.reviewCount = countMatch[1].replace(/[^\d]/g, '');
+      }
+
+      // "Sleeps 6", "3 bedrooms", "4 beds", "2 bathrooms"
+      const capacityList = this.findField('capacityList', strategies);
+      Array.from(capacityList?.querySelectorAll('li') || []).forEach(item => {
+        const itemText = item.textContent.trim();
+        const lower = itemText.toLowerCase();
+        if (lower.includes('sleeps')) {
+          data.guests = itemText;
+        } else if (lower.includes('bedroom')) {
+          data.bedrooms = itemText;
+        } else if (lower.includes('bath')) {
+          data.baths = itemText;
+        } else if (lower.includes('bed')) {
+          data.beds = itemText;
+        }
+      });
+
+      data.amenities = [...new Set(VrboAdapter.getLeafTexts(this.document.querySelector('[data-stid="content-hotel-amenities"]'))
+        .filter(amenity => !/^(popular amenities|see all)/i.test(amenity)))];
+      data.houseRules = VrboAdapter.getLeafTexts(this.document.querySelector('[data-stid="content-hotel-policies"]'))
+        .filter(rule => !/^house rules$/i.test(rule));
+      if (/premier host/i.test(this.document.querySelector('[data-stid="content-hotel-host"]')?.textContent || '')) {
+        data.badges.push('Premier Host');
+      }
+    } catch (error) {
+      console.error('Error extracting Vrbo data:', error);
+    }
+
+    data.extraction = this.buildListingExtraction(data, strategies);
+    return data;
+  }
+
+  readReview(element, recordStrategy) {
+    const profile = this.profile;
+    const review = {};
+
+    // "Response from Ana on Oct 14, 2025" and the owner's answer
+    const response = profile.find('reviewResponse', element).element;
+    const outsideResponse = node => !response || !response.contains(node);
+
+    const name = profile.find('reviewName', element, { filter: outsideResponse });
+    recordStrategy('name', name.strategy);
+    review.name = (name.element?.textContent || '').trim();
+
+    const rating = profile.find('reviewRating', element, { filter: outsideResponse });
+    const scoreMatch = (rating.element?.textContent || '').match(/(\d+(?:[.,]\d+)?)\s*\/\s*10/);
+    recordStrategy('rating', scoreMatch ? rating.strategy : null);
+    if (scoreMatch) {
+      review.rating = scoreMatch[1];
+    }
+
+    const date = profile.find('reviewDate', element, { filter: outsideResponse });
+    recordStrategy('date', date.strategy);
+    if (date.element) {
+      review.stayDetails = date.element.textContent.trim();
+      review.date = VrboAdapter.getMonthYear(review.stayDetails);
+    }
+
+    const text = profile.find('reviewText', element, { filter: outsideResponse });
+    recordStrategy('text', text.strategy);
+    review.text = (text.element?.textContent || '').trim();
+
+    if (response) {
+      const [heading = '', ...answer] = VrboAdapter.getLeafTexts(response);
+      const headingMatch = heading.match(/^Response from\s+(.+?)(?:\s+on\s+(.+))?$/i);
+      review.hostResponse = {
+        hostName: headingMatch ? headingMatch[1] : '',
+        text: answer.join(' '),
+        date: headingMatch?.[2] ? VrboAdapter.getMonthYear(headingMatch[2]) : ''
+      };
+    }
+
+    return review;
+  }
+
+  // "See all 128 reviews" opens the reviews dialog
+  openAllReviews() {
+    const button = this.document.querySelector('[data-stid="reviews-link"]') ||
+      this.findButton(text => /^see all\b.*\breviews?$/i.test(text));
+    if (!button) return false;
+
+    button.click();
+    return true;
+  }
+
+  // The dialog shows 10 reviews at a time behind "More reviews"
+  async loadMoreReviews() {
+    const button = this.findButton(text => /^(more|see more|show more) reviews$/i.test(text));
+    if (!button || button.disabled) return false;
+
+    button.click();
+    await new Promise(resolve => setTimeout(resolve, 1500));
+    return true;
+  }
+
+  getReviewScrollSelectors() {
+    return ['[data-stid="reviews-dialog"] [role="document"]', '[data-stid="reviews-dialog"]'];
+  }
+
+  getCloseSelectors() {
+    return ['[data-stid="reviews-dialog"] button[aria-label="Close"]', ...super.getCloseSelectors()];
+  }
+}
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { VrboAdapter, VRBO_SELECTOR_PROFILE };
+} else {
+  self.VrboAdapter = VrboAdapter;
+}